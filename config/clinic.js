@@ -0,0 +1,11 @@
+// Clinic-wide contact details printed on slips and invoices. Each location's address,
+// front-desk number and GSTIN are configured on the Location (PUT /api/admin/locations/:name).
+const clinicConfig = {
+  name: process.env.CLINIC_NAME || 'Zennara Clinic',
+  gstin: process.env.CLINIC_GSTIN,
+  phone: process.env.CLINIC_PHONE || '+91-9999999999',
+  email: process.env.CLINIC_EMAIL || 'info@zennara.com',
+  website: process.env.CLINIC_WEBSITE || 'www.zennara.com'
+};
+
+module.exports = clinicConfig;
@@ -49,10 +49,21 @@ const upload = multer({
   }
 });
 
-// Function to delete image from Cloudinary
-const deleteImage = async (publicId) => {
+// Upload an image buffer as a private asset. Authenticated assets can only be fetched with a signed URL.
+const uploadPrivateImage = (buffer, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { resource_type: 'image', type: 'authenticated', ...options },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+    stream.end(buffer);
+  });
+};
+
+// Function to delete image from Cloudinary (pass { type: 'authenticated' } for private assets)
+const deleteImage = async (publicId, options = {}) => {
   try {
-    const result = await cloudinary.uploader.destroy(publicId);
+    const result = await cloudinary.uploader.destroy(publicId, options);
     return result;
   } catch (error) {
     console.error('Error deleting image from Cloudinary:', error);
@@ -63,5 +74,6 @@ const deleteImage = async (publicId) => {
 module.exports = {
   cloudinary,
   upload,
+  uploadPrivateImage,
   deleteImage
 };
@@ -76,8 +76,61 @@ const restrictTo = (...roles) => {
 // Admin protection middleware (combines protect + admin role check)
 const adminProtect = [protect, restrictTo('admin')];
 
+// Admin panel protection: admin access tokens issued by /api/admin after OTP login. These carry
+// the admin's email rather than a user ID, which is kept on req.admin.
+const adminPanelProtect = async (req, res, next) => {
+  try {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+      token = req.headers.authorization.split(' ')[1];
+    }
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No token provided.'
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.role !== 'admin' || decoded.type !== 'admin_access') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const adminEmails = process.env.ADMIN_EMAILS.split(',').map(email => email.trim().toLowerCase());
+    if (!adminEmails.includes(decoded.email.toLowerCase())) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Invalid admin credentials.'
+      });
+    }
+
+    req.admin = decoded;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid token. Please login again.'
+    });
+  }
+};
+
+// Front-desk protection: receptionists and admins
+const deskProtect = [protect, restrictTo('receptionist', 'admin')];
+
+// Clinical protection: clinicians and admins, for medical profiles and flags
+const clinicianProtect = [protect, restrictTo('clinician', 'admin')];
+
 module.exports = {
   protect,
   restrictTo,
-  adminProtect
+  adminProtect,
+  adminPanelProtect,
+  deskProtect,
+  clinicianProtect
 };
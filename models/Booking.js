@@ -1,4 +1,35 @@
 const mongoose = require('mongoose');
+const Location = require('./Location');
+const MedicalProfile = require('./MedicalProfile');
+const { DEFAULT_TIMEZONE, zonedTimeToUtc, toDateKey, formatDisplayDate } = require('../utils/clinicTime');
+
+const BOOKING_STATUSES = ['confirmed', 'in-progress', 'completed', 'cancelled', 'rescheduled', 'no-show'];
+
+// Statuses a booking can move to from each status. Completed, cancelled and no-show are final.
+const STATUS_TRANSITIONS = {
+  confirmed: ['in-progress', 'rescheduled', 'cancelled', 'no-show'],
+  rescheduled: ['confirmed', 'rescheduled', 'in-progress', 'cancelled', 'no-show'],
+  'in-progress': ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  'no-show': []
+};
+
+// Who made a status change: a customer, receptionist or admin, or the system for automatic changes
+const SYSTEM_ACTOR = { role: 'system' };
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Why a booking cannot move from one status to another, or null when it can
+const getTransitionError = (from, to) => {
+  if (canTransition(from, to)) {
+    return null;
+  }
+  const allowed = STATUS_TRANSITIONS[from] || [];
+  return allowed.length === 0
+    ? `Cannot change the booking from ${from} to ${to}: ${from} bookings cannot be changed.`
+    : `Cannot change the booking from ${from} to ${to}. From ${from} it can only move to: ${allowed.join(', ')}.`;
+};
 
 const bookingSchema = new mongoose.Schema({
   // User information
@@ -55,14 +86,81 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Appointment time is required']
   },
+  // Time zone of the location when booked; appointmentDate and appointmentTime are wall-clock there
+  timeZone: String,
+  // Canonical UTC start and end of the appointment, kept in step with the fields above on save
+  startsAt: Date,
+  endsAt: Date,
+  // Recurring series this booking belongs to
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BookingSeries'
+  },
+  seriesOccurrence: Number,
+  // Multi-treatment visit this booking is one step of
+  visit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit'
+  },
+  visitSequence: Number,
   
   // Booking status
   status: {
     type: String,
-    enum: ['confirmed', 'in-progress', 'completed', 'cancelled', 'rescheduled', 'no-show'],
+    enum: BOOKING_STATUSES,
     default: 'confirmed'
   },
+  // Every status the booking has had, oldest first
+  statusHistory: [{
+    from: String,
+    status: {
+      type: String,
+      enum: BOOKING_STATUSES
+    },
+    actor: {
+      role: {
+        type: String,
+        enum: ['customer', 'receptionist', 'clinician', 'admin', 'system'],
+        default: 'system'
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      name: String,
+      email: String
+    },
+    reason: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
+  // Price of the treatment when it was booked, with discounts and GST. Amounts are in rupees.
+  pricing: {
+    currency: {
+      type: String,
+      default: 'INR'
+    },
+    listPrice: Number,
+    discounts: [{
+      type: {
+        type: String,
+        enum: ['zen_member', 'package']
+      },
+      description: String,
+      amount: Number,
+      _id: false
+    }],
+    discountTotal: Number,
+    taxableAmount: Number,
+    taxRate: Number,
+    taxAmount: Number,
+    totalAmount: Number,
+    pricedAt: Date
+  },
+
   // Payment information
   paymentStatus: {
     type: String,
@@ -71,10 +169,53 @@ const bookingSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'upi', 'wallet'],
+    enum: ['cash', 'card', 'upi', 'wallet', 'package'],
     default: 'cash'
   },
   paymentUpdatedAt: Date,
+  // Part or all of the price paid from the customer's wallet when booking
+  walletPayment: {
+    amount: Number,
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletEntry'
+    },
+    paidAt: Date
+  },
+  // Prepaid package the session credit was redeemed from
+  packagePurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase'
+  },
+  // Deposit taken from customers with repeated no-shows; kept by the clinic if they miss this one too
+  deposit: {
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['paid', 'refunded', 'forfeited']
+    },
+    // The gateway payment that collected it
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    transactionId: String,
+    paidAt: Date
+  },
+  // Admin sign-off required for customers with repeated no-shows
+  approval: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    reviewedBy: String,
+    reviewedAt: Date,
+    note: String
+  },
   fullyProcessed: {
     type: Boolean,
     default: false
@@ -90,6 +231,9 @@ const bookingSchema = new mongoose.Schema({
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
   
+  // Conflicts with the patient's medical profile found when booking, for a clinician to review
+  medicalFlags: [MedicalProfile.flagSchema],
+
   // Booking reference
   bookingReference: {
     type: String,
@@ -109,6 +253,30 @@ const bookingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Outcome of the cancellation policy when the booking was cancelled
+  cancellationPolicy: {
+    name: String,
+    late: Boolean,
+    fee: Number,
+    feeStatus: {
+      type: String,
+      enum: ['none', 'pending', 'paid', 'waived']
+    },
+    creditForfeited: Boolean,
+    explanation: String
+  },
+  // Admin decisions that set the cancellation/reschedule policy aside
+  policyOverrides: [{
+    action: {
+      type: String,
+      enum: ['cancel', 'reschedule']
+    },
+    reason: String,
+    overriddenBy: String,
+    overriddenAt: Date,
+    policyName: String,
+    explanation: String
+  }],
   noShowMarkedAt: Date,
   
   // Rating and feedback (after completion)
@@ -127,11 +295,15 @@ const bookingSchema = new mongoose.Schema({
   },
   feedbackDate: Date,
   
-  // Staff assignment (for future use)
+  // Staff assignment
   assignedStaff: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Staff'
   },
+  staffRequested: {
+    type: Boolean,
+    default: false
+  }, // True when the practitioner was chosen explicitly rather than auto-assigned
   
   // Check-in/Check-out functionality
   checkedIn: {
@@ -139,6 +311,22 @@ const bookingSchema = new mongoose.Schema({
     default: false
   },
   checkInTime: Date,
+  // Set when a receptionist checked the patient in at the front desk
+  frontDeskCheckIn: {
+    deskUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deskUserName: String,
+    deskUserEmail: String,
+    method: {
+      type: String,
+      enum: ['qr', 'reference']
+    },
+    outsideWindow: Boolean,
+    minutesFromStart: Number,
+    overrideReason: String
+  },
   checkoutOTP: String,
   checkedOut: {
     type: Boolean,
@@ -166,12 +354,40 @@ const bookingSchema = new mongoose.Schema({
       uploadedBy: String // Admin ID who uploaded
     }],
     notes: String,
+    diagnosis: String,
     medications: [{
+      // Catalogue item, when the medication is one the clinic sells
+      medicine: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Medicine'
+      },
       name: String,
       dosage: String,
       frequency: String,
-      duration: String
-    }]
+      duration: String,
+      quantity: {
+        type: Number,
+        min: 1,
+        default: 1
+      },
+      instructions: String
+    }],
+    // Set when a clinician writes a structured prescription; revision goes up with each edit
+    prescriptionNumber: String,
+    prescribedBy: {
+      staff: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Staff'
+      },
+      name: String,
+      designation: String,
+      registrationNumber: String
+    },
+    writtenBy: String, // Admin email
+    issuedAt: Date,
+    revisedAt: Date,
+    revision: Number,
+    signature: String
   },
   
   // Reminders
@@ -180,6 +396,10 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       enum: ['sms', 'email', 'push']
     },
+    // Which configured reminder this was (e.g. '24h') and the appointment time it was for,
+    // so a moved booking gets a fresh set of reminders
+    reminder: String,
+    appointmentDate: Date,
     sentAt: Date,
     status: {
       type: String,
@@ -197,34 +417,88 @@ bookingSchema.index({ user: 1, appointmentDate: -1 });
 bookingSchema.index({ treatment: 1, appointmentDate: 1 });
 bookingSchema.index({ status: 1, appointmentDate: 1 });
 bookingSchema.index({ location: 1, appointmentDate: 1 });
+bookingSchema.index({ assignedStaff: 1, appointmentDate: 1 });
+bookingSchema.index({ series: 1, appointmentDate: 1 });
+bookingSchema.index({ visit: 1 });
 bookingSchema.index({ paymentStatus: 1 });
+bookingSchema.index({ status: 1, startsAt: 1 });
+bookingSchema.index({ 'prescription.prescriptionNumber': 1 }, { sparse: true });
+
+// Static method to generate a booking reference: ZEN + YYYYMMDD (in the location's time zone) + random 4 digits
+bookingSchema.statics.generateReference = function(timezone) {
+  const dateStr = toDateKey(new Date(), timezone).replace(/-/g, '');
+  const randomNum = Math.floor(1000 + Math.random() * 9000);
+  return `ZEN${dateStr}${randomNum}`;
+};
+
+// Pre-save middleware to generate booking reference, keeping one the route already chose
+bookingSchema.pre('save', function(next) {
+  if (this.isNew && !this.bookingReference) {
+    this.bookingReference = this.constructor.generateReference();
+  }
+  next();
+});
+
+// Remember the stored status so a direct assignment can be checked against it
+bookingSchema.post('init', function() {
+  this.$locals.savedStatus = this.status;
+});
 
-// Pre-save middleware to generate booking reference
+// Pre-save middleware to reject illegal status changes and record ones made without setStatus
 bookingSchema.pre('save', function(next) {
   if (this.isNew) {
-    // Generate booking reference: ZEN + YYYYMMDD + random 4 digits
-    const date = new Date();
-    const dateStr = date.getFullYear().toString() + 
-                   (date.getMonth() + 1).toString().padStart(2, '0') + 
-                   date.getDate().toString().padStart(2, '0');
-    const randomNum = Math.floor(1000 + Math.random() * 9000);
-    this.bookingReference = `ZEN${dateStr}${randomNum}`;
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({
+        status: this.status,
+        actor: { role: 'customer', user: this.user, name: this.personalDetails.fullName },
+        reason: 'Booked'
+      });
+    }
+  } else if (this.isModified('status') && !this.$locals.statusRecorded) {
+    const from = this.$locals.savedStatus;
+    const error = getTransitionError(from, this.status);
+    if (error) {
+      return next(new Error(error));
+    }
+    this.statusHistory.push({ from, status: this.status, actor: SYSTEM_ACTOR });
   }
   next();
 });
 
+bookingSchema.post('save', function() {
+  this.$locals.savedStatus = this.status;
+  this.$locals.statusRecorded = false;
+});
+
+// Pre-save middleware to work out the canonical UTC start and end from the clinic date and time
+bookingSchema.pre('save', async function() {
+  if (!this.timeZone) {
+    const location = await Location.getConfig(this.location);
+    this.timeZone = location.timezone;
+  }
+
+  const timesChanged = this.isModified('appointmentDate') || this.isModified('appointmentTime') ||
+    this.isModified('treatmentDetails.duration') || this.isModified('timeZone');
+  if (!this.startsAt || !this.endsAt || timesChanged) {
+    const dateKey = toDateKey(this.appointmentDate, this.timeZone);
+    const duration = (this.treatmentDetails && this.treatmentDetails.duration) || 60;
+    this.startsAt = zonedTimeToUtc(dateKey, this.appointmentTime, this.timeZone);
+    this.endsAt = new Date(this.startsAt.getTime() + duration * 60 * 1000);
+    this.appointmentDate = this.startsAt;
+  }
+});
+
 // Virtual for formatted appointment date and time
 bookingSchema.virtual('formattedAppointment').get(function() {
-  const date = new Date(this.appointmentDate);
-  const dateStr = date.toLocaleDateString('en-IN', {
-    weekday: 'long',
-    year: 'numeric',
-    month: 'long',
-    day: 'numeric'
-  });
+  const dateStr = formatDisplayDate(this.appointmentDate, this.timeZone || DEFAULT_TIMEZONE);
   return `${dateStr} at ${this.appointmentTime}`;
 });
 
+// Virtual for the amount the customer pays for this booking
+bookingSchema.virtual('totalAmount').get(function() {
+  return this.pricing && this.pricing.totalAmount !== undefined ? this.pricing.totalAmount : undefined;
+});
+
 // Virtual for booking age
 bookingSchema.virtual('bookingAge').get(function() {
   const now = new Date();
@@ -275,78 +549,129 @@ bookingSchema.statics.getBookingsByDateRange = function(startDate, endDate, opti
     .sort({ appointmentDate: 1, appointmentTime: 1 });
 };
 
+// Instance method to move the booking to a new status, recording who did it and why.
+// Throws when the transition table does not allow the change.
+bookingSchema.methods.setStatus = function(status, { actor = SYSTEM_ACTOR, reason } = {}) {
+  const error = getTransitionError(this.status, status);
+  if (error) {
+    throw new Error(error);
+  }
+
+  this.statusHistory.push({ from: this.status, status, actor, reason, timestamp: new Date() });
+  this.status = status;
+  this.$locals.statusRecorded = true;
+  return this;
+};
+
+// Instance method to check a status change before making it
+bookingSchema.methods.getTransitionError = function(status) {
+  return getTransitionError(this.status, status);
+};
+
 // Instance method to cancel booking
-bookingSchema.methods.cancelBooking = function(reason) {
-  this.status = 'cancelled';
+bookingSchema.methods.cancelBooking = function(reason, actor) {
+  this.setStatus('cancelled', { actor, reason });
   this.cancellationReason = reason;
   this.cancelledAt = new Date();
   return this.save();
 };
 
-// Instance method to reschedule booking
-bookingSchema.methods.rescheduleBooking = function(newDate, newTime) {
-  // Check if already rescheduled once
-  if (this.rescheduleCount >= 1) {
-    throw new Error('Appointment can only be rescheduled once');
+// Instance method to reschedule booking. maxReschedules comes from the booking policy;
+// pass null when an admin has overridden the limit.
+bookingSchema.methods.rescheduleBooking = function(newDate, newTime, maxReschedules = null, actor) {
+  if (maxReschedules !== null && this.rescheduleCount >= maxReschedules) {
+    throw new Error(`Appointment can only be rescheduled ${maxReschedules} time${maxReschedules === 1 ? '' : 's'}`);
   }
   
   this.rescheduledFrom = {
     date: this.appointmentDate,
     time: this.appointmentTime
   };
+  this.setStatus('rescheduled', { actor, reason: `Moved to ${toDateKey(newDate, this.timeZone || DEFAULT_TIMEZONE)} ${newTime}` });
   this.appointmentDate = new Date(newDate);
   this.appointmentTime = newTime;
-  this.status = 'rescheduled';
   this.rescheduledAt = new Date();
   this.rescheduleCount = (this.rescheduleCount || 0) + 1;
   return this.save();
 };
 
 // Instance method to complete booking
-bookingSchema.methods.completeBooking = function() {
-  this.status = 'completed';
+bookingSchema.methods.completeBooking = function(actor, reason) {
+  this.setStatus('completed', { actor, reason });
   return this.save();
 };
 
 // Instance method to mark as no-show
-bookingSchema.methods.markAsNoShow = function() {
-  this.status = 'no-show';
+bookingSchema.methods.markAsNoShow = function(actor) {
+  this.setStatus('no-show', { actor, reason: 'Did not attend' });
   this.noShowMarkedAt = new Date();
+  if (this.deposit && this.deposit.status === 'paid') {
+    this.deposit.status = 'forfeited';
+  }
   return this.save();
 };
 
-// Static method to find and mark no-show appointments
-bookingSchema.statics.markNoShowAppointments = async function() {
-  const now = new Date();
-  
-  // Find all confirmed bookings that haven't checked in
-  const bookings = await this.find({
-    status: 'confirmed',
-    checkedIn: { $ne: true }
-  });
-  
-  let updatedCount = 0;
-  
-  // Check each booking to see if it's past the 1-hour no-show window
-  for (const booking of bookings) {
-    // Create appointment datetime by combining date and time
-    const appointmentDate = new Date(booking.appointmentDate);
-    const [hours, minutes] = booking.appointmentTime.split(':');
-    const appointmentDateTime = new Date(appointmentDate);
-    appointmentDateTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-    
-    // Check if 1 hour has passed since appointment time
-    const oneHourAfterAppointment = new Date(appointmentDateTime.getTime() + 60 * 60 * 1000);
-    
-    if (now > oneHourAfterAppointment) {
-      booking.status = 'no-show';
-      booking.noShowMarkedAt = now;
-      await booking.save();
-      updatedCount++;
+// Static method to move every matching booking to a status in one update, recording the change
+// in each booking's history. Bookings the transition table does not allow to move are left alone.
+// set and unset are other fields to change in the same update.
+bookingSchema.statics.transitionMany = function(filter, status, { actor = SYSTEM_ACTOR, reason, set = {}, unset = [], now = new Date() } = {}) {
+  const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter(from => canTransition(from, status));
+  const entry = { from: '$status', status, actor: { $literal: actor }, timestamp: now };
+  if (reason) entry.reason = { $literal: reason };
+
+  const fields = {};
+  for (const [path, value] of Object.entries(set)) {
+    fields[path] = { $literal: value };
+  }
+
+  const pipeline = [{
+    $set: {
+      ...fields,
+      statusHistory: { $concatArrays: [{ $ifNull: ['$statusHistory', []] }, [entry]] },
+      status
     }
+  }];
+  if (unset.length > 0) {
+    pipeline.push({ $unset: unset });
   }
-  
-  return { modifiedCount: updatedCount };
+
+  return this.updateMany({ $and: [filter, { status: { $in: allowedFrom } }] }, pipeline);
+};
+
+// Static method to find and mark no-show appointments: bookings not checked in by
+// graceMinutes after their start, looking back lookbackDays so old bookings are not rescanned
+bookingSchema.statics.markNoShowAppointments = async function({ now = new Date(), graceMinutes = 60, lookbackDays = 7 } = {}) {
+  const cutoff = new Date(now.getTime() - graceMinutes * 60 * 1000);
+  const windowStart = new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+  const activeFilter = {
+    status: { $in: ['confirmed', 'rescheduled'] },
+    checkedIn: { $ne: true }
+  };
+
+  const due = await this.find({
+    ...activeFilter,
+    startsAt: { $gte: windowStart, $lte: cutoff }
+  }).select('_id');
+  const dueIds = due.map(booking => booking._id);
+
+  if (dueIds.length === 0) {
+    return { modifiedCount: 0, bookings: [] };
+  }
+
+  const result = await this.transitionMany(
+    { _id: { $in: dueIds }, ...activeFilter },
+    'no-show',
+    { reason: `Not checked in within ${graceMinutes} minutes of the start time`, set: { noShowMarkedAt: now }, now }
+  );
+  await this.updateMany(
+    { _id: { $in: dueIds }, status: 'no-show', 'deposit.status': 'paid' },
+    { 'deposit.status': 'forfeited' }
+  );
+
+  // Only report bookings this sweep changed, not ones a concurrent request moved on
+  const bookings = await this.find({ _id: { $in: dueIds }, status: 'no-show', noShowMarkedAt: now });
+
+  return { modifiedCount: result.modifiedCount, bookings };
 };
 
 // Instance method to add rating and feedback
@@ -357,4 +682,7 @@ bookingSchema.methods.addFeedback = function(rating, feedback) {
   return this.save();
 };
 
+bookingSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+bookingSchema.statics.SYSTEM_ACTOR = SYSTEM_ACTOR;
+
 module.exports = mongoose.model('Booking', bookingSchema);
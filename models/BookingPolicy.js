@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const TREATMENT_CATEGORIES = ['Skin', 'Facials', 'Aesthetics', 'Hair', 'Peels', 'Men', 'Wellness'];
+const PLAN_TYPES = ['standard', 'zen_member'];
+
+// Used when no policy has been configured: the terms customers were always told
+// (cancel or reschedule up to 2 hours before, one reschedule per appointment)
+const DEFAULT_POLICY = {
+  name: 'Standard policy',
+  category: null,
+  planType: null,
+  cancelCutoffHours: 2,
+  rescheduleCutoffHours: 2,
+  maxReschedules: 1,
+  lateCancellationFee: 0,
+  forfeitCreditOnLateCancel: false
+};
+
+// Cancellation and reschedule rules. A policy applies to one treatment category and/or
+// plan type; leaving either empty makes it apply to all of them.
+const bookingPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  category: {
+    type: String,
+    enum: [...TREATMENT_CATEGORIES, null],
+    default: null
+  },
+  planType: {
+    type: String,
+    enum: [...PLAN_TYPES, null],
+    default: null
+  },
+
+  // Cancelling inside this window is a late cancellation
+  cancelCutoffHours: {
+    type: Number,
+    required: true,
+    min: [0, 'Cutoff cannot be negative']
+  },
+  // Rescheduling is not allowed inside this window
+  rescheduleCutoffHours: {
+    type: Number,
+    required: true,
+    min: [0, 'Cutoff cannot be negative']
+  },
+  maxReschedules: {
+    type: Number,
+    required: true,
+    min: [0, 'Maximum reschedules cannot be negative']
+  },
+
+  // What a late cancellation costs
+  lateCancellationFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee cannot be negative']
+  },
+  forfeitCreditOnLateCancel: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+bookingPolicySchema.index({ category: 1, planType: 1 }, { unique: true });
+
+// Static method to find the most specific active policy for a booking:
+// category and plan, then category only, then plan only, then the catch-all policy
+bookingPolicySchema.statics.resolve = async function({ category, planType }) {
+  const policies = await this.find({
+    isActive: true,
+    category: { $in: [category, null] },
+    planType: { $in: [planType, null] }
+  });
+
+  const rank = (policy) => (policy.category ? 2 : 0) + (policy.planType ? 1 : 0);
+  const [best] = policies.sort((a, b) => rank(b) - rank(a));
+
+  return best || this.getDefault();
+};
+
+// Static method to get the built-in policy used when nothing is configured
+bookingPolicySchema.statics.getDefault = function() {
+  return new this(DEFAULT_POLICY);
+};
+
+bookingPolicySchema.statics.TREATMENT_CATEGORIES = TREATMENT_CATEGORIES;
+bookingPolicySchema.statics.PLAN_TYPES = PLAN_TYPES;
+
+module.exports = mongoose.model('BookingPolicy', bookingPolicySchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { toDateKey, addDays, startOfDay } = require('../utils/clinicTime');
+
+const bookingSeriesSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  personalDetails: {
+    fullName: {
+      type: String,
+      required: [true, 'Full name is required'],
+      trim: true
+    },
+    mobileNumber: {
+      type: String,
+      required: [true, 'Mobile number is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true
+    }
+  },
+  treatment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Treatment',
+    required: [true, 'Treatment is required']
+  },
+  treatmentDetails: {
+    name: String,
+    category: String,
+    duration: Number,
+    durationDisplay: String
+  },
+  location: {
+    type: String,
+    required: [true, 'Location is required'],
+    enum: ['Jubilee Hills', 'Financial District', 'Kondapur']
+  },
+
+  // Recurrence rule, e.g. every 3 weeks, 6 times, starting on startDate at appointmentTime
+  startDate: {
+    type: Date,
+    required: true
+  },
+  appointmentTime: {
+    type: String,
+    required: true
+  },
+  intervalWeeks: {
+    type: Number,
+    required: true,
+    min: [1, 'Interval must be at least 1 week'],
+    max: [12, 'Interval cannot exceed 12 weeks']
+  },
+  occurrences: {
+    type: Number,
+    required: true,
+    min: [2, 'A series needs at least 2 appointments'],
+    max: [12, 'A series cannot exceed 12 appointments']
+  },
+
+  preferredStaff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'wallet', 'package'],
+    default: 'cash'
+  },
+  usePackageCredit: {
+    type: Boolean,
+    default: false
+  },
+
+  // Occurrences that could not be booked when the series was created
+  unplaced: [{
+    occurrence: Number,
+    date: Date,
+    reason: String,
+    placedAt: Date
+  }],
+
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+bookingSeriesSchema.index({ user: 1, createdAt: -1 });
+
+// Instance method to get the planned date of an occurrence (1-based)
+bookingSeriesSchema.methods.getOccurrenceDate = function(occurrence) {
+  const dateKey = addDays(toDateKey(this.startDate), (occurrence - 1) * this.intervalWeeks * 7);
+  return startOfDay(dateKey);
+};
+
+module.exports = mongoose.model('BookingSeries', bookingSeriesSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const LOCATION_NAMES = ['Jubilee Hills', 'Financial District', 'Kondapur'];
+
+// Secret token in a calendar subscription URL. Calendar apps cannot send auth headers,
+// so whoever has the URL can read the feed until the token is revoked.
+const calendarFeedTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 'user' feeds list one customer's appointments; 'location' feeds are for front-desk staff
+  scope: {
+    type: String,
+    enum: ['user', 'location'],
+    required: [true, 'Feed scope is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  location: {
+    type: String,
+    enum: LOCATION_NAMES
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  createdBy: String,
+
+  lastAccessedAt: Date,
+  revokedAt: Date,
+  revokedBy: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+calendarFeedTokenSchema.index({ user: 1, scope: 1, revokedAt: 1 });
+calendarFeedTokenSchema.index({ location: 1, scope: 1, revokedAt: 1 });
+
+// Virtual for whether the feed still works
+calendarFeedTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt;
+});
+
+// Hide the token in listings; the URL is only handed out when the feed is created
+calendarFeedTokenSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.token;
+    return ret;
+  }
+});
+
+// Static method to issue a new feed with a random token
+calendarFeedTokenSchema.statics.issue = function(fields) {
+  return this.create({
+    ...fields,
+    token: crypto.randomBytes(24).toString('hex')
+  });
+};
+
+// Static method to find the active feed for a token
+calendarFeedTokenSchema.statics.findActive = function(token) {
+  return this.findOne({ token, revokedAt: null });
+};
+
+// Instance method to revoke the feed
+calendarFeedTokenSchema.methods.revoke = function(by) {
+  this.revokedAt = new Date();
+  this.revokedBy = by;
+  return this.save();
+};
+
+calendarFeedTokenSchema.statics.LOCATION_NAMES = LOCATION_NAMES;
+
+module.exports = mongoose.model('CalendarFeedToken', calendarFeedTokenSchema);
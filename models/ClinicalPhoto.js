@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const PHOTO_STAGES = ['before', 'after', 'progress'];
+const MARKETING_CONSENT_STATUSES = ['not-asked', 'granted', 'declined', 'withdrawn'];
+
+// A clinical photo of a patient taken at an appointment. Unlike Treatment.beforeAfterImages these
+// are private: only the patient and clinicians can see them, and they are only used for marketing
+// after the patient has explicitly agreed.
+const clinicalPhotoSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  bookingReference: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Patient is required']
+  },
+  treatment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Treatment',
+    required: [true, 'Treatment is required']
+  },
+  treatmentName: String,
+  location: String,
+  // When the appointment was, so a series lines up by visit
+  visitDate: {
+    type: Date,
+    required: true
+  },
+
+  stage: {
+    type: String,
+    enum: PHOTO_STAGES,
+    required: [true, 'Photo stage is required']
+  },
+  // Which view this is, e.g. front, left profile; photos with the same angle are compared side by side
+  angle: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'front',
+    maxlength: [50, 'Angle cannot exceed 50 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  takenAt: {
+    type: Date,
+    default: Date.now
+  },
+  uploadedBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    role: String
+  },
+
+  storage: {
+    driver: {
+      type: String,
+      enum: ['cloudinary', 'local'],
+      required: true
+    },
+    key: {
+      type: String,
+      required: true
+    },
+    format: String,
+    mimetype: String,
+    bytes: Number,
+    width: Number,
+    height: Number
+  },
+
+  marketingConsent: {
+    status: {
+      type: String,
+      enum: MARKETING_CONSENT_STATUSES,
+      default: 'not-asked'
+    },
+    typedName: String,
+    respondedAt: Date,
+    ipAddress: String,
+    history: [{
+      status: String,
+      typedName: String,
+      ipAddress: String,
+      at: {
+        type: Date,
+        default: Date.now
+      },
+      _id: false
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+clinicalPhotoSchema.index({ booking: 1, stage: 1 });
+clinicalPhotoSchema.index({ user: 1, treatment: 1, visitDate: 1 });
+clinicalPhotoSchema.index({ 'marketingConsent.status': 1, treatment: 1 });
+
+// Instance method to record the patient's answer on marketing use
+clinicalPhotoSchema.methods.setMarketingConsent = function(granted, { typedName, ipAddress } = {}) {
+  const current = this.marketingConsent.status;
+  const status = granted ? 'granted' : (current === 'granted' ? 'withdrawn' : 'declined');
+
+  this.marketingConsent.status = status;
+  this.marketingConsent.typedName = typedName;
+  this.marketingConsent.respondedAt = new Date();
+  this.marketingConsent.ipAddress = ipAddress;
+  this.marketingConsent.history.push({ status, typedName, ipAddress });
+  return this.save();
+};
+
+// Whether the photo may be used in marketing
+clinicalPhotoSchema.methods.canUseForMarketing = function() {
+  return this.marketingConsent.status === 'granted';
+};
+
+clinicalPhotoSchema.statics.PHOTO_STAGES = PHOTO_STAGES;
+clinicalPhotoSchema.statics.MARKETING_CONSENT_STATUSES = MARKETING_CONSENT_STATUSES;
+
+module.exports = mongoose.model('ClinicalPhoto', clinicalPhotoSchema);
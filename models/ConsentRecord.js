@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const IMMUTABLE_MESSAGE = 'Signed consent forms cannot be changed or deleted';
+
+// A form as the customer completed and signed it. The wording, questions and answers are
+// copied from the template so later template edits never change what was signed.
+const consentRecordSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  bookingReference: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConsentTemplate',
+    required: [true, 'Template is required']
+  },
+  templateVersion: {
+    type: Number,
+    required: true
+  },
+
+  kind: {
+    type: String,
+    enum: ['consent', 'intake'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: String,
+  responses: [{
+    key: String,
+    label: String,
+    type: { type: String },
+    answer: mongoose.Schema.Types.Mixed,
+    _id: false
+  }],
+
+  signature: {
+    typedName: {
+      type: String,
+      required: [true, 'Typed name is required']
+    },
+    signedAt: {
+      type: Date,
+      required: true
+    },
+    ipAddress: String,
+    userAgent: String,
+    // Device description sent by the app, e.g. "iPhone 15, iOS 18.1"
+    device: String
+  },
+
+  // SHA-256 of everything above, taken at signing time
+  contentHash: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One signed copy of each form per booking
+consentRecordSchema.index({ booking: 1, template: 1 }, { unique: true });
+consentRecordSchema.index({ user: 1, createdAt: -1 });
+
+const idOf = (value) => (value ? String(value._id || value) : '');
+
+// The signed fields, in a fixed order
+consentRecordSchema.methods.computeContentHash = function() {
+  const content = JSON.stringify([
+    idOf(this.booking),
+    idOf(this.user),
+    idOf(this.template),
+    this.templateVersion,
+    this.kind,
+    this.title,
+    this.body || '',
+    this.responses.map(response => [response.key, response.label, response.answer === undefined ? null : response.answer]),
+    this.signature.typedName,
+    new Date(this.signature.signedAt).toISOString(),
+    this.signature.ipAddress || '',
+    this.signature.userAgent || '',
+    this.signature.device || ''
+  ]);
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+// Whether the stored record still matches the hash taken when it was signed
+consentRecordSchema.methods.isIntact = function() {
+  return this.contentHash === this.computeContentHash();
+};
+
+consentRecordSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    this.contentHash = this.computeContentHash();
+  }
+  next();
+});
+
+// Signed records are write-once
+consentRecordSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error(IMMUTABLE_MESSAGE));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error(IMMUTABLE_MESSAGE));
+};
+
+consentRecordSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+consentRecordSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+consentRecordSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('ConsentRecord', consentRecordSchema);
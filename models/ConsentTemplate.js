@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const TREATMENT_CATEGORIES = ['Skin', 'Facials', 'Aesthetics', 'Hair', 'Peels', 'Men', 'Wellness'];
+const FORM_KINDS = ['consent', 'intake'];
+const QUESTION_TYPES = ['text', 'yes-no', 'choice', 'date'];
+
+const questionSchema = new mongoose.Schema({
+  // Stable key the answers are stored under
+  key: {
+    type: String,
+    required: [true, 'Question key is required'],
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Question key can only contain lowercase letters, numbers and underscores']
+  },
+  label: {
+    type: String,
+    required: [true, 'Question label is required'],
+    trim: true,
+    maxlength: [300, 'Question label cannot exceed 300 characters']
+  },
+  type: {
+    type: String,
+    enum: QUESTION_TYPES,
+    default: 'text'
+  },
+  // Choices for 'choice' questions
+  options: [{
+    type: String,
+    trim: true
+  }],
+  required: {
+    type: Boolean,
+    default: true
+  },
+  helpText: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Help text cannot exceed 300 characters']
+  }
+}, { _id: false });
+
+// A consent form or pre-visit intake questionnaire customers complete before checking in.
+// A template applies to one treatment or to every treatment in a category.
+const consentTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Form title is required'],
+    trim: true,
+    maxlength: [150, 'Form title cannot exceed 150 characters']
+  },
+  kind: {
+    type: String,
+    enum: FORM_KINDS,
+    default: 'consent'
+  },
+  treatment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Treatment',
+    default: null
+  },
+  category: {
+    type: String,
+    enum: [...TREATMENT_CATEGORIES, null],
+    default: null
+  },
+
+  // The wording the customer agrees to
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [20000, 'Form text cannot exceed 20000 characters']
+  },
+  questions: [questionSchema],
+
+  // Bumped whenever the wording or questions change; signed forms keep the version they were signed at
+  version: {
+    type: Number,
+    default: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+consentTemplateSchema.index({ treatment: 1, isActive: 1 });
+consentTemplateSchema.index({ category: 1, isActive: 1 });
+
+consentTemplateSchema.pre('validate', function(next) {
+  if (Boolean(this.treatment) === Boolean(this.category)) {
+    this.invalidate('treatment', 'A form must apply to either a treatment or a treatment category');
+  }
+  if (this.kind === 'consent' && !this.body) {
+    this.invalidate('body', 'Consent forms need the text the customer is agreeing to');
+  }
+  if (this.kind === 'intake' && this.questions.length === 0) {
+    this.invalidate('questions', 'Intake questionnaires need at least one question');
+  }
+
+  const keys = this.questions.map(question => question.key);
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate('questions', 'Question keys must be unique within a form');
+  }
+  const emptyChoice = this.questions.find(question => question.type === 'choice' && question.options.length < 2);
+  if (emptyChoice) {
+    this.invalidate('questions', `Question "${emptyChoice.label}" needs at least two options`);
+  }
+  next();
+});
+
+consentTemplateSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('title') || this.isModified('body') || this.isModified('questions'))) {
+    this.version += 1;
+  }
+  next();
+});
+
+// Static method to get the active forms a booking's treatment needs
+consentTemplateSchema.statics.findForBooking = function(booking) {
+  const scopes = [{ treatment: booking.treatment }];
+  if (booking.treatmentDetails && booking.treatmentDetails.category) {
+    scopes.push({ category: booking.treatmentDetails.category });
+  }
+
+  return this.find({ isActive: true, $or: scopes }).sort({ kind: 1, title: 1 });
+};
+
+consentTemplateSchema.statics.TREATMENT_CATEGORIES = TREATMENT_CATEGORIES;
+consentTemplateSchema.statics.FORM_KINDS = FORM_KINDS;
+consentTemplateSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('ConsentTemplate', consentTemplateSchema);
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+
+const DOCUMENT_TYPES = ['invoice', 'credit-note'];
+const SOURCE_KINDS = ['booking', 'medicine-order'];
+
+// Short codes used in invoice numbers
+const LOCATION_CODES = {
+  'Jubilee Hills': 'JH',
+  'Financial District': 'FD',
+  'Kondapur': 'KP'
+};
+const TYPE_CODES = {
+  'invoice': 'IN',
+  'credit-note': 'CN'
+};
+
+const lineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  // HSN code for goods, SAC code for services
+  hsnSac: String,
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  // Amounts are in rupees before GST unless named total
+  unitPrice: Number,
+  grossAmount: Number,
+  discount: {
+    type: Number,
+    default: 0
+  },
+  discountNote: String,
+  taxableAmount: Number,
+  taxRate: Number,
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  totalAmount: Number
+}, { _id: false });
+
+// A GST tax invoice for a completed booking or delivered medicine order, or a credit
+// note against one. Everything printed is copied in when the document is issued, so
+// later changes to prices, addresses or tax settings never alter an issued document.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    default: 'invoice'
+  },
+  // e.g. IN/JH/2627/00042: type, location, financial year and number in that series (16 characters at most)
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  location: {
+    type: String,
+    enum: Object.keys(LOCATION_CODES),
+    required: true
+  },
+  // Indian financial year, April to March, e.g. 2026-27
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequenceNumber: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  issuedBy: {
+    role: String,
+    email: String,
+    name: String
+  },
+
+  source: {
+    kind: {
+      type: String,
+      enum: SOURCE_KINDS,
+      required: true
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    medicineOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedicineOrder'
+    },
+    // Booking reference or order number
+    reference: String
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  seller: {
+    name: String,
+    gstin: String,
+    addressLines: [String],
+    state: String,
+    phone: String,
+    email: String
+  },
+  customer: {
+    name: String,
+    mobileNumber: String,
+    email: String,
+    address: String,
+    state: String
+  },
+  placeOfSupply: String,
+  // Supplied to another state: IGST instead of CGST and SGST
+  interState: {
+    type: Boolean,
+    default: false
+  },
+
+  lines: [lineSchema],
+  totals: {
+    grossAmount: Number,
+    discount: Number,
+    taxableAmount: Number,
+    cgstAmount: Number,
+    sgstAmount: Number,
+    igstAmount: Number,
+    taxAmount: Number,
+    totalAmount: Number
+  },
+
+  // Credit notes: the invoice they reduce and why
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  originalInvoiceNumber: String,
+  reason: String,
+  // Invoices: how much has been credited back so far
+  creditedAmount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ location: 1, financialYear: 1, type: 1, sequenceNumber: 1 });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ originalInvoice: 1 });
+// One invoice per booking or order; credit notes can be raised against it repeatedly
+invoiceSchema.index({ 'source.booking': 1 }, { unique: true, partialFilterExpression: { type: 'invoice', 'source.kind': 'booking' } });
+invoiceSchema.index({ 'source.medicineOrder': 1 }, { unique: true, partialFilterExpression: { type: 'invoice', 'source.kind': 'medicine-order' } });
+
+// Instance method to get what can still be credited back against an invoice
+invoiceSchema.methods.getCreditableAmount = function() {
+  if (this.type !== 'invoice') return 0;
+  return Math.round((this.totals.totalAmount - (this.creditedAmount || 0)) * 100) / 100;
+};
+
+// Static method to get the financial year a date falls in, from its "YYYY-MM-DD" key
+invoiceSchema.statics.getFinancialYear = function(dateKey) {
+  const [year, month] = dateKey.split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Static method to get the series a document is numbered in
+invoiceSchema.statics.getSeriesKey = function(type, location, financialYear) {
+  return `${type}:${location}:${financialYear}`;
+};
+
+// Static method to format a document number, e.g. IN/JH/2627/00042
+invoiceSchema.statics.formatNumber = function(type, location, financialYear, sequenceNumber) {
+  const [startYear, endYear] = financialYear.split('-');
+  return [
+    TYPE_CODES[type],
+    LOCATION_CODES[location],
+    `${startYear.slice(-2)}${endYear}`,
+    String(sequenceNumber).padStart(5, '0')
+  ].join('/');
+};
+
+invoiceSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+invoiceSchema.statics.SOURCE_KINDS = SOURCE_KINDS;
+invoiceSchema.statics.LOCATION_CODES = LOCATION_CODES;
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// The last number used in an invoice series (one per document type, location and
+// financial year). It is only incremented inside the transaction that creates the
+// invoice, so an aborted invoice gives its number back and the series has no gaps.
+const invoiceSequenceSchema = new mongoose.Schema({
+  series: {
+    type: String,
+    required: true
+  },
+  lastNumber: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSequenceSchema.index({ series: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceSequence', invoiceSequenceSchema);
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/clinicTime');
+
+const LOCATION_NAMES = ['Jubilee Hills', 'Financial District', 'Kondapur'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Default opening hours: every day from 10:00, last appointments finishing by 20:00
+const defaultWeeklyHours = () => {
+  return [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({
+    dayOfWeek,
+    isOpen: true,
+    openTime: '10:00',
+    closeTime: '20:00',
+    breaks: []
+  }));
+};
+
+const locationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Location name is required'],
+    unique: true,
+    enum: LOCATION_NAMES
+  },
+  // IANA time zone the location's opening hours and appointment times are in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please provide a valid IANA time zone, e.g. Asia/Kolkata'
+    }
+  },
+  // Number of treatment rooms/chairs that can run appointments in parallel
+  treatmentRooms: {
+    type: Number,
+    default: 1,
+    min: [1, 'A location needs at least one treatment room']
+  },
+
+  // Address and front-desk contact printed on appointment slips
+  contact: {
+    addressLine1: { type: String, trim: true },
+    addressLine2: { type: String, trim: true },
+    city: { type: String, trim: true, default: 'Hyderabad' },
+    state: { type: String, trim: true, default: 'Telangana' },
+    postalCode: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    mapUrl: { type: String, trim: true }
+  },
+
+  // GST registration the location invoices under; falls back to the clinic-wide GSTIN
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [GSTIN_PATTERN, 'Please provide a valid GSTIN']
+  },
+
+  // Minutes between bookable start times
+  slotInterval: {
+    type: Number,
+    default: 60,
+    min: [15, 'Slot interval must be at least 15 minutes'],
+    max: [240, 'Slot interval cannot exceed 240 minutes']
+  },
+
+  // Opening hours per weekday (dayOfWeek: 0 = Sunday ... 6 = Saturday)
+  weeklyHours: {
+    type: [{
+      dayOfWeek: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 6
+      },
+      isOpen: {
+        type: Boolean,
+        default: true
+      },
+      openTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+      },
+      closeTime: {
+        type: String,
+        match: [TIME_PATTERN, 'Closing time must be in HH:mm format']
+      },
+      breaks: [{
+        startTime: {
+          type: String,
+          required: true,
+          match: [TIME_PATTERN, 'Break start time must be in HH:mm format']
+        },
+        endTime: {
+          type: String,
+          required: true,
+          match: [TIME_PATTERN, 'Break end time must be in HH:mm format']
+        },
+        label: String
+      }]
+    }],
+    default: defaultWeeklyHours
+  },
+
+  // Public holidays: the location is closed all day
+  holidays: [{
+    date: {
+      type: String,
+      required: true,
+      match: [DATE_PATTERN, 'Holiday date must be in YYYY-MM-DD format']
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+
+  // Ad-hoc closures such as a half day or a maintenance shutdown
+  blackouts: [{
+    startsAt: {
+      type: Date,
+      required: true
+    },
+    endsAt: {
+      type: Date,
+      required: true
+    },
+    reason: String,
+    createdBy: String
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the configuration for a location.
+// Locations that have not been configured yet fall back to schema defaults.
+locationSchema.statics.getConfig = async function(name) {
+  const location = await this.findOne({ name });
+  return location || new this({ name });
+};
+
+// Instance method to get the postal address as printable lines
+locationSchema.methods.getAddressLines = function() {
+  const contact = this.contact || {};
+  const cityLine = [contact.city, contact.state].filter(Boolean).join(', ') +
+    (contact.postalCode ? ` ${contact.postalCode}` : '');
+  return [contact.addressLine1 || `${this.name}`, contact.addressLine2, cityLine]
+    .filter(Boolean);
+};
+
+// Instance method to get the holiday on a "YYYY-MM-DD" date, if any
+locationSchema.methods.getHoliday = function(dateKey) {
+  return this.holidays.find(holiday => holiday.date === dateKey) || null;
+};
+
+// Instance method to get opening hours for a weekday
+locationSchema.methods.getHoursFor = function(dayOfWeek) {
+  return this.weeklyHours.find(hours => hours.dayOfWeek === dayOfWeek) || null;
+};
+
+// Instance method to get blackout periods that overlap a time range
+locationSchema.methods.getBlackoutsBetween = function(start, end) {
+  return this.blackouts.filter(blackout => blackout.startsAt < end && blackout.endsAt > start);
+};
+
+locationSchema.statics.LOCATION_NAMES = LOCATION_NAMES;
+locationSchema.statics.TIME_PATTERN = TIME_PATTERN;
+locationSchema.statics.GSTIN_PATTERN = GSTIN_PATTERN;
+
+module.exports = mongoose.model('Location', locationSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const PREGNANCY_STATUSES = ['not-applicable', 'not-pregnant', 'pregnant', 'breastfeeding', 'trying'];
+
+// A conflict between a patient's medical profile and a treatment or medicine, as kept on
+// the booking or order so clinicians can review it. Blocking flags stop the booking or order.
+const medicalFlagSchema = new mongoose.Schema({
+  factor: {
+    type: String,
+    enum: ['allergy', 'pregnancy', 'medication', 'skin-condition', 'medical-condition', 'age', 'no-profile'],
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ['warning', 'block'],
+    default: 'warning'
+  },
+  // The treatment or medicine the flag is about
+  item: String,
+  // What in the profile matched, e.g. the allergy or medication
+  matched: String,
+  message: String,
+
+  acknowledged: {
+    type: Boolean,
+    default: false
+  },
+  acknowledgedBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String
+  },
+  acknowledgedAt: Date,
+  acknowledgementNote: String
+}, { timestamps: { createdAt: 'raisedAt', updatedAt: false } });
+
+// A patient's private medical history. Kept apart from the user document so it is only
+// ever returned to the patient themselves and to clinicians.
+const medicalProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    unique: true
+  },
+  allergies: [{
+    substance: {
+      type: String,
+      required: [true, 'Allergy substance is required'],
+      trim: true,
+      maxlength: [100, 'Allergy substance cannot exceed 100 characters']
+    },
+    reaction: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reaction cannot exceed 200 characters']
+    },
+    severity: {
+      type: String,
+      enum: ['mild', 'moderate', 'severe'],
+      default: 'moderate'
+    }
+  }],
+  pregnancyStatus: {
+    type: String,
+    enum: PREGNANCY_STATUSES,
+    default: 'not-applicable'
+  },
+  // Medicines the patient currently takes
+  medications: [{
+    name: {
+      type: String,
+      required: [true, 'Medication name is required'],
+      trim: true,
+      maxlength: [100, 'Medication name cannot exceed 100 characters']
+    },
+    dosage: {
+      type: String,
+      trim: true
+    },
+    startedOn: Date
+  }],
+  skinConditions: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Skin condition cannot exceed 100 characters']
+  }],
+  medicalConditions: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Medical condition cannot exceed 100 characters']
+  }],
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Whether the patient is pregnant or breastfeeding
+medicalProfileSchema.methods.isPregnancyRisk = function() {
+  return ['pregnant', 'breastfeeding'].includes(this.pregnancyStatus);
+};
+
+medicalProfileSchema.statics.PREGNANCY_STATUSES = PREGNANCY_STATUSES;
+medicalProfileSchema.statics.flagSchema = medicalFlagSchema;
+
+module.exports = mongoose.model('MedicalProfile', medicalProfileSchema);
@@ -31,6 +31,19 @@ const medicineSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // HSN code and GST rate printed on invoices; prices include GST
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: '3004',
+    match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    default: 12,
+    min: 0,
+    max: 28
+  },
   discount: {
     type: Number,
     default: 0,
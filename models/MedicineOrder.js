@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const MedicalProfile = require('./MedicalProfile');
 
 const medicineOrderSchema = new mongoose.Schema({
   orderNumber: {
@@ -82,7 +83,18 @@ const medicineOrderSchema = new mongoose.Schema({
     transactionId: String,
     paidAt: Date,
     refundedAt: Date,
-    refundAmount: Number
+    refundAmount: Number,
+    // Part or all of the total paid from the customer's wallet. It is held while the rest is
+    // paid online and spent once that payment goes through.
+    walletAmount: Number,
+    walletEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletEntry'
+    },
+    walletStatus: {
+      type: String,
+      enum: ['held', 'debited', 'released']
+    }
   },
   orderStatus: {
     type: String,
@@ -117,8 +129,16 @@ const medicineOrderSchema = new mongoose.Schema({
     },
     prescriptionImages: [String],
     verifiedBy: String,
-    verifiedAt: Date
+    verifiedAt: Date,
+    // E-prescription from a completed appointment the order was placed from
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    prescriptionNumber: String
   },
+  // Conflicts with the customer's medical profile found when ordering, for a clinician to review
+  medicalFlags: [MedicalProfile.flagSchema],
   hasZenMembership: {
     type: Boolean,
     default: false
@@ -217,6 +237,20 @@ medicineOrderSchema.methods.updateStatus = function(newStatus, note = '', update
   }
 };
 
+// Static method to add a refund to an order's payment details, marking the payment refunded
+// once all of it has been paid back
+medicineOrderSchema.statics.recordRefund = async function(orderId, amount, refundedAt = new Date()) {
+  const order = await this.findOneAndUpdate(
+    { _id: orderId },
+    { $inc: { 'paymentDetails.refundAmount': amount }, 'paymentDetails.refundedAt': refundedAt },
+    { new: true }
+  );
+  if (order && order.paymentDetails.refundAmount >= order.orderSummary.totalAmount - 0.001) {
+    await this.updateOne({ _id: orderId }, { 'paymentDetails.status': 'refunded' });
+  }
+  return order;
+};
+
 // Method to calculate estimated delivery date
 medicineOrderSchema.methods.calculateEstimatedDelivery = function() {
   const orderDate = this.createdAt || new Date();
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One strike per booking the customer did not turn up for
+const noShowStrikeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required'],
+    unique: true
+  },
+  bookingReference: String,
+  treatmentName: String,
+  location: String,
+  appointmentDate: Date,
+  appointmentTime: String,
+
+  markedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // 'system' for the automatic sweep, otherwise who marked it
+  markedBy: {
+    type: String,
+    default: 'system'
+  },
+
+  forgiven: {
+    type: Boolean,
+    default: false
+  },
+  forgivenAt: Date,
+  forgivenBy: String,
+  forgiveReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+noShowStrikeSchema.index({ user: 1, markedAt: -1 });
+noShowStrikeSchema.index({ forgiven: 1, markedAt: -1 });
+
+// Static method to count a user's strikes that still count: not forgiven and inside the window
+noShowStrikeSchema.statics.countActive = function(userId, windowDays, now = new Date()) {
+  return this.countDocuments({
+    user: userId,
+    forgiven: false,
+    markedAt: { $gte: new Date(now.getTime() - windowDays * 24 * 60 * 60 * 1000) }
+  });
+};
+
+// Instance method to forgive a strike
+noShowStrikeSchema.methods.forgive = function(by, reason) {
+  this.forgiven = true;
+  this.forgivenAt = new Date();
+  this.forgivenBy = by;
+  this.forgiveReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('NoShowStrike', noShowStrikeSchema);
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+
+const packagePurchaseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  treatment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Treatment',
+    required: [true, 'Treatment is required']
+  },
+
+  // Snapshot of the package as sold
+  packageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  packageName: {
+    type: String,
+    required: true
+  },
+  treatmentName: String,
+  sessionsTotal: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  sessionsUsed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  purchasedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'expired', 'cancelled'],
+    default: 'active'
+  },
+
+  paymentMethod: {
+    type: String,
+    enum: ['card', 'upi', 'netbanking', 'wallet'],
+    default: 'card'
+  },
+  transactionId: String,
+  // Gateway payment the package was bought with
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+
+  // One entry per session booked against the package
+  redemptions: [{
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true
+    },
+    appointmentDate: Date,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set when the session is handed back, e.g. the booking was cancelled
+    reinstatedAt: Date,
+    reinstateReason: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+packagePurchaseSchema.index({ user: 1, treatment: 1, status: 1, expiresAt: 1 });
+packagePurchaseSchema.index({ status: 1, expiresAt: 1 });
+packagePurchaseSchema.index({ 'redemptions.booking': 1 });
+
+// Virtual for sessions still available
+packagePurchaseSchema.virtual('sessionsRemaining').get(function() {
+  return Math.max(0, this.sessionsTotal - this.sessionsUsed);
+});
+
+// Virtual for the value of one session, used for liability reporting
+packagePurchaseSchema.virtual('pricePerSession').get(function() {
+  return this.sessionsTotal > 0 ? Math.round((this.price / this.sessionsTotal) * 100) / 100 : 0;
+});
+
+// Static method to add a bought package's session credits to the user's balance,
+// snapshotting the package at the price paid
+packagePurchaseSchema.statics.grant = async function({ user, treatment, treatmentPackage, price, paymentMethod, transactionId, payment, session = null }) {
+  const purchasedAt = new Date();
+  const expiresAt = new Date(purchasedAt);
+  expiresAt.setDate(expiresAt.getDate() + treatmentPackage.validityDays);
+
+  const [purchase] = await this.create([{
+    user,
+    treatment: treatment._id,
+    packageId: treatmentPackage._id,
+    packageName: treatmentPackage.name,
+    treatmentName: treatment.name,
+    sessionsTotal: treatmentPackage.sessions,
+    price,
+    purchasedAt,
+    expiresAt,
+    paymentMethod,
+    transactionId,
+    payment
+  }], { session });
+  return purchase;
+};
+
+// Static method to mark packages past their expiry date as expired
+packagePurchaseSchema.statics.expireLapsed = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'active', expiresAt: { $lte: now } },
+    { status: 'expired' }
+  );
+};
+
+// Static method to take one session credit for a booking.
+// Uses the given purchase, or the user's soonest-expiring package for the treatment.
+// Returns null when no credit is available for the appointment date.
+packagePurchaseSchema.statics.redeemSession = function({ userId, treatmentId, purchaseId, booking, session = null }) {
+  const query = {
+    user: userId,
+    treatment: treatmentId,
+    status: 'active',
+    expiresAt: { $gt: booking.appointmentDate },
+    $expr: { $lt: ['$sessionsUsed', '$sessionsTotal'] }
+  };
+  if (purchaseId) {
+    query._id = purchaseId;
+  }
+
+  return this.findOneAndUpdate(
+    query,
+    {
+      $inc: { sessionsUsed: 1 },
+      $push: { redemptions: { booking: booking._id, appointmentDate: booking.appointmentDate, redeemedAt: new Date() } }
+    },
+    { new: true, sort: { expiresAt: 1 }, session }
+  );
+};
+
+// Static method to hand a session back when its booking is cancelled. Safe to call more than once.
+packagePurchaseSchema.statics.reinstateSession = async function(booking, reason) {
+  if (!booking.packagePurchase) {
+    return null;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      _id: booking.packagePurchase,
+      redemptions: { $elemMatch: { booking: booking._id, reinstatedAt: null } }
+    },
+    {
+      $inc: { sessionsUsed: -1 },
+      $set: {
+        'redemptions.$.reinstatedAt': new Date(),
+        'redemptions.$.reinstateReason': reason
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('PackagePurchase', packagePurchaseSchema);
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_PURPOSES = ['booking-deposit', 'medicine-order', 'membership', 'package'];
+const PAYMENT_STATUSES = ['created', 'authorized', 'captured', 'failed', 'partially-refunded', 'refunded'];
+const REFUND_STATUSES = ['pending', 'processed', 'failed'];
+
+// A payment collected through the gateway. The status only moves on signed webhooks from
+// the provider, never on what the app reports, and each webhook is applied once.
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: PAYMENT_PURPOSES,
+    required: true
+  },
+  // What is being paid for; a deposit is linked to its booking when the booking is made
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  medicineOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineOrder'
+  },
+  membership: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ZenMembership'
+  },
+  // The treatment package being bought, and the purchase made once it is paid
+  treatmentPackage: {
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Treatment'
+    },
+    packageId: mongoose.Schema.Types.ObjectId
+  },
+  packagePurchase: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PackagePurchase'
+  },
+
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's order/intent, and the payment made against it
+  providerIntentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  providerPaymentId: String,
+  // What the app needs to open the provider's checkout
+  checkout: mongoose.Schema.Types.Mixed,
+
+  // In rupees
+  amount: {
+    type: Number,
+    required: true,
+    min: [1, 'Amount must be at least ₹1']
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'created'
+  },
+  method: String,
+  capturedAt: Date,
+  // Set once what the payment was for has been completed (or refunded when it could not be),
+  // so a webhook retried after a failed fulfilment still finishes the job
+  fulfilledAt: Date,
+  failureReason: String,
+
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    providerRefundId: String,
+    amount: Number,
+    reason: String,
+    status: {
+      type: String,
+      enum: REFUND_STATUSES,
+      default: 'pending'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    processedAt: Date
+  }],
+
+  // Webhooks already applied, so a redelivered one is ignored
+  events: [{
+    eventId: String,
+    type: { type: String },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ user: 1, purpose: 1, status: 1 });
+paymentSchema.index({ providerPaymentId: 1 });
+paymentSchema.index({ medicineOrder: 1 });
+paymentSchema.index({ booking: 1 });
+
+// Instance method to get what can still be refunded, counting refunds already on their way
+paymentSchema.methods.getRefundableAmount = function() {
+  if (!['captured', 'partially-refunded'].includes(this.status)) {
+    return 0;
+  }
+  const requested = this.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((total, refund) => total + refund.amount, 0);
+  return Math.round((this.amount - requested) * 100) / 100;
+};
+
+paymentSchema.statics.PAYMENT_PURPOSES = PAYMENT_PURPOSES;
+paymentSchema.statics.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+
+const REFUND_STATUSES = ['pending-approval', 'processing', 'completed', 'rejected', 'failed'];
+const REFUND_DESTINATIONS = ['original-method', 'wallet'];
+const REFUND_TRIGGERS = ['booking-cancelled', 'order-cancelled', 'order-returned', 'manual'];
+// How the money goes back: through the payment gateway, paid out by clinic staff, or to the customer's wallet
+const REFUND_CHANNELS = ['gateway', 'manual', 'wallet'];
+
+const SYSTEM_ACTOR = { role: 'system', name: 'Automatic' };
+
+const actorSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['customer', 'receptionist', 'clinician', 'admin', 'system'],
+    default: 'system'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: String,
+  email: String
+}, { _id: false });
+
+// Money going back to a customer for a booking or medicine order. The eligible amount is
+// worked out from the cancellation or return policy; an admin approves the refund before
+// it is paid, and every change of state is kept in history.
+const refundSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    kind: {
+      type: String,
+      enum: ['booking', 'medicine-order'],
+      required: true
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    medicineOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedicineOrder'
+    },
+    // Booking reference or order number
+    reference: String
+  },
+  trigger: {
+    type: String,
+    enum: REFUND_TRIGGERS,
+    required: true
+  },
+  // Set for refunds opened automatically, so one cancellation or return opens only one
+  dedupeKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+
+  // In rupees: what the customer paid, what the policy allows back and what is being refunded
+  paidAmount: {
+    type: Number,
+    required: true
+  },
+  eligibleAmount: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be more than ₹0']
+  },
+  policy: {
+    name: String,
+    explanation: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  destination: {
+    type: String,
+    enum: REFUND_DESTINATIONS,
+    default: 'original-method'
+  },
+  channel: {
+    type: String,
+    enum: REFUND_CHANNELS
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  providerRefundId: String,
+  // The part of the refund credited to the customer's wallet: all of it when the wallet is the
+  // destination, otherwise whatever was paid from the wallet in the first place
+  walletAmount: Number,
+  walletEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletEntry'
+  },
+  // Reference for a refund staff paid out by hand (cash receipt, bank transfer, card reversal)
+  payoutReference: String,
+
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'pending-approval'
+  },
+  requestedBy: actorSchema,
+  reviewedBy: actorSchema,
+  reviewedAt: Date,
+  reviewNote: String,
+  completedAt: Date,
+  failureReason: String,
+
+  history: [{
+    status: {
+      type: String,
+      enum: REFUND_STATUSES
+    },
+    actor: actorSchema,
+    note: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ status: 1, createdAt: 1 });
+refundSchema.index({ user: 1, createdAt: -1 });
+refundSchema.index({ 'source.booking': 1 });
+refundSchema.index({ 'source.medicineOrder': 1 });
+refundSchema.index({ providerRefundId: 1 });
+
+// Method to move the refund to a new status, recording who moved it and why
+refundSchema.methods.setStatus = function(status, { actor = SYSTEM_ACTOR, note } = {}) {
+  this.status = status;
+  this.history.push({ status, actor, note });
+  if (status === 'completed') {
+    this.completedAt = new Date();
+  }
+};
+
+// Static method to settle a gateway refund once the provider's webhook reports its outcome
+refundSchema.statics.settleProviderRefund = function(providerRefundId, status, note) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { providerRefundId, status: 'processing' },
+    {
+      status,
+      ...(status === 'completed' ? { completedAt: now } : { failureReason: note }),
+      $push: { history: { status, actor: SYSTEM_ACTOR, note, timestamp: now } }
+    },
+    { new: true }
+  );
+};
+
+refundSchema.statics.REFUND_STATUSES = REFUND_STATUSES;
+refundSchema.statics.REFUND_DESTINATIONS = REFUND_DESTINATIONS;
+refundSchema.statics.REFUND_TRIGGERS = REFUND_TRIGGERS;
+refundSchema.statics.SYSTEM_ACTOR = SYSTEM_ACTOR;
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const slotHoldSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  treatment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Treatment',
+    required: true
+  },
+  location: {
+    type: String,
+    required: true,
+    enum: ['Jubilee Hills', 'Financial District', 'Kondapur']
+  },
+  appointmentDate: {
+    type: Date,
+    required: true
+  },
+  appointmentTime: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: true
+  },
+  assignedStaff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  staffRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // Set when the hold is for rescheduling an existing booking
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    default: null
+  },
+
+  // Set when the hold backs a waitlist offer
+  waitlistEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WaitlistEntry',
+    default: null
+  },
+
+  // MongoDB removes expired holds in the background; queries also filter on this
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+slotHoldSchema.index({ location: 1, appointmentDate: 1 });
+slotHoldSchema.index({ user: 1, booking: 1 });
+
+// Instance method to check if the hold has lapsed
+slotHoldSchema.methods.isExpired = function(now = new Date()) {
+  return this.expiresAt <= now;
+};
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
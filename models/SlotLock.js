@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// One document per location and calendar day. Every reservation bumps the
+// version inside its transaction, so concurrent reservations for the same day
+// hit a write conflict and are retried against the committed bookings.
+const slotLockSchema = new mongoose.Schema({
+  location: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 60 * 60 * 24 * 400
+  }
+});
+
+slotLockSchema.index({ location: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotLock', slotLockSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TIMEZONE, toDateKey, normalizeDateKey, getWeekday } = require('../utils/clinicTime');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const staffSchema = new mongoose.Schema({
+  fullName: {
+    type: String,
+    required: [true, 'Full name is required'],
+    trim: true,
+    maxlength: [50, 'Full name cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+  designation: {
+    type: String,
+    trim: true,
+    default: 'Therapist'
+  },
+  // Medical council registration, printed on prescriptions this practitioner signs
+  registrationNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Registration number cannot exceed 50 characters']
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio cannot exceed 500 characters']
+  },
+  profilePhoto: String,
+
+  // Locations this practitioner works at
+  locations: [{
+    type: String,
+    enum: ['Jubilee Hills', 'Financial District', 'Kondapur']
+  }],
+
+  // Treatments this practitioner is qualified to perform
+  treatments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Treatment'
+  }],
+
+  // Recurring weekly shifts (dayOfWeek: 0 = Sunday ... 6 = Saturday)
+  shifts: [{
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6
+    },
+    location: {
+      type: String,
+      required: true,
+      enum: ['Jubilee Hills', 'Financial District', 'Kondapur']
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Shift start time must be in HH:mm format']
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Shift end time must be in HH:mm format']
+    }
+  }],
+
+  // Leave periods (inclusive of both dates)
+  leave: [{
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    reason: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+staffSchema.index({ locations: 1, isActive: 1 });
+staffSchema.index({ treatments: 1 });
+
+// Instance method to check if practitioner is qualified for a treatment
+staffSchema.methods.isQualifiedFor = function(treatmentId) {
+  return this.treatments.some(treatment => treatment.toString() === treatmentId.toString());
+};
+
+// Instance method to check if practitioner is on leave on a calendar date.
+// Leave dates are whole clinic days, compared as "YYYY-MM-DD" in the location's time zone.
+staffSchema.methods.isOnLeave = function(date, timeZone = DEFAULT_TIMEZONE) {
+  const dateKey = normalizeDateKey(date, timeZone);
+
+  return this.leave.some(period => {
+    return toDateKey(period.startDate, timeZone) <= dateKey && toDateKey(period.endDate, timeZone) >= dateKey;
+  });
+};
+
+// Instance method to get the shifts worked at a location on a calendar date
+staffSchema.methods.getShiftsFor = function(date, location, timeZone = DEFAULT_TIMEZONE) {
+  const dayOfWeek = getWeekday(normalizeDateKey(date, timeZone));
+  return this.shifts.filter(shift => shift.dayOfWeek === dayOfWeek && shift.location === location);
+};
+
+module.exports = mongoose.model('Staff', staffSchema);
@@ -34,6 +34,49 @@ const treatmentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Duration display format is required']
   },
+  // Prices are in rupees before GST
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Price cannot be negative']
+  },
+  // Price for Zen members; when empty the standard member discount applies
+  zenPrice: {
+    type: Number,
+    min: [0, 'Zen member price cannot be negative']
+  },
+  // Locations that charge differently from the base price
+  locationPricing: [{
+    location: {
+      type: String,
+      required: [true, 'Location is required'],
+      enum: ['Jubilee Hills', 'Financial District', 'Kondapur']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Location price is required'],
+      min: [0, 'Price cannot be negative']
+    },
+    zenPrice: {
+      type: Number,
+      min: [0, 'Zen member price cannot be negative']
+    },
+    _id: false
+  }],
+  // GST rate in percent
+  taxRate: {
+    type: Number,
+    default: 18,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [28, 'Tax rate cannot exceed 28%']
+  },
+  // Services Accounting Code printed on invoices
+  sacCode: {
+    type: String,
+    trim: true,
+    default: '999722',
+    match: [/^\d{6}$/, 'SAC code must be 6 digits']
+  },
   image: {
     type: String,
     required: [true, 'Treatment image URL is required'],
@@ -98,6 +141,65 @@ const treatmentSchema = new mongoose.Schema({
     type: String,
     enum: ['Jubilee Hills', 'Financial District', 'Kondapur']
   }],
+  // Who should not have this treatment. Each rule is checked against the patient's medical profile;
+  // term is matched against allergies, medications or conditions and is not used for pregnancy.
+  contraindications: [{
+    factor: {
+      type: String,
+      required: [true, 'Contraindication factor is required'],
+      enum: ['allergy', 'pregnancy', 'medication', 'skin-condition', 'medical-condition']
+    },
+    term: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [100, 'Contraindication term cannot exceed 100 characters']
+    },
+    severity: {
+      type: String,
+      enum: ['warning', 'block'],
+      default: 'warning'
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Contraindication message cannot exceed 300 characters']
+    }
+  }],
+  // Prepaid courses, e.g. 6 sessions of a peel, sold as session credits
+  packages: [{
+    name: {
+      type: String,
+      required: [true, 'Package name is required'],
+      trim: true,
+      maxlength: [100, 'Package name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Package description cannot exceed 500 characters']
+    },
+    sessions: {
+      type: Number,
+      required: [true, 'Number of sessions is required'],
+      min: [2, 'A package must include at least 2 sessions']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Package price is required'],
+      min: [0, 'Package price cannot be negative']
+    },
+    // Credits expire this many days after purchase
+    validityDays: {
+      type: Number,
+      default: 365,
+      min: [1, 'Validity must be at least 1 day']
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
   // SEO and metadata
   slug: {
     type: String,
@@ -145,6 +247,20 @@ treatmentSchema.virtual('averageRating').get(function() {
   return this.ratingCount > 0 ? Math.round((this.rating / this.ratingCount) * 10) / 10 : 0;
 });
 
+// Virtual for the base price as shown to customers
+treatmentSchema.virtual('priceDisplay').get(function() {
+  return this.price === undefined ? undefined : `₹${this.price.toLocaleString('en-IN')}`;
+});
+
+// Instance method to get the price list for a location: its override, otherwise the base prices
+treatmentSchema.methods.getLocationPrices = function(location) {
+  const override = (this.locationPricing || []).find(item => item.location === location);
+  if (override) {
+    return { price: override.price, zenPrice: override.zenPrice };
+  }
+  return { price: this.price, zenPrice: this.zenPrice };
+};
+
 // Static method to get treatments by category
 treatmentSchema.statics.getByCategory = function(category, options = {}) {
   const query = { isActive: true };
@@ -209,6 +325,12 @@ treatmentSchema.methods.addReview = function(userId, bookingId, rating, comment
   return this.save();
 };
 
+// Instance method to get an active package by ID
+treatmentSchema.methods.getActivePackage = function(packageId) {
+  const treatmentPackage = this.packages.id(packageId);
+  return treatmentPackage && treatmentPackage.isActive ? treatmentPackage : null;
+};
+
 // Instance method to recalculate rating from all reviews
 treatmentSchema.methods.recalculateRating = function() {
   if (this.reviews.length === 0) {
@@ -57,7 +57,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'receptionist', 'clinician', 'admin'],
     default: 'user'
   },
   isActive: {
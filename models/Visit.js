@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { toDateKey } = require('../utils/clinicTime');
+
+const visitSchema = new mongoose.Schema({
+  visitReference: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  personalDetails: {
+    fullName: {
+      type: String,
+      required: [true, 'Full name is required'],
+      trim: true
+    },
+    mobileNumber: {
+      type: String,
+      required: [true, 'Mobile number is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true
+    }
+  },
+  location: {
+    type: String,
+    required: [true, 'Location is required'],
+    enum: ['Jubilee Hills', 'Financial District', 'Kondapur']
+  },
+  appointmentDate: {
+    type: Date,
+    required: [true, 'Appointment date is required']
+  },
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  totalDuration: {
+    type: Number, // minutes, from the first treatment's start to the last one's end
+    required: true
+  },
+
+  // Treatments in the order they are performed, each linked to its booking
+  items: [{
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true
+    },
+    treatment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Treatment',
+      required: true
+    },
+    treatmentName: String,
+    sequence: Number,
+    startTime: String,
+    endTime: String,
+    duration: Number
+  }],
+
+  specialRequests: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Special requests cannot exceed 500 characters']
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'wallet'],
+    default: 'cash'
+  },
+
+  status: {
+    type: String,
+    enum: ['confirmed', 'in-progress', 'completed', 'cancelled', 'rescheduled'],
+    default: 'confirmed'
+  },
+  cancellationReason: String,
+  cancelledAt: Date,
+  rescheduledAt: Date,
+
+  // One check-in and checkout covers every treatment in the visit
+  checkedIn: {
+    type: Boolean,
+    default: false
+  },
+  checkInTime: Date,
+  // Set when a receptionist checked the patient in at the front desk
+  frontDeskCheckIn: {
+    deskUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    deskUserName: String,
+    deskUserEmail: String,
+    method: {
+      type: String,
+      enum: ['qr', 'reference']
+    },
+    outsideWindow: Boolean,
+    minutesFromStart: Number,
+    overrideReason: String
+  },
+  checkoutOTP: String,
+  checkOutEligibleTime: Date,
+  checkedOut: {
+    type: Boolean,
+    default: false
+  },
+  checkOutTime: Date,
+  adminCheckout: String
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+visitSchema.index({ user: 1, appointmentDate: -1 });
+visitSchema.index({ location: 1, appointmentDate: 1 });
+
+// Static method to generate a visit reference: ZENV + YYYYMMDD + random 4 digits
+visitSchema.statics.generateReference = function() {
+  const dateStr = toDateKey(new Date()).replace(/-/g, '');
+  const randomNum = Math.floor(1000 + Math.random() * 9000);
+  return `ZENV${dateStr}${randomNum}`;
+};
+
+// Instance method to get the booking IDs in treatment order
+visitSchema.methods.getBookingIds = function() {
+  return [...this.items].sort((a, b) => a.sequence - b.sequence).map(item => item.booking);
+};
+
+module.exports = mongoose.model('Visit', visitSchema);
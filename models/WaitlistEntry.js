@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const waitlistEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  // Contact details used for the booking if an offer is claimed
+  personalDetails: {
+    fullName: {
+      type: String,
+      required: [true, 'Full name is required'],
+      trim: true
+    },
+    mobileNumber: {
+      type: String,
+      required: [true, 'Mobile number is required'],
+      trim: true
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true
+    }
+  },
+
+  treatment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Treatment',
+    required: [true, 'Treatment is required']
+  },
+  treatmentDetails: {
+    name: String,
+    category: String,
+    duration: Number,
+    durationDisplay: String
+  },
+  location: {
+    type: String,
+    required: [true, 'Location is required'],
+    enum: ['Jubilee Hills', 'Financial District', 'Kondapur']
+  },
+
+  // Calendar date ("YYYY-MM-DD") and the window of acceptable start times
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format']
+  },
+  windowStart: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Window start must be in HH:mm format']
+  },
+  windowEnd: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Window end must be in HH:mm format']
+  },
+
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'declined', 'cancelled'],
+    default: 'waiting'
+  },
+
+  // Current claim offer for a freed slot
+  offer: {
+    token: String,
+    appointmentTime: String,
+    // Start times freed by the cancellation, so a lapsed offer can roll on to the next customer
+    freedFrom: String,
+    freedUntil: String,
+    hold: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SlotHold'
+    },
+    offeredAt: Date,
+    expiresAt: Date,
+    respondedAt: Date
+  },
+
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+waitlistEntrySchema.index({ location: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, createdAt: -1 });
+waitlistEntrySchema.index({ 'offer.token': 1 }, { sparse: true });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// Instance method to check if the current offer can still be claimed
+waitlistEntrySchema.methods.hasOpenOffer = function(now = new Date()) {
+  return this.status === 'offered' && this.offer && this.offer.expiresAt > now;
+};
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A customer's wallet: the running balances of their ledger (WalletEntry) and what is left of
+// each credit, so credit that expires soonest is spent first and whatever is left lapses on time.
+// It is only changed together with the ledger entries that explain the change.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // In rupees: spendable now, and set aside by holds
+  balance: {
+    type: Number,
+    default: 0
+  },
+  held: {
+    type: Number,
+    default: 0
+  },
+  // Unspent credit by the entry that added it; the amounts add up to the balance
+  lots: [{
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletEntry'
+    },
+    amount: Number,
+    expiresAt: Date,
+    source: String,
+    _id: false
+  }],
+  // Open holds and the credit each one took, given back to those lots if the hold is released
+  holds: [{
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WalletEntry'
+    },
+    amount: Number,
+    allocations: [{
+      entry: mongoose.Schema.Types.ObjectId,
+      amount: Number,
+      expiresAt: Date,
+      source: String,
+      _id: false
+    }],
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+walletSchema.index({ 'lots.expiresAt': 1 });
+
+module.exports = mongoose.model('Wallet', walletSchema);
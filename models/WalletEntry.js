@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const ENTRY_TYPES = ['credit', 'debit', 'hold', 'release', 'expiry'];
+const ENTRY_SOURCES = ['refund', 'goodwill', 'promotion', 'adjustment', 'booking', 'medicine-order', 'package'];
+
+const SYSTEM_ACTOR = { role: 'system', name: 'Automatic' };
+
+// One line of a customer's wallet ledger. Entries are only ever added: a mistake is put right
+// with a further entry, never by editing or deleting one.
+//   credit  - money in (refunds, support goodwill, promotions, adjustments)
+//   debit   - money spent, straight from the balance or by capturing a hold
+//   hold    - money set aside for a payment still in progress
+//   release - a hold given back to the balance
+//   expiry  - credit that lapsed unspent
+const walletEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  // In rupees, always positive; the type says which way it moves
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be more than ₹0']
+  },
+  // Spendable and held balances once this entry was applied
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  heldAfter: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ENTRY_SOURCES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Credits that lapse if not spent by then
+  expiresAt: Date,
+
+  // What the entry is for
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  medicineOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicineOrder'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  supportRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Support'
+  },
+  // The hold a debit or release settles, or the credit an expiry lapses
+  relatedEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletEntry'
+  },
+
+  // Who made the entry and why, for staff adjustments
+  createdBy: {
+    role: {
+      type: String,
+      enum: ['customer', 'receptionist', 'clinician', 'admin', 'system'],
+      default: 'system'
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    name: String,
+    email: String
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+walletEntrySchema.index({ user: 1, createdAt: -1 });
+walletEntrySchema.index({ refund: 1 });
+walletEntrySchema.index({ source: 1, createdAt: -1 });
+
+// The ledger is append-only
+const rejectChange = function(next) {
+  next(new Error('Wallet entries cannot be changed or deleted'));
+};
+
+walletEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+walletEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+walletEntrySchema.statics.ENTRY_TYPES = ENTRY_TYPES;
+walletEntrySchema.statics.ENTRY_SOURCES = ENTRY_SOURCES;
+walletEntrySchema.statics.SYSTEM_ACTOR = SYSTEM_ACTOR;
+
+module.exports = mongoose.model('WalletEntry', walletEntrySchema);
@@ -122,6 +122,33 @@ zenMembershipSchema.methods.activateLifetimeMembership = function() {
   return this.save();
 };
 
+// Static method to activate a user's lifetime membership once its payment has been captured
+zenMembershipSchema.statics.grantLifetime = async function(userId, { amount, transactionId, paymentMethod }) {
+  const method = this.schema.path('paymentMethod').enumValues.includes(paymentMethod) ? paymentMethod : undefined;
+  const purchase = { amount, transactionId, paymentMethod: method, status: 'success' };
+  const membership = await this.findOne({ userId });
+
+  if (membership) {
+    membership.membershipType = 'zen';
+    membership.transactionId = transactionId;
+    membership.purchaseHistory.push(purchase);
+    return membership.activateLifetimeMembership();
+  }
+
+  return this.create({
+    userId,
+    membershipType: 'zen',
+    startDate: new Date(),
+    endDate: null, // Lifetime membership
+    isActive: true,
+    status: 'active',
+    price: amount,
+    paymentMethod: method,
+    transactionId,
+    purchaseHistory: [purchase]
+  });
+};
+
 // Static method to get membership pricing
 zenMembershipSchema.statics.getPricing = function() {
   return {
@@ -1,13 +1,68 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
-const { sendAdminOTPEmail } = require('../utils/emailService');
-const { protect } = require('../middleware/auth');
+const {
+  sendAdminOTPEmail,
+  sendAppointmentCancelledEmail,
+  sendAppointmentRescheduledEmail
+} = require('../utils/emailService');
+const { protect, adminPanelProtect } = require('../middleware/auth');
 const User = require('../models/User');
 const ZenMembership = require('../models/ZenMembership');
 const Booking = require('../models/Booking');
 const MedicineOrder = require('../models/MedicineOrder');
 const Medicine = require('../models/Medicine');
+const Location = require('../models/Location');
+const Staff = require('../models/Staff');
+const Treatment = require('../models/Treatment');
+const PackagePurchase = require('../models/PackagePurchase');
+const BookingPolicy = require('../models/BookingPolicy');
+const ConsentTemplate = require('../models/ConsentTemplate');
+const ConsentRecord = require('../models/ConsentRecord');
+const Invoice = require('../models/Invoice');
+const Refund = require('../models/Refund');
+const { parseDate } = require('../utils/scheduling');
+const { isValidTimeZone, toDateKey, addDays, getWeekday, endOfDay } = require('../utils/clinicTime');
+const { reserveSlot } = require('../utils/slotReservation');
+const { offerCancelledBooking } = require('../utils/waitlist');
+const { evaluateReschedule, recordOverride, cancelBookingWithPolicy } = require('../utils/bookingPolicy');
+const { getStatusActor } = require('../utils/bookingStatus');
+const { wantsPdf } = require('../utils/appointmentSlip');
+const { getBookingForms, describeForm, renderConsentPdf } = require('../utils/consentForms');
+const {
+  issueBookingInvoice,
+  issueOrderInvoice,
+  issueCreditNote,
+  invoiceOrderStatusChange,
+  renderInvoicePdf
+} = require('../utils/invoicing');
+const {
+  bookingSource,
+  orderSource,
+  evaluateBookingRefund,
+  evaluateOrderRefund,
+  openRefund,
+  approveRefund,
+  rejectRefund,
+  completeRefund,
+  refundOrderStatusChange
+} = require('../utils/refunds');
+const {
+  getPromotionExpiry,
+  creditWallet,
+  debitWallet,
+  getWalletSummary,
+  getWalletStatement,
+  expireWalletCredits
+} = require('../utils/wallet');
+const { roundMoney } = require('../utils/pricing');
+const {
+  generatePrescriptionNumber,
+  signPrescription,
+  isSignedPrescription,
+  linkMedications,
+  renderPrescriptionPdf
+} = require('../utils/prescription');
 
 const router = express.Router();
 
@@ -228,51 +283,8 @@ router.post('/resend-otp', [
   }
 });
 
-// Admin middleware to protect admin routes
-const adminProtect = async (req, res, next) => {
-  try {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    }
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    if (decoded.role !== 'admin' || decoded.type !== 'admin_access') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Admin privileges required.'
-      });
-    }
-
-    const adminEmails = process.env.ADMIN_EMAILS.split(',').map(email => email.trim().toLowerCase());
-    if (!adminEmails.includes(decoded.email.toLowerCase())) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied. Invalid admin credentials.'
-      });
-    }
-
-    req.admin = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token. Please login again.'
-    });
-  }
-};
-
 // Test protected admin route
-router.get('/dashboard', adminProtect, (req, res) => {
+router.get('/dashboard', adminPanelProtect, (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Admin dashboard access granted',
@@ -286,7 +298,7 @@ router.get('/dashboard', adminProtect, (req, res) => {
 // ==================== CUSTOMER MANAGEMENT ROUTES ====================
 
 // Get all customers with pagination and filters
-router.get('/customers', adminProtect, async (req, res) => {
+router.get('/customers', adminPanelProtect, async (req, res) => {
   try {
     const {
       page = 1,
@@ -368,14 +380,13 @@ router.get('/customers', adminProtect, async (req, res) => {
           {
             $match: {
               user: customer._id,
-              status: 'completed',
-              paymentStatus: 'paid'
+              status: 'completed'
             }
           },
           {
             $group: {
               _id: null,
-              total: { $sum: '$totalAmount' }
+              total: { $sum: { $ifNull: ['$pricing.totalAmount', 0] } }
             }
           }
         ]),
@@ -430,7 +441,7 @@ router.get('/customers', adminProtect, async (req, res) => {
 });
 
 // Get customer statistics
-router.get('/customers/stats', adminProtect, async (req, res) => {
+router.get('/customers/stats', adminPanelProtect, async (req, res) => {
   try {
     // Get total users count
     const totalUsers = await User.countDocuments({});
@@ -514,7 +525,7 @@ router.get('/customers/stats', adminProtect, async (req, res) => {
 });
 
 // Get single customer details
-router.get('/customers/:id', adminProtect, async (req, res) => {
+router.get('/customers/:id', adminPanelProtect, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -572,7 +583,7 @@ router.get('/customers/:id', adminProtect, async (req, res) => {
 
 // Create new customer (admin only)
 router.post('/customers', [
-  adminProtect,
+  adminPanelProtect,
   body('email').isEmail().withMessage('Please provide a valid email address'),
   body('fullName').trim().isLength({ min: 2, max: 50 }).withMessage('Full name must be between 2 and 50 characters'),
   body('phoneNumber').matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid phone number'),
@@ -672,7 +683,7 @@ router.post('/customers', [
 
 // Update customer details
 router.put('/customers/:id', [
-  adminProtect,
+  adminPanelProtect,
   body('email').optional().isEmail().withMessage('Please provide a valid email address'),
   body('fullName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Full name must be between 2 and 50 characters'),
   body('phoneNumber').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid phone number'),
@@ -782,7 +793,7 @@ router.put('/customers/:id', [
 });
 
 // Toggle customer active status
-router.patch('/customers/:id/toggle-status', adminProtect, async (req, res) => {
+router.patch('/customers/:id/toggle-status', adminPanelProtect, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -816,8 +827,60 @@ router.patch('/customers/:id/toggle-status', adminProtect, async (req, res) => {
   }
 });
 
+// Set a user's role: front-desk staff and clinicians sign in with their own account and are given their role here
+router.patch('/customers/:id/role', [
+  adminPanelProtect,
+  body('role').isIn(['user', 'receptionist', 'clinician']).withMessage('Role must be user, receptionist or clinician')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customer = await User.findById(req.params.id);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    if (customer.role === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'Admin accounts cannot be changed here'
+      });
+    }
+
+    customer.role = req.body.role;
+    await customer.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Role updated to ${customer.role} successfully`,
+      data: {
+        customerId: customer._id,
+        role: customer.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update customer role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Upgrade customer to Zen membership
-router.post('/customers/:id/upgrade-zen', adminProtect, async (req, res) => {
+router.post('/customers/:id/upgrade-zen', adminPanelProtect, async (req, res) => {
   try {
     const { id } = req.params;
     const { transactionId } = req.body;
@@ -878,7 +941,7 @@ router.post('/customers/:id/upgrade-zen', adminProtect, async (req, res) => {
 });
 
 // Delete customer (hard delete - completely remove)
-router.delete('/customers/:id', adminProtect, async (req, res) => {
+router.delete('/customers/:id', adminPanelProtect, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -922,7 +985,7 @@ router.delete('/customers/:id', adminProtect, async (req, res) => {
 });
 
 // Get customer activity/history
-router.get('/customers/:id/activity', adminProtect, async (req, res) => {
+router.get('/customers/:id/activity', adminPanelProtect, async (req, res) => {
   try {
     const { id } = req.params;
     const { page = 1, limit = 10 } = req.query;
@@ -939,8 +1002,8 @@ router.get('/customers/:id/activity', adminProtect, async (req, res) => {
 
     // Get all customer activities
     const [bookings, medicineOrders] = await Promise.all([
-      Booking.find({ userId: id })
-        .populate('treatmentId', 'name price duration')
+      Booking.find({ user: id })
+        .populate('treatment', 'name price duration')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
@@ -959,21 +1022,21 @@ router.get('/customers/:id/activity', adminProtect, async (req, res) => {
         id: booking._id,
         date: booking.createdAt,
         status: booking.status,
-        amount: booking.totalAmount,
+        amount: booking.pricing?.totalAmount || 0,
         details: {
-          treatment: booking.treatmentId?.name,
+          treatment: booking.treatment?.name || booking.treatmentDetails?.name,
           appointmentDate: booking.appointmentDate,
-          timeSlot: booking.timeSlot
+          timeSlot: booking.appointmentTime
         }
       })),
       ...medicineOrders.map(order => ({
         type: 'medicine_order',
         id: order._id,
         date: order.createdAt,
-        status: order.status,
-        amount: order.totalAmount,
+        status: order.orderStatus,
+        amount: order.orderSummary?.totalAmount || 0,
         details: {
-          itemCount: order.items?.length || 0,
+          itemCount: order.medicines?.length || 0,
           deliveryAddress: order.deliveryAddress?.fullAddress
         }
       }))
@@ -1010,7 +1073,7 @@ router.get('/customers/:id/activity', adminProtect, async (req, res) => {
 // ==================== PHARMACY/MEDICINE MANAGEMENT ROUTES ====================
 
 // Get all medicines with admin filters and pagination
-router.get('/medicines', adminProtect, async (req, res) => {
+router.get('/medicines', adminPanelProtect, async (req, res) => {
   try {
     const {
       search,
@@ -1111,7 +1174,7 @@ router.get('/medicines', adminProtect, async (req, res) => {
 });
 
 // Get medicine statistics for admin dashboard
-router.get('/medicines/stats', adminProtect, async (req, res) => {
+router.get('/medicines/stats', adminPanelProtect, async (req, res) => {
   try {
     const stats = await Medicine.aggregate([
       {
@@ -1184,7 +1247,7 @@ router.get('/medicines/stats', adminProtect, async (req, res) => {
 });
 
 // Get single medicine details
-router.get('/medicines/:id', adminProtect, async (req, res) => {
+router.get('/medicines/:id', adminPanelProtect, async (req, res) => {
   try {
     const medicine = await Medicine.findById(req.params.id)
       .populate('reviews.userId', 'fullName email');
@@ -1212,12 +1275,14 @@ router.get('/medicines/:id', adminProtect, async (req, res) => {
 
 // Create new medicine
 router.post('/medicines', [
-  adminProtect,
+  adminPanelProtect,
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Medicine name must be between 2 and 100 characters'),
   body('category').isIn(['Pain Relief', 'Skincare', 'Vitamins', 'Supplements', 'First Aid', 'Personal Care', 'Prescription', 'OTC']).withMessage('Invalid category'),
   body('description').trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('originalPrice').isFloat({ min: 0 }).withMessage('Original price must be a positive number'),
+  body('hsnCode').optional().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional().isFloat({ min: 0, max: 28 }).withMessage('GST rate must be between 0 and 28'),
   body('stockQuantity').isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
   body('manufacturer').trim().isLength({ min: 2, max: 100 }).withMessage('Manufacturer must be between 2 and 100 characters'),
   body('dosage').trim().isLength({ min: 1, max: 100 }).withMessage('Dosage is required'),
@@ -1259,12 +1324,14 @@ router.post('/medicines', [
 
 // Update medicine
 router.put('/medicines/:id', [
-  adminProtect,
+  adminPanelProtect,
   body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Medicine name must be between 2 and 100 characters'),
   body('category').optional().isIn(['Pain Relief', 'Skincare', 'Vitamins', 'Supplements', 'First Aid', 'Personal Care', 'Prescription', 'OTC']).withMessage('Invalid category'),
   body('description').optional().trim().isLength({ min: 10, max: 1000 }).withMessage('Description must be between 10 and 1000 characters'),
   body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('originalPrice').optional().isFloat({ min: 0 }).withMessage('Original price must be a positive number'),
+  body('hsnCode').optional().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional().isFloat({ min: 0, max: 28 }).withMessage('GST rate must be between 0 and 28'),
   body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
   body('manufacturer').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Manufacturer must be between 2 and 100 characters'),
   body('dosage').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Dosage is required'),
@@ -1317,7 +1384,7 @@ router.put('/medicines/:id', [
 });
 
 // Toggle medicine active status
-router.patch('/medicines/:id/toggle-status', adminProtect, async (req, res) => {
+router.patch('/medicines/:id/toggle-status', adminPanelProtect, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1355,7 +1422,7 @@ router.patch('/medicines/:id/toggle-status', adminProtect, async (req, res) => {
 
 // Update medicine stock
 router.patch('/medicines/:id/stock', [
-  adminProtect,
+  adminPanelProtect,
   body('stockQuantity').isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
   body('inStock').optional().isBoolean().withMessage('inStock must be a boolean')
 ], async (req, res) => {
@@ -1416,7 +1483,7 @@ router.patch('/medicines/:id/stock', [
 });
 
 // Delete medicine (soft delete)
-router.delete('/medicines/:id', adminProtect, async (req, res) => {
+router.delete('/medicines/:id', adminPanelProtect, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1448,7 +1515,7 @@ router.delete('/medicines/:id', adminProtect, async (req, res) => {
 });
 
 // Get all medicine orders with admin filters and pagination
-router.get('/medicine-orders', adminProtect, async (req, res) => {
+router.get('/medicine-orders', adminPanelProtect, async (req, res) => {
   try {
     const {
       status,
@@ -1588,7 +1655,7 @@ router.get('/medicine-orders', adminProtect, async (req, res) => {
 });
 
 // Get medicine order statistics
-router.get('/medicine-orders/stats', adminProtect, async (req, res) => {
+router.get('/medicine-orders/stats', adminPanelProtect, async (req, res) => {
   try {
     const stats = await MedicineOrder.aggregate([
       {
@@ -1641,7 +1708,7 @@ router.get('/medicine-orders/stats', adminProtect, async (req, res) => {
 
 // Update medicine order status
 router.patch('/medicine-orders/:id/status', [
-  adminProtect,
+  adminPanelProtect,
   body('status').isIn(['placed', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled', 'returned']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
@@ -1670,6 +1737,9 @@ router.patch('/medicine-orders/:id/status', [
       });
     }
 
+    await invoiceOrderStatusChange(order, getStatusActor(req));
+    await refundOrderStatusChange(order, getStatusActor(req));
+
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -1685,4 +1755,2790 @@ router.patch('/medicine-orders/:id/status', [
   }
 });
 
+// ==================== STAFF MANAGEMENT ROUTES ====================
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const LOCATIONS = ['Jubilee Hills', 'Financial District', 'Kondapur'];
+
+// Check that shifts end after they start and are at locations the practitioner works at
+const validateShifts = (shifts, locations) => {
+  for (const shift of shifts) {
+    if (!locations.includes(shift.location)) {
+      return `Shift location ${shift.location} is not one of the practitioner's locations`;
+    }
+    if (shift.endTime <= shift.startTime) {
+      return 'Shift end time must be after start time';
+    }
+  }
+  return null;
+};
+
+// Get all staff with filters and pagination
+router.get('/staff', adminPanelProtect, async (req, res) => {
+  try {
+    const {
+      location,
+      treatmentId,
+      isActive = '',
+      search = '',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filter = {};
+    if (location) filter.locations = location;
+    if (treatmentId) filter.treatments = treatmentId;
+    if (isActive !== '') filter.isActive = isActive === 'true';
+    if (search) {
+      filter.$or = [
+        { fullName: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { designation: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [staff, totalCount] = await Promise.all([
+      Staff.find(filter)
+        .populate('treatments', 'name category duration')
+        .sort({ fullName: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Staff.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        staff,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch staff',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get single staff member
+router.get('/staff/:id', adminPanelProtect, async (req, res) => {
+  try {
+    const member = await Staff.findById(req.params.id).populate('treatments', 'name category duration');
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { staff: member }
+    });
+  } catch (error) {
+    console.error('Error fetching staff member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create staff member
+router.post('/staff', [
+  adminPanelProtect,
+  body('fullName').trim().isLength({ min: 2, max: 50 }).withMessage('Full name must be between 2 and 50 characters'),
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('phoneNumber').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid phone number'),
+  body('registrationNumber').optional().trim().isLength({ max: 50 }).withMessage('Registration number cannot exceed 50 characters'),
+  body('locations').isArray({ min: 1 }).withMessage('At least one location is required'),
+  body('locations.*').isIn(LOCATIONS).withMessage('Invalid location'),
+  body('treatments').optional().isArray().withMessage('Treatments must be an array'),
+  body('treatments.*').isMongoId().withMessage('Invalid treatment ID'),
+  body('shifts').optional().isArray().withMessage('Shifts must be an array'),
+  body('shifts.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Shift day must be between 0 (Sunday) and 6 (Saturday)'),
+  body('shifts.*.location').isIn(LOCATIONS).withMessage('Invalid shift location'),
+  body('shifts.*.startTime').matches(TIME_PATTERN).withMessage('Shift start time must be in HH:mm format'),
+  body('shifts.*.endTime').matches(TIME_PATTERN).withMessage('Shift end time must be in HH:mm format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fullName, email, phoneNumber, designation, registrationNumber, bio, profilePhoto, locations, treatments, shifts } = req.body;
+
+    const shiftError = validateShifts(shifts || [], locations);
+    if (shiftError) {
+      return res.status(400).json({
+        success: false,
+        message: shiftError
+      });
+    }
+
+    const member = new Staff({
+      fullName,
+      email,
+      phoneNumber,
+      designation,
+      registrationNumber,
+      bio,
+      profilePhoto,
+      locations,
+      treatments: treatments || [],
+      shifts: shifts || []
+    });
+    await member.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff member created successfully',
+      data: { staff: member }
+    });
+  } catch (error) {
+    console.error('Error creating staff member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update staff member details, locations and qualified treatments
+router.put('/staff/:id', [
+  adminPanelProtect,
+  body('fullName').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Full name must be between 2 and 50 characters'),
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('phoneNumber').optional().matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid phone number'),
+  body('registrationNumber').optional().trim().isLength({ max: 50 }).withMessage('Registration number cannot exceed 50 characters'),
+  body('locations').optional().isArray({ min: 1 }).withMessage('At least one location is required'),
+  body('locations.*').isIn(LOCATIONS).withMessage('Invalid location'),
+  body('treatments').optional().isArray().withMessage('Treatments must be an array'),
+  body('treatments.*').isMongoId().withMessage('Invalid treatment ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const member = await Staff.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const allowedFields = ['fullName', 'email', 'phoneNumber', 'designation', 'registrationNumber', 'bio', 'profilePhoto', 'locations', 'treatments', 'isActive'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        member[field] = req.body[field];
+      }
+    });
+
+    // Drop shifts at locations the practitioner no longer works at
+    member.shifts = member.shifts.filter(shift => member.locations.includes(shift.location));
+
+    await member.save();
+
+    res.json({
+      success: true,
+      message: 'Staff member updated successfully',
+      data: { staff: member }
+    });
+  } catch (error) {
+    console.error('Error updating staff member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Deactivate staff member
+router.delete('/staff/:id', adminPanelProtect, async (req, res) => {
+  try {
+    const member = await Staff.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const upcomingAssignments = await Booking.countDocuments({
+      assignedStaff: member._id,
+      appointmentDate: { $gte: new Date() },
+      status: { $in: ['confirmed', 'rescheduled'] }
+    });
+
+    res.json({
+      success: true,
+      message: 'Staff member deactivated successfully',
+      data: { staff: member, upcomingAssignments }
+    });
+  } catch (error) {
+    console.error('Error deactivating staff member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate staff member',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Replace the weekly shift pattern for a staff member
+router.put('/staff/:id/shifts', [
+  adminPanelProtect,
+  body('shifts').isArray().withMessage('Shifts must be an array'),
+  body('shifts.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Shift day must be between 0 (Sunday) and 6 (Saturday)'),
+  body('shifts.*.location').isIn(LOCATIONS).withMessage('Invalid shift location'),
+  body('shifts.*.startTime').matches(TIME_PATTERN).withMessage('Shift start time must be in HH:mm format'),
+  body('shifts.*.endTime').matches(TIME_PATTERN).withMessage('Shift end time must be in HH:mm format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const member = await Staff.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const { shifts } = req.body;
+    const shiftError = validateShifts(shifts, member.locations);
+    if (shiftError) {
+      return res.status(400).json({
+        success: false,
+        message: shiftError
+      });
+    }
+
+    member.shifts = shifts;
+    await member.save();
+
+    res.json({
+      success: true,
+      message: 'Shifts updated successfully',
+      data: { staff: member }
+    });
+  } catch (error) {
+    console.error('Error updating shifts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shifts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Add a leave period for a staff member
+router.post('/staff/:id/leave', [
+  adminPanelProtect,
+  body('startDate').isISO8601().withMessage('Please provide a valid start date'),
+  body('endDate').isISO8601().withMessage('Please provide a valid end date'),
+  body('reason').optional().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const member = await Staff.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const startDate = parseDate(req.body.startDate);
+    const endDate = parseDate(req.body.endDate);
+    if (endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave end date cannot be before start date'
+      });
+    }
+
+    member.leave.push({ startDate, endDate, reason: req.body.reason });
+    await member.save();
+
+    // Let the admin know which existing appointments now need a new practitioner
+    const leaveEnd = endOfDay(endDate);
+    const affectedBookings = await Booking.find({
+      assignedStaff: member._id,
+      appointmentDate: { $gte: startDate, $lte: leaveEnd },
+      status: { $in: ['confirmed', 'rescheduled'] }
+    }).select('bookingReference appointmentDate appointmentTime location treatmentDetails.name');
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave added successfully',
+      data: { staff: member, affectedBookings }
+    });
+  } catch (error) {
+    console.error('Error adding leave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add leave',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Remove a leave period
+router.delete('/staff/:id/leave/:leaveId', adminPanelProtect, async (req, res) => {
+  try {
+    const member = await Staff.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const leave = member.leave.id(req.params.leaveId);
+    if (!leave) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave period not found'
+      });
+    }
+
+    leave.deleteOne();
+    await member.save();
+
+    res.json({
+      success: true,
+      message: 'Leave removed successfully',
+      data: { staff: member }
+    });
+  } catch (error) {
+    console.error('Error removing leave:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove leave',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get a staff member's appointments for a day
+router.get('/staff/:id/schedule', adminPanelProtect, async (req, res) => {
+  try {
+    const member = await Staff.findById(req.params.id);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const day = req.query.date ? parseDate(req.query.date) : parseDate(new Date());
+    if (isNaN(day.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date format'
+      });
+    }
+    const dayKey = toDateKey(day);
+    const dayEnd = endOfDay(dayKey);
+
+    const bookings = await Booking.find({
+      assignedStaff: member._id,
+      appointmentDate: { $gte: day, $lte: dayEnd },
+      status: { $in: ['confirmed', 'in-progress', 'rescheduled', 'completed'] }
+    })
+      .select('bookingReference personalDetails.fullName treatmentDetails appointmentDate appointmentTime location status')
+      .sort({ appointmentTime: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        staff: { _id: member._id, fullName: member.fullName, designation: member.designation },
+        date: dayKey,
+        onLeave: member.isOnLeave(day),
+        shifts: member.shifts.filter(shift => shift.dayOfWeek === getWeekday(dayKey)),
+        bookings
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching staff schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch staff schedule',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Manually assign a practitioner to a booking
+router.patch('/bookings/:bookingId/staff', [
+  adminPanelProtect,
+  body('staffId').isMongoId().withMessage('Valid staff ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!['confirmed', 'rescheduled'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot assign staff to ${booking.status} bookings`
+      });
+    }
+
+    // Reassign inside the slot lock so a concurrent booking cannot take the same practitioner
+    const { slotCheck, result: updated } = await reserveSlot({
+      location: booking.location,
+      date: booking.appointmentDate,
+      time: booking.appointmentTime,
+      treatmentId: booking.treatment,
+      duration: booking.treatmentDetails.duration,
+      staffId: req.body.staffId,
+      excludeBookingId: booking._id
+    }, async (session, slotCheck) => {
+      const current = await Booking.findById(booking._id).session(session);
+      current.assignedStaff = slotCheck.assignedStaff;
+      current.staffRequested = true;
+      await current.save();
+      return current;
+    });
+
+    if (!slotCheck.available) {
+      return res.status(409).json({
+        success: false,
+        message: slotCheck.reason
+      });
+    }
+
+    updated.$session(null);
+    await updated.populate('assignedStaff', 'fullName designation');
+
+    res.json({
+      success: true,
+      message: 'Staff assigned successfully',
+      data: { booking: updated }
+    });
+  } catch (error) {
+    console.error('Error assigning staff:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign staff',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Cancel a booking for a customer. The booking policy applies unless an override reason is given,
+// which waives late cancellation terms and is recorded on the booking.
+router.put('/bookings/:bookingId/cancel', [
+  adminPanelProtect,
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Cancellation reason must be between 5-500 characters'),
+  body('overrideReason').optional().trim().isLength({ min: 5, max: 500 }).withMessage('Override reason must be between 5-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!['confirmed', 'rescheduled'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel ${booking.status} bookings`
+      });
+    }
+
+    const override = req.body.overrideReason ? { reason: req.body.overrideReason, by: req.admin.email } : null;
+    const policy = await cancelBookingWithPolicy(booking, req.body.reason, { override, actor: getStatusActor(req) });
+
+    try {
+      await sendAppointmentCancelledEmail(booking.personalDetails.email, booking);
+    } catch (emailError) {
+      console.error('Failed to send cancellation email:', emailError);
+    }
+    await offerCancelledBooking(booking);
+
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: { booking, policy }
+    });
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Reschedule a booking for a customer. An override reason lets the change through
+// the cutoff window and reschedule limit, and is recorded on the booking.
+router.patch('/bookings/:bookingId/reschedule', [
+  adminPanelProtect,
+  body('appointmentDate').isISO8601().withMessage('Please provide a valid appointment date'),
+  body('appointmentTime').matches(Location.TIME_PATTERN).withMessage('Please select a valid appointment time slot'),
+  body('overrideReason').optional().trim().isLength({ min: 5, max: 500 }).withMessage('Override reason must be between 5-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!['confirmed', 'rescheduled'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule ${booking.status} bookings`
+      });
+    }
+
+    if (booking.visit) {
+      return res.status(400).json({
+        success: false,
+        message: 'This appointment is part of a visit and moves with the whole visit'
+      });
+    }
+
+    const { appointmentDate, appointmentTime } = req.body;
+    const override = req.body.overrideReason ? { reason: req.body.overrideReason, by: req.admin.email } : null;
+
+    const policy = await evaluateReschedule(booking, { override });
+    if (!policy.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: `${policy.reason}. Provide an override reason to reschedule anyway.`,
+        data: { policy }
+      });
+    }
+
+    const oldBooking = booking.toObject();
+    const { slotCheck, result: rescheduled } = await reserveSlot({
+      location: booking.location,
+      date: appointmentDate,
+      time: appointmentTime,
+      treatmentId: booking.treatment,
+      duration: booking.treatmentDetails.duration,
+      staffId: booking.staffRequested ? booking.assignedStaff : undefined,
+      excludeBookingId: booking._id
+    }, async (session, slotCheck) => {
+      const current = await Booking.findById(booking._id).session(session);
+      current.assignedStaff = slotCheck.assignedStaff;
+      recordOverride(current, 'reschedule', policy, override);
+      await current.rescheduleBooking(slotCheck.slot.startsAt, appointmentTime, policy.maxReschedules, getStatusActor(req));
+      return current;
+    });
+
+    if (!slotCheck.available) {
+      return res.status(409).json({
+        success: false,
+        message: slotCheck.reason
+      });
+    }
+
+    rescheduled.$session(null);
+
+    try {
+      await sendAppointmentRescheduledEmail(rescheduled.personalDetails.email, oldBooking, rescheduled);
+    } catch (emailError) {
+      console.error('Failed to send reschedule email:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: { booking: rescheduled, policy }
+    });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== PRESCRIPTION ROUTES ====================
+
+// Get the prescription written for a booking, as JSON or (with ?format=pdf) the signed PDF
+router.get('/bookings/:bookingId/prescription', adminPanelProtect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId).populate('prescription.medications.medicine', 'name image price prescriptionRequired');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (wantsPdf(req)) {
+      if (!isSignedPrescription(booking)) {
+        return res.status(404).json({
+          success: false,
+          message: 'No signed prescription has been written for this booking'
+        });
+      }
+      const pdf = await renderPrescriptionPdf(booking);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="prescription-${booking.prescription.prescriptionNumber}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        prescription: booking.prescription,
+        signed: isSignedPrescription(booking),
+        booking: {
+          _id: booking._id,
+          bookingReference: booking.bookingReference,
+          status: booking.status,
+          patientName: booking.personalDetails.fullName,
+          treatmentName: booking.treatmentDetails.name,
+          appointmentDate: booking.appointmentDate,
+          assignedStaff: booking.assignedStaff
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching prescription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch prescription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Write or revise the structured prescription for a completed appointment. Medications are linked to
+// catalogue medicines by ID, or by exact name when no ID is given. Saving signs the prescription again.
+router.put('/bookings/:bookingId/prescription', [
+  adminPanelProtect,
+  body('prescriberId').optional().isMongoId().withMessage('Valid prescriber (staff) ID is required'),
+  body('diagnosis').optional().trim().isLength({ max: 1000 }).withMessage('Diagnosis cannot exceed 1000 characters'),
+  body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes cannot exceed 2000 characters'),
+  body('medications').isArray({ min: 1, max: 30 }).withMessage('Between 1 and 30 medications are required'),
+  body('medications.*.medicineId').optional().isMongoId().withMessage('Invalid medicine ID'),
+  body('medications.*').custom(item => Boolean(item && (item.medicineId || (typeof item.name === 'string' && item.name.trim().length >= 2))))
+    .withMessage('Each medication needs a catalogue medicine or a name'),
+  body('medications.*.name').optional().trim().isLength({ max: 100 }).withMessage('Medication name cannot exceed 100 characters'),
+  body(['medications.*.dosage', 'medications.*.frequency', 'medications.*.duration'])
+    .optional().trim().isLength({ max: 100 }).withMessage('Dosage, frequency and duration cannot exceed 100 characters'),
+  body('medications.*.quantity').optional().isInt({ min: 1, max: 100 }).withMessage('Quantity must be between 1 and 100'),
+  body('medications.*.instructions').optional().trim().isLength({ max: 500 }).withMessage('Instructions cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Prescriptions can only be written after the patient has checked out'
+      });
+    }
+
+    // The practitioner who signs it: the one given, otherwise whoever performed the treatment
+    const prescriberId = req.body.prescriberId || booking.assignedStaff;
+    const prescriber = prescriberId ? await Staff.findById(prescriberId) : null;
+    if (!prescriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose the practitioner who is prescribing'
+      });
+    }
+
+    const { medications, error: medicationError } = await linkMedications(req.body.medications);
+    if (medicationError) {
+      return res.status(400).json({
+        success: false,
+        message: medicationError
+      });
+    }
+
+    const now = new Date();
+    const prescription = booking.prescription || {};
+    const isNew = !prescription.signature;
+
+    booking.prescription = {
+      attachments: prescription.attachments || [],
+      diagnosis: req.body.diagnosis,
+      notes: req.body.notes,
+      medications,
+      prescriptionNumber: prescription.prescriptionNumber || generatePrescriptionNumber(booking.timeZone),
+      prescribedBy: {
+        staff: prescriber._id,
+        name: prescriber.fullName,
+        designation: prescriber.designation,
+        registrationNumber: prescriber.registrationNumber
+      },
+      writtenBy: req.admin.email,
+      issuedAt: prescription.issuedAt || now,
+      revisedAt: isNew ? undefined : now,
+      revision: (prescription.revision || 0) + 1
+    };
+    booking.prescription.signature = signPrescription(booking);
+    await booking.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      message: isNew ? 'Prescription written and signed' : 'Prescription revised and signed',
+      data: {
+        prescription: booking.prescription,
+        unlinkedMedications: medications.filter(item => !item.medicine).map(item => item.name)
+      }
+    });
+  } catch (error) {
+    console.error('Error saving prescription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save prescription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== LOCATION MANAGEMENT ROUTES ====================
+
+// Get configuration for all clinic locations
+router.get('/locations', adminPanelProtect, async (req, res) => {
+  try {
+    const locations = await Promise.all(
+      Location.LOCATION_NAMES.map(name => Location.getConfig(name))
+    );
+
+    res.json({
+      success: true,
+      data: { locations }
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch locations',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update configuration for a clinic location
+router.put('/locations/:name', [
+  adminPanelProtect,
+  body('treatmentRooms').optional().isInt({ min: 1, max: 50 }).withMessage('Treatment rooms must be between 1 and 50'),
+  body('slotInterval').optional().isInt({ min: 15, max: 240 }).withMessage('Slot interval must be between 15 and 240 minutes'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Please provide a valid IANA time zone, e.g. Asia/Kolkata'),
+  body('contact').optional().isObject().withMessage('Contact must be an object'),
+  body(['contact.addressLine1', 'contact.addressLine2', 'contact.city', 'contact.state'])
+    .optional().trim().isLength({ max: 200 }).withMessage('Address lines cannot exceed 200 characters'),
+  body('contact.postalCode').optional().matches(/^\d{6}$/).withMessage('PIN code must be 6 digits'),
+  body('contact.phone').optional().matches(/^[\+]?[\d\s-]{6,20}$/).withMessage('Please provide a valid phone number'),
+  body('contact.email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('contact.mapUrl').optional().isURL().withMessage('Map link must be a valid URL'),
+  body('gstin').optional({ values: 'falsy' }).customSanitizer(value => String(value).trim().toUpperCase())
+    .matches(Location.GSTIN_PATTERN).withMessage('Please provide a valid GSTIN')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name } = req.params;
+    if (!Location.LOCATION_NAMES.includes(name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+
+    const location = await Location.getConfig(name);
+    const { treatmentRooms, slotInterval, isActive, timezone, contact, gstin } = req.body;
+
+    if (treatmentRooms !== undefined) location.treatmentRooms = treatmentRooms;
+    if (slotInterval !== undefined) location.slotInterval = slotInterval;
+    if (isActive !== undefined) location.isActive = isActive;
+    if (timezone !== undefined) location.timezone = timezone;
+    if (gstin !== undefined) location.gstin = gstin || undefined;
+    if (contact !== undefined) {
+      for (const field of ['addressLine1', 'addressLine2', 'city', 'state', 'postalCode', 'phone', 'email', 'mapUrl']) {
+        if (contact[field] !== undefined) location.contact[field] = contact[field];
+      }
+    }
+
+    await location.save();
+
+    res.json({
+      success: true,
+      message: 'Location updated successfully',
+      data: { location }
+    });
+  } catch (error) {
+    console.error('Error updating location:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update location',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Check weekly hours: one entry per weekday, closing after opening, breaks within opening hours
+const validateWeeklyHours = (weeklyHours) => {
+  const seenDays = new Set();
+  for (const hours of weeklyHours) {
+    if (seenDays.has(hours.dayOfWeek)) {
+      return `Opening hours for day ${hours.dayOfWeek} are listed more than once`;
+    }
+    seenDays.add(hours.dayOfWeek);
+
+    if (hours.isOpen === false) {
+      continue;
+    }
+    if (!hours.openTime || !hours.closeTime || hours.closeTime <= hours.openTime) {
+      return `Closing time must be after opening time for day ${hours.dayOfWeek}`;
+    }
+    for (const pause of hours.breaks || []) {
+      if (pause.endTime <= pause.startTime || pause.startTime < hours.openTime || pause.endTime > hours.closeTime) {
+        return `Breaks must fall within opening hours for day ${hours.dayOfWeek}`;
+      }
+    }
+  }
+  return null;
+};
+
+// Find upcoming bookings at a location that fall inside a closure
+const findBookingsInClosure = (location, startsAt, endsAt) => {
+  return Booking.find({
+    location,
+    appointmentDate: { $gte: startsAt, $lt: endsAt },
+    status: { $in: ['confirmed', 'rescheduled'] }
+  }).select('bookingReference personalDetails appointmentDate appointmentTime treatmentDetails.name');
+};
+
+// Look up a configurable location by name from the route
+const loadLocation = async (req, res) => {
+  if (!Location.LOCATION_NAMES.includes(req.params.name)) {
+    res.status(404).json({
+      success: false,
+      message: 'Location not found'
+    });
+    return null;
+  }
+  return Location.getConfig(req.params.name);
+};
+
+// Replace the weekly opening hours for a location
+router.put('/locations/:name/hours', [
+  adminPanelProtect,
+  body('weeklyHours').isArray({ min: 1, max: 7 }).withMessage('Weekly hours must list between 1 and 7 days'),
+  body('weeklyHours.*.dayOfWeek').isInt({ min: 0, max: 6 }).withMessage('Day must be between 0 (Sunday) and 6 (Saturday)'),
+  body('weeklyHours.*.isOpen').optional().isBoolean().withMessage('isOpen must be a boolean'),
+  body('weeklyHours.*.openTime').optional().matches(Location.TIME_PATTERN).withMessage('Opening time must be in HH:mm format'),
+  body('weeklyHours.*.closeTime').optional().matches(Location.TIME_PATTERN).withMessage('Closing time must be in HH:mm format'),
+  body('weeklyHours.*.breaks').optional().isArray().withMessage('Breaks must be an array'),
+  body('weeklyHours.*.breaks.*.startTime').matches(Location.TIME_PATTERN).withMessage('Break start time must be in HH:mm format'),
+  body('weeklyHours.*.breaks.*.endTime').matches(Location.TIME_PATTERN).withMessage('Break end time must be in HH:mm format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const location = await loadLocation(req, res);
+    if (!location) return;
+
+    const { weeklyHours } = req.body;
+    const hoursError = validateWeeklyHours(weeklyHours);
+    if (hoursError) {
+      return res.status(400).json({
+        success: false,
+        message: hoursError
+      });
+    }
+
+    // Days left out of the request keep their current hours
+    const updatedDays = weeklyHours.map(hours => hours.dayOfWeek);
+    location.weeklyHours = [
+      ...location.weeklyHours.filter(hours => !updatedDays.includes(hours.dayOfWeek)),
+      ...weeklyHours
+    ].sort((a, b) => a.dayOfWeek - b.dayOfWeek);
+
+    await location.save();
+
+    res.json({
+      success: true,
+      message: 'Opening hours updated successfully',
+      data: { location }
+    });
+  } catch (error) {
+    console.error('Error updating opening hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update opening hours',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Add a public holiday for a location
+router.post('/locations/:name/holidays', [
+  adminPanelProtect,
+  body('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Holiday date must be in YYYY-MM-DD format'),
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Holiday name must be between 2 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const location = await loadLocation(req, res);
+    if (!location) return;
+
+    const { date, name } = req.body;
+    if (location.getHoliday(date)) {
+      return res.status(409).json({
+        success: false,
+        message: 'A holiday already exists on this date'
+      });
+    }
+
+    location.holidays.push({ date, name });
+    location.holidays.sort((a, b) => a.date.localeCompare(b.date));
+    await location.save();
+
+    const dayStart = parseDate(date, location.timezone);
+    const dayEnd = parseDate(addDays(date, 1), location.timezone);
+    const affectedBookings = await findBookingsInClosure(location.name, dayStart, dayEnd);
+
+    res.status(201).json({
+      success: true,
+      message: 'Holiday added successfully',
+      data: { location, affectedBookings }
+    });
+  } catch (error) {
+    console.error('Error adding holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Remove a public holiday
+router.delete('/locations/:name/holidays/:holidayId', adminPanelProtect, async (req, res) => {
+  try {
+    const location = await loadLocation(req, res);
+    if (!location) return;
+
+    const holiday = location.holidays.id(req.params.holidayId);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+
+    holiday.deleteOne();
+    await location.save();
+
+    res.json({
+      success: true,
+      message: 'Holiday removed successfully',
+      data: { location }
+    });
+  } catch (error) {
+    console.error('Error removing holiday:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove holiday',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Add a blackout period (e.g. a half day) for a location
+router.post('/locations/:name/blackouts', [
+  adminPanelProtect,
+  body('startsAt').isISO8601().withMessage('Please provide a valid blackout start'),
+  body('endsAt').isISO8601().withMessage('Please provide a valid blackout end'),
+  body('reason').optional().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const location = await loadLocation(req, res);
+    if (!location) return;
+
+    const startsAt = new Date(req.body.startsAt);
+    const endsAt = new Date(req.body.endsAt);
+    if (endsAt <= startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blackout end must be after its start'
+      });
+    }
+
+    location.blackouts.push({
+      startsAt,
+      endsAt,
+      reason: req.body.reason,
+      createdBy: req.admin.email
+    });
+    await location.save();
+
+    const affectedBookings = await findBookingsInClosure(location.name, startsAt, endsAt);
+
+    res.status(201).json({
+      success: true,
+      message: 'Blackout added successfully',
+      data: { location, affectedBookings }
+    });
+  } catch (error) {
+    console.error('Error adding blackout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add blackout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Remove a blackout period
+router.delete('/locations/:name/blackouts/:blackoutId', adminPanelProtect, async (req, res) => {
+  try {
+    const location = await loadLocation(req, res);
+    if (!location) return;
+
+    const blackout = location.blackouts.id(req.params.blackoutId);
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blackout not found'
+      });
+    }
+
+    blackout.deleteOne();
+    await location.save();
+
+    res.json({
+      success: true,
+      message: 'Blackout removed successfully',
+      data: { location }
+    });
+  } catch (error) {
+    console.error('Error removing blackout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove blackout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== TREATMENT PACKAGE ROUTES ====================
+
+// Add a prepaid package to a treatment
+router.post('/treatments/:id/packages', [
+  adminPanelProtect,
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Package name must be between 2 and 100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('sessions').isInt({ min: 2, max: 50 }).withMessage('Sessions must be between 2 and 50'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('validityDays').optional().isInt({ min: 1, max: 1095 }).withMessage('Validity must be between 1 and 1095 days')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const treatment = await Treatment.findById(req.params.id);
+    if (!treatment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment not found'
+      });
+    }
+
+    const { name, description, sessions, price, validityDays } = req.body;
+    treatment.packages.push({ name, description, sessions, price, validityDays });
+    await treatment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Package added successfully',
+      data: { package: treatment.packages[treatment.packages.length - 1] }
+    });
+  } catch (error) {
+    console.error('Error adding package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add package',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a package. Changes apply to future purchases only.
+router.put('/treatments/:id/packages/:packageId', [
+  adminPanelProtect,
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Package name must be between 2 and 100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('sessions').optional().isInt({ min: 2, max: 50 }).withMessage('Sessions must be between 2 and 50'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('validityDays').optional().isInt({ min: 1, max: 1095 }).withMessage('Validity must be between 1 and 1095 days'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const treatment = await Treatment.findById(req.params.id);
+    const treatmentPackage = treatment && treatment.packages.id(req.params.packageId);
+    if (!treatmentPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    ['name', 'description', 'sessions', 'price', 'validityDays', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        treatmentPackage[field] = req.body[field];
+      }
+    });
+    await treatment.save();
+
+    res.json({
+      success: true,
+      message: 'Package updated successfully',
+      data: { package: treatmentPackage }
+    });
+  } catch (error) {
+    console.error('Error updating package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update package',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Withdraw a package from sale. Credits already sold stay valid.
+router.delete('/treatments/:id/packages/:packageId', adminPanelProtect, async (req, res) => {
+  try {
+    const treatment = await Treatment.findById(req.params.id);
+    const treatmentPackage = treatment && treatment.packages.id(req.params.packageId);
+    if (!treatmentPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    treatmentPackage.isActive = false;
+    await treatment.save();
+
+    res.json({
+      success: true,
+      message: 'Package withdrawn from sale'
+    });
+  } catch (error) {
+    console.error('Error withdrawing package:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw package',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Get package purchases with filters and pagination
+router.get('/packages/purchases', adminPanelProtect, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '', treatment = '', user = '' } = req.query;
+
+    await PackagePurchase.expireLapsed();
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (treatment) filter.treatment = treatment;
+    if (user) filter.user = user;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [purchases, totalCount] = await Promise.all([
+      PackagePurchase.find(filter)
+        .sort({ purchasedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('user', 'fullName email phoneNumber')
+        .populate('redemptions.booking', 'bookingReference appointmentDate appointmentTime location status'),
+      PackagePurchase.countDocuments(filter)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        purchases,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching package purchases:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch package purchases',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Outstanding package liabilities: unused, unexpired sessions already paid for
+router.get('/packages/liabilities', adminPanelProtect, async (req, res) => {
+  try {
+    const now = new Date();
+    const expiringWindowDays = parseInt(req.query.expiringWithinDays) || 30;
+    const expiringBefore = new Date(now.getTime() + expiringWindowDays * 24 * 60 * 60 * 1000);
+
+    await PackagePurchase.expireLapsed(now);
+
+    const byTreatment = await PackagePurchase.aggregate([
+      {
+        $match: {
+          status: 'active',
+          expiresAt: { $gt: now },
+          $expr: { $lt: ['$sessionsUsed', '$sessionsTotal'] }
+        }
+      },
+      {
+        $project: {
+          treatment: 1,
+          treatmentName: 1,
+          expiresAt: 1,
+          sessionsRemaining: { $subtract: ['$sessionsTotal', '$sessionsUsed'] },
+          outstandingValue: {
+            $multiply: [
+              { $divide: ['$price', '$sessionsTotal'] },
+              { $subtract: ['$sessionsTotal', '$sessionsUsed'] }
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$treatment',
+          treatmentName: { $first: '$treatmentName' },
+          packages: { $sum: 1 },
+          sessionsRemaining: { $sum: '$sessionsRemaining' },
+          outstandingValue: { $sum: '$outstandingValue' },
+          expiringSoonValue: {
+            $sum: { $cond: [{ $lte: ['$expiresAt', expiringBefore] }, '$outstandingValue', 0] }
+          }
+        }
+      },
+      { $sort: { outstandingValue: -1 } }
+    ]);
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const treatments = byTreatment.map(row => ({
+      treatment: row._id,
+      treatmentName: row.treatmentName,
+      packages: row.packages,
+      sessionsRemaining: row.sessionsRemaining,
+      outstandingValue: round(row.outstandingValue),
+      expiringSoonValue: round(row.expiringSoonValue)
+    }));
+
+    const totals = treatments.reduce((sum, row) => ({
+      packages: sum.packages + row.packages,
+      sessionsRemaining: sum.sessionsRemaining + row.sessionsRemaining,
+      outstandingValue: round(sum.outstandingValue + row.outstandingValue),
+      expiringSoonValue: round(sum.expiringSoonValue + row.expiringSoonValue)
+    }), { packages: 0, sessionsRemaining: 0, outstandingValue: 0, expiringSoonValue: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        asOf: now,
+        expiringWithinDays: expiringWindowDays,
+        totals,
+        treatments
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching package liabilities:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch package liabilities',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== BOOKING POLICY ROUTES ====================
+
+const policyValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Policy name must be between 2 and 100 characters'),
+    body('category').optional({ nullable: true }).isIn(BookingPolicy.TREATMENT_CATEGORIES).withMessage('Please select a valid treatment category'),
+    body('planType').optional({ nullable: true }).isIn(BookingPolicy.PLAN_TYPES).withMessage('Plan type must be standard or zen_member'),
+    field('cancelCutoffHours').isFloat({ min: 0, max: 168 }).withMessage('Cancellation cutoff must be between 0 and 168 hours'),
+    field('rescheduleCutoffHours').isFloat({ min: 0, max: 168 }).withMessage('Reschedule cutoff must be between 0 and 168 hours'),
+    field('maxReschedules').isInt({ min: 0, max: 10 }).withMessage('Maximum reschedules must be between 0 and 10'),
+    body('lateCancellationFee').optional().isFloat({ min: 0 }).withMessage('Late cancellation fee must be a positive number'),
+    body('forfeitCreditOnLateCancel').optional().isBoolean().withMessage('forfeitCreditOnLateCancel must be a boolean'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+const POLICY_FIELDS = ['name', 'category', 'planType', 'cancelCutoffHours', 'rescheduleCutoffHours', 'maxReschedules', 'lateCancellationFee', 'forfeitCreditOnLateCancel', 'isActive'];
+
+// List cancellation/reschedule policies, with the built-in default used when none match
+router.get('/booking-policies', adminPanelProtect, async (req, res) => {
+  try {
+    const policies = await BookingPolicy.find().sort({ category: 1, planType: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        policies,
+        defaultPolicy: BookingPolicy.getDefault()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching booking policies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch booking policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a policy for a treatment category and/or plan type
+router.post('/booking-policies', [adminPanelProtect, ...policyValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const data = {};
+    POLICY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const policy = await BookingPolicy.create({ ...data, updatedBy: req.admin.email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Booking policy created successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A policy for this category and plan type already exists'
+      });
+    }
+    console.error('Error creating booking policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create booking policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a policy. Changes apply to cancellations and reschedules from now on.
+router.put('/booking-policies/:id', [adminPanelProtect, ...policyValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await BookingPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking policy not found'
+      });
+    }
+
+    POLICY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) policy[field] = req.body[field];
+    });
+    policy.updatedBy = req.admin.email;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Booking policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A policy for this category and plan type already exists'
+      });
+    }
+    console.error('Error updating booking policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update booking policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Delete a policy; bookings it covered fall back to the next most specific one
+router.delete('/booking-policies/:id', adminPanelProtect, async (req, res) => {
+  try {
+    const policy = await BookingPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking policy not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting booking policy:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete booking policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== CONSENT FORM ROUTES ====================
+
+const consentTemplateValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().isLength({ min: 2, max: 150 }).withMessage('Form title must be between 2 and 150 characters'),
+    body('kind').optional().isIn(ConsentTemplate.FORM_KINDS).withMessage('Form kind must be consent or intake'),
+    body('treatmentId').optional({ nullable: true }).isMongoId().withMessage('Please provide a valid treatment ID'),
+    body('category').optional({ nullable: true }).isIn(ConsentTemplate.TREATMENT_CATEGORIES).withMessage('Please select a valid treatment category'),
+    body('body').optional().isString().isLength({ max: 20000 }).withMessage('Form text cannot exceed 20000 characters'),
+    body('questions').optional().isArray({ max: 50 }).withMessage('Questions must be a list of up to 50 items'),
+    body('questions.*.key').optional().matches(/^[a-z0-9_]+$/).withMessage('Question keys can only contain lowercase letters, numbers and underscores'),
+    body('questions.*.label').optional().trim().isLength({ min: 1, max: 300 }).withMessage('Question labels must be between 1 and 300 characters'),
+    body('questions.*.type').optional().isIn(ConsentTemplate.QUESTION_TYPES).withMessage('Question type must be text, yes-no, choice or date'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Copy the editable template fields from the request. A template applies to a treatment or a category, not both.
+const applyConsentTemplateFields = (template, data) => {
+  ['title', 'kind', 'body', 'questions', 'isActive'].forEach(field => {
+    if (data[field] !== undefined) template[field] = data[field];
+  });
+  if (data.treatmentId !== undefined) {
+    template.treatment = data.treatmentId || null;
+    if (data.treatmentId) template.category = null;
+  }
+  if (data.category !== undefined) {
+    template.category = data.category || null;
+    if (data.category) template.treatment = null;
+  }
+};
+
+// List consent form and intake questionnaire templates
+router.get('/consent-templates', adminPanelProtect, async (req, res) => {
+  try {
+    const { treatmentId, category, kind, includeInactive } = req.query;
+    const filter = {};
+    if (treatmentId) filter.treatment = treatmentId;
+    if (category) filter.category = category;
+    if (kind) filter.kind = kind;
+    if (includeInactive !== 'true') filter.isActive = true;
+
+    const templates = await ConsentTemplate.find(filter)
+      .populate('treatment', 'name category')
+      .sort({ category: 1, title: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('Error fetching consent templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consent templates',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Create a template for a treatment or a treatment category
+router.post('/consent-templates', [adminPanelProtect, ...consentTemplateValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.body.treatmentId && !(await Treatment.exists({ _id: req.body.treatmentId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment not found'
+      });
+    }
+
+    const template = new ConsentTemplate({ updatedBy: req.admin.email });
+    applyConsentTemplateFields(template, req.body);
+    await template.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Consent template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(item => item.message).join('. ')
+      });
+    }
+    console.error('Error creating consent template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create consent template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Update a template. Wording changes start a new version; forms already signed keep theirs.
+router.put('/consent-templates/:id', [adminPanelProtect, ...consentTemplateValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const template = await ConsentTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent template not found'
+      });
+    }
+
+    if (req.body.treatmentId && !(await Treatment.exists({ _id: req.body.treatmentId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment not found'
+      });
+    }
+
+    applyConsentTemplateFields(template, req.body);
+    template.updatedBy = req.admin.email;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Consent template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(item => item.message).join('. ')
+      });
+    }
+    console.error('Error updating consent template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update consent template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Retire a template. Signed copies are kept; new bookings stop asking for it.
+router.delete('/consent-templates/:id', adminPanelProtect, async (req, res) => {
+  try {
+    const template = await ConsentTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent template not found'
+      });
+    }
+
+    template.isActive = false;
+    template.updatedBy = req.admin.email;
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Consent template deactivated successfully'
+    });
+  } catch (error) {
+    console.error('Error deactivating consent template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate consent template',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// The forms a booking needs and which of them the patient has signed
+router.get('/bookings/:bookingId/consent-forms', adminPanelProtect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const forms = await getBookingForms(booking);
+
+    res.json({
+      success: true,
+      data: {
+        bookingReference: booking.bookingReference,
+        patientName: booking.personalDetails.fullName,
+        forms: forms.map(describeForm),
+        complete: forms.every(form => form.record)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching booking consent forms:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consent forms',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// View or print a signed form (JSON, or PDF with ?format=pdf)
+router.get('/consent-records/:id', adminPanelProtect, async (req, res) => {
+  try {
+    const record = await ConsentRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent form not found'
+      });
+    }
+
+    const booking = await Booking.findById(record.booking);
+
+    if (wantsPdf(req)) {
+      const pdf = await renderConsentPdf(record, booking);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="consent-${booking.bookingReference}-${record._id}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        record,
+        intact: record.isIntact()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching consent record:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consent form',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ==================== INVOICE ROUTES ====================
+
+// List invoices and credit notes, with tax totals for the filtered set (for GST returns)
+router.get('/invoices', [
+  adminPanelProtect,
+  query('location').optional().isIn(LOCATIONS).withMessage('Please select a valid location'),
+  query('financialYear').optional().matches(/^\d{4}-\d{2}$/).withMessage('Financial year must look like 2026-27'),
+  query('type').optional().isIn(Invoice.DOCUMENT_TYPES).withMessage('Type must be invoice or credit-note'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { location, financialYear, type, from, to, search = '', page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (location) filter.location = location;
+    if (financialYear) filter.financialYear = financialYear;
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.issuedAt = {};
+      if (from) filter.issuedAt.$gte = new Date(from);
+      if (to) filter.issuedAt.$lte = new Date(to);
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [
+        { invoiceNumber: pattern },
+        { 'source.reference': pattern },
+        { 'customer.name': pattern }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [invoices, totalCount, summary] = await Promise.all([
+      Invoice.find(filter).sort({ issuedAt: -1 }).skip(skip).limit(parseInt(limit)),
+      Invoice.countDocuments(filter),
+      Invoice.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: '$type',
+            count: { $sum: 1 },
+            taxableAmount: { $sum: '$totals.taxableAmount' },
+            cgstAmount: { $sum: '$totals.cgstAmount' },
+            sgstAmount: { $sum: '$totals.sgstAmount' },
+            igstAmount: { $sum: '$totals.igstAmount' },
+            totalAmount: { $sum: '$totals.totalAmount' }
+          }
+        }
+      ])
+    ]);
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        summary,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Issue the invoice for a completed booking or delivered order that does not have one yet
+router.post('/invoices', [
+  adminPanelProtect,
+  body('bookingId').optional().isMongoId().withMessage('Please provide a valid booking ID'),
+  body('orderId').optional().isMongoId().withMessage('Please provide a valid order ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingId, orderId } = req.body;
+    if (Boolean(bookingId) === Boolean(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a booking ID or an order ID'
+      });
+    }
+
+    const source = bookingId ? await Booking.findById(bookingId) : await MedicineOrder.findById(orderId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: bookingId ? 'Booking not found' : 'Medicine order not found'
+      });
+    }
+
+    const actor = getStatusActor(req);
+    const invoice = bookingId ? await issueBookingInvoice(source, actor) : await issueOrderInvoice(source, actor);
+    if (!invoice) {
+      return res.status(400).json({
+        success: false,
+        message: bookingId
+          ? 'Only completed bookings with a price can be invoiced'
+          : 'Only delivered orders can be invoiced'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Invoice ${invoice.invoiceNumber} issued`,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Error issuing invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// View or download an invoice or credit note (JSON, or PDF with ?format=pdf)
+router.get('/invoices/:id', adminPanelProtect, async (req, res) => {
+  try {
+    const invoice = await Invoice.findById(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (wantsPdf(req)) {
+      const pdf = await renderInvoicePdf(invoice);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
+    const creditNotes = invoice.type === 'invoice'
+      ? await Invoice.find({ originalInvoice: invoice._id }).sort({ issuedAt: 1 })
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        invoice,
+        creditNotes,
+        creditableAmount: invoice.getCreditableAmount()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Raise a credit note against an invoice for a refund; the whole remaining amount when no amount is given
+router.post('/invoices/:id/credit-notes', [
+  adminPanelProtect,
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be more than 0'),
+  body('reason').trim().isLength({ min: 3, max: 300 }).withMessage('Reason must be between 3 and 300 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.id, type: 'invoice' });
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const creditableAmount = invoice.getCreditableAmount();
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined;
+    if (creditableAmount <= 0 || (amount !== undefined && amount > creditableAmount)) {
+      return res.status(400).json({
+        success: false,
+        message: creditableAmount <= 0
+          ? 'This invoice has already been fully credited'
+          : `Only ₹${creditableAmount} is left to credit on this invoice`
+      });
+    }
+
+    const creditNote = await issueCreditNote(invoice, {
+      amount,
+      reason: req.body.reason,
+      actor: getStatusActor(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Credit note ${creditNote.invoiceNumber} issued`,
+      data: { creditNote }
+    });
+  } catch (error) {
+    console.error('Error issuing credit note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue credit note',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+
+// ==================== REFUND ROUTES ====================
+
+// Load the booking or order a refund is for and work out what can still be refunded on it
+const evaluateRefundSource = async ({ bookingId, orderId }) => {
+  if (bookingId) {
+    const booking = await Booking.findById(bookingId);
+    return booking
+      ? { record: booking, source: bookingSource(booking), user: booking.user, evaluation: await evaluateBookingRefund(booking) }
+      : null;
+  }
+  const order = await MedicineOrder.findById(orderId);
+  return order
+    ? { record: order, source: orderSource(order), user: order.userId, evaluation: await evaluateOrderRefund(order) }
+    : null;
+};
+
+// The refund queue: refunds by status with totals, oldest first while waiting for approval
+router.get('/refunds', [
+  adminPanelProtect,
+  query('status').optional().isIn(Refund.REFUND_STATUSES).withMessage('Invalid refund status'),
+  query('trigger').optional().isIn(Refund.REFUND_TRIGGERS).withMessage('Invalid refund trigger'),
+  query('destination').optional().isIn(Refund.REFUND_DESTINATIONS).withMessage('Invalid refund destination'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, trigger, destination, from, to, search = '', page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (trigger) filter.trigger = trigger;
+    if (destination) filter.destination = destination;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    if (search) {
+      filter['source.reference'] = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [refunds, totalCount, summary] = await Promise.all([
+      Refund.find(filter)
+        .populate('user', 'fullName email phoneNumber')
+        .sort({ createdAt: status === 'pending-approval' ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Refund.countDocuments(filter),
+      Refund.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+    const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        summary,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching refunds:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refunds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// What the policy allows back for a booking or order, before opening a refund
+router.get('/refunds/eligibility', [
+  adminPanelProtect,
+  query('bookingId').optional().isMongoId().withMessage('Please provide a valid booking ID'),
+  query('orderId').optional().isMongoId().withMessage('Please provide a valid order ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingId, orderId } = req.query;
+    if (Boolean(bookingId) === Boolean(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a booking ID or an order ID'
+      });
+    }
+
+    const target = await evaluateRefundSource({ bookingId, orderId });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: bookingId ? 'Booking not found' : 'Medicine order not found'
+      });
+    }
+
+    const refunds = await Refund.find(bookingId ? { 'source.booking': bookingId } : { 'source.medicineOrder': orderId })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        source: target.source,
+        ...target.evaluation,
+        refunds
+      }
+    });
+  } catch (error) {
+    console.error('Error checking refund eligibility:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check refund eligibility',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Open a refund by hand, e.g. after a complaint; it goes into the queue like any other.
+// More than the policy allows can be refunded, up to what was paid.
+router.post('/refunds', [
+  adminPanelProtect,
+  body('bookingId').optional().isMongoId().withMessage('Please provide a valid booking ID'),
+  body('orderId').optional().isMongoId().withMessage('Please provide a valid order ID'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be more than 0'),
+  body('destination').optional().isIn(Refund.REFUND_DESTINATIONS).withMessage('Destination must be original-method or wallet'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingId, orderId, destination, reason } = req.body;
+    if (Boolean(bookingId) === Boolean(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either a booking ID or an order ID'
+      });
+    }
+
+    const target = await evaluateRefundSource({ bookingId, orderId });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: bookingId ? 'Booking not found' : 'Medicine order not found'
+      });
+    }
+
+    const { evaluation } = target;
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : evaluation.refundableAmount;
+    if (evaluation.refundableAmount <= 0 || amount > evaluation.refundableAmount) {
+      return res.status(400).json({
+        success: false,
+        message: evaluation.refundableAmount <= 0
+          ? 'Nothing paid is left to refund'
+          : `Only ₹${evaluation.refundableAmount} paid is left to refund`
+      });
+    }
+
+    const refund = await openRefund({
+      source: target.source,
+      user: target.user,
+      trigger: 'manual',
+      evaluation,
+      amount,
+      destination,
+      reason,
+      actor: getStatusActor(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund added to the approval queue',
+      data: { refund }
+    });
+  } catch (error) {
+    console.error('Error opening refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// A refund with its audit trail and the payment it goes back through
+router.get('/refunds/:id', adminPanelProtect, async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate('user', 'fullName email phoneNumber')
+      .populate('payment', 'provider providerPaymentId amount amountRefunded status method');
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { refund }
+    });
+  } catch (error) {
+    console.error('Error fetching refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Approve a refund in the queue, or retry a failed one, and pay it. Going above what the
+// policy allows needs a note.
+router.post('/refunds/:id/approve', [
+  adminPanelProtect,
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be more than 0'),
+  body('destination').optional().isIn(Refund.REFUND_DESTINATIONS).withMessage('Destination must be original-method or wallet'),
+  body('note').optional().trim().isLength({ min: 3, max: 500 }).withMessage('Note must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    if (!['pending-approval', 'failed'].includes(refund.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This refund is already ${refund.status}`
+      });
+    }
+
+    const target = await evaluateRefundSource({
+      bookingId: refund.source.booking,
+      orderId: refund.source.medicineOrder
+    });
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'The booking or order for this refund no longer exists'
+      });
+    }
+
+    // A refund waiting for approval already counts against what is left
+    const ownAmount = refund.status === 'pending-approval' ? refund.amount : 0;
+    const refundable = target.evaluation.refundableAmount + ownAmount;
+    const eligible = target.evaluation.eligibleAmount + ownAmount;
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : refund.amount;
+
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ₹${refundable} paid is left to refund`
+      });
+    }
+    if (amount > eligible && !req.body.note) {
+      return res.status(400).json({
+        success: false,
+        message: `The policy allows ₹${eligible}; add a note to refund more`
+      });
+    }
+
+    const approved = await approveRefund(refund, {
+      actor: getStatusActor(req),
+      amount,
+      destination: req.body.destination,
+      note: req.body.note
+    });
+    if (!approved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This refund was reviewed by someone else'
+      });
+    }
+
+    if (approved.status === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'Refund approved but the payment provider did not accept it; retry or refund to the wallet',
+        data: { refund: approved }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: approved.status === 'completed'
+        ? 'Refund approved and paid'
+        : (approved.channel === 'manual'
+          ? 'Refund approved; pay it out to the customer and mark it completed'
+          : 'Refund approved and sent to the payment provider'),
+      data: { refund: approved }
+    });
+  } catch (error) {
+    console.error('Error approving refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Turn down a refund in the queue
+router.post('/refunds/:id/reject', [
+  adminPanelProtect,
+  body('note').trim().isLength({ min: 3, max: 500 }).withMessage('Note must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    const rejected = await rejectRefund(refund, { actor: getStatusActor(req), note: req.body.note });
+    if (!rejected) {
+      return res.status(400).json({
+        success: false,
+        message: `This refund is already ${refund.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund rejected',
+      data: { refund: rejected }
+    });
+  } catch (error) {
+    console.error('Error rejecting refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Mark a refund staff paid out by hand (cash, bank transfer or card reversal at the clinic) as completed
+router.post('/refunds/:id/complete', [
+  adminPanelProtect,
+  body('payoutReference').trim().isLength({ min: 2, max: 100 }).withMessage('Payout reference must be between 2 and 100 characters'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refund = await Refund.findById(req.params.id);
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    if (refund.status !== 'processing' || refund.channel !== 'manual') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only approved refunds paid out by the clinic can be marked completed'
+      });
+    }
+
+    const completed = await completeRefund(refund, {
+      actor: getStatusActor(req),
+      note: req.body.note || 'Paid out by the clinic',
+      payoutReference: req.body.payoutReference
+    });
+    if (!completed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This refund was completed by someone else'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund marked as paid',
+      data: { refund: completed }
+    });
+  } catch (error) {
+    console.error('Error completing refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+
+// ==================== WALLET ROUTES ====================
+
+// Get a customer's wallet balance and statement
+router.get('/customers/:id/wallet', [
+  adminPanelProtect,
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customer = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await User.findById(req.params.id).select('fullName email phoneNumber')
+      : null;
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const { from, to, page = 1, limit = 50 } = req.query;
+    const [wallet, statement] = await Promise.all([
+      getWalletSummary(customer._id),
+      getWalletStatement(customer._id, { from, to, page, limit })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Wallet retrieved successfully',
+      data: { customer, wallet, statement }
+    });
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch wallet',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Credit or debit a customer's wallet by hand; the reason and the admin are kept on the ledger entry
+router.post('/customers/:id/wallet/adjustments', [
+  adminPanelProtect,
+  body('direction').isIn(['credit', 'debit']).withMessage('Direction must be credit or debit'),
+  body('amount').isFloat({ gt: 0, max: 100000 }).withMessage('Amount must be between 0 and 100000'),
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters'),
+  body('source').optional().isIn(['adjustment', 'goodwill', 'promotion']).withMessage('Source must be adjustment, goodwill or promotion'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customer = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await User.findById(req.params.id).select('fullName email')
+      : null;
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const { direction, reason, source = 'adjustment' } = req.body;
+    const amount = roundMoney(parseFloat(req.body.amount));
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+    if (expiresAt && (direction === 'debit' || expiresAt <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: direction === 'debit' ? 'Only credits can expire' : 'Expiry must be in the future'
+      });
+    }
+
+    const options = {
+      source,
+      description: direction === 'credit' ? 'Credit added by the clinic' : 'Debit made by the clinic',
+      expiresAt,
+      actor: getStatusActor(req),
+      reason
+    };
+    const entry = direction === 'credit'
+      ? await creditWallet(customer._id, amount, options)
+      : await debitWallet(customer._id, amount, options);
+    if (!entry) {
+      return res.status(400).json({
+        success: false,
+        message: 'The wallet balance is lower than the debit'
+      });
+    }
+
+    const wallet = await getWalletSummary(customer._id);
+    console.log(`Wallet ${direction} of ₹${amount} for ${customer.email} by ${req.admin.email}: ${reason}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Wallet ${direction === 'credit' ? 'credited' : 'debited'} successfully`,
+      data: { entry, wallet }
+    });
+  } catch (error) {
+    console.error('Error adjusting wallet:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust wallet',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Top up several customers' wallets with promotional credit, which lapses if not spent
+router.post('/wallet/promotions', [
+  adminPanelProtect,
+  body('userIds').isArray({ min: 1, max: 500 }).withMessage('Between 1 and 500 customers are required'),
+  body('userIds.*').isMongoId().withMessage('Valid customer IDs are required'),
+  body('amount').isFloat({ gt: 0, max: 10000 }).withMessage('Amount must be between 0 and 10000'),
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : getPromotionExpiry();
+    if (expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be in the future'
+      });
+    }
+
+    const amount = roundMoney(parseFloat(req.body.amount));
+    const userIds = [...new Set(req.body.userIds)];
+    const customers = await User.find({ _id: { $in: userIds } }).select('_id');
+    const found = customers.map(customer => customer._id.toString());
+
+    const credited = [];
+    const failed = [];
+    for (const userId of found) {
+      try {
+        await creditWallet(userId, amount, {
+          source: 'promotion',
+          description: 'Promotional credit',
+          expiresAt,
+          actor: getStatusActor(req),
+          reason: req.body.reason
+        });
+        credited.push(userId);
+      } catch (creditError) {
+        console.error(`Failed to add promotional credit for ${userId}:`, creditError);
+        failed.push(userId);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Promotional credit added for ${credited.length} customers`,
+      data: {
+        amount,
+        expiresAt,
+        credited,
+        failed,
+        notFound: userIds.filter(userId => !found.includes(userId))
+      }
+    });
+  } catch (error) {
+    console.error('Error adding promotional credit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add promotional credit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Lapse expired wallet credit now; it is also expired whenever a wallet is next used
+router.post('/wallet/expire-credits', adminPanelProtect, async (req, res) => {
+  try {
+    const result = await expireWalletCredits();
+
+    res.json({
+      success: true,
+      message: `Expired credit in ${result.wallets} wallets`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error expiring wallet credit:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to expire wallet credit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
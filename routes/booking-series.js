@@ -0,0 +1,645 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const BookingSeries = require('../models/BookingSeries');
+const PackagePurchase = require('../models/PackagePurchase');
+const Treatment = require('../models/Treatment');
+const { protect } = require('../middleware/auth');
+const { parseDate, formatDateKey, combineDateAndTime, findAlternativeSlots } = require('../utils/scheduling');
+const { addDays } = require('../utils/clinicTime');
+const { reserveSlot } = require('../utils/slotReservation');
+const { offerCancelledBooking } = require('../utils/waitlist');
+const { evaluateReschedule, cancelBookingWithPolicy } = require('../utils/bookingPolicy');
+const { getStatusActor } = require('../utils/bookingStatus');
+const { getBookingRestriction } = require('../utils/noShows');
+const { screenTreatments, rejectForMedicalReasons } = require('../utils/medicalScreening');
+const { quoteTreatment, coverWithPackage } = require('../utils/pricing');
+const {
+  sendBookingConfirmationEmail,
+  sendAppointmentCancelledEmail,
+  sendAppointmentRescheduledEmail
+} = require('../utils/emailService');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Book one occurrence of a series inside the slot lock, with the screening warnings and price quote to keep on it.
+// Returns { booking } on success, or { reason, alternatives } when it could not be placed.
+const placeOccurrence = async (series, occurrence, date, time, { medicalFlags = [], quote } = {}) => {
+  const criteria = {
+    location: series.location,
+    date,
+    time,
+    treatmentId: series.treatment,
+    duration: series.treatmentDetails.duration,
+    staffId: series.preferredStaff
+  };
+
+  const { slotCheck, result: booking } = await reserveSlot(criteria, async (session, slotCheck) => {
+    const newBooking = new Booking({
+      user: series.user,
+      personalDetails: series.personalDetails,
+      treatment: series.treatment,
+      treatmentDetails: series.treatmentDetails,
+      location: series.location,
+      appointmentDate: slotCheck.slot.startsAt,
+      appointmentTime: time,
+      series: series._id,
+      seriesOccurrence: occurrence,
+      status: 'confirmed',
+      paymentMethod: series.paymentMethod,
+      assignedStaff: slotCheck.assignedStaff,
+      staffRequested: Boolean(series.preferredStaff),
+      medicalFlags,
+      pricing: quote,
+      bookingReference: Booking.generateReference()
+    });
+
+    if (series.usePackageCredit) {
+      const purchase = await PackagePurchase.redeemSession({
+        userId: series.user,
+        treatmentId: series.treatment,
+        booking: newBooking,
+        session
+      });
+      if (!purchase) {
+        return null;
+      }
+      newBooking.packagePurchase = purchase._id;
+      newBooking.paymentMethod = 'package';
+      newBooking.paymentStatus = 'paid';
+      if (quote) newBooking.pricing = coverWithPackage(quote);
+    }
+
+    await newBooking.save({ session });
+    return newBooking;
+  });
+
+  if (slotCheck.available && booking) {
+    booking.$session(null);
+    return { booking };
+  }
+
+  const reason = slotCheck.available ? 'No package credits left for this appointment' : slotCheck.reason;
+  const alternatives = slotCheck.available ? [] : await findAlternativeSlots({ ...criteria, limit: 3 });
+  return { reason, alternatives };
+};
+
+// Cancel one booking of a series under its cancellation policy and release what it held
+const cancelOccurrence = async (booking, reason, actor) => {
+  const policy = await cancelBookingWithPolicy(booking, reason, { actor });
+
+  try {
+    await sendAppointmentCancelledEmail(booking.personalDetails.email, booking);
+  } catch (emailError) {
+    console.error('Failed to send series cancellation email:', emailError);
+  }
+
+  await offerCancelledBooking(booking);
+  return policy;
+};
+
+// Load a series owned by the current user
+const loadSeries = async (req, res) => {
+  const series = await BookingSeries.findOne({ _id: req.params.id, user: req.user.userId });
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking series not found'
+    });
+    return null;
+  }
+  return series;
+};
+
+// @desc    Book a recurring series, e.g. every 3 weeks, 6 times
+// @route   POST /api/booking-series
+// @access  Private
+router.post('/', protect, [
+  body('treatmentId').isMongoId().withMessage('Valid treatment ID is required'),
+  body('personalDetails.fullName').trim().isLength({ min: 2, max: 50 }).withMessage('Full name must be between 2-50 characters'),
+  body('personalDetails.mobileNumber').matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid mobile number'),
+  body('personalDetails.email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('location').isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Please select a valid location'),
+  body('startDate').isISO8601().withMessage('Please provide a valid start date'),
+  body('appointmentTime').matches(TIME_PATTERN).withMessage('Please select a valid appointment time slot'),
+  body('intervalWeeks').isInt({ min: 1, max: 12 }).withMessage('Interval must be between 1 and 12 weeks'),
+  body('occurrences').isInt({ min: 2, max: 12 }).withMessage('Number of appointments must be between 2 and 12'),
+  body('staffId').optional().isMongoId().withMessage('Valid staff ID is required'),
+  body('paymentMethod').optional().isIn(['cash', 'card', 'upi', 'wallet']).withMessage('Please provide a valid payment method'),
+  body('usePackageCredit').optional().isBoolean().withMessage('usePackageCredit must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      treatmentId,
+      personalDetails,
+      location,
+      appointmentTime,
+      intervalWeeks,
+      occurrences,
+      staffId,
+      paymentMethod,
+      usePackageCredit
+    } = req.body;
+
+    const treatment = await Treatment.findById(treatmentId);
+    if (!treatment || !treatment.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment not found or not available'
+      });
+    }
+
+    if (!treatment.availableLocations.includes(location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Treatment is not available at the selected location'
+      });
+    }
+
+    const screening = await screenTreatments(req.user.userId, [treatment]);
+    if (screening.blocking.length > 0) {
+      return rejectForMedicalReasons(res, screening.blocking, 'series');
+    }
+
+    // Every appointment in the series is charged at today's price
+    const quote = quoteTreatment(treatment, { location, isZenMember: req.userDoc.hasZenMembership });
+
+    // Deposits and approvals for customers with repeated no-shows are taken per appointment
+    const restriction = await getBookingRestriction(req.user.userId);
+    if (restriction.restricted && !usePackageCredit) {
+      return res.status(restriction.consequence === 'deposit' ? 402 : 403).json({
+        success: false,
+        message: `${restriction.explanation} Please book your appointments one at a time.`,
+        data: { restriction }
+      });
+    }
+
+    const series = await BookingSeries.create({
+      user: req.user.userId,
+      personalDetails,
+      treatment: treatment._id,
+      treatmentDetails: {
+        name: treatment.name,
+        category: treatment.category,
+        duration: treatment.duration,
+        durationDisplay: treatment.durationDisplay
+      },
+      location,
+      startDate: parseDate(req.body.startDate),
+      appointmentTime,
+      intervalWeeks,
+      occurrences,
+      preferredStaff: staffId,
+      paymentMethod: paymentMethod || 'cash',
+      usePackageCredit: Boolean(usePackageCredit)
+    });
+
+    const bookings = [];
+    const unplaced = [];
+
+    for (let occurrence = 1; occurrence <= series.occurrences; occurrence++) {
+      const date = series.getOccurrenceDate(occurrence);
+      const placement = await placeOccurrence(series, occurrence, date, appointmentTime, {
+        medicalFlags: screening.warnings,
+        quote
+      });
+
+      if (placement.booking) {
+        bookings.push(placement.booking);
+      } else {
+        unplaced.push({
+          occurrence,
+          date: formatDateKey(date),
+          time: appointmentTime,
+          reason: placement.reason,
+          alternatives: placement.alternatives
+        });
+      }
+    }
+
+    if (bookings.length === 0) {
+      await series.deleteOne();
+      return res.status(409).json({
+        success: false,
+        message: 'None of the appointments in this series could be booked',
+        data: { unplaced }
+      });
+    }
+
+    series.unplaced = unplaced.map(item => ({
+      occurrence: item.occurrence,
+      date: parseDate(item.date),
+      reason: item.reason
+    }));
+    await series.save();
+
+    // Send booking confirmation emails (non-blocking if they fail)
+    for (const booking of bookings) {
+      try {
+        await sendBookingConfirmationEmail(booking.personalDetails.email, booking);
+      } catch (emailError) {
+        console.error('Failed to send series booking confirmation email:', emailError);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: unplaced.length > 0
+        ? `${bookings.length} of ${series.occurrences} appointments booked`
+        : `All ${series.occurrences} appointments booked`,
+      data: {
+        series,
+        bookings,
+        unplaced,
+        medicalWarnings: screening.warnings.length > 0 ? screening.warnings : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Create booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create booking series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get the current user's booking series
+// @route   GET /api/booking-series
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const seriesList = await BookingSeries.find({ user: req.user.userId })
+      .sort({ createdAt: -1 })
+      .populate('treatment', 'name category image duration durationDisplay');
+
+    res.json({
+      success: true,
+      message: 'Booking series retrieved successfully',
+      data: { series: seriesList }
+    });
+
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve booking series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a booking series with its appointments
+// @route   GET /api/booking-series/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    await series.populate('treatment', 'name category image duration durationDisplay');
+    const bookings = await Booking.find({ series: series._id })
+      .sort({ appointmentDate: 1 })
+      .populate('assignedStaff', 'fullName designation profilePhoto');
+
+    res.json({
+      success: true,
+      message: 'Booking series retrieved successfully',
+      data: { series, bookings }
+    });
+
+  } catch (error) {
+    console.error('Get booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve booking series',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Book an occurrence that could not be placed, e.g. at a suggested alternative
+// @route   POST /api/booking-series/:id/occurrences
+// @access  Private
+router.post('/:id/occurrences', protect, [
+  body('occurrence').isInt({ min: 1 }).withMessage('Occurrence number is required'),
+  body('appointmentDate').isISO8601().withMessage('Please provide a valid appointment date'),
+  body('appointmentTime').matches(TIME_PATTERN).withMessage('Please select a valid appointment time slot')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    if (series.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'This series has been cancelled'
+      });
+    }
+
+    const occurrence = parseInt(req.body.occurrence);
+    const pending = series.unplaced.find(item => item.occurrence === occurrence && !item.placedAt);
+    if (!pending) {
+      return res.status(400).json({
+        success: false,
+        message: 'This appointment in the series is already booked'
+      });
+    }
+
+    // The medical profile may have changed since the series was set up
+    const treatment = await Treatment.findById(series.treatment);
+    const screening = await screenTreatments(req.user.userId, treatment ? [treatment] : []);
+    if (screening.blocking.length > 0) {
+      return rejectForMedicalReasons(res, screening.blocking);
+    }
+
+    const { appointmentDate, appointmentTime } = req.body;
+    const placement = await placeOccurrence(series, occurrence, appointmentDate, appointmentTime, {
+      medicalFlags: screening.warnings,
+      quote: treatment ? quoteTreatment(treatment, { location: series.location, isZenMember: req.userDoc.hasZenMembership }) : undefined
+    });
+
+    if (!placement.booking) {
+      return res.status(409).json({
+        success: false,
+        message: placement.reason,
+        data: { alternatives: placement.alternatives }
+      });
+    }
+
+    pending.placedAt = new Date();
+    await series.save();
+
+    try {
+      await sendBookingConfirmationEmail(placement.booking.personalDetails.email, placement.booking);
+    } catch (emailError) {
+      console.error('Failed to send series booking confirmation email:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked successfully',
+      data: {
+        booking: placement.booking,
+        medicalWarnings: screening.warnings.length > 0 ? screening.warnings : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Place series occurrence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book appointment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Cancel one occurrence, or every remaining occurrence from a booking onwards
+// @route   PUT /api/booking-series/:id/cancel
+// @access  Private
+router.put('/:id/cancel', protect, [
+  body('scope').isIn(['occurrence', 'remaining']).withMessage('Scope must be occurrence or remaining'),
+  body('bookingId').optional().isMongoId().withMessage('Valid booking ID is required'),
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const { scope, bookingId } = req.body;
+    const reason = req.body.reason || 'Cancelled by customer';
+
+    let anchor = null;
+    if (bookingId) {
+      anchor = await Booking.findOne({ _id: bookingId, series: series._id });
+      if (!anchor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found in this series'
+        });
+      }
+    } else if (scope === 'occurrence') {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking ID is required to cancel a single appointment'
+      });
+    }
+
+    let targets;
+    if (scope === 'occurrence') {
+      targets = [anchor];
+    } else {
+      targets = await Booking.find({
+        series: series._id,
+        appointmentDate: { $gte: anchor ? anchor.appointmentDate : new Date() }
+      }).sort({ appointmentDate: 1 });
+    }
+    targets = targets.filter(booking => ['confirmed', 'rescheduled'].includes(booking.status));
+
+    if (targets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There are no upcoming appointments to cancel'
+      });
+    }
+
+    const cancelled = [];
+    for (const booking of targets) {
+      const policy = await cancelOccurrence(booking, reason, getStatusActor(req));
+      cancelled.push({ bookingId: booking._id, policy });
+    }
+
+    // Cancelling everything still to come closes the series
+    const remaining = await Booking.countDocuments({
+      series: series._id,
+      status: { $in: ['confirmed', 'rescheduled'] },
+      appointmentDate: { $gte: new Date() }
+    });
+    if (remaining === 0) {
+      series.status = 'cancelled';
+      series.cancelledAt = new Date();
+      await series.save();
+    }
+
+    res.json({
+      success: true,
+      message: `${targets.length} appointment${targets.length === 1 ? '' : 's'} cancelled`,
+      data: {
+        series,
+        cancelled
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel appointments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Reschedule one occurrence, or shift every remaining occurrence by the same amount
+// @route   PATCH /api/booking-series/:id/reschedule
+// @access  Private
+router.patch('/:id/reschedule', protect, [
+  body('scope').isIn(['occurrence', 'remaining']).withMessage('Scope must be occurrence or remaining'),
+  body('bookingId').isMongoId().withMessage('Valid booking ID is required'),
+  body('appointmentDate').isISO8601().withMessage('Please provide a valid appointment date'),
+  body('appointmentTime').matches(TIME_PATTERN).withMessage('Please select a valid appointment time slot')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await loadSeries(req, res);
+    if (!series) return;
+
+    const { scope, bookingId, appointmentDate, appointmentTime } = req.body;
+
+    const anchor = await Booking.findOne({ _id: bookingId, series: series._id });
+    if (!anchor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found in this series'
+      });
+    }
+
+    // Every target moves by the same number of days as the chosen booking, to the new time
+    const dayShift = Math.round((parseDate(appointmentDate) - parseDate(anchor.appointmentDate)) / DAY_MS);
+
+    let targets = scope === 'occurrence'
+      ? [anchor]
+      : await Booking.find({ series: series._id, appointmentDate: { $gte: anchor.appointmentDate } }).sort({ appointmentDate: 1 });
+    targets = targets.filter(booking => ['confirmed', 'rescheduled'].includes(booking.status));
+
+    // Move the furthest booking first when shifting later, so occurrences never collide with each other
+    if (dayShift > 0) {
+      targets.reverse();
+    }
+
+    const moved = [];
+    const failed = [];
+
+    for (const booking of targets) {
+      const newDate = addDays(formatDateKey(booking.appointmentDate, booking.timeZone || undefined), dayShift);
+
+      const policy = await evaluateReschedule(booking);
+      if (!policy.allowed) {
+        failed.push({ bookingId: booking._id, date: newDate, reason: policy.reason, alternatives: [] });
+        continue;
+      }
+
+      if (booking.packagePurchase) {
+        const purchase = await PackagePurchase.findById(booking.packagePurchase).select('expiresAt');
+        if (purchase && combineDateAndTime(newDate, appointmentTime, booking.timeZone || undefined) >= purchase.expiresAt) {
+          failed.push({ bookingId: booking._id, date: newDate, reason: 'The new date is after your package expires', alternatives: [] });
+          continue;
+        }
+      }
+
+      const criteria = {
+        location: booking.location,
+        date: newDate,
+        time: appointmentTime,
+        treatmentId: booking.treatment,
+        duration: booking.treatmentDetails.duration,
+        staffId: booking.staffRequested ? booking.assignedStaff : undefined,
+        excludeBookingId: booking._id
+      };
+      const oldBooking = booking.toObject();
+
+      const { slotCheck, result: rescheduled } = await reserveSlot(criteria, async (session, slotCheck) => {
+        const current = await Booking.findById(booking._id).session(session);
+        current.assignedStaff = slotCheck.assignedStaff;
+        await current.rescheduleBooking(slotCheck.slot.startsAt, appointmentTime, policy.maxReschedules, getStatusActor(req));
+        return current;
+      });
+
+      if (!slotCheck.available) {
+        failed.push({
+          bookingId: booking._id,
+          date: newDate,
+          reason: slotCheck.reason,
+          alternatives: await findAlternativeSlots({ ...criteria, limit: 3 })
+        });
+        continue;
+      }
+
+      rescheduled.$session(null);
+      moved.push(rescheduled);
+
+      try {
+        await sendAppointmentRescheduledEmail(rescheduled.personalDetails.email, oldBooking, rescheduled);
+      } catch (emailError) {
+        console.error('Failed to send series reschedule email:', emailError);
+      }
+    }
+
+    if (moved.length === 0 && failed.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'None of the appointments could be rescheduled',
+        data: { failed }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${moved.length} appointment${moved.length === 1 ? '' : 's'} rescheduled`,
+      data: {
+        moved: moved.sort((a, b) => a.appointmentDate - b.appointmentDate),
+        failed
+      }
+    });
+
+  } catch (error) {
+    console.error('Reschedule booking series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule appointments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -3,18 +3,79 @@ const { body, validationResult, query } = require('express-validator');
 const Booking = require('../models/Booking');
 const Treatment = require('../models/Treatment');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Location = require('../models/Location');
+const { protect, adminPanelProtect } = require('../middleware/auth');
+const {
+  parseDate,
+  combineDateAndTime,
+  getDaySchedule,
+  generateTimeSlots,
+  getDayAvailability,
+  getMonthAvailability,
+  findAlternativeSlots
+} = require('../utils/scheduling');
+const {
+  SLOT_HOLD_MINUTES,
+  reserveSlot,
+  holdSlot,
+  findUserHold,
+  holdMatches
+} = require('../utils/slotReservation');
+const SlotHold = require('../models/SlotHold');
+const PackagePurchase = require('../models/PackagePurchase');
+const Payment = require('../models/Payment');
+const { offerCancelledBooking } = require('../utils/waitlist');
 const { 
-  sendCheckoutOTPEmail, 
   sendBookingConfirmationEmail,
   sendAppointmentCancelledEmail,
-  sendAppointmentRescheduledEmail,
-  send12HourReminderEmail,
-  send1HourReminderEmail
+  sendAppointmentRescheduledEmail
 } = require('../utils/emailService');
+const { REMINDER_OFFSETS_HOURS, getDueReminder, sendBookingReminder } = require('../utils/reminders');
+const {
+  evaluateCancellation,
+  evaluateReschedule,
+  recordOverride,
+  cancelBookingWithPolicy
+} = require('../utils/bookingPolicy');
+const { sweepNoShows, markBookingNoShow, getBookingRestriction } = require('../utils/noShows');
+const { invoiceCompletedBookings } = require('../utils/invoicing');
+const { refundCancelledBooking } = require('../utils/refunds');
+const { buildAppointmentSlip, renderAppointmentSlipPdf, wantsPdf } = require('../utils/appointmentSlip');
+const {
+  verifyPrescriptionSignature,
+  isSignedPrescription,
+  buildOrderDraft,
+  renderPrescriptionPdf
+} = require('../utils/prescription');
+const { getCheckInWindow, checkInBooking } = require('../utils/checkIn');
+const { toDateKey, toTimeString, startOfDay, endOfDay, getAppointmentStart } = require('../utils/clinicTime');
+const { getStatusActor, rejectTransition } = require('../utils/bookingStatus');
+const { getOutstandingForms } = require('../utils/consentForms');
+const { screenTreatments, rejectForMedicalReasons } = require('../utils/medicalScreening');
+const { quoteTreatment, coverWithPackage, roundMoney } = require('../utils/pricing');
+const { getWalletSummary, debitWallet } = require('../utils/wallet');
 
 const router = express.Router();
 
+// Appointment times are validated against each location's schedule by the slot engine
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Respond with 409 when a slot cannot be reserved, suggesting nearby free slots
+const sendSlotConflict = async (res, reason, criteria) => {
+  let alternatives = [];
+  try {
+    alternatives = await findAlternativeSlots(criteria);
+  } catch (error) {
+    console.error('Failed to find alternative slots:', error);
+  }
+
+  return res.status(409).json({
+    success: false,
+    message: reason,
+    data: { alternatives }
+  });
+};
+
 // Get user bookings
 router.get('/my-bookings', protect, [
   query('status').optional().isIn(['confirmed', 'in-progress', 'completed', 'cancelled', 'rescheduled', 'no-show']),
@@ -97,7 +158,8 @@ router.get('/:id', protect, async (req, res) => {
 
     const booking = await Booking.findById(id)
       .populate('treatment', 'name category image price priceDisplay duration durationDisplay fullDescription benefits')
-      .populate('user', 'fullName email phoneNumber');
+      .populate('user', 'fullName email phoneNumber')
+      .populate('assignedStaff', 'fullName designation profilePhoto');
 
     if (!booking) {
       return res.status(404).json({
@@ -153,6 +215,153 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// Hold a slot while the customer completes checkout.
+// Pass bookingId to hold the new time for a reschedule.
+router.post('/holds', protect, [
+  body('bookingId').optional().isMongoId().withMessage('Valid booking ID is required'),
+  body('treatmentId').optional().isMongoId().withMessage('Valid treatment ID is required'),
+  body('location').optional().isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Please select a valid location'),
+  body('appointmentDate').isISO8601().withMessage('Please provide a valid appointment date'),
+  body('appointmentTime').matches(TIME_PATTERN).withMessage('Please select a valid appointment time slot'),
+  body('staffId').optional().isMongoId().withMessage('Valid staff ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { bookingId, appointmentDate, appointmentTime } = req.body;
+    let criteria;
+
+    if (bookingId) {
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      if (booking.user.toString() !== req.user.userId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (['completed', 'cancelled', 'no-show'].includes(booking.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot reschedule ${booking.status} bookings`
+        });
+      }
+
+      // No point holding a new time the policy will not let the customer move to
+      const policy = await evaluateReschedule(booking);
+      if (!policy.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: policy.reason,
+          data: { policy }
+        });
+      }
+
+      criteria = {
+        location: booking.location,
+        treatmentId: booking.treatment,
+        duration: booking.treatmentDetails.duration,
+        staffId: booking.staffRequested ? booking.assignedStaff : undefined,
+        excludeBookingId: booking._id
+      };
+    } else {
+      const { treatmentId, location, staffId } = req.body;
+      if (!treatmentId || !location) {
+        return res.status(400).json({
+          success: false,
+          message: 'Treatment and location are required'
+        });
+      }
+
+      const treatment = await Treatment.findById(treatmentId);
+      if (!treatment || !treatment.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Treatment not found or not available'
+        });
+      }
+
+      if (!treatment.availableLocations.includes(location)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Treatment is not available at the selected location'
+        });
+      }
+
+      criteria = { location, treatmentId, duration: treatment.duration, staffId };
+    }
+
+    const { slotCheck, result: hold } = await holdSlot({
+      userId: req.user.userId,
+      bookingId: bookingId || null,
+      treatmentId: criteria.treatmentId,
+      location: criteria.location,
+      date: appointmentDate,
+      time: appointmentTime,
+      duration: criteria.duration,
+      staffId: criteria.staffId
+    });
+
+    if (!slotCheck.available) {
+      return sendSlotConflict(res, slotCheck.reason, { ...criteria, date: appointmentDate, time: appointmentTime });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Slot held for ${SLOT_HOLD_MINUTES} minutes`,
+      data: { hold }
+    });
+
+  } catch (error) {
+    console.error('Hold slot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hold slot',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Release a held slot
+router.delete('/holds/:holdId', protect, async (req, res) => {
+  try {
+    const hold = await SlotHold.findOneAndDelete({ _id: req.params.holdId, user: req.user.userId });
+    if (!hold) {
+      return res.status(404).json({
+        success: false,
+        message: 'Slot hold not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Slot released successfully'
+    });
+
+  } catch (error) {
+    console.error('Release slot hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release slot',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Create new booking
 router.post('/', protect, [
   body('treatmentId').isMongoId().withMessage('Valid treatment ID is required'),
@@ -161,9 +370,15 @@ router.post('/', protect, [
   body('personalDetails.email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('location').isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Please select a valid location'),
   body('appointmentDate').isISO8601().withMessage('Please provide a valid appointment date'),
-  body('appointmentTime').isIn(['10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00', '19:00']).withMessage('Please select a valid appointment time slot'),
+  body('appointmentTime').matches(TIME_PATTERN).withMessage('Please select a valid appointment time slot'),
   body('specialRequests').optional().isLength({ max: 500 }).withMessage('Special requests cannot exceed 500 characters'),
-  body('paymentMethod').optional().isIn(['cash', 'card', 'upi', 'wallet']).withMessage('Please provide a valid payment method')
+  body('paymentMethod').optional().isIn(['cash', 'card', 'upi', 'wallet']).withMessage('Please provide a valid payment method'),
+  body('staffId').optional().isMongoId().withMessage('Valid staff ID is required'),
+  body('holdId').optional().isMongoId().withMessage('Valid slot hold ID is required'),
+  body('usePackageCredit').optional().isBoolean().withMessage('usePackageCredit must be a boolean'),
+  body('packagePurchaseId').optional().isMongoId().withMessage('Valid package ID is required'),
+  body('depositPaymentId').optional().isMongoId().withMessage('Valid deposit payment ID is required'),
+  body('walletAmount').optional().isFloat({ gt: 0 }).withMessage('Wallet amount must be more than 0')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -182,8 +397,13 @@ router.post('/', protect, [
       appointmentDate,
       appointmentTime,
       specialRequests,
-      paymentMethod
+      paymentMethod,
+      staffId,
+      holdId,
+      packagePurchaseId,
+      depositPaymentId
     } = req.body;
+    const usePackageCredit = Boolean(req.body.usePackageCredit || packagePurchaseId);
 
     // Verify treatment exists and is active
     const treatment = await Treatment.findById(treatmentId);
@@ -202,78 +422,274 @@ router.post('/', protect, [
       });
     }
 
-    // Check if appointment date and time is in the future (using IST timezone)
-    const currentISTTime = new Date(new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
-    
-    // Parse appointment date and time
-    const [datePart, timePart] = [appointmentDate, appointmentTime];
-    const [year, month, day] = datePart.split('-').map(Number);
-    const [hour, minute] = timePart.split(':').map(Number);
-    
-    // Create appointment datetime in IST
-    const appointmentDateTime = new Date(year, month - 1, day, hour, minute);
-    
-    // Debug logging
-    console.log('Appointment Date Validation:');
-    console.log('- Received appointmentDate:', appointmentDate);
-    console.log('- Received appointmentTime:', appointmentTime);
-    console.log('- Parsed appointmentDateTime:', appointmentDateTime);
-    console.log('- Current IST Time:', currentISTTime);
-    console.log('- Is appointment in future?', appointmentDateTime > currentISTTime);
-    
-    if (appointmentDateTime <= currentISTTime) {
+    // Check the treatment against the customer's medical profile; warnings go on the booking for the clinician
+    const screening = await screenTreatments(req.user.userId, [treatment]);
+    if (screening.blocking.length > 0) {
+      return rejectForMedicalReasons(res, screening.blocking);
+    }
+
+    // Price at the time of booking, at the chosen location and for the customer's plan
+    const quote = quoteTreatment(treatment, { location, isZenMember: req.userDoc.hasZenMembership });
+
+    // Check the appointment is in the future, reading the date and time in the location's time zone
+    const { timezone } = await Location.getConfig(location);
+    const appointmentDateTime = combineDateAndTime(appointmentDate, appointmentTime, timezone);
+
+    if (appointmentDateTime <= new Date()) {
       return res.status(400).json({
         success: false,
         message: 'Appointment date and time must be in the future'
       });
     }
 
-    // Generate booking reference: ZEN + YYYYMMDD + random 4 digits (using IST)
-    const istDate = new Date(new Date().toLocaleString("en-US", { timeZone: "Asia/Kolkata" }));
-    const dateStr = istDate.getFullYear().toString() + 
-                   (istDate.getMonth() + 1).toString().padStart(2, '0') + 
-                   istDate.getDate().toString().padStart(2, '0');
-    const randomNum = Math.floor(1000 + Math.random() * 9000);
-    const bookingReference = `ZEN${dateStr}${randomNum}`;
+    // Part or all of the price can be paid from the wallet; paying by wallet alone pays all of it
+    const walletAmount = req.body.walletAmount !== undefined
+      ? roundMoney(parseFloat(req.body.walletAmount))
+      : (paymentMethod === 'wallet' ? quote.totalAmount : 0);
+    if (walletAmount > 0) {
+      if (usePackageCredit || walletAmount > quote.totalAmount) {
+        return res.status(400).json({
+          success: false,
+          message: usePackageCredit
+            ? 'Package sessions are already paid for'
+            : `The wallet amount cannot be more than the ₹${quote.totalAmount} price`
+        });
+      }
+      const wallet = await getWalletSummary(req.user.userId);
+      if (wallet.balance < walletAmount) {
+        return res.status(400).json({
+          success: false,
+          message: `Your wallet balance of ₹${wallet.balance} is not enough`
+        });
+      }
+    }
+
+    // Check a package credit is available before reserving the slot
+    if (usePackageCredit) {
+      const creditQuery = {
+        user: req.user.userId,
+        treatment: treatmentId,
+        status: 'active',
+        expiresAt: { $gt: appointmentDateTime },
+        $expr: { $lt: ['$sessionsUsed', '$sessionsTotal'] }
+      };
+      if (packagePurchaseId) creditQuery._id = packagePurchaseId;
 
-    // Create booking
-    const booking = new Booking({
-      user: req.user.userId,
-      personalDetails,
-      treatment: treatmentId,
-      treatmentDetails: {
-        name: treatment.name,
-        category: treatment.category,
-        duration: treatment.duration,
-        durationDisplay: treatment.durationDisplay
-      },
+      const usablePackage = await PackagePurchase.exists(creditQuery);
+      if (!usablePackage) {
+        return res.status(400).json({
+          success: false,
+          message: 'No package credits available for this treatment on the selected date'
+        });
+      }
+    }
+
+    // Customers with repeated no-shows pay a deposit or wait for approval; prepaid package sessions are exempt
+    // The deposit is paid through /api/payments/intents and counts once the gateway confirms it
+    let restriction = null;
+    let depositPayment = null;
+    if (!usePackageCredit) {
+      restriction = await getBookingRestriction(req.user.userId);
+      if (restriction.consequence === 'deposit') {
+        depositPayment = depositPaymentId
+          ? await Payment.findOne({
+            _id: depositPaymentId,
+            user: req.user.userId,
+            purpose: 'booking-deposit',
+            status: 'captured',
+            booking: { $exists: false }
+          })
+          : null;
+        if (!depositPayment || depositPayment.amount < restriction.depositAmount) {
+          return res.status(402).json({
+            success: false,
+            message: depositPaymentId
+              ? 'The deposit payment has not been received yet'
+              : restriction.explanation,
+            data: { restriction }
+          });
+        }
+      }
+    }
+
+    // A hold from checkout keeps the slot for this customer; an expired one is simply ignored
+    let hold = null;
+    if (holdId) {
+      hold = await findUserHold(holdId, req.user.userId);
+      if (hold && !holdMatches(hold, { location, date: appointmentDate, time: appointmentTime, treatmentId, timeZone: timezone })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Slot hold does not match the selected appointment'
+        });
+      }
+    }
+
+    const slotCriteria = {
       location,
-      appointmentDate: appointmentDateTime,
-      appointmentTime,
-      specialRequests,
-      status: 'confirmed',
-      paymentMethod: paymentMethod || 'cash',
-      bookingReference: bookingReference
+      date: appointmentDate,
+      time: appointmentTime,
+      treatmentId,
+      duration: treatment.duration,
+      staffId: staffId || (hold && hold.staffRequested ? hold.assignedStaff : undefined),
+      excludeHoldId: hold ? hold._id : undefined
+    };
+
+    // Chosen up front so the wallet debit can name the booking it paid for
+    const bookingReference = Booking.generateReference(timezone);
+
+    // Check a treatment room (and practitioner, if rostered) is free for the full treatment duration
+    // and create the booking in the same transaction, so concurrent requests cannot both take the last room
+    let depositTaken = false;
+    let walletShort = false;
+    const { slotCheck, result: booking } = await reserveSlot(slotCriteria, async (session, slotCheck) => {
+      const newBooking = new Booking({
+        user: req.user.userId,
+        personalDetails,
+        treatment: treatmentId,
+        treatmentDetails: {
+          name: treatment.name,
+          category: treatment.category,
+          duration: treatment.duration,
+          durationDisplay: treatment.durationDisplay
+        },
+        location,
+        appointmentDate: appointmentDateTime,
+        appointmentTime,
+        specialRequests,
+        status: 'confirmed',
+        paymentMethod: paymentMethod || 'cash',
+        assignedStaff: slotCheck.assignedStaff,
+        staffRequested: Boolean(slotCriteria.staffId),
+        medicalFlags: screening.warnings,
+        pricing: quote,
+        bookingReference: bookingReference
+      });
+
+      if (usePackageCredit) {
+        const purchase = await PackagePurchase.redeemSession({
+          userId: req.user.userId,
+          treatmentId,
+          purchaseId: packagePurchaseId,
+          booking: newBooking,
+          session
+        });
+        if (!purchase) {
+          return null;
+        }
+        newBooking.packagePurchase = purchase._id;
+        newBooking.paymentMethod = 'package';
+        newBooking.paymentStatus = 'paid';
+        newBooking.pricing = coverWithPackage(quote);
+      }
+
+      if (depositPayment) {
+        // Link the deposit to this booking so it cannot be used for another
+        const claimed = await Payment.findOneAndUpdate(
+          { _id: depositPayment._id, booking: { $exists: false } },
+          { booking: newBooking._id },
+          { session }
+        );
+        if (!claimed) {
+          depositTaken = true;
+          return null;
+        }
+        newBooking.deposit = {
+          amount: depositPayment.amount,
+          status: 'paid',
+          payment: depositPayment._id,
+          transactionId: depositPayment.providerPaymentId,
+          paidAt: depositPayment.capturedAt
+        };
+      } else if (restriction && restriction.consequence === 'approval') {
+        newBooking.approval = { required: true, status: 'pending' };
+      }
+
+      if (walletAmount > 0) {
+        const debit = await debitWallet(req.user.userId, walletAmount, {
+          session,
+          source: 'booking',
+          booking: newBooking._id,
+          description: `Booking ${bookingReference}`
+        });
+        if (!debit) {
+          walletShort = true;
+          return null;
+        }
+        newBooking.walletPayment = { amount: walletAmount, entry: debit._id, paidAt: new Date() };
+        if (walletAmount >= quote.totalAmount) {
+          newBooking.paymentMethod = 'wallet';
+          newBooking.paymentStatus = 'paid';
+        } else {
+          newBooking.paymentStatus = 'partial';
+        }
+        newBooking.paymentUpdatedAt = new Date();
+      }
+
+      await newBooking.save({ session });
+      if (hold) {
+        await SlotHold.deleteOne({ _id: hold._id }, { session });
+      }
+      return newBooking;
     });
 
-    await booking.save();
+    if (!slotCheck.available) {
+      return sendSlotConflict(res, slotCheck.reason, slotCriteria);
+    }
+
+    if (depositTaken) {
+      return res.status(409).json({
+        success: false,
+        message: 'This deposit has already been used for another booking'
+      });
+    }
+
+    // The balance was spent by a concurrent request
+    if (walletShort) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your wallet balance is not enough'
+      });
+    }
+
+    // The last credit was used by a concurrent booking
+    if (!booking) {
+      return res.status(400).json({
+        success: false,
+        message: 'No package credits available for this treatment on the selected date'
+      });
+    }
+
+    // Detach the document from the finished transaction
+    booking.$session(null);
 
     // Populate the booking with treatment details for response
     await booking.populate('treatment', 'name category image duration durationDisplay');
+    await booking.populate('assignedStaff', 'fullName designation profilePhoto');
+
+    // Bookings waiting for approval are confirmed by email once an admin approves them
+    const awaitingApproval = booking.approval && booking.approval.status === 'pending';
 
     // Send booking confirmation email (non-blocking if it fails)
-    try {
-      await sendBookingConfirmationEmail(booking.personalDetails.email, booking);
-      console.log(`Booking confirmation email sent to ${booking.personalDetails.email}: ${booking.bookingReference}`);
-    } catch (emailError) {
-      console.error('Failed to send booking confirmation email:', emailError);
-      // Continue even if email fails
+    if (!awaitingApproval) {
+      try {
+        await sendBookingConfirmationEmail(booking.personalDetails.email, booking);
+        console.log(`Booking confirmation email sent to ${booking.personalDetails.email}: ${booking.bookingReference}`);
+      } catch (emailError) {
+        console.error('Failed to send booking confirmation email:', emailError);
+        // Continue even if email fails
+      }
     }
 
     res.status(201).json({
       success: true,
-      message: 'Booking created successfully',
-      data: { booking }
+      message: awaitingApproval
+        ? 'Booking received and waiting for approval from the clinic'
+        : 'Booking created successfully',
+      data: {
+        booking,
+        restriction: restriction && restriction.restricted ? restriction : undefined,
+        medicalWarnings: screening.warnings.length > 0 ? screening.warnings : undefined
+      }
     });
 
   } catch (error) {
@@ -287,8 +703,9 @@ router.post('/', protect, [
 });
 
 // Update booking status
+// Customers can only cancel here; check-in, checkout and rescheduling have their own endpoints
 router.patch('/:id/status', protect, [
-  body('status').isIn(['confirmed', 'in-progress', 'completed', 'cancelled', 'rescheduled', 'no-show']).withMessage('Invalid status'),
+  body('status').equals('cancelled').withMessage('You can only cancel a booking'),
   body('cancellationReason').optional().isLength({ min: 5, max: 500 }).withMessage('Cancellation reason must be between 5-500 characters')
 ], async (req, res) => {
   try {
@@ -320,33 +737,35 @@ router.patch('/:id/status', protect, [
       });
     }
 
-    // Handle cancellation
-    if (status === 'cancelled') {
-      if (!cancellationReason) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cancellation reason is required'
-        });
-      }
-      await booking.cancelBooking(cancellationReason);
+    if (booking.getTransitionError(status)) {
+      return rejectTransition(res, booking, status);
+    }
 
-      // Send cancellation email (best-effort)
-      try {
-        await sendAppointmentCancelledEmail(booking.personalDetails.email, booking);
-        console.log(`Cancellation email sent to ${booking.personalDetails.email} for ${booking.bookingReference}`);
-      } catch (emailError) {
-        console.error('Failed to send cancellation email:', emailError);
-        // Do not block status update on email failure
-      }
-    } else {
-      booking.status = status;
-      await booking.save();
+    if (!cancellationReason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancellation reason is required'
+      });
+    }
+    // Applies any late cancellation fee and hands back a prepaid session unless the policy forfeits it
+    const policy = await cancelBookingWithPolicy(booking, cancellationReason, { actor: getStatusActor(req) });
+
+    // Send cancellation email (best-effort)
+    try {
+      await sendAppointmentCancelledEmail(booking.personalDetails.email, booking);
+      console.log(`Cancellation email sent to ${booking.personalDetails.email} for ${booking.bookingReference}`);
+    } catch (emailError) {
+      console.error('Failed to send cancellation email:', emailError);
+      // Do not block status update on email failure
     }
 
+    // Offer the freed slot to the waitlist
+    await offerCancelledBooking(booking);
+
     res.status(200).json({
       success: true,
       message: `Booking ${status} successfully`,
-      data: { booking }
+      data: { booking, policy }
     });
 
   } catch (error) {
@@ -362,7 +781,8 @@ router.patch('/:id/status', protect, [
 // Reschedule booking
 router.patch('/:id/reschedule', protect, [
   body('appointmentDate').isISO8601().withMessage('Please provide a valid appointment date'),
-  body('appointmentTime').isIn(['10:00', '11:00', '12:00', '13:00', '14:00', '15:00', '16:00', '17:00', '18:00', '19:00']).withMessage('Please select a valid appointment time slot')
+  body('appointmentTime').matches(TIME_PATTERN).withMessage('Please select a valid appointment time slot'),
+  body('holdId').optional().isMongoId().withMessage('Valid slot hold ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -375,7 +795,7 @@ router.patch('/:id/reschedule', protect, [
     }
 
     const { id } = req.params;
-    const { appointmentDate, appointmentTime } = req.body;
+    const { appointmentDate, appointmentTime, holdId } = req.body;
 
     const booking = await Booking.findById(id);
     if (!booking) {
@@ -394,7 +814,7 @@ router.patch('/:id/reschedule', protect, [
     }
 
     // Check if new appointment date is in the future
-    const newAppointmentDateTime = new Date(appointmentDate);
+    const newAppointmentDateTime = combineDateAndTime(appointmentDate, appointmentTime, booking.timeZone || undefined);
     if (newAppointmentDateTime < new Date()) {
       return res.status(400).json({
         success: false,
@@ -403,30 +823,93 @@ router.patch('/:id/reschedule', protect, [
     }
 
     // Check if booking can be rescheduled
-    if (['completed', 'cancelled'].includes(booking.status)) {
+    if (booking.getTransitionError('rescheduled')) {
+      return rejectTransition(res, booking, 'rescheduled');
+    }
+
+    // Treatments in a visit stay back-to-back, so they move together
+    if (booking.visit) {
       return res.status(400).json({
         success: false,
-        message: 'Cannot reschedule completed or cancelled bookings'
+        message: 'This appointment is part of a visit. Please reschedule the whole visit.'
       });
     }
 
-    // Check reschedule limit
-    if (booking.rescheduleCount >= 1) {
+    // Check the cutoff window and reschedule limit for this treatment and plan
+    const policy = await evaluateReschedule(booking);
+    if (!policy.allowed) {
       return res.status(400).json({
         success: false,
-        message: 'Appointment can only be rescheduled once'
+        message: policy.reason,
+        data: { policy }
       });
     }
 
+    // Sessions paid from a package must stay within the package validity
+    if (booking.packagePurchase) {
+      const purchase = await PackagePurchase.findById(booking.packagePurchase).select('expiresAt');
+      if (purchase && newAppointmentDateTime >= purchase.expiresAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'The new date is after your package expires'
+        });
+      }
+    }
+
+    let hold = null;
+    if (holdId) {
+      hold = await findUserHold(holdId, req.user.userId, booking._id);
+      if (hold && !holdMatches(hold, {
+        location: booking.location,
+        date: appointmentDate,
+        time: appointmentTime,
+        treatmentId: booking.treatment,
+        timeZone: booking.timeZone || undefined
+      })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Slot hold does not match the selected appointment'
+        });
+      }
+    }
+
+    const slotCriteria = {
+      location: booking.location,
+      date: appointmentDate,
+      time: appointmentTime,
+      treatmentId: booking.treatment,
+      duration: booking.treatmentDetails.duration,
+      staffId: booking.staffRequested ? booking.assignedStaff : undefined,
+      excludeBookingId: booking._id,
+      excludeHoldId: hold ? hold._id : undefined
+    };
+
     // Capture old booking details for email
     const oldBooking = booking.toObject();
 
-    await booking.rescheduleBooking(appointmentDate, appointmentTime);
+    // Check a treatment room is free at the new time, keeping a requested practitioner,
+    // and move the booking in the same transaction
+    const { slotCheck, result: rescheduled } = await reserveSlot(slotCriteria, async (session, slotCheck) => {
+      const current = await Booking.findById(booking._id).session(session);
+      current.assignedStaff = slotCheck.assignedStaff;
+      await current.rescheduleBooking(slotCheck.slot.startsAt, appointmentTime, policy.maxReschedules, getStatusActor(req));
+      if (hold) {
+        await SlotHold.deleteOne({ _id: hold._id }, { session });
+      }
+      return current;
+    });
+
+    if (!slotCheck.available) {
+      return sendSlotConflict(res, slotCheck.reason, slotCriteria);
+    }
+
+    // Detach the document from the finished transaction
+    rescheduled.$session(null);
 
     // Send reschedule email (best-effort)
     try {
-      await sendAppointmentRescheduledEmail(booking.personalDetails.email, oldBooking, booking);
-      console.log(`Reschedule email sent to ${booking.personalDetails.email} for ${booking.bookingReference}`);
+      await sendAppointmentRescheduledEmail(rescheduled.personalDetails.email, oldBooking, rescheduled);
+      console.log(`Reschedule email sent to ${rescheduled.personalDetails.email} for ${rescheduled.bookingReference}`);
     } catch (emailError) {
       console.error('Failed to send reschedule email:', emailError);
       // Do not block response on email failure
@@ -435,7 +918,7 @@ router.patch('/:id/reschedule', protect, [
     res.status(200).json({
       success: true,
       message: 'Booking rescheduled successfully',
-      data: { booking }
+      data: { booking: rescheduled, policy }
     });
 
   } catch (error) {
@@ -518,7 +1001,8 @@ router.patch('/:id/feedback', protect, [
 // Get availability for multiple dates (calendar view)
 router.get('/availability/calendar/:year/:month', [
   query('location').isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Please select a valid location'),
-  query('treatmentId').optional().isMongoId().withMessage('Valid treatment ID is required')
+  query('treatmentId').optional().isMongoId().withMessage('Valid treatment ID is required'),
+  query('staffId').optional().isMongoId().withMessage('Valid staff ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -531,7 +1015,7 @@ router.get('/availability/calendar/:year/:month', [
     }
 
     const { year, month } = req.params;
-    const { location, treatmentId } = req.query;
+    const { location, treatmentId, staffId } = req.query;
 
     // Validate year and month
     const yearNum = parseInt(year);
@@ -544,68 +1028,13 @@ router.get('/availability/calendar/:year/:month', [
       });
     }
 
-    // Get start and end of month
-    const startDate = new Date(yearNum, monthNum - 1, 1);
-    const endDate = new Date(yearNum, monthNum, 0, 23, 59, 59, 999);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Get all bookings for the month
-    const monthBookings = await Booking.find({
-      appointmentDate: {
-        $gte: startDate,
-        $lte: endDate
-      },
+    const monthAvailability = await getMonthAvailability({
       location,
-      status: { $in: ['confirmed', 'in-progress'] }
-    }).select('appointmentDate appointmentTime treatmentDetails.duration');
-
-    // Generate time slots for reference (1-hour intervals from 10 AM to 7 PM)
-    const timeSlots = [];
-    for (let hour = 10; hour <= 19; hour++) {
-      const timeString = `${hour.toString().padStart(2, '0')}:00`;
-      timeSlots.push(timeString);
-    }
-
-    // Process each day of the month
-    const daysInMonth = new Date(yearNum, monthNum, 0).getDate();
-    const availability = {};
-
-    for (let day = 1; day <= daysInMonth; day++) {
-      const currentDate = new Date(yearNum, monthNum - 1, day);
-      const dateString = currentDate.toISOString().split('T')[0];
-      
-      // Skip past dates
-      if (currentDate < today) {
-        availability[dateString] = {
-          isPast: true,
-          isAvailable: false,
-          availableSlots: 0,
-          totalSlots: timeSlots.length,
-          fullyBooked: false
-        };
-        continue;
-      }
-
-      // Get bookings for this specific day
-      const dayBookings = monthBookings.filter(booking => {
-        const bookingDate = new Date(booking.appointmentDate);
-        return bookingDate.getDate() === day;
-      });
-
-      const bookedTimes = dayBookings.map(booking => booking.appointmentTime);
-      const availableSlots = timeSlots.filter(slot => !bookedTimes.includes(slot));
-      const fullyBooked = availableSlots.length === 0;
-
-      availability[dateString] = {
-        isPast: false,
-        isAvailable: !fullyBooked,
-        availableSlots: availableSlots.length,
-        totalSlots: timeSlots.length,
-        fullyBooked,
-        bookedSlots: bookedTimes.length
-      };
-    }
+      year: yearNum,
+      month: monthNum,
+      treatmentId,
+      staffId
+    });
 
     res.status(200).json({
       success: true,
@@ -614,8 +1043,10 @@ router.get('/availability/calendar/:year/:month', [
         year: yearNum,
         month: monthNum,
         location,
-        availability,
-        totalDays: daysInMonth
+        duration: monthAvailability.duration,
+        treatmentRooms: monthAvailability.treatmentRooms,
+        availability: monthAvailability.days,
+        totalDays: monthAvailability.totalDays
       }
     });
 
@@ -632,7 +1063,8 @@ router.get('/availability/calendar/:year/:month', [
 // Get available time slots for a specific date and location
 router.get('/availability/:date', [
   query('location').isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Please select a valid location'),
-  query('treatmentId').optional().isMongoId().withMessage('Valid treatment ID is required')
+  query('treatmentId').optional().isMongoId().withMessage('Valid treatment ID is required'),
+  query('staffId').optional().isMongoId().withMessage('Valid staff ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -645,10 +1077,11 @@ router.get('/availability/:date', [
     }
 
     const { date } = req.params;
-    const { location, treatmentId } = req.query;
+    const { location, treatmentId, staffId } = req.query;
+    const { timezone } = await Location.getConfig(location);
 
     // Validate date format
-    const appointmentDate = new Date(date);
+    const appointmentDate = parseDate(date, timezone);
     if (isNaN(appointmentDate.getTime())) {
       return res.status(400).json({
         success: false,
@@ -656,71 +1089,16 @@ router.get('/availability/:date', [
       });
     }
 
-    // Check if date is in the past (but allow today)
-    const today = new Date();
-    const todayStart = new Date(today);
-    todayStart.setHours(0, 0, 0, 0);
-    
-    if (appointmentDate < todayStart) {
+    // Check if date is in the past at the location (but allow today)
+    if (appointmentDate < parseDate(new Date(), timezone)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot check availability for past dates'
       });
     }
 
-    // Get existing bookings for the date and location
-    const existingBookings = await Booking.find({
-      appointmentDate: {
-        $gte: new Date(appointmentDate.setHours(0, 0, 0, 0)),
-        $lt: new Date(appointmentDate.setHours(23, 59, 59, 999))
-      },
-      location,
-      status: { $in: ['confirmed', 'in-progress'] }
-    }).select('appointmentTime treatmentDetails.duration');
-
-    // Generate available time slots (10 AM to 7 PM, 1-hour intervals)
-    const timeSlots = [];
-    for (let hour = 10; hour <= 19; hour++) {
-      const timeString = `${hour.toString().padStart(2, '0')}:00`;
-      timeSlots.push(timeString);
-    }
-
-    // Check if this is today's date
-    const isToday = appointmentDate.toDateString() === today.toDateString();
-    const currentHour = today.getHours();
-    const currentMinutes = today.getMinutes();
-
-    // Create detailed slot information
-    const slotDetails = timeSlots.map(slot => {
-      const isBooked = existingBookings.some(booking => booking.appointmentTime === slot);
-      
-      // For today's date, check if the time slot has already passed
-      let isPastTime = false;
-      if (isToday) {
-        const slotHour = parseInt(slot.split(':')[0]);
-        const slotMinute = parseInt(slot.split(':')[1]);
-        
-        // Create a proper time comparison
-        const slotTime = new Date(today);
-        slotTime.setHours(slotHour, slotMinute, 0, 0);
-        
-        // Consider a slot as past if current time is past the slot time
-        // Add 30 minutes buffer for booking preparation
-        const bufferTime = new Date(slotTime.getTime() + 30 * 60 * 1000);
-        isPastTime = today >= bufferTime;
-      }
-      
-      const isAvailable = !isBooked && !isPastTime;
-      
-      return {
-        time: slot,
-        isAvailable: isAvailable,
-        isBooked: isBooked,
-        isPastTime: isPastTime
-      };
-    });
-
-    const bookedTimes = existingBookings.map(booking => booking.appointmentTime);
+    const dayAvailability = await getDayAvailability({ location, date, treatmentId, staffId });
+    const slotDetails = dayAvailability.slots;
     const availableSlots = slotDetails.filter(slot => slot.isAvailable).map(slot => slot.time);
 
     res.status(200).json({
@@ -729,12 +1107,18 @@ router.get('/availability/:date', [
       data: {
         date,
         location,
+        duration: dayAvailability.duration,
+        treatmentRooms: dayAvailability.treatmentRooms,
+        isClosed: !dayAvailability.schedule.isOpen,
+        closedReason: dayAvailability.schedule.closedReason,
+        schedule: dayAvailability.schedule,
+        staffOptions: dayAvailability.staffOptions,
         availableSlots,
-        bookedSlots: bookedTimes,
+        bookedSlots: dayAvailability.bookedTimes,
         slotDetails,
-        totalSlots: timeSlots.length,
+        totalSlots: slotDetails.length,
         availableCount: availableSlots.length,
-        fullyBooked: availableSlots.length === 0
+        fullyBooked: availableSlots.length === 0 && slotDetails.some(slot => slot.isBooked || slot.noStaffAvailable)
       }
     });
 
@@ -777,9 +1161,11 @@ router.put('/:id/cancel', protect, async (req, res) => {
       });
     }
 
-    // Update booking status
-    booking.status = 'cancelled';
-    await booking.save();
+    // Applies any late cancellation fee and hands back a prepaid session unless the policy forfeits it
+    const policy = await cancelBookingWithPolicy(booking, req.body.reason || 'Cancelled by customer', { actor: getStatusActor(req) });
+
+    // Offer the freed slot to the waitlist
+    await offerCancelledBooking(booking);
 
     // Send cancellation email (best-effort)
     try {
@@ -793,7 +1179,7 @@ router.put('/:id/cancel', protect, async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Booking cancelled successfully',
-      data: { booking }
+      data: { booking, policy }
     });
 
   } catch (error) {
@@ -869,7 +1255,59 @@ router.put('/:id/rate', protect, [
   }
 });
 
-// Download appointment slip
+// Explain what cancelling or rescheduling this booking now would mean
+router.get('/:id/policy', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Check if user owns this booking
+    if (booking.user.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const [cancellation, reschedule] = await Promise.all([
+      evaluateCancellation(booking),
+      evaluateReschedule(booking)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        policy: cancellation.policy,
+        cancellation: {
+          late: cancellation.late,
+          fee: cancellation.fee,
+          forfeitCredit: cancellation.forfeitCredit,
+          explanation: cancellation.explanation
+        },
+        reschedule: {
+          allowed: reschedule.allowed,
+          remainingReschedules: reschedule.remainingReschedules,
+          explanation: reschedule.explanation
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get booking policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve booking policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Download appointment slip as JSON, or as a PDF with ?format=pdf or Accept: application/pdf
 router.get('/:id/slip', protect, async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id)
@@ -890,29 +1328,17 @@ router.get('/:id/slip', protect, async (req, res) => {
       });
     }
 
-    // Generate appointment slip data
-    const appointmentSlip = {
-      bookingReference: booking.bookingReference,
-      patientName: booking.personalDetails.fullName,
-      mobileNumber: booking.personalDetails.mobileNumber,
-      email: booking.personalDetails.email,
-      treatmentName: booking.treatmentDetails.name,
-      treatmentCategory: booking.treatmentDetails.category,
-      appointmentDate: booking.appointmentDate.toISOString().split('T')[0],
-      appointmentTime: booking.appointmentTime,
-      location: booking.location,
-      status: booking.status,
-      bookedAt: booking.createdAt,
-      specialRequests: booking.specialRequests || 'None',
-      paymentMethod: booking.paymentMethod,
-      clinicInfo: {
-        name: 'Zennara Clinic',
-        address: `${booking.location}, India`,
-        phone: '+91-9999999999',
-        email: 'info@zennara.com',
-        website: 'www.zennara.com'
-      }
-    };
+    const appointmentSlip = await buildAppointmentSlip(booking);
+
+    if (wantsPdf(req)) {
+      const pdf = await renderAppointmentSlipPdf(appointmentSlip);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="Zennara-${booking.bookingReference}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
 
     res.json({
       success: true,
@@ -949,13 +1375,33 @@ router.post('/:id/checkin', protect, async (req, res) => {
       });
     }
 
+    if (booking.visit) {
+      return res.status(400).json({
+        success: false,
+        message: 'This appointment is part of a visit. Please check in for the whole visit.'
+      });
+    }
+
+    if (booking.approval && booking.approval.required && booking.approval.status !== 'approved') {
+      return res.status(400).json({
+        success: false,
+        message: 'This booking has not been approved by the clinic yet'
+      });
+    }
+
+    const outstandingForms = await getOutstandingForms([booking]);
+    if (outstandingForms.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete and sign your consent forms before checking in',
+        data: { outstandingForms }
+      });
+    }
+
     // Check if appointment is today and within check-in window (15 minutes before to 1 hour after)
-    const now = new Date();
-    const appointmentDateTime = new Date(`${booking.appointmentDate.toISOString().split('T')[0]}T${booking.appointmentTime}`);
-    const checkInStart = new Date(appointmentDateTime.getTime() - 15 * 60 * 1000);
-    const checkInEnd = new Date(appointmentDateTime.getTime() + 60 * 60 * 1000); // 1 hour after appointment time
+    const window = getCheckInWindow(getAppointmentStart(booking));
 
-    if (now < checkInStart || now > checkInEnd) {
+    if (!window.isOpen) {
       return res.status(400).json({
         success: false,
         message: 'Check-in is only available 15 minutes before to 1 hour after your appointment time'
@@ -970,30 +1416,7 @@ router.post('/:id/checkin', protect, async (req, res) => {
       });
     }
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Update booking with check-in info
-    const checkInTime = new Date();
-    booking.checkedIn = true;
-    booking.checkInTime = checkInTime;
-    booking.checkoutOTP = otp;
-    booking.status = 'in-progress';
-    
-    // Set checkout eligible time (20 minutes after check-in)
-    booking.checkOutEligibleTime = new Date(checkInTime.getTime() + 20 * 60 * 1000);
-    booking.canCheckOut = false; // Will be enabled after 20 minutes
-    
-    await booking.save();
-
-    // Send OTP email
-    try {
-      await sendCheckoutOTPEmail(booking.personalDetails.email, otp, booking);
-      console.log(`Check-in OTP sent to ${booking.personalDetails.email}: ${otp}`);
-    } catch (emailError) {
-      console.error('Failed to send OTP email:', emailError);
-      // Continue with check-in even if email fails
-    }
+    const { otp, otpSent } = await checkInBooking(booking, { actor: getStatusActor(req) });
 
     res.json({
       success: true,
@@ -1004,7 +1427,7 @@ router.post('/:id/checkin', protect, async (req, res) => {
         checkOutEligibleTime: booking.checkOutEligibleTime,
         canCheckOut: booking.canCheckOut,
         checkoutOtp: otp,
-        otpSent: true
+        otpSent
       }
     });
 
@@ -1074,13 +1497,14 @@ router.post('/:id/user-checkout', protect, async (req, res) => {
     // Update booking with checkout info
     booking.checkedOut = true;
     booking.checkOutTime = new Date();
-    booking.status = 'completed';
+    booking.setStatus('completed', { actor: getStatusActor(req), reason: 'Checked out' });
     booking.canCheckOut = true;
     
     // Clear the OTP for security
     booking.checkoutOTP = undefined;
     
     await booking.save();
+    await invoiceCompletedBookings([booking]);
 
     res.json({
       success: true,
@@ -1154,13 +1578,14 @@ router.post('/:id/checkout', protect, [
     // Update booking with checkout info
     booking.checkedOut = true;
     booking.checkOutTime = new Date();
-    booking.status = 'completed';
+    booking.setStatus('completed', { actor: getStatusActor(req), reason: 'Checked out with OTP' });
     booking.adminCheckout = adminId;
     
     // Clear the OTP for security
     booking.checkoutOTP = undefined;
     
     await booking.save();
+    await invoiceCompletedBookings([booking]);
 
     res.json({
       success: true,
@@ -1184,7 +1609,7 @@ router.post('/:id/checkout', protect, [
 });
 
 // Get all bookings for admin (for admin panel)
-router.get('/admin/all-bookings', protect, [
+router.get('/admin/all-bookings', adminPanelProtect, [
   query('status').optional().isIn(['confirmed', 'in-progress', 'completed', 'cancelled', 'rescheduled', 'no-show']),
   query('location').optional().isIn(['Jubilee Hills', 'Financial District', 'Kondapur']),
   query('date').optional().isISO8601(),
@@ -1192,9 +1617,6 @@ router.get('/admin/all-bookings', protect, [
   query('page').optional().isInt({ min: 1 })
 ], async (req, res) => {
   try {
-    // Note: In a real app, you'd check if the user is an admin
-    // For now, we'll allow any authenticated user to access this
-    
     const {
       status,
       location,
@@ -1214,12 +1636,9 @@ router.get('/admin/all-bookings', protect, [
     }
     
     if (date) {
-      const startDate = new Date(date);
-      const endDate = new Date(date);
-      endDate.setDate(endDate.getDate() + 1);
       query.appointmentDate = {
-        $gte: startDate,
-        $lt: endDate
+        $gte: startOfDay(date),
+        $lte: endOfDay(date)
       };
     }
 
@@ -1293,11 +1712,29 @@ router.get('/:id/prescription', protect, async (req, res) => {
       });
     }
 
+    // Signed prescriptions can be downloaded as a PDF with ?format=pdf
+    if (wantsPdf(req)) {
+      if (!isSignedPrescription(booking)) {
+        return res.status(404).json({
+          success: false,
+          message: 'This prescription is not available as a PDF'
+        });
+      }
+      const pdf = await renderPrescriptionPdf(booking);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="prescription-${booking.prescription.prescriptionNumber}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
     res.json({
       success: true,
       message: 'Prescription retrieved successfully',
       data: {
         prescription: booking.prescription,
+        signed: isSignedPrescription(booking),
         appointmentDetails: {
           bookingReference: booking.bookingReference,
           treatmentName: booking.treatmentDetails.name,
@@ -1318,6 +1755,127 @@ router.get('/:id/prescription', protect, async (req, res) => {
   }
 });
 
+// @desc    Pre-fill a medicine order from the catalogue medicines on a signed prescription.
+//          Post the result to /api/medicine-orders with prescriptionBookingId to place the order.
+// @route   GET /api/bookings/:id/prescription/order
+// @access  Private
+router.get('/:id/prescription/order', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.user.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (booking.status !== 'completed' || !isSignedPrescription(booking)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No prescription available to order from'
+      });
+    }
+
+    const hasZenMembership = Boolean(req.userDoc.hasZenMembership);
+    const draft = await buildOrderDraft(booking, hasZenMembership);
+    if (draft.medicines.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the prescribed medicines can be ordered from the store',
+        data: { notOrderable: draft.notOrderable }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order pre-filled from your prescription',
+      data: {
+        prescriptionBookingId: booking._id,
+        prescriptionNumber: booking.prescription.prescriptionNumber,
+        medicines: draft.medicines,
+        notOrderable: draft.notOrderable,
+        subtotal: draft.subtotal,
+        customerDetails: {
+          fullName: booking.personalDetails.fullName,
+          mobileNumber: booking.personalDetails.mobileNumber,
+          email: booking.personalDetails.email
+        },
+        location: booking.location,
+        hasZenMembership
+      }
+    });
+
+  } catch (error) {
+    console.error('Prescription order draft error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare order from prescription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Check a prescription's signature, e.g. from the QR code on the PDF
+// @route   GET /api/bookings/prescriptions/:prescriptionNumber/verify?signature=
+// @access  Public
+router.get('/prescriptions/:prescriptionNumber/verify', [
+  query('signature').isHexadecimal().withMessage('Signature is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findOne({ 'prescription.prescriptionNumber': req.params.prescriptionNumber });
+    if (!booking || !verifyPrescriptionSignature(booking, req.query.signature)) {
+      return res.status(404).json({
+        success: false,
+        message: 'This prescription could not be verified. It may have been changed or replaced by a newer revision.'
+      });
+    }
+
+    const { prescription } = booking;
+    res.json({
+      success: true,
+      message: 'Prescription verified',
+      data: {
+        prescriptionNumber: prescription.prescriptionNumber,
+        revision: prescription.revision,
+        issuedAt: prescription.revisedAt || prescription.issuedAt,
+        prescribedBy: {
+          name: prescription.prescribedBy.name,
+          registrationNumber: prescription.prescribedBy.registrationNumber
+        },
+        medications: prescription.medications.map(item => ({
+          name: item.name,
+          dosage: item.dosage,
+          quantity: item.quantity
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify prescription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify prescription',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Delete cancelled appointment endpoint
 router.delete('/:id', protect, async (req, res) => {
   try {
@@ -1364,15 +1922,16 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// Mark no-show appointments (can be called by a cron job or admin)
-router.post('/mark-no-shows', protect, async (req, res) => {
+// Mark no-show appointments (admin; cron jobs use /auto-mark-no-shows with the API key)
+router.post('/mark-no-shows', adminPanelProtect, async (req, res) => {
   try {
-    const result = await Booking.markNoShowAppointments();
+    const result = await sweepNoShows();
     
     res.json({
       success: true,
       message: `Marked ${result.modifiedCount} appointments as no-show`,
-      modifiedCount: result.modifiedCount
+      modifiedCount: result.modifiedCount,
+      strikeCount: result.strikeCount
     });
   } catch (error) {
     console.error('Mark no-shows error:', error);
@@ -1396,7 +1955,7 @@ router.post('/auto-mark-no-shows', async (req, res) => {
       });
     }
 
-    const result = await Booking.markNoShowAppointments();
+    const result = await sweepNoShows();
     
     console.log(`Auto no-show check: Marked ${result.modifiedCount} appointments as no-show at ${new Date().toISOString()}`);
     
@@ -1404,6 +1963,7 @@ router.post('/auto-mark-no-shows', async (req, res) => {
       success: true,
       message: `Auto-marked ${result.modifiedCount} appointments as no-show`,
       modifiedCount: result.modifiedCount,
+      strikeCount: result.strikeCount,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -1419,7 +1979,7 @@ router.post('/auto-mark-no-shows', async (req, res) => {
 // Admin-specific endpoints for appointment management
 
 // Get all bookings for admin (with filters and pagination)
-router.get('/admin/all', async (req, res) => {
+router.get('/admin/all', adminPanelProtect, async (req, res) => {
   try {
     const {
       status,
@@ -1513,8 +2073,9 @@ router.get('/admin/all', async (req, res) => {
 });
 
 // Admin update booking status
-router.patch('/admin/:id/status', [
+router.patch('/admin/:id/status', adminPanelProtect, [
   body('status').isIn(['confirmed', 'in-progress', 'completed', 'cancelled', 'rescheduled', 'no-show']).withMessage('Invalid status'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters'),
   body('notes').optional().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters'),
   body('cancellationReason').optional().isLength({ min: 5, max: 500 }).withMessage('Cancellation reason must be between 5-500 characters')
 ], async (req, res) => {
@@ -1529,7 +2090,7 @@ router.patch('/admin/:id/status', [
     }
 
     const { id } = req.params;
-    const { status, notes, cancellationReason } = req.body;
+    const { status, reason, notes, cancellationReason } = req.body;
 
     const booking = await Booking.findById(id);
     if (!booking) {
@@ -1539,6 +2100,12 @@ router.patch('/admin/:id/status', [
       });
     }
 
+    if (booking.getTransitionError(status)) {
+      return rejectTransition(res, booking, status);
+    }
+
+    const actor = getStatusActor(req);
+
     // Handle different status updates
     if (status === 'cancelled') {
       if (!cancellationReason) {
@@ -1547,7 +2114,7 @@ router.patch('/admin/:id/status', [
           message: 'Cancellation reason is required'
         });
       }
-      await booking.cancelBooking(cancellationReason);
+      await booking.cancelBooking(cancellationReason, actor);
       
       // Send cancellation email (best-effort)
       try {
@@ -1557,12 +2124,17 @@ router.patch('/admin/:id/status', [
         console.error('Failed to send admin cancellation email:', emailError);
         // Do not block status update on email failure
       }
+
+      await PackagePurchase.reinstateSession(booking, 'Cancelled by admin');
+      await refundCancelledBooking(booking, actor);
+      await offerCancelledBooking(booking);
     } else if (status === 'no-show') {
-      await booking.markAsNoShow();
+      await markBookingNoShow(booking, 'admin', actor);
     } else if (status === 'completed') {
-      await booking.completeBooking();
+      await booking.completeBooking(actor, reason);
+      await invoiceCompletedBookings([booking]);
     } else {
-      booking.status = status;
+      booking.setStatus(status, { actor, reason });
       if (notes) {
         booking.notes = notes;
       }
@@ -1585,11 +2157,20 @@ router.patch('/admin/:id/status', [
   }
 });
 
+// Status each bulk action moves bookings to
+const BULK_ACTION_STATUSES = {
+  cancel: 'cancelled',
+  confirm: 'confirmed',
+  reschedule: 'rescheduled',
+  'no-show': 'no-show'
+};
+
 // Admin bulk operations
-router.patch('/admin/bulk-update', [
+router.patch('/admin/bulk-update', adminPanelProtect, [
   body('bookingIds').isArray({ min: 1 }).withMessage('At least one booking ID is required'),
   body('action').isIn(['cancel', 'confirm', 'reschedule', 'no-show']).withMessage('Invalid action'),
-  body('data').optional().isObject()
+  body('data').optional().isObject(),
+  body('data.overrideReason').optional().trim().isLength({ min: 5, max: 500 }).withMessage('Override reason must be between 5-500 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1602,6 +2183,7 @@ router.patch('/admin/bulk-update', [
     }
 
     const { bookingIds, action, data } = req.body;
+    const actor = getStatusActor(req);
     const results = [];
 
     for (const bookingId of bookingIds) {
@@ -1612,9 +2194,15 @@ router.patch('/admin/bulk-update', [
           continue;
         }
 
+        const transitionError = booking.getTransitionError(BULK_ACTION_STATUSES[action]);
+        if (transitionError) {
+          results.push({ bookingId, success: false, message: transitionError });
+          continue;
+        }
+
         switch (action) {
           case 'cancel':
-            await booking.cancelBooking(data?.cancellationReason || 'Cancelled by admin');
+            await booking.cancelBooking(data?.cancellationReason || 'Cancelled by admin', actor);
             
             // Send cancellation email (best-effort)
             try {
@@ -1623,35 +2211,55 @@ router.patch('/admin/bulk-update', [
             } catch (emailError) {
               console.error('Failed to send admin bulk cancellation email:', emailError);
             }
+
+            await PackagePurchase.reinstateSession(booking, 'Cancelled by admin');
+            await refundCancelledBooking(booking, actor);
+            await offerCancelledBooking(booking);
             break;
           case 'confirm':
-            booking.status = 'confirmed';
+            booking.setStatus('confirmed', { actor, reason: data?.reason });
             await booking.save();
             break;
           case 'no-show':
-            await booking.markAsNoShow();
+            await markBookingNoShow(booking, 'admin', actor);
             break;
-          case 'reschedule':
-            // Check if booking can be rescheduled
-            if (['completed', 'cancelled', 'no-show'].includes(booking.status)) {
-              results.push({ bookingId, success: false, message: `Cannot reschedule ${booking.status} appointments` });
-              continue;
-            }
-            
-            // Check reschedule limit
-            if (booking.rescheduleCount >= 1) {
-              results.push({ bookingId, success: false, message: 'Appointment can only be rescheduled once' });
+          case 'reschedule': {
+            // Check the booking policy; an override reason sets it aside for these bookings and is recorded on each
+            const override = data?.overrideReason ? { reason: data.overrideReason, by: req.admin.email } : null;
+            const policy = await evaluateReschedule(booking, { override });
+            if (!policy.allowed) {
+              results.push({ bookingId, success: false, message: `${policy.reason}. Provide an override reason to reschedule anyway.` });
               continue;
             }
             
             if (data?.appointmentDate && data?.appointmentTime) {
               // Capture old booking details for email
               const oldBooking = booking.toObject();
-              await booking.rescheduleBooking(data.appointmentDate, data.appointmentTime);
+
+              const { slotCheck, result: rescheduled } = await reserveSlot({
+                location: booking.location,
+                date: data.appointmentDate,
+                time: data.appointmentTime,
+                treatmentId: booking.treatment,
+                duration: booking.treatmentDetails.duration,
+                staffId: booking.staffRequested ? booking.assignedStaff : undefined,
+                excludeBookingId: booking._id
+              }, async (session, slotCheck) => {
+                const current = await Booking.findById(booking._id).session(session);
+                current.assignedStaff = slotCheck.assignedStaff;
+                recordOverride(current, 'reschedule', policy, override);
+                await current.rescheduleBooking(slotCheck.slot.startsAt, data.appointmentTime, policy.maxReschedules, actor);
+                return current;
+              });
+
+              if (!slotCheck.available) {
+                results.push({ bookingId, success: false, message: slotCheck.reason });
+                continue;
+              }
               
               // Send reschedule email (best-effort)
               try {
-                await sendAppointmentRescheduledEmail(booking.personalDetails.email, oldBooking, booking);
+                await sendAppointmentRescheduledEmail(rescheduled.personalDetails.email, oldBooking, rescheduled);
                 console.log(`Admin bulk reschedule email sent to ${booking.personalDetails.email} for ${booking.bookingReference}`);
               } catch (emailError) {
                 console.error('Failed to send admin bulk reschedule email:', emailError);
@@ -1661,6 +2269,7 @@ router.patch('/admin/bulk-update', [
               continue;
             }
             break;
+          }
         }
 
         results.push({ bookingId, success: true, message: `${action} successful` });
@@ -1686,12 +2295,13 @@ router.patch('/admin/bulk-update', [
 });
 
 // Get available time slots for admin (filtered by current time)
-router.get('/admin/available-slots/:date', async (req, res) => {
+router.get('/admin/available-slots/:date', adminPanelProtect, async (req, res) => {
   try {
     const { date } = req.params;
+    const { location } = req.query;
     
     // Validate date format
-    const appointmentDate = new Date(date);
+    const appointmentDate = parseDate(date);
     if (isNaN(appointmentDate.getTime())) {
       return res.status(400).json({
         success: false,
@@ -1699,27 +2309,21 @@ router.get('/admin/available-slots/:date', async (req, res) => {
       });
     }
 
-    // Generate all possible time slots (10 AM to 7 PM)
-    const allTimeSlots = [];
-    for (let hour = 10; hour <= 19; hour++) {
-      const timeString = `${hour.toString().padStart(2, '0')}:00`;
-      allTimeSlots.push(timeString);
-    }
+    // Generate the location's time slots (default opening hours when no location is given)
+    const locationConfig = location ? await Location.getConfig(location) : new Location();
+    const timeZone = locationConfig.timezone;
+    const schedule = getDaySchedule(locationConfig, date);
+    const allTimeSlots = generateTimeSlots(schedule);
 
-    // Check if this is today's date
+    // Check if this is today's date at the location
     const today = new Date();
-    const isToday = appointmentDate.toDateString() === today.toDateString();
+    const isToday = schedule.date === toDateKey(today, timeZone);
     
     // Filter slots based on current time if it's today
     let availableSlots = allTimeSlots;
     if (isToday) {
       availableSlots = allTimeSlots.filter(slot => {
-        const slotHour = parseInt(slot.split(':')[0]);
-        const slotMinute = parseInt(slot.split(':')[1]);
-        
-        // Create proper time comparison
-        const slotTime = new Date(today);
-        slotTime.setHours(slotHour, slotMinute, 0, 0);
+        const slotTime = combineDateAndTime(schedule.date, slot, timeZone);
         
         // Add 30 minutes buffer for booking preparation
         const bufferTime = new Date(slotTime.getTime() + 30 * 60 * 1000);
@@ -1732,12 +2336,13 @@ router.get('/admin/available-slots/:date', async (req, res) => {
       message: 'Available time slots retrieved successfully',
       data: {
         date,
+        location,
         availableSlots,
+        isClosed: !schedule.isOpen,
+        closedReason: schedule.closedReason,
         isToday,
-        currentTime: today.toLocaleTimeString('en-US', { 
-          hour12: false, 
-          timeZone: 'Asia/Kolkata' 
-        })
+        timeZone,
+        currentTime: toTimeString(today, timeZone)
       }
     });
 
@@ -1751,15 +2356,30 @@ router.get('/admin/available-slots/:date', async (req, res) => {
   }
 });
 
+// What has actually been received for a booking: the full price once paid, otherwise
+// whatever came from the wallet or a deposit the clinic still holds
+const collectedAmount = {
+  $cond: [
+    { $eq: ['$paymentStatus', 'paid'] },
+    { $ifNull: ['$pricing.totalAmount', 0] },
+    {
+      $add: [
+        { $ifNull: ['$walletPayment.amount', 0] },
+        { $cond: [{ $in: ['$deposit.status', ['paid', 'forfeited']] }, { $ifNull: ['$deposit.amount', 0] }, 0] }
+      ]
+    }
+  ]
+};
+
 // Admin dashboard statistics
-router.get('/admin/dashboard-stats', async (req, res) => {
+router.get('/admin/dashboard-stats', adminPanelProtect, async (req, res) => {
   try {
     const today = new Date();
-    const todayStart = new Date(today.setHours(0, 0, 0, 0));
-    const todayEnd = new Date(today.setHours(23, 59, 59, 999));
+    const todayStart = startOfDay(today);
+    const todayEnd = endOfDay(today);
     
-    const thisWeekStart = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const thisMonthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+    const thisWeekStart = new Date(todayStart.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const thisMonthStart = startOfDay(`${toDateKey(today).slice(0, 7)}-01`);
 
     // Today's appointments
     const todayAppointments = await Booking.countDocuments({
@@ -1786,18 +2406,28 @@ router.get('/admin/dashboard-stats', async (req, res) => {
       }
     ]);
 
-    // Revenue stats (this month)
+    // Revenue stats (this month), counting only money received; tax and discounts on fully paid bookings
     const revenueStats = await Booking.aggregate([
       {
         $match: {
           appointmentDate: { $gte: thisMonthStart, $lte: todayEnd },
-          status: { $in: ['completed', 'confirmed'] }
+          status: { $in: ['completed', 'confirmed'] },
+          $or: [
+            { paymentStatus: { $in: ['paid', 'partial'] } },
+            { 'deposit.status': { $in: ['paid', 'forfeited'] } }
+          ]
         }
       },
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: 0 },
+          totalRevenue: { $sum: collectedAmount },
+          taxCollected: {
+            $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, { $ifNull: ['$pricing.taxAmount', 0] }, 0] }
+          },
+          discountsGiven: {
+            $sum: { $cond: [{ $eq: ['$paymentStatus', 'paid'] }, { $ifNull: ['$pricing.discountTotal', 0] }, 0] }
+          },
           count: { $sum: 1 }
         }
       }
@@ -1814,7 +2444,16 @@ router.get('/admin/dashboard-stats', async (req, res) => {
         $group: {
           _id: '$treatmentDetails.name',
           count: { $sum: 1 },
-          revenue: { $sum: 0 }
+          // Cancelled and no-show appointments bring in nothing, unpaid ones nothing yet
+          revenue: {
+            $sum: {
+              $cond: [
+                { $in: ['$status', ['completed', 'confirmed']] },
+                collectedAmount,
+                0
+              ]
+            }
+          }
         }
       },
       { $sort: { count: -1 } },
@@ -1836,6 +2475,8 @@ router.get('/admin/dashboard-stats', async (req, res) => {
         }, {}),
         revenue: {
           total: revenueStats[0]?.totalRevenue || 0,
+          tax: revenueStats[0]?.taxCollected || 0,
+          discounts: revenueStats[0]?.discountsGiven || 0,
           appointments: revenueStats[0]?.count || 0
         },
         popularTreatments
@@ -1853,7 +2494,7 @@ router.get('/admin/dashboard-stats', async (req, res) => {
 });
 
 // Admin update payment status
-router.patch('/admin/:id/payment', [
+router.patch('/admin/:id/payment', adminPanelProtect, [
   body('paymentStatus').isIn(['pending', 'paid', 'partial', 'refunded']).withMessage('Invalid payment status')
 ], async (req, res) => {
   try {
@@ -1886,6 +2527,7 @@ router.patch('/admin/:id/payment', [
       booking.fullyProcessed = true;
     }
 
+    // Credit notes for refunds are issued by the refund engine when the money is paid back
     await booking.save();
 
     res.status(200).json({
@@ -1905,7 +2547,7 @@ router.patch('/admin/:id/payment', [
 });
 
 // Send appointment reminders (admin endpoint)
-router.post('/admin/send-reminders', [
+router.post('/admin/send-reminders', adminPanelProtect, [
   body('bookingIds').isArray({ min: 1 }).withMessage('At least one booking ID is required'),
   body('type').isIn(['sms', 'email', 'both']).withMessage('Invalid reminder type')
 ], async (req, res) => {
@@ -1932,24 +2574,21 @@ router.post('/admin/send-reminders', [
           continue;
         }
 
-        // Send actual reminder emails
+        // Send the reminder that is due now (the earliest one for appointments further out),
+        // recorded the same way as the scheduler so it is never sent twice
         if (type === 'email' || type === 'both') {
+          const hours = getDueReminder(booking) || REMINDER_OFFSETS_HOURS[0];
+          if (!hours || new Date(booking.appointmentDate) <= new Date()) {
+            results.push({ bookingId, success: false, message: 'Appointment has already passed' });
+            continue;
+          }
+
           try {
-            // Determine which reminder type to send based on appointment timing
-            const now = new Date();
-            const appointmentDateTime = new Date(booking.appointmentDate);
-            const hoursUntilAppointment = (appointmentDateTime - now) / (1000 * 60 * 60);
-
-            if (hoursUntilAppointment <= 1 && hoursUntilAppointment > 0) {
-              await send1HourReminderEmail(booking.personalDetails.email, booking);
-            } else if (hoursUntilAppointment <= 12 && hoursUntilAppointment > 1) {
-              await send12HourReminderEmail(booking.personalDetails.email, booking);
-            } else {
-              // Default to 12-hour reminder for future appointments
-              await send12HourReminderEmail(booking.personalDetails.email, booking);
+            const reminder = await sendBookingReminder(booking, hours);
+            if (!reminder.sent) {
+              results.push({ bookingId, success: false, message: `The ${reminder.reminder} reminder was already sent or the booking is no longer active` });
+              continue;
             }
-
-            console.log(`Reminder email sent to ${booking.personalDetails.email} for booking ${booking.bookingReference}`);
           } catch (emailError) {
             console.error('Failed to send reminder email:', emailError);
             results.push({ bookingId, success: false, message: 'Failed to send reminder email' });
@@ -1957,23 +2596,13 @@ router.post('/admin/send-reminders', [
           }
         }
 
-        // Mark the reminder as sent in the database
-        booking.remindersSent = booking.remindersSent || [];
-        booking.remindersSent.push({
-          type: type === 'both' ? 'email' : type,
-          sentAt: new Date(),
-          status: 'sent'
-        });
-
-        if (type === 'both') {
-          booking.remindersSent.push({
-            type: 'sms',
-            sentAt: new Date(),
-            status: 'sent'
+        // SMS reminders are recorded for the admin panel
+        if (type === 'sms' || type === 'both') {
+          await Booking.updateOne({ _id: booking._id }, {
+            $push: { remindersSent: { type: 'sms', sentAt: new Date(), status: 'sent' } }
           });
         }
 
-        await booking.save();
         results.push({ bookingId, success: true, message: 'Reminder sent successfully' });
 
       } catch (error) {
@@ -2025,35 +2654,26 @@ router.post('/send-reminders', async (req, res) => {
           continue;
         }
 
+        const hours = getDueReminder(booking) || REMINDER_OFFSETS_HOURS[0];
+        if (!hours || new Date(booking.appointmentDate) <= new Date()) {
+          results.push({ 
+            bookingId, 
+            success: false, 
+            message: 'Appointment has already passed' 
+          });
+          continue;
+        }
+
         // Send reminder email
         try {
-          // Determine which reminder type to send based on appointment timing
-          const now = new Date();
-          const appointmentDateTime = new Date(booking.appointmentDate);
-          const hoursUntilAppointment = (appointmentDateTime - now) / (1000 * 60 * 60);
-
-          if (hoursUntilAppointment <= 1 && hoursUntilAppointment > 0) {
-            await send1HourReminderEmail(booking.personalDetails.email, booking);
-          } else {
-            await send12HourReminderEmail(booking.personalDetails.email, booking);
-          }
+          const reminder = await sendBookingReminder(booking, hours);
 
-          console.log(`Reminder email sent to ${booking.personalDetails.email} for booking ${booking.bookingReference}`);
-          
-          // Mark the reminder as sent
-          booking.remindersSent = booking.remindersSent || [];
-          booking.remindersSent.push({
-            type: 'email',
-            sentAt: new Date(),
-            status: 'sent'
-          });
-          
-          await booking.save();
-          
           results.push({ 
             bookingId, 
-            success: true, 
-            message: 'Reminder sent successfully' 
+            success: reminder.sent, 
+            message: reminder.sent
+              ? 'Reminder sent successfully'
+              : `The ${reminder.reminder} reminder was already sent or the booking is no longer active`
           });
 
         } catch (emailError) {
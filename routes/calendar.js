@@ -0,0 +1,314 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const CalendarFeedToken = require('../models/CalendarFeedToken');
+const { protect, adminPanelProtect } = require('../middleware/auth');
+const {
+  FEED_PAST_DAYS,
+  FEED_FUTURE_DAYS,
+  buildBookingEvent,
+  buildCalendar,
+  buildBookingInvite,
+  buildFeedUrl
+} = require('../utils/calendar');
+
+const router = express.Router();
+
+// Appointments shown in subscription feeds
+const FEED_STATUSES = ['confirmed', 'rescheduled', 'in-progress', 'completed'];
+
+const sendCalendar = (res, content, filename) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(content);
+};
+
+// @desc    Calendar feed for a subscription token (calendar apps poll this URL)
+// @route   GET /api/calendar/feeds/:token.ics
+// @access  Public (secret token)
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarFeedToken.findActive(req.params.token);
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const now = new Date();
+    const query = {
+      status: { $in: FEED_STATUSES },
+      appointmentDate: {
+        $gte: new Date(now.getTime() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000),
+        $lte: new Date(now.getTime() + FEED_FUTURE_DAYS * 24 * 60 * 60 * 1000)
+      }
+    };
+    if (feed.scope === 'user') {
+      query.user = feed.user;
+    } else {
+      query.location = feed.location;
+    }
+
+    const bookings = await Booking.find(query).sort({ appointmentDate: 1, appointmentTime: 1 });
+    const audience = feed.scope === 'location' ? 'staff' : 'customer';
+    const events = bookings.map(booking => buildBookingEvent(booking, { audience, now }));
+    const name = feed.scope === 'location' ? `Zennara ${feed.location}` : 'My Zennara appointments';
+
+    feed.lastAccessedAt = now;
+    await feed.save();
+
+    sendCalendar(res, buildCalendar(events, { name }), 'zennara.ics');
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Download a single booking as an .ics file
+// @route   GET /api/calendar/bookings/:id
+// @access  Private
+router.get('/bookings/:id', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (booking.user.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    sendCalendar(res, buildBookingInvite(booking), `${booking.bookingReference}.ics`);
+
+  } catch (error) {
+    console.error('Booking calendar download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get the current user's calendar feed
+// @route   GET /api/calendar/my-feed
+// @access  Private
+router.get('/my-feed', protect, async (req, res) => {
+  try {
+    const feed = await CalendarFeedToken.findOne({ user: req.user.userId, scope: 'user', revokedAt: null });
+
+    res.json({
+      success: true,
+      message: feed ? 'Calendar feed retrieved successfully' : 'No calendar feed set up',
+      data: {
+        feed: feed ? { ...feed.toJSON(), url: buildFeedUrl(feed.token) } : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Create a calendar feed URL for the current user, replacing any existing one
+// @route   POST /api/calendar/my-feed
+// @access  Private
+router.post('/my-feed', protect, async (req, res) => {
+  try {
+    const existing = await CalendarFeedToken.find({ user: req.user.userId, scope: 'user', revokedAt: null });
+    for (const feed of existing) {
+      await feed.revoke(req.userDoc.email);
+    }
+
+    const feed = await CalendarFeedToken.issue({
+      scope: 'user',
+      user: req.user.userId,
+      createdBy: req.userDoc.email
+    });
+
+    res.status(201).json({
+      success: true,
+      message: existing.length > 0
+        ? 'New calendar feed created. The old link no longer works.'
+        : 'Calendar feed created successfully',
+      data: {
+        feed: { ...feed.toJSON(), url: buildFeedUrl(feed.token) }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Revoke the current user's calendar feed
+// @route   DELETE /api/calendar/my-feed
+// @access  Private
+router.delete('/my-feed', protect, async (req, res) => {
+  try {
+    const feeds = await CalendarFeedToken.find({ user: req.user.userId, scope: 'user', revokedAt: null });
+    if (feeds.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No calendar feed set up'
+      });
+    }
+
+    for (const feed of feeds) {
+      await feed.revoke(req.userDoc.email);
+    }
+
+    res.json({
+      success: true,
+      message: 'Calendar feed revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ============= ADMIN ROUTES =============
+
+// @desc    Get location calendar feeds (Admin only)
+// @route   GET /api/calendar/admin/location-feeds
+// @access  Private/Admin
+router.get('/admin/location-feeds', adminPanelProtect, async (req, res) => {
+  try {
+    const query = { scope: 'location' };
+    if (req.query.location) query.location = req.query.location;
+    if (req.query.includeRevoked !== 'true') query.revokedAt = null;
+
+    const feeds = await CalendarFeedToken.find(query).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Location calendar feeds retrieved successfully',
+      data: {
+        feeds
+      }
+    });
+
+  } catch (error) {
+    console.error('Get location calendar feeds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve location calendar feeds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Create a calendar feed for a location's front desk (Admin only)
+// @route   POST /api/calendar/admin/location-feeds
+// @access  Private/Admin
+router.post('/admin/location-feeds', adminPanelProtect, [
+  body('location').isIn(CalendarFeedToken.LOCATION_NAMES).withMessage('Please select a valid location'),
+  body('label').optional().trim().isLength({ max: 100 }).withMessage('Label cannot exceed 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const feed = await CalendarFeedToken.issue({
+      scope: 'location',
+      location: req.body.location,
+      label: req.body.label,
+      createdBy: req.admin.email
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Location calendar feed created successfully',
+      data: {
+        feed: { ...feed.toJSON(), url: buildFeedUrl(feed.token) }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create location calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create location calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Revoke a location calendar feed (Admin only)
+// @route   DELETE /api/calendar/admin/location-feeds/:id
+// @access  Private/Admin
+router.delete('/admin/location-feeds/:id', adminPanelProtect, async (req, res) => {
+  try {
+    const feed = await CalendarFeedToken.findOne({ _id: req.params.id, scope: 'location' });
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    if (feed.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Calendar feed has already been revoked'
+      });
+    }
+
+    await feed.revoke(req.admin.email);
+
+    res.json({
+      success: true,
+      message: 'Location calendar feed revoked successfully',
+      data: {
+        feed
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke location calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke location calendar feed',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
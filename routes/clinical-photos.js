@@ -0,0 +1,420 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const ClinicalPhoto = require('../models/ClinicalPhoto');
+const { protect, clinicianProtect } = require('../middleware/auth');
+const { MAX_PHOTOS_PER_UPLOAD, clinicalPhotoUpload, storePhoto, locatePhoto, removePhoto } = require('../utils/photoStorage');
+const { namesMatch } = require('../utils/consentForms');
+
+const router = express.Router();
+
+const isClinician = (req) => ['clinician', 'admin'].includes(req.userDoc.role);
+
+// Patients see their own photos; clinicians see everyone's
+const canViewPhotosOf = (req, userId) => isClinician(req) || userId.toString() === req.user.userId;
+
+// What is returned for a photo. The storage location is never exposed; the image is fetched
+// through the API so access is checked every time.
+const describePhoto = (photo) => ({
+  _id: photo._id,
+  booking: photo.booking,
+  bookingReference: photo.bookingReference,
+  treatment: photo.treatment,
+  treatmentName: photo.treatmentName,
+  visitDate: photo.visitDate,
+  stage: photo.stage,
+  angle: photo.angle,
+  notes: photo.notes,
+  takenAt: photo.takenAt,
+  uploadedBy: photo.uploadedBy ? photo.uploadedBy.name : undefined,
+  marketingConsent: {
+    status: photo.marketingConsent.status,
+    respondedAt: photo.marketingConsent.respondedAt
+  },
+  imageUrl: `/api/clinical-photos/${photo._id}/image`
+});
+
+// Multer errors (wrong type, too large, too many) are the client's fault
+const receivePhotos = (req, res, next) => {
+  clinicalPhotoUpload.array('photos', MAX_PHOTOS_PER_UPLOAD)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? 'Each photo must be 10MB or smaller'
+          : error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT'
+            ? `Upload up to ${MAX_PHOTOS_PER_UPLOAD} photos at a time in the "photos" field`
+            : error.message
+      });
+    }
+    next();
+  });
+};
+
+// @desc    Upload clinical photos taken at an appointment
+// @route   POST /api/clinical-photos/bookings/:bookingId
+// @access  Private/Clinician
+router.post('/bookings/:bookingId', clinicianProtect, receivePhotos, [
+  body('stage').isIn(ClinicalPhoto.PHOTO_STAGES).withMessage('Stage must be before, after or progress'),
+  body('angle').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Angle must be between 1-50 characters'),
+  body('angles').optional().isString().withMessage('Angles must be a comma-separated list, one per photo'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('takenAt').optional().isISO8601().withMessage('Please provide a valid time the photos were taken')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach at least one photo'
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // Photos are taken once the patient is in the clinic
+    if (!booking.checkedIn && !['in-progress', 'completed'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photos can only be added once the patient has checked in'
+      });
+    }
+
+    const { stage, angle, notes, takenAt } = req.body;
+    const angles = req.body.angles ? req.body.angles.split(',').map(item => item.trim()) : [];
+
+    const stored = [];
+    try {
+      for (const file of req.files) {
+        stored.push(await storePhoto(file, booking.user));
+      }
+    } catch (storageError) {
+      // Leave nothing behind from a partly stored upload
+      await Promise.all(stored.map(storage => removePhoto(storage).catch(() => {})));
+      throw storageError;
+    }
+
+    const photos = await ClinicalPhoto.insertMany(stored.map((storage, index) => ({
+      booking: booking._id,
+      bookingReference: booking.bookingReference,
+      user: booking.user,
+      treatment: booking.treatment,
+      treatmentName: booking.treatmentDetails.name,
+      location: booking.location,
+      visitDate: booking.appointmentDate,
+      stage,
+      angle: angles[index] || angle || 'front',
+      notes,
+      takenAt: takenAt ? new Date(takenAt) : new Date(),
+      uploadedBy: {
+        user: req.userDoc._id,
+        name: req.userDoc.fullName,
+        role: req.userDoc.role
+      },
+      storage
+    })));
+
+    res.status(201).json({
+      success: true,
+      message: `${photos.length} photo${photos.length === 1 ? '' : 's'} added to ${booking.bookingReference}`,
+      data: { photos: photos.map(describePhoto) }
+    });
+
+  } catch (error) {
+    console.error('Upload clinical photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get the photos taken at one appointment
+// @route   GET /api/clinical-photos/bookings/:bookingId
+// @access  Private (patient or clinician)
+router.get('/bookings/:bookingId', protect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking || !canViewPhotosOf(req, booking.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const photos = await ClinicalPhoto.find({ booking: booking._id }).sort({ stage: 1, angle: 1, takenAt: 1 });
+
+    res.json({
+      success: true,
+      message: 'Photos retrieved successfully',
+      data: {
+        bookingReference: booking.bookingReference,
+        photos: photos.map(describePhoto)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get booking photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve photos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a patient's photo timeline for a treatment, visit by visit, with the first and latest
+//          photo from each angle for side-by-side comparison. Clinicians pass userId; patients see their own.
+// @route   GET /api/clinical-photos/timeline
+// @access  Private (patient or clinician)
+router.get('/timeline', protect, [
+  query('treatmentId').isMongoId().withMessage('Valid treatment ID is required'),
+  query('userId').optional().isMongoId().withMessage('Valid user ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = isClinician(req) && req.query.userId ? req.query.userId : req.user.userId;
+
+    const photos = await ClinicalPhoto.find({ user: userId, treatment: req.query.treatmentId })
+      .sort({ visitDate: 1, takenAt: 1 });
+
+    const visits = [];
+    for (const photo of photos) {
+      let visit = visits.find(item => item.booking.toString() === photo.booking.toString());
+      if (!visit) {
+        visit = {
+          booking: photo.booking,
+          bookingReference: photo.bookingReference,
+          visitDate: photo.visitDate,
+          location: photo.location,
+          before: [],
+          progress: [],
+          after: []
+        };
+        visits.push(visit);
+      }
+      visit[photo.stage].push(describePhoto(photo));
+    }
+
+    // Earliest "before" against the latest "after" for each angle, falling back to the earliest and latest photo
+    const angles = [...new Set(photos.map(photo => photo.angle))];
+    const comparison = angles.map(angle => {
+      const ofAngle = photos.filter(photo => photo.angle === angle);
+      const first = ofAngle.find(photo => photo.stage === 'before') || ofAngle[0];
+      const latest = [...ofAngle].reverse().find(photo => photo.stage === 'after') || ofAngle[ofAngle.length - 1];
+      return {
+        angle,
+        first: describePhoto(first),
+        latest: first._id.equals(latest._id) ? null : describePhoto(latest)
+      };
+    });
+
+    res.json({
+      success: true,
+      message: 'Photo timeline retrieved successfully',
+      data: {
+        treatmentName: photos.length > 0 ? photos[0].treatmentName : null,
+        totalPhotos: photos.length,
+        visits,
+        comparison
+      }
+    });
+
+  } catch (error) {
+    console.error('Get photo timeline error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve photo timeline',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    List photos patients have agreed can be used in marketing
+// @route   GET /api/clinical-photos/marketing
+// @access  Private/Clinician
+router.get('/marketing', clinicianProtect, [
+  query('treatmentId').optional().isMongoId().withMessage('Valid treatment ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { 'marketingConsent.status': 'granted' };
+    if (req.query.treatmentId) filter.treatment = req.query.treatmentId;
+
+    const photos = await ClinicalPhoto.find(filter).sort({ 'marketingConsent.respondedAt': -1 });
+
+    res.json({
+      success: true,
+      message: 'Marketing photos retrieved successfully',
+      data: { photos: photos.map(describePhoto) }
+    });
+
+  } catch (error) {
+    console.error('Get marketing photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve marketing photos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get the image for a photo
+// @route   GET /api/clinical-photos/:id/image
+// @access  Private (patient or clinician)
+router.get('/:id/image', protect, async (req, res) => {
+  try {
+    const photo = await ClinicalPhoto.findById(req.params.id);
+    if (!photo || !canViewPhotosOf(req, photo.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+
+    const { url, filePath } = locatePhoto(photo.storage);
+    if (url) {
+      return res.redirect(url);
+    }
+
+    res.type(photo.storage.mimetype || 'image/jpeg');
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Photo file not found'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Get photo image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve photo',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Give or withdraw consent for a photo to be used in marketing
+// @route   PATCH /api/clinical-photos/:id/marketing-consent
+// @access  Private (patient)
+router.patch('/:id/marketing-consent', protect, [
+  body('consent').isBoolean().withMessage('consent must be true or false'),
+  body('typedName').if(body('consent').equals('true')).trim().isLength({ min: 2, max: 100 }).withMessage('Please type your full name to give consent')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const photo = await ClinicalPhoto.findById(req.params.id);
+    if (!photo || photo.user.toString() !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    const granted = req.body.consent === true || req.body.consent === 'true';
+    if (granted && !namesMatch(req.body.typedName, req.userDoc.fullName)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please type your name exactly as it appears on your account (${req.userDoc.fullName})`
+      });
+    }
+
+    await photo.setMarketingConsent(granted, {
+      typedName: granted ? req.body.typedName.trim() : undefined,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: granted
+        ? 'Thank you. This photo may now be used in Zennara marketing.'
+        : 'This photo will not be used in marketing',
+      data: { photo: describePhoto(photo) }
+    });
+
+  } catch (error) {
+    console.error('Update marketing consent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update marketing consent',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Delete a photo uploaded by mistake
+// @route   DELETE /api/clinical-photos/:id
+// @access  Private/Clinician
+router.delete('/:id', clinicianProtect, async (req, res) => {
+  try {
+    const photo = await ClinicalPhoto.findById(req.params.id);
+    if (!photo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+
+    await removePhoto(photo.storage);
+    await photo.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Photo deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete clinical photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete photo',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
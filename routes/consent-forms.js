@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const ConsentTemplate = require('../models/ConsentTemplate');
+const ConsentRecord = require('../models/ConsentRecord');
+const { protect, deskProtect } = require('../middleware/auth');
+const { wantsPdf } = require('../utils/appointmentSlip');
+const {
+  SIGNABLE_STATUSES,
+  getBookingForms,
+  describeForm,
+  buildResponses,
+  namesMatch,
+  renderConsentPdf
+} = require('../utils/consentForms');
+
+const router = express.Router();
+
+// Load a booking the signed-in customer owns, replying with 404/403 otherwise
+const loadOwnBooking = async (req, res, bookingId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    res.status(404).json({
+      success: false,
+      message: 'Booking not found'
+    });
+    return null;
+  }
+  if (booking.user.toString() !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+  return booking;
+};
+
+const sendRecord = async (req, res, record, booking) => {
+  if (wantsPdf(req)) {
+    const pdf = await renderConsentPdf(record, booking);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="consent-${booking.bookingReference}-${record._id}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    return res.send(pdf);
+  }
+
+  res.json({
+    success: true,
+    message: 'Consent form retrieved successfully',
+    data: {
+      record,
+      intact: record.isIntact()
+    }
+  });
+};
+
+// @desc    Get the consent forms and questionnaires a booking needs, with the full text of unsigned ones
+// @route   GET /api/consent-forms/bookings/:bookingId
+// @access  Private
+router.get('/bookings/:bookingId', protect, async (req, res) => {
+  try {
+    const booking = await loadOwnBooking(req, res, req.params.bookingId);
+    if (!booking) return;
+
+    const forms = (await getBookingForms(booking)).map(form => ({
+      ...describeForm(form),
+      body: form.record ? undefined : form.template.body,
+      questions: form.record ? undefined : form.template.questions
+    }));
+
+    res.json({
+      success: true,
+      message: 'Consent forms retrieved successfully',
+      data: {
+        bookingReference: booking.bookingReference,
+        forms,
+        complete: forms.every(form => form.signed),
+        canSign: SIGNABLE_STATUSES.includes(booking.status)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get consent forms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve consent forms',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Complete and sign a form. The typed name, time, IP address and device are recorded with it.
+// @route   POST /api/consent-forms/bookings/:bookingId/:templateId/sign
+// @access  Private
+router.post('/bookings/:bookingId/:templateId/sign', protect, [
+  body('typedName').trim().isLength({ min: 2, max: 100 }).withMessage('Please type your full name to sign'),
+  body('agreed').equals('true').withMessage('You must agree to the form to sign it'),
+  body('answers').optional().isObject().withMessage('Answers must be an object keyed by question'),
+  body('device').optional().trim().isLength({ max: 200 }).withMessage('Device description cannot exceed 200 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await loadOwnBooking(req, res, req.params.bookingId);
+    if (!booking) return;
+
+    if (!SIGNABLE_STATUSES.includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Forms cannot be signed for a booking that is ${booking.status}`
+      });
+    }
+
+    const template = await ConsentTemplate.findById(req.params.templateId);
+    const applies = template && template.isActive && (
+      (template.treatment && template.treatment.toString() === booking.treatment.toString()) ||
+      (template.category && template.category === booking.treatmentDetails.category)
+    );
+    if (!applies) {
+      return res.status(404).json({
+        success: false,
+        message: 'This form is not required for this booking'
+      });
+    }
+
+    if (await ConsentRecord.exists({ booking: booking._id, template: template._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already signed this form'
+      });
+    }
+
+    const { typedName, answers, device } = req.body;
+    if (!namesMatch(typedName, booking.personalDetails.fullName)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please type your name exactly as it appears on the booking (${booking.personalDetails.fullName})`
+      });
+    }
+
+    const { responses, error } = buildResponses(template, answers);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const record = await ConsentRecord.create({
+      booking: booking._id,
+      bookingReference: booking.bookingReference,
+      user: booking.user,
+      template: template._id,
+      templateVersion: template.version,
+      kind: template.kind,
+      title: template.title,
+      body: template.body,
+      responses,
+      signature: {
+        typedName: typedName.trim(),
+        signedAt: new Date(),
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        device
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${template.title} signed successfully`,
+      data: {
+        form: describeForm({ template, record }),
+        record
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already signed this form'
+      });
+    }
+    console.error('Sign consent form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign consent form',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a form the customer signed (JSON, or PDF with ?format=pdf)
+// @route   GET /api/consent-forms/records/:id
+// @access  Private
+router.get('/records/:id', protect, async (req, res) => {
+  try {
+    const record = await ConsentRecord.findById(req.params.id);
+    if (!record || record.user.toString() !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent form not found'
+      });
+    }
+
+    const booking = await Booking.findById(record.booking);
+    await sendRecord(req, res, record, booking);
+
+  } catch (error) {
+    console.error('Get consent record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve consent form',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    See which forms a patient has signed for a booking
+// @route   GET /api/consent-forms/desk/bookings/:bookingId
+// @access  Private/Receptionist
+router.get('/desk/bookings/:bookingId', deskProtect, async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const forms = await getBookingForms(booking);
+
+    res.json({
+      success: true,
+      message: 'Consent forms retrieved successfully',
+      data: {
+        bookingReference: booking.bookingReference,
+        patientName: booking.personalDetails.fullName,
+        forms: forms.map(describeForm),
+        complete: forms.every(form => form.record)
+      }
+    });
+
+  } catch (error) {
+    console.error('Desk consent forms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve consent forms',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    View or print a signed form (JSON, or PDF with ?format=pdf)
+// @route   GET /api/consent-forms/desk/records/:id
+// @access  Private/Receptionist
+router.get('/desk/records/:id', deskProtect, async (req, res) => {
+  try {
+    const record = await ConsentRecord.findById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consent form not found'
+      });
+    }
+
+    const booking = await Booking.findById(record.booking);
+    await sendRecord(req, res, record, booking);
+
+  } catch (error) {
+    console.error('Desk consent record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve consent form',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,327 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const Visit = require('../models/Visit');
+const Location = require('../models/Location');
+const { deskProtect } = require('../middleware/auth');
+const { DEFAULT_TIMEZONE, toDateKey, startOfDay, endOfDay, getAppointmentStart } = require('../utils/clinicTime');
+const { verifyBookingToken } = require('../utils/bookingToken');
+const { getCheckInWindow, buildFrontDeskRecord, checkInBooking, checkInVisit } = require('../utils/checkIn');
+const { getStatusActor } = require('../utils/bookingStatus');
+const { getOutstandingForms, describeOutstanding } = require('../utils/consentForms');
+
+const router = express.Router();
+
+// Whether the desk can check this booking (or its visit) in right now, and whether it needs an override.
+// Outside the usual window the desk may still check in on the appointment day with a reason.
+// Unsigned consent forms always block check-in; the patient signs them on their phone first.
+const getDeskCheckInStatus = (booking, visit, outstandingForms, now = new Date()) => {
+  const subject = visit || booking;
+  const timeZone = booking.timeZone || DEFAULT_TIMEZONE;
+  const window = getCheckInWindow(visit ? visit.appointmentDate : getAppointmentStart(booking), now);
+
+  let reason = null;
+  if (!['confirmed', 'rescheduled'].includes(subject.status)) {
+    reason = `${visit ? 'Visit' : 'Booking'} is ${subject.status}`;
+  } else if (subject.checkedIn) {
+    reason = 'Patient is already checked in';
+  } else if (booking.approval && booking.approval.required && booking.approval.status !== 'approved') {
+    reason = 'Booking is waiting for clinic approval';
+  } else if (outstandingForms.length > 0) {
+    reason = describeOutstanding(outstandingForms);
+  } else if (toDateKey(window.startsAt, timeZone) !== toDateKey(now, timeZone)) {
+    reason = `Appointment is on ${toDateKey(window.startsAt, timeZone)}, not today`;
+  }
+
+  return {
+    allowed: !reason,
+    reason,
+    requiresOverride: !reason && !window.isOpen,
+    window: {
+      opensAt: window.opensAt,
+      closesAt: window.closesAt,
+      isOpen: window.isOpen,
+      minutesFromStart: window.minutesFromStart
+    }
+  };
+};
+
+// What the receptionist sees after a scan or reference lookup
+const describeForDesk = (booking, visit, visitBookings, outstandingForms, now) => ({
+  booking: {
+    _id: booking._id,
+    bookingReference: booking.bookingReference,
+    status: booking.status,
+    appointmentDate: booking.appointmentDate,
+    appointmentTime: booking.appointmentTime,
+    location: booking.location,
+    treatment: booking.treatmentDetails,
+    specialRequests: booking.specialRequests,
+    paymentMethod: booking.paymentMethod,
+    paymentStatus: booking.paymentStatus,
+    deposit: booking.deposit,
+    checkedIn: booking.checkedIn,
+    checkInTime: booking.checkInTime
+  },
+  patient: {
+    userId: booking.user,
+    fullName: booking.personalDetails.fullName,
+    mobileNumber: booking.personalDetails.mobileNumber,
+    email: booking.personalDetails.email
+  },
+  visit: visit ? {
+    _id: visit._id,
+    visitReference: visit.visitReference,
+    startTime: visit.startTime,
+    endTime: visit.endTime,
+    status: visit.status,
+    itinerary: visitBookings.map(item => ({
+      sequence: item.visitSequence,
+      bookingReference: item.bookingReference,
+      treatmentName: item.treatmentDetails.name,
+      appointmentTime: item.appointmentTime,
+      status: item.status
+    }))
+  } : null,
+  consentForms: {
+    complete: outstandingForms.length === 0,
+    outstanding: outstandingForms
+  },
+  checkIn: getDeskCheckInStatus(booking, visit, outstandingForms, now)
+});
+
+const loadVisitFor = async (booking) => {
+  if (!booking.visit) {
+    return { visit: null, visitBookings: [] };
+  }
+  const visit = await Visit.findById(booking.visit);
+  const visitBookings = await Booking.find({ visit: booking.visit }).sort({ visitSequence: 1 });
+  return { visit, visitBookings };
+};
+
+// Consent forms still unsigned for the booking, or for every treatment in its visit
+const loadOutstandingForms = (booking, visitBookings) => {
+  return getOutstandingForms(booking.visit ? visitBookings : [booking]);
+};
+
+// @desc    Find a booking from a scanned slip QR code or a typed booking reference
+// @route   POST /api/front-desk/lookup
+// @access  Private/Receptionist
+router.post('/lookup', deskProtect, [
+  body('token').optional().isString().withMessage('Token must be a string'),
+  body('bookingReference').optional().trim().isLength({ min: 4, max: 30 }).withMessage('Please provide a valid booking reference')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, bookingReference } = req.body;
+    if (!token && !bookingReference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scan a QR code or enter a booking reference'
+      });
+    }
+
+    let booking;
+    if (token) {
+      let payload;
+      try {
+        payload = verifyBookingToken(token);
+      } catch (tokenError) {
+        return res.status(400).json({
+          success: false,
+          message: 'This QR code is not valid or has expired. Please enter the booking reference instead.'
+        });
+      }
+      booking = await Booking.findById(payload.bookingId);
+      if (booking && booking.bookingReference !== payload.bookingReference) {
+        booking = null;
+      }
+    } else {
+      booking = await Booking.findOne({ bookingReference: bookingReference.toUpperCase() });
+    }
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const { visit, visitBookings } = await loadVisitFor(booking);
+    const outstandingForms = await loadOutstandingForms(booking, visitBookings);
+
+    res.json({
+      success: true,
+      message: 'Booking found',
+      data: describeForDesk(booking, visit, visitBookings, outstandingForms, new Date())
+    });
+
+  } catch (error) {
+    console.error('Front desk lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up booking',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Check a patient in on their behalf. Bookings that are part of a visit check in the whole visit.
+// @route   POST /api/front-desk/bookings/:id/checkin
+// @access  Private/Receptionist
+router.post('/bookings/:id/checkin', deskProtect, [
+  body('method').optional().isIn(['qr', 'reference']).withMessage('Method must be qr or reference'),
+  body('overrideReason').optional().trim().isLength({ min: 3, max: 500 }).withMessage('Override reason must be between 3-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const now = new Date();
+    const { visit, visitBookings } = await loadVisitFor(booking);
+    const outstandingForms = await loadOutstandingForms(booking, visitBookings);
+    const status = getDeskCheckInStatus(booking, visit, outstandingForms, now);
+
+    if (!status.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: status.reason,
+        data: { checkIn: status, outstandingForms }
+      });
+    }
+
+    const { overrideReason } = req.body;
+    if (status.requiresOverride && !overrideReason) {
+      return res.status(400).json({
+        success: false,
+        message: 'The patient is outside the check-in window (15 minutes before to 1 hour after the appointment). Please give a reason to check them in anyway.',
+        data: { checkIn: status }
+      });
+    }
+
+    const frontDesk = buildFrontDeskRecord({
+      deskUser: req.userDoc,
+      method: req.body.method || 'reference',
+      window: status.window,
+      overrideReason
+    });
+
+    const actor = getStatusActor(req);
+    const { otpSent } = visit
+      ? await checkInVisit(visit, { now, frontDesk, actor })
+      : await checkInBooking(booking, { now, frontDesk, actor });
+
+    const updated = await Booking.findById(booking._id);
+    const refreshed = await loadVisitFor(updated);
+
+    // The checkout OTP goes to the patient only, so it is not returned to the desk
+    res.json({
+      success: true,
+      message: `${booking.personalDetails.fullName} checked in successfully${otpSent ? '. Checkout code sent to their email.' : ''}`,
+      data: {
+        ...describeForDesk(updated, refreshed.visit, refreshed.visitBookings, [], now),
+        frontDeskCheckIn: frontDesk,
+        otpSent
+      }
+    });
+
+  } catch (error) {
+    console.error('Front desk check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a location's appointments for the day with their check-in status
+// @route   GET /api/front-desk/arrivals
+// @access  Private/Receptionist
+router.get('/arrivals', deskProtect, [
+  query('location').isIn(Location.LOCATION_NAMES).withMessage('Please select a valid location'),
+  query('date').optional().isISO8601().withMessage('Please provide a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { timezone } = await Location.getConfig(req.query.location);
+    const dateKey = req.query.date ? req.query.date.split('T')[0] : toDateKey(new Date(), timezone);
+
+    const bookings = await Booking.find({
+      location: req.query.location,
+      appointmentDate: { $gte: startOfDay(dateKey, timezone), $lte: endOfDay(dateKey, timezone) },
+      status: { $in: ['confirmed', 'rescheduled', 'in-progress', 'completed', 'no-show'] }
+    }).sort({ appointmentTime: 1 });
+
+    const arrivals = bookings.map(booking => ({
+      _id: booking._id,
+      bookingReference: booking.bookingReference,
+      visit: booking.visit,
+      visitSequence: booking.visitSequence,
+      patientName: booking.personalDetails.fullName,
+      mobileNumber: booking.personalDetails.mobileNumber,
+      treatmentName: booking.treatmentDetails.name,
+      appointmentTime: booking.appointmentTime,
+      status: booking.status,
+      checkedIn: booking.checkedIn,
+      checkInTime: booking.checkInTime,
+      checkedInAtDesk: Boolean(booking.frontDeskCheckIn && booking.frontDeskCheckIn.deskUser),
+      awaitingApproval: Boolean(booking.approval && booking.approval.required && booking.approval.status !== 'approved')
+    }));
+
+    res.json({
+      success: true,
+      message: 'Arrivals retrieved successfully',
+      data: {
+        date: dateKey,
+        location: req.query.location,
+        arrivals,
+        summary: {
+          total: arrivals.length,
+          checkedIn: arrivals.filter(arrival => arrival.checkedIn).length,
+          waiting: arrivals.filter(arrival => !arrival.checkedIn && ['confirmed', 'rescheduled'].includes(arrival.status)).length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Front desk arrivals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve arrivals',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,94 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const { protect } = require('../middleware/auth');
+const { wantsPdf } = require('../utils/appointmentSlip');
+const { renderInvoicePdf } = require('../utils/invoicing');
+
+const router = express.Router();
+
+// @desc    List the current user's invoices and credit notes
+// @route   GET /api/invoices
+// @access  Private
+router.get('/', protect, [
+  query('type').optional().isIn(Invoice.DOCUMENT_TYPES).withMessage('Type must be invoice or credit-note'),
+  query('bookingId').optional().isMongoId().withMessage('Invalid booking ID'),
+  query('orderId').optional().isMongoId().withMessage('Invalid order ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { user: req.user.userId };
+    if (req.query.type) filter.type = req.query.type;
+    if (req.query.bookingId) filter['source.booking'] = req.query.bookingId;
+    if (req.query.orderId) filter['source.medicineOrder'] = req.query.orderId;
+
+    const invoices = await Invoice.find(filter)
+      .select('type invoiceNumber issuedAt location source totals originalInvoiceNumber reason')
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Invoices retrieved successfully',
+      data: { invoices }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve invoices',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get or download an invoice or credit note (JSON, or PDF with ?format=pdf or Accept: application/pdf)
+// @route   GET /api/invoices/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const invoice = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await Invoice.findOne({ _id: req.params.id, user: req.user.userId })
+      : null;
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (wantsPdf(req)) {
+      const pdf = await renderInvoicePdf(invoice);
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="Zennara-${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    }
+
+    res.json({
+      success: true,
+      message: 'Invoice retrieved successfully',
+      data: { invoice }
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
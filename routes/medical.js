@@ -0,0 +1,323 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const MedicalProfile = require('../models/MedicalProfile');
+const User = require('../models/User');
+const Booking = require('../models/Booking');
+const MedicineOrder = require('../models/MedicineOrder');
+const Treatment = require('../models/Treatment');
+const Medicine = require('../models/Medicine');
+const { protect, clinicianProtect } = require('../middleware/auth');
+const { screenTreatments, screenMedicines } = require('../utils/medicalScreening');
+
+const router = express.Router();
+
+const PROFILE_FIELDS = ['allergies', 'pregnancyStatus', 'medications', 'skinConditions', 'medicalConditions', 'notes'];
+
+// Record a clinician's acknowledgement on a flag of a booking or order, replying with 404 if the flag is missing
+const acknowledgeFlag = async (req, res, doc, label) => {
+  const flag = doc.medicalFlags.id(req.params.flagId);
+  if (!flag) {
+    return res.status(404).json({
+      success: false,
+      message: 'Medical flag not found'
+    });
+  }
+
+  if (flag.acknowledged) {
+    return res.status(400).json({
+      success: false,
+      message: `This flag was already acknowledged by ${flag.acknowledgedBy.name}`
+    });
+  }
+
+  flag.acknowledged = true;
+  flag.acknowledgedBy = { user: req.userDoc._id, name: req.userDoc.fullName };
+  flag.acknowledgedAt = new Date();
+  flag.acknowledgementNote = req.body.note;
+  await doc.save();
+
+  res.json({
+    success: true,
+    message: `Medical flag on ${label} acknowledged`,
+    data: {
+      flag,
+      openFlags: doc.medicalFlags.filter(item => !item.acknowledged).length
+    }
+  });
+};
+
+const acknowledgeValidators = [
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+];
+
+// @desc    Get the current user's medical profile
+// @route   GET /api/medical/profile
+// @access  Private
+router.get('/profile', protect, async (req, res) => {
+  try {
+    const profile = await MedicalProfile.findOne({ user: req.user.userId });
+
+    res.json({
+      success: true,
+      message: profile ? 'Medical profile retrieved successfully' : 'No medical profile yet',
+      data: { profile }
+    });
+
+  } catch (error) {
+    console.error('Get medical profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve medical profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Create or update the current user's medical profile
+// @route   PUT /api/medical/profile
+// @access  Private
+router.put('/profile', protect, [
+  body('allergies').optional().isArray({ max: 50 }).withMessage('Allergies must be a list'),
+  body('allergies.*.substance').trim().isLength({ min: 2, max: 100 }).withMessage('Each allergy needs a substance'),
+  body('allergies.*.severity').optional().isIn(['mild', 'moderate', 'severe']).withMessage('Allergy severity must be mild, moderate or severe'),
+  body('pregnancyStatus').optional().isIn(MedicalProfile.PREGNANCY_STATUSES).withMessage('Please select a valid pregnancy status'),
+  body('medications').optional().isArray({ max: 50 }).withMessage('Medications must be a list'),
+  body('medications.*.name').trim().isLength({ min: 2, max: 100 }).withMessage('Each medication needs a name'),
+  body('medications.*.startedOn').optional().isISO8601().withMessage('Please provide a valid start date'),
+  body('skinConditions').optional().isArray({ max: 50 }).withMessage('Skin conditions must be a list'),
+  body('medicalConditions').optional().isArray({ max: 50 }).withMessage('Medical conditions must be a list'),
+  body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const profile = await MedicalProfile.findOne({ user: req.user.userId }) ||
+      new MedicalProfile({ user: req.user.userId });
+
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) profile[field] = req.body[field];
+    });
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: 'Medical profile saved successfully',
+      data: { profile }
+    });
+
+  } catch (error) {
+    console.error('Update medical profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save medical profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Check treatments or medicines against the current user's profile before booking or ordering
+// @route   POST /api/medical/check
+// @access  Private
+router.post('/check', protect, [
+  body('treatmentIds').optional().isArray({ max: 10 }).withMessage('treatmentIds must be a list'),
+  body('treatmentIds.*').isMongoId().withMessage('Invalid treatment ID'),
+  body('medicineIds').optional().isArray({ max: 50 }).withMessage('medicineIds must be a list'),
+  body('medicineIds.*').isMongoId().withMessage('Invalid medicine ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const treatments = await Treatment.find({ _id: { $in: req.body.treatmentIds || [] } });
+    const medicines = await Medicine.find({ _id: { $in: req.body.medicineIds || [] } });
+
+    const treatmentScreening = await screenTreatments(req.user.userId, treatments);
+    const medicineScreening = await screenMedicines(req.user.userId, medicines);
+    const blocking = [...treatmentScreening.blocking, ...medicineScreening.blocking];
+    const warnings = [...treatmentScreening.warnings, ...medicineScreening.warnings];
+
+    res.json({
+      success: true,
+      message: blocking.length > 0
+        ? 'Some items are not suitable for you'
+        : warnings.length > 0 ? 'Some items need a clinician to review them' : 'No conflicts found',
+      data: { blocking, warnings }
+    });
+
+  } catch (error) {
+    console.error('Medical check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check medical profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a patient's medical profile
+// @route   GET /api/medical/patients/:userId
+// @access  Private/Clinician
+router.get('/patients/:userId', clinicianProtect, async (req, res) => {
+  try {
+    const patient = await User.findById(req.params.userId).select('fullName email phoneNumber dateOfBirth gender');
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+
+    const profile = await MedicalProfile.findOne({ user: patient._id });
+
+    res.json({
+      success: true,
+      message: 'Medical profile retrieved successfully',
+      data: { patient, profile }
+    });
+
+  } catch (error) {
+    console.error('Clinician medical profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve medical profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    List upcoming bookings and open medicine orders with medical flags awaiting review
+// @route   GET /api/medical/flags
+// @access  Private/Clinician
+router.get('/flags', clinicianProtect, [
+  query('location').optional().isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Please select a valid location'),
+  query('includeAcknowledged').optional().isBoolean().withMessage('includeAcknowledged must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const flagFilter = req.query.includeAcknowledged === 'true'
+      ? { 'medicalFlags.0': { $exists: true } }
+      : { medicalFlags: { $elemMatch: { acknowledged: false } } };
+    const locationFilter = req.query.location ? { location: req.query.location } : {};
+
+    const bookings = await Booking.find({
+      ...flagFilter,
+      ...locationFilter,
+      status: { $in: ['confirmed', 'rescheduled', 'in-progress'] }
+    })
+      .select('bookingReference user personalDetails.fullName treatmentDetails.name location appointmentDate appointmentTime status medicalFlags')
+      .sort({ appointmentDate: 1 });
+
+    const orders = await MedicineOrder.find({
+      ...flagFilter,
+      ...locationFilter,
+      orderStatus: { $in: ['placed', 'confirmed', 'preparing'] }
+    })
+      .select('orderNumber userId customerDetails.fullName location orderStatus medicalFlags createdAt')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      message: 'Medical flags retrieved successfully',
+      data: { bookings, orders }
+    });
+
+  } catch (error) {
+    console.error('Get medical flags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve medical flags',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Acknowledge a medical flag on a booking after reviewing it with the patient
+// @route   PATCH /api/medical/bookings/:id/flags/:flagId/acknowledge
+// @access  Private/Clinician
+router.patch('/bookings/:id/flags/:flagId/acknowledge', clinicianProtect, acknowledgeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    await acknowledgeFlag(req, res, booking, `booking ${booking.bookingReference}`);
+
+  } catch (error) {
+    console.error('Acknowledge booking flag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge medical flag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Acknowledge a medical flag on a medicine order
+// @route   PATCH /api/medical/medicine-orders/:id/flags/:flagId/acknowledge
+// @access  Private/Clinician
+router.patch('/medicine-orders/:id/flags/:flagId/acknowledge', clinicianProtect, acknowledgeValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await MedicineOrder.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await acknowledgeFlag(req, res, order, `order ${order.orderNumber}`);
+
+  } catch (error) {
+    console.error('Acknowledge order flag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to acknowledge medical flag',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
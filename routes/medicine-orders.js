@@ -2,7 +2,14 @@ const express = require('express');
 const router = express.Router();
 const MedicineOrder = require('../models/MedicineOrder');
 const Medicine = require('../models/Medicine');
+const Booking = require('../models/Booking');
 const { protect: auth } = require('../middleware/auth');
+const { verifyPrescriptionSignature } = require('../utils/prescription');
+const { screenMedicines, rejectForMedicalReasons } = require('../utils/medicalScreening');
+const { ONLINE_PAYMENT_METHODS, createPayment, describePayment } = require('../utils/payments');
+const { refundOrderStatusChange, describeRefund } = require('../utils/refunds');
+const { holdWallet, debitWallet, releaseHold, creditWallet } = require('../utils/wallet');
+const { roundMoney } = require('../utils/pricing');
 
 // Create new medicine order
 router.post('/', auth, async (req, res) => {
@@ -13,11 +20,13 @@ router.post('/', auth, async (req, res) => {
       deliveryAddress,
       paymentMethod,
       location,
-      hasZenMembership = false,
       notes,
-      totalAmount: frontendTotalAmount
+      prescriptionBookingId
     } = req.body;
 
+    // Prices and the amount charged online come from the server, never from the app
+    const hasZenMembership = Boolean(req.userDoc.hasZenMembership);
+
     // Validate required fields
     if (!medicines || !medicines.length) {
       return res.status(400).json({
@@ -57,6 +66,8 @@ router.post('/', auth, async (req, res) => {
     // Validate medicines and calculate totals
     let subtotal = 0;
     const orderMedicines = [];
+    const orderedMedicines = [];
+    const prescriptionOnly = [];
 
     for (const item of medicines) {
       const medicine = await Medicine.findById(item.medicineId);
@@ -87,22 +98,65 @@ router.post('/', auth, async (req, res) => {
       });
 
       subtotal += totalPrice;
+      orderedMedicines.push(medicine);
+      if (medicine.prescriptionRequired) {
+        prescriptionOnly.push(medicine._id.toString());
+      }
     }
 
-    // Use frontend total amount if provided, otherwise calculate backend total
-    let totalAmount, deliveryCharges, zenDiscount;
-    
-    if (frontendTotalAmount) {
-      // Use frontend calculated total amount
-      totalAmount = frontendTotalAmount;
-      // Calculate individual components for display purposes
-      deliveryCharges = (hasZenMembership || subtotal >= 500) ? 0 : 100;
-      zenDiscount = hasZenMembership ? Math.round(subtotal * 0.1) : 0;
-    } else {
-      // Fallback to backend calculation
-      deliveryCharges = (hasZenMembership || subtotal >= 500) ? 0 : 100;
-      zenDiscount = hasZenMembership ? Math.round(subtotal * 0.1) : 0;
-      totalAmount = subtotal + deliveryCharges - zenDiscount;
+    // Allergies and age limits stop the order; other conflicts are kept on it for a clinician to review
+    const screening = await screenMedicines(req.user.userId, orderedMedicines);
+    if (screening.blocking.length > 0) {
+      return rejectForMedicalReasons(res, screening.blocking, 'order');
+    }
+
+    // Orders placed from an e-prescription count as verified when the signed prescription
+    // covers every prescription-only medicine in the order
+    const prescriptionDetails = { required: prescriptionOnly.length > 0 };
+    if (prescriptionBookingId) {
+      const booking = await Booking.findById(prescriptionBookingId);
+      if (!booking || booking.user.toString() !== req.user.userId || booking.status !== 'completed' ||
+          !verifyPrescriptionSignature(booking, booking.prescription.signature)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Prescription not found or no longer valid'
+        });
+      }
+
+      const prescribed = booking.prescription.medications
+        .filter(item => item.medicine)
+        .map(item => item.medicine.toString());
+      const covered = prescriptionOnly.every(medicineId => prescribed.includes(medicineId));
+
+      prescriptionDetails.uploaded = true;
+      prescriptionDetails.booking = booking._id;
+      prescriptionDetails.prescriptionNumber = booking.prescription.prescriptionNumber;
+      if (covered) {
+        prescriptionDetails.verifiedBy = `${booking.prescription.prescribedBy.name} (e-prescription)`;
+        prescriptionDetails.verifiedAt = new Date();
+      }
+    }
+
+    const deliveryCharges = (hasZenMembership || subtotal >= 500) ? 0 : 100;
+    const zenDiscount = hasZenMembership ? Math.round(subtotal * 0.1) : 0;
+    const totalAmount = subtotal + deliveryCharges - zenDiscount;
+
+    // Part or all of the total can be paid from the wallet; paying by wallet alone pays all of it
+    const method = paymentMethod.toLowerCase() === 'cod' ? 'COD' : paymentMethod.toLowerCase();
+    const walletAmount = req.body.walletAmount !== undefined
+      ? roundMoney(parseFloat(req.body.walletAmount))
+      : (method === 'wallet' ? totalAmount : 0);
+    if (isNaN(walletAmount) || walletAmount < 0 || walletAmount > totalAmount) {
+      return res.status(400).json({
+        success: false,
+        message: `The wallet amount must be between ₹0 and the ₹${totalAmount} total`
+      });
+    }
+    if (method === 'wallet' && walletAmount < totalAmount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a payment method for the rest of the total'
+      });
     }
 
     // Generate order number
@@ -124,19 +178,60 @@ router.post('/', auth, async (req, res) => {
         totalAmount
       },
       paymentDetails: {
-        method: paymentMethod.toLowerCase() === 'cod' ? 'COD' : paymentMethod.toLowerCase(),
+        method,
         status: 'pending'
       },
       hasZenMembership,
       location,
       notes,
+      prescriptionDetails,
+      medicalFlags: screening.warnings,
       deliveryDetails: {}
     });
 
     // Calculate estimated delivery date
     order.calculateEstimatedDelivery();
 
-    await order.save();
+    // Take the wallet part before the order is saved. When the rest is paid online it is only
+    // held, and spent once that payment goes through.
+    let walletEntry = null;
+    if (walletAmount > 0) {
+      const paysRestOnline = ONLINE_PAYMENT_METHODS.includes(method) && walletAmount < totalAmount;
+      const walletOptions = { source: 'medicine-order', medicineOrder: order._id, description: `Order ${orderNumber}` };
+      walletEntry = paysRestOnline
+        ? await holdWallet(req.user.userId, walletAmount, walletOptions)
+        : await debitWallet(req.user.userId, walletAmount, walletOptions);
+      if (!walletEntry) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your wallet balance is not enough'
+        });
+      }
+
+      order.paymentDetails.walletAmount = walletAmount;
+      order.paymentDetails.walletEntry = walletEntry._id;
+      order.paymentDetails.walletStatus = paysRestOnline ? 'held' : 'debited';
+      if (walletAmount >= totalAmount) {
+        order.paymentDetails.method = 'wallet';
+        order.paymentDetails.status = 'completed';
+        order.paymentDetails.paidAt = new Date();
+      }
+    }
+
+    try {
+      await order.save();
+    } catch (saveError) {
+      // Give the wallet money back to the customer
+      if (walletEntry) {
+        const walletOptions = { source: 'medicine-order', medicineOrder: order._id, description: `Order ${orderNumber} not placed` };
+        if (order.paymentDetails.walletStatus === 'held') {
+          await releaseHold(req.user.userId, walletEntry._id, walletOptions);
+        } else {
+          await creditWallet(req.user.userId, walletAmount, walletOptions);
+        }
+      }
+      throw saveError;
+    }
 
     // Update medicine stock quantities
     for (const item of medicines) {
@@ -146,13 +241,34 @@ router.post('/', auth, async (req, res) => {
       );
     }
 
+    // UPI and card orders are paid through the gateway; the order is marked paid by its webhook.
+    // If the gateway is unavailable the app can retry with POST /api/payments/intents.
+    let payment = null;
+    if (ONLINE_PAYMENT_METHODS.includes(order.paymentDetails.method)) {
+      try {
+        payment = await createPayment({
+          user: req.user.userId,
+          purpose: 'medicine-order',
+          amount: roundMoney(totalAmount - walletAmount),
+          receipt: orderNumber,
+          medicineOrder: order._id
+        });
+      } catch (paymentError) {
+        console.error('Failed to open payment for medicine order:', paymentError);
+      }
+    }
+
     // Populate order for response
     await order.populate('medicines.medicineId', 'name image category');
 
     res.status(201).json({
       success: true,
       message: 'Order placed successfully',
-      data: { order }
+      data: {
+        order,
+        payment: payment ? describePayment(payment) : undefined,
+        medicalWarnings: screening.warnings.length > 0 ? screening.warnings : undefined
+      }
     });
 
   } catch (error) {
@@ -276,8 +392,9 @@ router.patch('/:orderId/status', auth, async (req, res) => {
       });
     }
 
-    // Check permissions (user can only cancel their own orders)
-    if (!req.user.isAdmin && order.userId.toString() !== req.user.userId) {
+    // Customers can only cancel their own orders; the clinic moves orders through fulfilment
+    // and returns from the admin panel
+    if (order.userId.toString() !== req.user.userId || status !== 'cancelled') {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -285,8 +402,7 @@ router.patch('/:orderId/status', auth, async (req, res) => {
     }
 
     // Users can only cancel orders that are not yet delivered
-    if (!req.user.isAdmin && status === 'cancelled' && 
-        !['placed', 'confirmed', 'preparing'].includes(order.orderStatus)) {
+    if (!['placed', 'confirmed', 'preparing'].includes(order.orderStatus)) {
       return res.status(400).json({
         success: false,
         message: 'Cannot cancel order at this stage'
@@ -301,6 +417,7 @@ router.patch('/:orderId/status', auth, async (req, res) => {
     }
 
     await order.save();
+    await refundOrderStatusChange(order);
 
     res.json({
       success: true,
@@ -361,10 +478,16 @@ router.patch('/:orderId/cancel', auth, async (req, res) => {
       );
     }
 
+    // Anything already paid goes back under the cancellation policy
+    const refund = await refundOrderStatusChange(order);
+
     res.json({
       success: true,
       message: 'Order cancelled successfully',
-      data: { order }
+      data: {
+        order,
+        refund: refund ? describeRefund(refund) : undefined
+      }
     });
 
   } catch (error) {
@@ -3,6 +3,7 @@ const router = express.Router();
 const ZenMembership = require('../models/ZenMembership');
 const User = require('../models/User');
 const { protect: auth } = require('../middleware/auth');
+const { createPayment, findOpenPayment, describePayment } = require('../utils/payments');
 
 // Get membership pricing
 router.get('/pricing', async (req, res) => {
@@ -80,19 +81,11 @@ router.get('/status', auth, async (req, res) => {
 });
 
 // Purchase membership
+// Opens a gateway payment; the membership is activated when the provider confirms the payment
 router.post('/purchase', auth, async (req, res) => {
   try {
-    const { paymentMethod, transactionId, membershipType = 'lifetime' } = req.body;
-
-    if (!paymentMethod || !transactionId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment method and transaction ID are required'
-      });
-    }
-
     // Check if user already has active membership
-    let membership = await ZenMembership.findOne({ userId: req.user.userId });
+    const membership = await ZenMembership.findOne({ userId: req.user.userId });
     
     if (membership && membership.isCurrentlyActive) {
       return res.status(400).json({
@@ -103,61 +96,23 @@ router.post('/purchase', auth, async (req, res) => {
 
     const pricing = ZenMembership.getPricing();
     const selectedPlan = pricing.lifetime;
-    
-    if (membership) {
-      // Activate existing membership record
-      await membership.activateLifetimeMembership();
-      
-      // Add to purchase history
-      membership.purchaseHistory.push({
+
+    // Carry on with an unfinished checkout rather than opening a second payment
+    const payment = await findOpenPayment({ user: req.user.userId, purpose: 'membership', amount: selectedPlan.price }) ||
+      await createPayment({
+        user: req.user.userId,
+        purpose: 'membership',
         amount: selectedPlan.price,
-        transactionId,
-        paymentMethod,
-        status: 'success'
-      });
-      
-      await membership.save();
-    } else {
-      // Create new lifetime membership
-      membership = new ZenMembership({
-        userId: req.user.userId,
-        membershipType: 'zen',
-        startDate: new Date(),
-        endDate: null, // Lifetime membership
-        isActive: true,
-        status: 'active',
-        price: selectedPlan.price,
-        paymentMethod,
-        transactionId,
-        purchaseHistory: [{
-          amount: selectedPlan.price,
-          transactionId,
-          paymentMethod,
-          status: 'success'
-        }]
+        receipt: `zen-${req.user.userId}`
       });
-      
-      await membership.save();
-    }
-
-    // Update user's membership status
-    await User.findByIdAndUpdate(req.user.userId, {
-      hasZenMembership: true,
-      membershipType: 'zen'
-    });
 
-    // TODO: Send confirmation email (email service not implemented yet)
-    console.log(`Zen Membership purchased successfully for user ${req.userDoc.fullName} (${req.userDoc.email})`);
-    console.log(`Transaction ID: ${transactionId}, Amount: ₹${selectedPlan.price}`);
+    console.log(`Zen Membership payment ${payment._id} opened for user ${req.userDoc.fullName} (${req.userDoc.email}), Amount: ₹${selectedPlan.price}`);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Zen Membership purchased successfully! Welcome to the Zen family.',
+      message: 'Complete the payment to activate your Zen Membership',
       data: {
-        membershipId: membership._id,
-        startDate: membership.startDate,
-        endDate: membership.endDate,
-        benefits: membership.benefits,
+        payment: describePayment(payment),
         isLifetime: true
       }
     });
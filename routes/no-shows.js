@@ -0,0 +1,279 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const NoShowStrike = require('../models/NoShowStrike');
+const { protect, adminPanelProtect } = require('../middleware/auth');
+const { getBookingRestriction } = require('../utils/noShows');
+const { offerCancelledBooking } = require('../utils/waitlist');
+const { getStatusActor } = require('../utils/bookingStatus');
+const { sendBookingConfirmationEmail, sendAppointmentCancelledEmail } = require('../utils/emailService');
+
+const router = express.Router();
+
+// @desc    Get the current user's no-show history and what it means for new bookings
+// @route   GET /api/no-shows/my-history
+// @access  Private
+router.get('/my-history', protect, async (req, res) => {
+  try {
+    const strikes = await NoShowStrike.find({ user: req.user.userId })
+      .sort({ markedAt: -1 });
+
+    const restriction = await getBookingRestriction(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'No-show history retrieved successfully',
+      data: {
+        strikes,
+        restriction
+      }
+    });
+
+  } catch (error) {
+    console.error('Get no-show history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve no-show history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ============= ADMIN ROUTES =============
+
+// @desc    Get no-show strikes (Admin only)
+// @route   GET /api/no-shows/admin/strikes
+// @access  Private/Admin
+router.get('/admin/strikes', adminPanelProtect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { userId, location, forgiven } = req.query;
+
+    let query = {};
+    if (userId) query.user = userId;
+    if (location) query.location = location;
+    if (forgiven !== undefined) query.forgiven = forgiven === 'true';
+
+    const strikes = await NoShowStrike.find(query)
+      .sort({ markedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'fullName email phoneNumber');
+
+    const total = await NoShowStrike.countDocuments(query);
+
+    res.json({
+      success: true,
+      message: 'No-show strikes retrieved successfully',
+      data: {
+        strikes,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalStrikes: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get no-show strikes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve no-show strikes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a customer's no-show history and booking restriction (Admin only)
+// @route   GET /api/no-shows/admin/users/:userId
+// @access  Private/Admin
+router.get('/admin/users/:userId', adminPanelProtect, async (req, res) => {
+  try {
+    const strikes = await NoShowStrike.find({ user: req.params.userId })
+      .sort({ markedAt: -1 });
+
+    const restriction = await getBookingRestriction(req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'No-show history retrieved successfully',
+      data: {
+        strikes,
+        restriction
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get user no-show history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve no-show history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Forgive a no-show strike (Admin only)
+// @route   PATCH /api/no-shows/admin/strikes/:id/forgive
+// @access  Private/Admin
+router.patch('/admin/strikes/:id/forgive', adminPanelProtect, [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3-500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const strike = await NoShowStrike.findById(req.params.id);
+    if (!strike) {
+      return res.status(404).json({
+        success: false,
+        message: 'Strike not found'
+      });
+    }
+
+    if (strike.forgiven) {
+      return res.status(400).json({
+        success: false,
+        message: 'Strike has already been forgiven'
+      });
+    }
+
+    await strike.forgive(req.admin.email, req.body.reason);
+    const restriction = await getBookingRestriction(strike.user);
+
+    res.json({
+      success: true,
+      message: 'Strike forgiven successfully',
+      data: {
+        strike,
+        restriction
+      }
+    });
+
+  } catch (error) {
+    console.error('Forgive no-show strike error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to forgive strike',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get bookings waiting for approval (Admin only)
+// @route   GET /api/no-shows/admin/pending-approvals
+// @access  Private/Admin
+router.get('/admin/pending-approvals', adminPanelProtect, async (req, res) => {
+  try {
+    const bookings = await Booking.find({
+      'approval.required': true,
+      'approval.status': 'pending',
+      status: { $in: ['confirmed', 'rescheduled'] }
+    })
+      .sort({ appointmentDate: 1, appointmentTime: 1 })
+      .populate('user', 'fullName email phoneNumber');
+
+    res.json({
+      success: true,
+      message: 'Pending approvals retrieved successfully',
+      data: {
+        bookings
+      }
+    });
+
+  } catch (error) {
+    console.error('Get pending approvals error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve pending approvals',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Approve or reject a booking from a customer with too many no-shows (Admin only)
+// @route   PATCH /api/no-shows/admin/bookings/:id/approval
+// @access  Private/Admin
+router.patch('/admin/bookings/:id/approval', adminPanelProtect, [
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    if (!booking.approval || !booking.approval.required || booking.approval.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is not waiting for approval'
+      });
+    }
+
+    const { decision, note } = req.body;
+    booking.approval.status = decision === 'approve' ? 'approved' : 'rejected';
+    booking.approval.reviewedBy = req.admin.email;
+    booking.approval.reviewedAt = new Date();
+    booking.approval.note = note;
+
+    if (decision === 'approve') {
+      await booking.save();
+    } else {
+      await booking.cancelBooking(note ? `Not approved by the clinic: ${note}` : 'Not approved by the clinic', getStatusActor(req));
+      await offerCancelledBooking(booking);
+    }
+
+    try {
+      if (decision === 'approve') {
+        await sendBookingConfirmationEmail(booking.personalDetails.email, booking);
+      } else {
+        await sendAppointmentCancelledEmail(booking.personalDetails.email, booking);
+      }
+    } catch (emailError) {
+      console.error('Failed to send approval decision email:', emailError);
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'approve' ? 'Booking approved successfully' : 'Booking rejected and cancelled',
+      data: {
+        booking
+      }
+    });
+
+  } catch (error) {
+    console.error('Booking approval error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update booking approval',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Treatment = require('../models/Treatment');
+const PackagePurchase = require('../models/PackagePurchase');
+const { protect } = require('../middleware/auth');
+const { createPayment, findOpenPayment, describePayment } = require('../utils/payments');
+const { getWalletSummary, debitWallet } = require('../utils/wallet');
+
+const router = express.Router();
+
+// @desc    Get packages on sale, optionally for one treatment
+// @route   GET /api/packages
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const query = { isActive: true, 'packages.isActive': true };
+    if (req.query.treatmentId) query._id = req.query.treatmentId;
+
+    const treatments = await Treatment.find(query).select('name category image duration durationDisplay packages');
+
+    const packages = [];
+    treatments.forEach(treatment => {
+      treatment.packages.filter(pkg => pkg.isActive).forEach(pkg => {
+        packages.push({
+          _id: pkg._id,
+          name: pkg.name,
+          description: pkg.description,
+          sessions: pkg.sessions,
+          price: pkg.price,
+          pricePerSession: Math.round((pkg.price / pkg.sessions) * 100) / 100,
+          validityDays: pkg.validityDays,
+          treatment: {
+            _id: treatment._id,
+            name: treatment.name,
+            category: treatment.category,
+            image: treatment.image,
+            durationDisplay: treatment.durationDisplay
+          }
+        });
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Packages retrieved successfully',
+      data: { packages }
+    });
+
+  } catch (error) {
+    console.error('Get packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve packages',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Buy a package. Paid from the wallet, the session credits are added at once; otherwise
+//          once the gateway confirms the payment.
+// @route   POST /api/packages/purchase
+// @access  Private
+router.post('/purchase', protect, [
+  body('treatmentId').isMongoId().withMessage('Valid treatment ID is required'),
+  body('packageId').isMongoId().withMessage('Valid package ID is required'),
+  body('paymentMethod').isIn(['card', 'upi', 'netbanking', 'wallet']).withMessage('Please provide a valid payment method')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { treatmentId, packageId, paymentMethod } = req.body;
+
+    const treatment = await Treatment.findById(treatmentId);
+    if (!treatment || !treatment.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment not found or not available'
+      });
+    }
+
+    const treatmentPackage = treatment.getActivePackage(packageId);
+    if (!treatmentPackage) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found or no longer on sale'
+      });
+    }
+
+    if (paymentMethod === 'wallet') {
+      // Opens the wallet too, which the transaction below could not see if it were created there
+      const wallet = await getWalletSummary(req.user.userId);
+      if (wallet.balance < treatmentPackage.price) {
+        return res.status(400).json({
+          success: false,
+          message: `Your wallet balance of ₹${wallet.balance} is not enough`
+        });
+      }
+
+      // Spend the wallet and add the credits together, so neither happens without the other
+      const purchase = await mongoose.connection.transaction(async (session) => {
+        const debit = await debitWallet(req.user.userId, treatmentPackage.price, {
+          session,
+          source: 'package',
+          description: `${treatmentPackage.name} package`
+        });
+        if (!debit) {
+          return null;
+        }
+        return PackagePurchase.grant({
+          user: req.user.userId,
+          treatment,
+          treatmentPackage,
+          price: treatmentPackage.price,
+          paymentMethod: 'wallet',
+          transactionId: String(debit._id),
+          session
+        });
+      });
+
+      // The balance was spent by a concurrent request
+      if (!purchase) {
+        return res.status(400).json({
+          success: false,
+          message: 'Your wallet balance is not enough'
+        });
+      }
+
+      console.log(`Package purchased from wallet: ${treatmentPackage.name} for user ${req.userDoc.email}`);
+
+      return res.status(201).json({
+        success: true,
+        message: `${treatmentPackage.sessions} sessions of ${treatment.name} added to your account`,
+        data: { purchase }
+      });
+    }
+
+    // Carry on with an unfinished checkout for the same package rather than opening a second payment
+    const payment = await findOpenPayment({
+      user: req.user.userId,
+      purpose: 'package',
+      'treatmentPackage.packageId': treatmentPackage._id,
+      amount: treatmentPackage.price
+    }) ||
+      await createPayment({
+        user: req.user.userId,
+        purpose: 'package',
+        amount: treatmentPackage.price,
+        receipt: `package-${req.user.userId}`,
+        treatmentPackage: { treatment: treatment._id, packageId: treatmentPackage._id }
+      });
+
+    console.log(`Package payment ${payment._id} opened: ${treatmentPackage.name} for user ${req.userDoc.email}`);
+
+    res.status(202).json({
+      success: true,
+      message: `Complete the payment to add ${treatmentPackage.sessions} sessions of ${treatment.name} to your account`,
+      data: { payment: describePayment(payment) }
+    });
+
+  } catch (error) {
+    console.error('Purchase package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purchase package',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get the user's packages and remaining credit balance per treatment
+// @route   GET /api/packages/my-packages
+// @access  Private
+router.get('/my-packages', protect, async (req, res) => {
+  try {
+    await PackagePurchase.expireLapsed();
+
+    const query = { user: req.user.userId };
+    if (req.query.status) query.status = req.query.status;
+
+    const purchases = await PackagePurchase.find(query)
+      .sort({ status: 1, expiresAt: 1 })
+      .populate('treatment', 'name category image durationDisplay')
+      .select('-redemptions');
+
+    // Credits that can still be booked, grouped by treatment
+    const balances = {};
+    purchases.filter(purchase => purchase.status === 'active' && purchase.sessionsRemaining > 0).forEach(purchase => {
+      const key = purchase.treatment ? purchase.treatment._id.toString() : purchase.packageId.toString();
+      if (!balances[key]) {
+        balances[key] = {
+          treatment: purchase.treatment,
+          sessionsRemaining: 0,
+          nextExpiry: purchase.expiresAt
+        };
+      }
+      balances[key].sessionsRemaining += purchase.sessionsRemaining;
+      if (purchase.expiresAt < balances[key].nextExpiry) {
+        balances[key].nextExpiry = purchase.expiresAt;
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Packages retrieved successfully',
+      data: {
+        purchases,
+        balances: Object.values(balances)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my packages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve packages',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a package with its per-session history
+// @route   GET /api/packages/my-packages/:id
+// @access  Private
+router.get('/my-packages/:id', protect, async (req, res) => {
+  try {
+    const purchase = await PackagePurchase.findOne({ _id: req.params.id, user: req.user.userId })
+      .populate('treatment', 'name category image durationDisplay')
+      .populate('redemptions.booking', 'bookingReference appointmentDate appointmentTime location status');
+
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Package not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Package retrieved successfully',
+      data: { purchase }
+    });
+
+  } catch (error) {
+    console.error('Get package error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve package',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,238 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const MedicineOrder = require('../models/MedicineOrder');
+const { protect } = require('../middleware/auth');
+const { getBookingRestriction } = require('../utils/noShows');
+const { getProvider, getProviderName } = require('../utils/paymentProviders');
+const { roundMoney } = require('../utils/pricing');
+const {
+  ONLINE_PAYMENT_METHODS,
+  createPayment,
+  findOpenPayment,
+  describePayment,
+  handleWebhook
+} = require('../utils/payments');
+
+const router = express.Router();
+
+// @desc    Receive payment webhooks from the provider
+// @route   POST /api/payments/webhook
+// @access  Public (signed by the provider)
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.rawBody, req.headers);
+    if (result === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Webhook ${result}`
+    });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Start paying a booking deposit or a medicine order
+// @route   POST /api/payments/intents
+// @access  Private
+router.post('/intents', protect, [
+  body('purpose').isIn(['booking-deposit', 'medicine-order']).withMessage('Purpose must be booking-deposit or medicine-order'),
+  body('orderId')
+    .if(body('purpose').equals('medicine-order'))
+    .isMongoId().withMessage('Valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { purpose, orderId } = req.body;
+    let payment;
+
+    if (purpose === 'booking-deposit') {
+      const restriction = await getBookingRestriction(req.user.userId);
+      if (restriction.consequence !== 'deposit') {
+        return res.status(400).json({
+          success: false,
+          message: 'No deposit is needed for your bookings'
+        });
+      }
+
+      // A deposit paid earlier but not yet used for a booking is still good
+      payment = await Payment.findOne({
+        user: req.user.userId,
+        purpose,
+        status: 'captured',
+        booking: { $exists: false },
+        amount: { $gte: restriction.depositAmount }
+      }) ||
+        await findOpenPayment({ user: req.user.userId, purpose, amount: restriction.depositAmount, booking: { $exists: false } }) ||
+        await createPayment({
+          user: req.user.userId,
+          purpose,
+          amount: restriction.depositAmount,
+          receipt: `deposit-${req.user.userId}`
+        });
+    } else {
+      const order = await MedicineOrder.findOne({ _id: orderId, userId: req.user.userId });
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Order not found'
+        });
+      }
+
+      if (!ONLINE_PAYMENT_METHODS.includes(order.paymentDetails.method) ||
+          !['pending', 'failed'].includes(order.paymentDetails.status) ||
+          order.orderStatus === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          message: 'This order cannot be paid online'
+        });
+      }
+
+      payment = await findOpenPayment({ user: req.user.userId, purpose, medicineOrder: order._id }) ||
+        await createPayment({
+          user: req.user.userId,
+          purpose,
+          // Whatever the wallet covers is not charged again
+          amount: roundMoney(order.orderSummary.totalAmount - (order.paymentDetails.walletAmount || 0)),
+          receipt: order.orderNumber,
+          medicineOrder: order._id
+        });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: payment.status === 'captured' ? 'Payment already received' : 'Payment started',
+      data: { payment: describePayment(payment) }
+    });
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Send a signed event from the fake provider, standing in for its checkout in development
+// @route   POST /api/payments/fake/events
+// @access  Private (development only)
+router.post('/fake/events', protect, [
+  body('paymentId').isMongoId().withMessage('Valid payment ID is required'),
+  body('event').isIn(['payment.authorized', 'payment.captured', 'payment.failed', 'refund.processed', 'refund.failed']).withMessage('Unknown payment event'),
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('refundId').optional().trim().notEmpty().withMessage('Refund ID cannot be empty')
+], async (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production' || getProviderName() !== 'fake') {
+      return res.status(404).json({
+        success: false,
+        message: 'Route not found'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findOne({ _id: req.body.paymentId, user: req.user.userId, provider: 'fake' });
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Refund events settle the oldest refund still pending unless one is named
+    const pendingRefund = payment.refunds.find(refund => refund.status === 'pending');
+    const refundId = req.body.refundId || (pendingRefund && pendingRefund.providerRefundId);
+    const amount = req.body.amount !== undefined
+      ? Number(req.body.amount)
+      : (req.body.event.startsWith('refund.') && pendingRefund ? pendingRefund.amount : payment.amount);
+
+    const { rawBody, headers } = getProvider('fake').buildWebhook({
+      event: req.body.event,
+      intentId: payment.providerIntentId,
+      paymentId: payment.providerPaymentId || `fake_pay_${payment._id}`,
+      refundId,
+      amount,
+      method: 'upi',
+      failureReason: req.body.event === 'payment.failed' ? 'Payment declined' : undefined
+    });
+    const result = await handleWebhook(rawBody, headers, 'fake');
+    const updated = await Payment.findById(payment._id);
+
+    res.json({
+      success: true,
+      message: `Webhook ${result}`,
+      data: { payment: describePayment(updated) }
+    });
+
+  } catch (error) {
+    console.error('Fake payment event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send payment event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get one of the current user's payments
+// @route   GET /api/payments/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const payment = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await Payment.findOne({ _id: req.params.id, user: req.user.userId })
+      : null;
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment retrieved successfully',
+      data: { payment: describePayment(payment) }
+    });
+
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
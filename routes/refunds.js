@@ -0,0 +1,121 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Refund = require('../models/Refund');
+const { protect } = require('../middleware/auth');
+const { getStatusActor } = require('../utils/bookingStatus');
+
+const router = express.Router();
+
+// @desc    List the current user's refunds
+// @route   GET /api/refunds
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const refunds = await Refund.find({ user: req.user.userId })
+      .select('source trigger amount eligibleAmount destination channel status policy reason completedAt createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Refunds retrieved successfully',
+      data: { refunds }
+    });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve refunds',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get one of the current user's refunds with its progress
+// @route   GET /api/refunds/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const refund = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await Refund.findOne({ _id: req.params.id, user: req.user.userId })
+        .select('-dedupeKey -reviewedBy -reviewNote -history.actor')
+      : null;
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund retrieved successfully',
+      data: { refund }
+    });
+
+  } catch (error) {
+    console.error('Get refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Choose whether a refund waiting for approval goes back to the original payment method or to the wallet
+// @route   PATCH /api/refunds/:id
+// @access  Private
+router.patch('/:id', protect, [
+  body('destination').isIn(Refund.REFUND_DESTINATIONS).withMessage('Destination must be original-method or wallet')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refund = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await Refund.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.userId, status: 'pending-approval' },
+        {
+          destination: req.body.destination,
+          $push: {
+            history: {
+              status: 'pending-approval',
+              actor: getStatusActor(req),
+              note: `Customer chose ${req.body.destination === 'wallet' ? 'their wallet' : 'the original payment method'}`
+            }
+          }
+        },
+        { new: true }
+      )
+      : null;
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'No refund waiting for approval was found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund updated successfully',
+      data: { refund }
+    });
+
+  } catch (error) {
+    console.error('Update refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update refund',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
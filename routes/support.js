@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Support = require('../models/Support');
 const { protect, adminProtect } = require('../middleware/auth');
+const { getStatusActor } = require('../utils/bookingStatus');
+const { creditWallet, getWalletSummary } = require('../utils/wallet');
+const { roundMoney } = require('../utils/pricing');
 
 const router = express.Router();
 
@@ -372,6 +375,74 @@ router.put('/admin/:id/assign', adminProtect, [
   }
 });
 
+// @desc    Credit the customer's wallet as goodwill for a support request (Admin only)
+// @route   POST /api/support/admin/:id/goodwill-credit
+// @access  Private/Admin
+router.post('/admin/:id/goodwill-credit', adminProtect, [
+  body('amount')
+    .isFloat({ gt: 0, max: 100000 })
+    .withMessage('Amount must be between 0 and 100000'),
+  body('note')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Note must be between 5 and 500 characters'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supportRequest = await Support.findById(req.params.id);
+    if (!supportRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Support request not found'
+      });
+    }
+
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : undefined;
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be in the future'
+      });
+    }
+
+    const entry = await creditWallet(supportRequest.user, roundMoney(parseFloat(req.body.amount)), {
+      source: 'goodwill',
+      supportRequest: supportRequest._id,
+      description: `Goodwill credit for support request: ${supportRequest.subject}`.slice(0, 200),
+      expiresAt,
+      actor: getStatusActor(req),
+      reason: req.body.note
+    });
+    const wallet = await getWalletSummary(supportRequest.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Goodwill credit added to the customer\'s wallet',
+      data: { entry, wallet }
+    });
+
+  } catch (error) {
+    console.error('Goodwill credit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add goodwill credit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @desc    Get support statistics (Admin only)
 // @route   GET /api/support/admin/stats
 // @access  Private/Admin
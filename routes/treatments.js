@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Treatment = require('../models/Treatment');
 const { protect } = require('../middleware/auth');
+const { describePrices } = require('../utils/pricing');
 
 const router = express.Router();
 
@@ -324,6 +325,49 @@ router.get('/search/:searchTerm', [
   }
 });
 
+// Get what a treatment costs at a location, for regular customers and Zen members, including GST
+router.get('/:id/price', [
+  query('location').optional().isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Invalid location')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const treatment = req.params.id.match(/^[0-9a-fA-F]{24}$/)
+      ? await Treatment.findOne({ _id: req.params.id, isActive: true })
+      : null;
+    if (!treatment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Treatment price retrieved successfully',
+      data: {
+        treatment: { _id: treatment._id, name: treatment.name },
+        pricing: describePrices(treatment, req.query.location)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get treatment price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve treatment price',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // Create new treatment (Admin only)
 router.post('/', protect, [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Treatment name must be between 2-100 characters'),
@@ -334,7 +378,18 @@ router.post('/', protect, [
   body('durationDisplay').trim().notEmpty().withMessage('Duration display is required'),
   body('image').isURL().withMessage('Image must be a valid URL'),
   body('benefits').isArray({ min: 1 }).withMessage('At least one benefit is required'),
-  body('availableLocations').isArray({ min: 1 }).withMessage('At least one location is required')
+  body('availableLocations').isArray({ min: 1 }).withMessage('At least one location is required'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive amount'),
+  body('zenPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Zen price must be a positive amount'),
+  body('locationPricing').optional().isArray().withMessage('Location pricing must be an array'),
+  body('locationPricing.*.location').isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Invalid pricing location'),
+  body('locationPricing.*.price').isFloat({ min: 0 }).withMessage('Location price must be a positive amount'),
+  body('locationPricing.*.zenPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Location Zen price must be a positive amount'),
+  body('taxRate').optional().isFloat({ min: 0, max: 28 }).withMessage('Tax rate must be between 0-28%'),
+  body('sacCode').optional().matches(/^\d{6}$/).withMessage('SAC code must be 6 digits'),
+  body('contraindications').optional().isArray().withMessage('Contraindications must be an array'),
+  body('contraindications.*.factor').isIn(['allergy', 'pregnancy', 'medication', 'skin-condition', 'medical-condition']).withMessage('Invalid contraindication factor'),
+  body('contraindications.*.severity').optional().isIn(['warning', 'block']).withMessage('Contraindication severity must be warning or block')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -384,7 +439,18 @@ router.put('/:id', protect, [
   body('description').optional().trim().isLength({ min: 10, max: 500 }),
   body('fullDescription').optional().trim().isLength({ min: 50, max: 2000 }),
   body('duration').optional().isInt({ min: 15 }),
-  body('image').optional().isURL()
+  body('image').optional().isURL(),
+  body('price').optional().isFloat({ min: 0 }),
+  body('zenPrice').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('locationPricing').optional().isArray(),
+  body('locationPricing.*.location').isIn(['Jubilee Hills', 'Financial District', 'Kondapur']),
+  body('locationPricing.*.price').isFloat({ min: 0 }),
+  body('locationPricing.*.zenPrice').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('taxRate').optional().isFloat({ min: 0, max: 28 }),
+  body('sacCode').optional().matches(/^\d{6}$/),
+  body('contraindications').optional().isArray(),
+  body('contraindications.*.factor').isIn(['allergy', 'pregnancy', 'medication', 'skin-condition', 'medical-condition']),
+  body('contraindications.*.severity').optional().isIn(['warning', 'block'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
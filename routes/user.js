@@ -240,27 +240,31 @@ router.get('/stats', protect, async (req, res) => {
     const orders = await MedicineOrder.find({ userId: userId });
     const orderCount = orders.length;
     
-    // Calculate total savings
+    // Calculate total savings and spend
     let totalSavings = 0;
+    let totalSpent = 0;
     
-    // Get user to check membership status
-    const user = await User.findById(userId);
-    const hasZenMembership = user && user.hasZenMembership;
-    
-    // Calculate savings from bookings (20% discount for Zen members)
-    if (hasZenMembership) {
-      bookings.forEach(booking => {
-        if (booking.totalAmount) {
-          totalSavings += booking.totalAmount * 0.2;
-        }
-      });
-    }
+    // Savings from bookings are the Zen member discounts recorded when each was priced
+    bookings.forEach(booking => {
+      if (!booking.pricing || booking.status === 'cancelled') return;
+      booking.pricing.discounts
+        .filter(discount => discount.type === 'zen_member')
+        .forEach(discount => {
+          totalSavings += discount.amount;
+        });
+      if (booking.status === 'completed') {
+        totalSpent += booking.pricing.totalAmount || 0;
+      }
+    });
     
-    // Add savings from medicine orders
+    // Add savings and spend from medicine orders
     orders.forEach(order => {
       if (order.orderSummary && order.orderSummary.zenDiscount) {
         totalSavings += order.orderSummary.zenDiscount;
       }
+      if (order.orderStatus === 'delivered' && order.orderSummary) {
+        totalSpent += order.orderSummary.totalAmount || 0;
+      }
     });
     
     res.status(200).json({
@@ -268,7 +272,8 @@ router.get('/stats', protect, async (req, res) => {
       data: {
         appointmentCount,
         orderCount,
-        totalSavings: Math.round(totalSavings)
+        totalSavings: Math.round(totalSavings),
+        totalSpent: Math.round(totalSpent)
       }
     });
   } catch (error) {
@@ -0,0 +1,772 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Booking = require('../models/Booking');
+const Treatment = require('../models/Treatment');
+const Visit = require('../models/Visit');
+const { protect } = require('../middleware/auth');
+const {
+  DEFAULT_DURATION_MINUTES,
+  timeToMinutes,
+  minutesToTime,
+  formatDateKey,
+  findAlternativeSlots
+} = require('../utils/scheduling');
+const { reserveVisitSlots } = require('../utils/slotReservation');
+const { offerCancelledBooking } = require('../utils/waitlist');
+const { evaluateReschedule, cancelBookingWithPolicy } = require('../utils/bookingPolicy');
+const { getStatusActor } = require('../utils/bookingStatus');
+const { getBookingRestriction } = require('../utils/noShows');
+const { getClinicInfo } = require('../utils/appointmentSlip');
+const { getCheckInWindow, checkInVisit } = require('../utils/checkIn');
+const { getOutstandingForms } = require('../utils/consentForms');
+const { screenTreatments, rejectForMedicalReasons } = require('../utils/medicalScreening');
+const { quoteTreatment } = require('../utils/pricing');
+const { invoiceCompletedBookings } = require('../utils/invoicing');
+const {
+  sendVisitConfirmationEmail,
+  sendAppointmentCancelledEmail,
+  sendAppointmentRescheduledEmail
+} = require('../utils/emailService');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_VISIT_TREATMENTS = 4;
+
+// Load a visit owned by the current user
+const loadVisit = async (req, res) => {
+  const visit = await Visit.findById(req.params.id);
+  if (!visit) {
+    res.status(404).json({
+      success: false,
+      message: 'Visit not found'
+    });
+    return null;
+  }
+
+  if (visit.user.toString() !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return visit;
+};
+
+// Load the bookings of a visit in treatment order
+const findVisitBookings = (visit, session = null) => {
+  return Booking.find({ visit: visit._id }).sort({ visitSequence: 1 }).session(session);
+};
+
+// Respond with 409 when the itinerary does not fit, suggesting start times with room for the whole visit
+const sendVisitConflict = async (res, { location, date, time, items, failure }) => {
+  let alternatives = [];
+  try {
+    alternatives = await findAlternativeSlots({
+      location,
+      date,
+      time,
+      treatmentId: items[0].treatmentId,
+      duration: items.reduce((total, item) => total + item.duration, 0)
+    });
+  } catch (error) {
+    console.error('Failed to find alternative slots:', error);
+  }
+
+  return res.status(409).json({
+    success: false,
+    message: `${items[failure.index].name}: ${failure.reason}`,
+    data: {
+      failedTreatment: items[failure.index].treatmentId,
+      failedTime: failure.time,
+      alternatives
+    }
+  });
+};
+
+// Build the visit items from the scheduled slots
+const buildItinerary = (items, slotChecks, bookings) => {
+  return slotChecks.map((slotCheck, index) => ({
+    booking: bookings[index]._id,
+    treatment: items[index].treatmentId,
+    treatmentName: items[index].name,
+    sequence: index + 1,
+    startTime: slotCheck.time,
+    endTime: minutesToTime(timeToMinutes(slotCheck.time) + items[index].duration),
+    duration: items[index].duration
+  }));
+};
+
+// @desc    Book several treatments back-to-back as one visit
+// @route   POST /api/visits
+// @access  Private
+router.post('/', protect, [
+  body('items').isArray({ min: 2, max: MAX_VISIT_TREATMENTS }).withMessage(`A visit must have between 2 and ${MAX_VISIT_TREATMENTS} treatments`),
+  body('items.*.treatmentId').isMongoId().withMessage('Valid treatment ID is required'),
+  body('items.*.staffId').optional().isMongoId().withMessage('Valid staff ID is required'),
+  body('personalDetails.fullName').trim().isLength({ min: 2, max: 50 }).withMessage('Full name must be between 2-50 characters'),
+  body('personalDetails.mobileNumber').matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid mobile number'),
+  body('personalDetails.email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('location').isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Please select a valid location'),
+  body('appointmentDate').isISO8601().withMessage('Please provide a valid appointment date'),
+  body('appointmentTime').matches(TIME_PATTERN).withMessage('Please select a valid appointment time slot'),
+  body('specialRequests').optional().isLength({ max: 500 }).withMessage('Special requests cannot exceed 500 characters'),
+  body('paymentMethod').optional().isIn(['cash', 'card', 'upi', 'wallet']).withMessage('Please provide a valid payment method')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { personalDetails, location, appointmentDate, appointmentTime, specialRequests, paymentMethod } = req.body;
+
+    const treatments = await Treatment.find({ _id: { $in: req.body.items.map(item => item.treatmentId) } });
+    const items = [];
+    for (const requested of req.body.items) {
+      const treatment = treatments.find(t => t._id.toString() === requested.treatmentId);
+      if (!treatment || !treatment.isActive) {
+        return res.status(404).json({
+          success: false,
+          message: 'Treatment not found or not available'
+        });
+      }
+      if (!treatment.availableLocations.includes(location)) {
+        return res.status(400).json({
+          success: false,
+          message: `${treatment.name} is not available at the selected location`
+        });
+      }
+
+      items.push({
+        treatmentId: treatment._id,
+        staffId: requested.staffId,
+        quote: quoteTreatment(treatment, { location, isZenMember: req.userDoc.hasZenMembership }),
+        name: treatment.name,
+        duration: treatment.duration || DEFAULT_DURATION_MINUTES,
+        treatmentDetails: {
+          name: treatment.name,
+          category: treatment.category,
+          duration: treatment.duration,
+          durationDisplay: treatment.durationDisplay
+        }
+      });
+    }
+
+    // Check every treatment against the customer's medical profile; warnings go on the booking they concern
+    const screening = await screenTreatments(req.user.userId, items.map(item => treatments.find(t => t._id.equals(item.treatmentId))));
+    if (screening.blocking.length > 0) {
+      return rejectForMedicalReasons(res, screening.blocking, 'visit');
+    }
+
+    // Deposits and approvals for customers with repeated no-shows are taken per appointment
+    const restriction = await getBookingRestriction(req.user.userId);
+    if (restriction.restricted) {
+      return res.status(restriction.consequence === 'deposit' ? 402 : 403).json({
+        success: false,
+        message: `${restriction.explanation} Please book your appointments one at a time.`,
+        data: { restriction }
+      });
+    }
+
+    // Every treatment is checked and booked in one transaction, so the visit is all or nothing
+    const visitId = new mongoose.Types.ObjectId();
+    const { slotChecks, failure, result: visit } = await reserveVisitSlots({
+      location,
+      date: appointmentDate,
+      time: appointmentTime,
+      items
+    }, async (session, slotChecks) => {
+      const bookings = [];
+      for (let index = 0; index < items.length; index++) {
+        const item = items[index];
+        const booking = new Booking({
+          user: req.user.userId,
+          personalDetails,
+          treatment: item.treatmentId,
+          treatmentDetails: item.treatmentDetails,
+          location,
+          appointmentDate: slotChecks[index].slot.startsAt,
+          appointmentTime: slotChecks[index].time,
+          visit: visitId,
+          visitSequence: index + 1,
+          specialRequests,
+          status: 'confirmed',
+          paymentMethod: paymentMethod || 'cash',
+          assignedStaff: slotChecks[index].assignedStaff,
+          staffRequested: Boolean(item.staffId),
+          medicalFlags: screening.warnings.filter(flag => flag.item === item.name),
+          pricing: item.quote,
+          bookingReference: Booking.generateReference()
+        });
+        await booking.save({ session });
+        bookings.push(booking);
+      }
+
+      const itinerary = buildItinerary(items, slotChecks, bookings);
+      const last = itinerary[itinerary.length - 1];
+      const [newVisit] = await Visit.create([{
+        _id: visitId,
+        visitReference: Visit.generateReference(),
+        user: req.user.userId,
+        personalDetails,
+        location,
+        appointmentDate: slotChecks[0].slot.startsAt,
+        startTime: appointmentTime,
+        endTime: last.endTime,
+        totalDuration: timeToMinutes(last.endTime) - timeToMinutes(appointmentTime),
+        items: itinerary,
+        specialRequests,
+        paymentMethod: paymentMethod || 'cash'
+      }], { session });
+
+      return newVisit;
+    });
+
+    if (failure) {
+      return sendVisitConflict(res, { location, date: appointmentDate, time: appointmentTime, items, failure });
+    }
+
+    // Detach the document from the finished transaction
+    visit.$session(null);
+
+    try {
+      await sendVisitConfirmationEmail(visit.personalDetails.email, visit);
+      console.log(`Visit confirmation email sent to ${visit.personalDetails.email}: ${visit.visitReference}`);
+    } catch (emailError) {
+      console.error('Failed to send visit confirmation email:', emailError);
+    }
+
+    const bookings = await findVisitBookings(visit).populate('assignedStaff', 'fullName designation profilePhoto');
+
+    res.status(201).json({
+      success: true,
+      message: `Visit with ${slotChecks.length} treatments booked successfully`,
+      data: {
+        visit,
+        bookings,
+        medicalWarnings: screening.warnings.length > 0 ? screening.warnings : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Create visit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book visit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get the current user's visits
+// @route   GET /api/visits/my-visits
+// @access  Private
+router.get('/my-visits', protect, async (req, res) => {
+  try {
+    const query = { user: req.user.userId };
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.upcoming === 'true') query.appointmentDate = { $gte: new Date() };
+
+    const visits = await Visit.find(query).sort({ appointmentDate: -1 });
+
+    res.json({
+      success: true,
+      message: 'Visits retrieved successfully',
+      data: { visits }
+    });
+
+  } catch (error) {
+    console.error('Get visits error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve visits',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get a visit with its bookings
+// @route   GET /api/visits/:id
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    const bookings = await findVisitBookings(visit)
+      .populate('treatment', 'name category image duration durationDisplay')
+      .populate('assignedStaff', 'fullName designation profilePhoto');
+
+    res.json({
+      success: true,
+      message: 'Visit retrieved successfully',
+      data: { visit, bookings }
+    });
+
+  } catch (error) {
+    console.error('Get visit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve visit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Download one slip for the whole visit
+// @route   GET /api/visits/:id/slip
+// @access  Private
+router.get('/:id/slip', protect, async (req, res) => {
+  try {
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    const bookings = await findVisitBookings(visit);
+
+    const visitSlip = {
+      visitReference: visit.visitReference,
+      patientName: visit.personalDetails.fullName,
+      mobileNumber: visit.personalDetails.mobileNumber,
+      email: visit.personalDetails.email,
+      appointmentDate: formatDateKey(visit.appointmentDate),
+      startTime: visit.startTime,
+      endTime: visit.endTime,
+      totalDuration: visit.totalDuration,
+      location: visit.location,
+      status: visit.status,
+      itinerary: bookings.map(booking => ({
+        sequence: booking.visitSequence,
+        bookingReference: booking.bookingReference,
+        treatmentName: booking.treatmentDetails.name,
+        treatmentCategory: booking.treatmentDetails.category,
+        appointmentTime: booking.appointmentTime,
+        durationDisplay: booking.treatmentDetails.durationDisplay,
+        status: booking.status
+      })),
+      bookedAt: visit.createdAt,
+      specialRequests: visit.specialRequests || 'None',
+      paymentMethod: visit.paymentMethod,
+      clinicInfo: await getClinicInfo(visit.location)
+    };
+
+    res.json({
+      success: true,
+      data: { visitSlip }
+    });
+
+  } catch (error) {
+    console.error('Download visit slip error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate visit slip',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Check in once for every treatment in the visit
+// @route   POST /api/visits/:id/checkin
+// @access  Private
+router.post('/:id/checkin', protect, async (req, res) => {
+  try {
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    if (!['confirmed', 'rescheduled'].includes(visit.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot check in for a visit that is ${visit.status}`
+      });
+    }
+
+    // Same window as single appointments: 15 minutes before to 1 hour after the first treatment
+    const window = getCheckInWindow(visit.appointmentDate);
+
+    if (!window.isOpen) {
+      return res.status(400).json({
+        success: false,
+        message: 'Check-in is only available 15 minutes before to 1 hour after your first treatment'
+      });
+    }
+
+    if (visit.checkedIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already checked in for this visit'
+      });
+    }
+
+    const outstandingForms = await getOutstandingForms(await Booking.find({ visit: visit._id }));
+    if (outstandingForms.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please complete and sign the consent forms for your treatments before checking in',
+        data: { outstandingForms }
+      });
+    }
+
+    const { otp, otpSent } = await checkInVisit(visit, { actor: getStatusActor(req) });
+
+    res.json({
+      success: true,
+      message: 'Check-in successful! OTP sent to your email.',
+      data: {
+        checkedIn: true,
+        checkInTime: visit.checkInTime,
+        checkOutEligibleTime: visit.checkOutEligibleTime,
+        checkoutOtp: otp,
+        otpSent
+      }
+    });
+
+  } catch (error) {
+    console.error('Visit check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check in',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Complete the visit and every treatment the customer checked in for
+const completeVisit = async (visit, { adminId, actor, reason }) => {
+  const checkOutTime = new Date();
+
+  visit.checkedOut = true;
+  visit.checkOutTime = checkOutTime;
+  visit.status = 'completed';
+  visit.checkoutOTP = undefined;
+  if (adminId) visit.adminCheckout = adminId;
+  await visit.save();
+
+  const set = { checkedOut: true, checkOutTime, canCheckOut: true };
+  if (adminId) set.adminCheckout = adminId;
+  await Booking.transitionMany({ visit: visit._id, checkedIn: true, status: 'in-progress' }, 'completed', {
+    actor,
+    reason,
+    set,
+    unset: ['checkoutOTP'],
+    now: checkOutTime
+  });
+
+  const completed = await Booking.find({ visit: visit._id, status: 'completed', checkOutTime });
+  await invoiceCompletedBookings(completed);
+};
+
+// @desc    Check out of the visit (after 20 minutes)
+// @route   POST /api/visits/:id/user-checkout
+// @access  Private
+router.post('/:id/user-checkout', protect, async (req, res) => {
+  try {
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    if (!visit.checkedIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'You must check in first'
+      });
+    }
+
+    if (visit.checkedOut) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already checked out'
+      });
+    }
+
+    const now = new Date();
+    if (now < visit.checkOutEligibleTime) {
+      const minutesLeft = Math.ceil((visit.checkOutEligibleTime - now) / (1000 * 60));
+      return res.status(400).json({
+        success: false,
+        message: `Please wait ${minutesLeft} more minute(s) before checking out`,
+        data: {
+          canCheckOut: false,
+          checkOutEligibleTime: visit.checkOutEligibleTime,
+          minutesRemaining: minutesLeft
+        }
+      });
+    }
+
+    await completeVisit(visit, { actor: getStatusActor(req), reason: 'Checked out' });
+
+    res.json({
+      success: true,
+      message: 'Successfully checked out! Your visit is now complete.',
+      data: {
+        checkedOut: true,
+        checkOutTime: visit.checkOutTime,
+        status: 'completed'
+      }
+    });
+
+  } catch (error) {
+    console.error('Visit user checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to checkout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Check a patient out of the visit with the OTP from check-in
+// @route   POST /api/visits/:id/checkout
+// @access  Private (staff)
+router.post('/:id/checkout', protect, [
+  body('otp').isLength({ min: 6, max: 6 }).withMessage('OTP must be 6 digits'),
+  body('adminId').notEmpty().withMessage('Admin ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { otp, adminId } = req.body;
+    const visit = await Visit.findById(req.params.id);
+
+    if (!visit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit not found'
+      });
+    }
+
+    if (!visit.checkedIn) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient has not checked in yet'
+      });
+    }
+
+    if (visit.checkedOut) {
+      return res.status(400).json({
+        success: false,
+        message: 'Patient has already been checked out'
+      });
+    }
+
+    if (visit.checkoutOTP !== otp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid OTP. Please check the OTP sent to patient email.'
+      });
+    }
+
+    await completeVisit(visit, { adminId, actor: getStatusActor(req), reason: 'Checked out with OTP' });
+
+    res.json({
+      success: true,
+      message: 'Patient checked out successfully!',
+      data: {
+        checkedOut: true,
+        checkOutTime: visit.checkOutTime,
+        completedBy: adminId,
+        status: 'completed'
+      }
+    });
+
+  } catch (error) {
+    console.error('Visit checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to checkout patient',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Cancel a visit and all of its treatments
+// @route   PUT /api/visits/:id/cancel
+// @access  Private
+router.put('/:id/cancel', protect, [
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    if (!['confirmed', 'rescheduled'].includes(visit.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel a visit that is ${visit.status}`
+      });
+    }
+
+    const reason = req.body.reason || 'Cancelled by customer';
+    const bookings = (await findVisitBookings(visit)).filter(booking => ['confirmed', 'rescheduled'].includes(booking.status));
+
+    const cancelled = [];
+    for (const booking of bookings) {
+      const policy = await cancelBookingWithPolicy(booking, reason, { actor: getStatusActor(req) });
+      cancelled.push({ bookingId: booking._id, policy });
+    }
+
+    visit.status = 'cancelled';
+    visit.cancellationReason = reason;
+    visit.cancelledAt = new Date();
+    await visit.save();
+
+    for (const booking of bookings) {
+      try {
+        await sendAppointmentCancelledEmail(booking.personalDetails.email, booking);
+      } catch (emailError) {
+        console.error('Failed to send cancellation email:', emailError);
+      }
+      await offerCancelledBooking(booking);
+    }
+
+    res.json({
+      success: true,
+      message: 'Visit cancelled successfully',
+      data: { visit, cancelled }
+    });
+
+  } catch (error) {
+    console.error('Cancel visit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel visit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Move the whole visit to a new start time, keeping treatments back-to-back
+// @route   PATCH /api/visits/:id/reschedule
+// @access  Private
+router.patch('/:id/reschedule', protect, [
+  body('appointmentDate').isISO8601().withMessage('Please provide a valid appointment date'),
+  body('appointmentTime').matches(TIME_PATTERN).withMessage('Please select a valid appointment time slot')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const visit = await loadVisit(req, res);
+    if (!visit) return;
+
+    if (!['confirmed', 'rescheduled'].includes(visit.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot reschedule a visit that is ${visit.status}`
+      });
+    }
+
+    const { appointmentDate, appointmentTime } = req.body;
+    const bookings = (await findVisitBookings(visit)).filter(booking => ['confirmed', 'rescheduled'].includes(booking.status));
+
+    // Every treatment in the visit has to be movable under its own policy
+    const policies = [];
+    for (const booking of bookings) {
+      const policy = await evaluateReschedule(booking);
+      if (!policy.allowed) {
+        return res.status(400).json({
+          success: false,
+          message: `${booking.treatmentDetails.name}: ${policy.reason}`,
+          data: { policy }
+        });
+      }
+      policies.push(policy);
+    }
+
+    const items = bookings.map(booking => ({
+      treatmentId: booking.treatment,
+      staffId: booking.staffRequested ? booking.assignedStaff : undefined,
+      name: booking.treatmentDetails.name,
+      duration: booking.treatmentDetails.duration || DEFAULT_DURATION_MINUTES
+    }));
+    const oldBookings = bookings.map(booking => booking.toObject());
+
+    const { failure, result: rescheduled } = await reserveVisitSlots({
+      location: visit.location,
+      date: appointmentDate,
+      time: appointmentTime,
+      items,
+      excludeBookingId: bookings.map(booking => booking._id)
+    }, async (session, slotChecks) => {
+      const moved = [];
+      for (let index = 0; index < bookings.length; index++) {
+        const current = await Booking.findById(bookings[index]._id).session(session);
+        current.assignedStaff = slotChecks[index].assignedStaff;
+        await current.rescheduleBooking(slotChecks[index].slot.startsAt, slotChecks[index].time, policies[index].maxReschedules, getStatusActor(req));
+        moved.push(current);
+      }
+
+      const current = await Visit.findById(visit._id).session(session);
+      const itinerary = buildItinerary(items, slotChecks, moved);
+      const last = itinerary[itinerary.length - 1];
+      current.appointmentDate = slotChecks[0].slot.startsAt;
+      current.startTime = appointmentTime;
+      current.endTime = last.endTime;
+      current.totalDuration = timeToMinutes(last.endTime) - timeToMinutes(appointmentTime);
+      current.items = itinerary;
+      current.status = 'rescheduled';
+      current.rescheduledAt = new Date();
+      await current.save();
+
+      return { visit: current, bookings: moved };
+    });
+
+    if (failure) {
+      return sendVisitConflict(res, { location: visit.location, date: appointmentDate, time: appointmentTime, items, failure });
+    }
+
+    rescheduled.visit.$session(null);
+    rescheduled.bookings.forEach(booking => booking.$session(null));
+
+    for (let index = 0; index < rescheduled.bookings.length; index++) {
+      try {
+        await sendAppointmentRescheduledEmail(visit.personalDetails.email, oldBookings[index], rescheduled.bookings[index]);
+      } catch (emailError) {
+        console.error('Failed to send reschedule email:', emailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Visit rescheduled successfully',
+      data: rescheduled
+    });
+
+  } catch (error) {
+    console.error('Reschedule visit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule visit',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,455 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Treatment = require('../models/Treatment');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const { protect, adminPanelProtect } = require('../middleware/auth');
+const { parseDate, formatDateKey, findAlternativeSlots } = require('../utils/scheduling');
+const { closeOffer, expireLapsedOffers, claimOffer } = require('../utils/waitlist');
+const { sendBookingConfirmationEmail } = require('../utils/emailService');
+const { screenTreatments, rejectForMedicalReasons } = require('../utils/medicalScreening');
+const { quoteTreatment } = require('../utils/pricing');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Load an offer by its claim token, checking it belongs to the current user
+const loadOffer = async (req, res) => {
+  const entry = await WaitlistEntry.findOne({ 'offer.token': req.params.token });
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Offer not found'
+    });
+    return null;
+  }
+
+  if (entry.user.toString() !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// @desc    Join the waitlist for a date and time window
+// @route   POST /api/waitlist
+// @access  Private
+router.post('/', protect, [
+  body('treatmentId').isMongoId().withMessage('Valid treatment ID is required'),
+  body('location').isIn(['Jubilee Hills', 'Financial District', 'Kondapur']).withMessage('Please select a valid location'),
+  body('date').isISO8601().withMessage('Please provide a valid date'),
+  body('windowStart').matches(TIME_PATTERN).withMessage('Window start must be in HH:mm format'),
+  body('windowEnd').matches(TIME_PATTERN).withMessage('Window end must be in HH:mm format'),
+  body('personalDetails.fullName').trim().isLength({ min: 2, max: 50 }).withMessage('Full name must be between 2-50 characters'),
+  body('personalDetails.mobileNumber').matches(/^[\+]?[1-9][\d]{0,15}$/).withMessage('Please provide a valid mobile number'),
+  body('personalDetails.email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { treatmentId, location, windowStart, windowEnd, personalDetails } = req.body;
+    const date = formatDateKey(parseDate(req.body.date));
+
+    if (windowEnd <= windowStart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Window end must be after window start'
+      });
+    }
+
+    if (parseDate(date) < parseDate(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Waitlist date cannot be in the past'
+      });
+    }
+
+    const treatment = await Treatment.findById(treatmentId);
+    if (!treatment || !treatment.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Treatment not found or not available'
+      });
+    }
+
+    if (!treatment.availableLocations.includes(location)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Treatment is not available at the selected location'
+      });
+    }
+
+    const screening = await screenTreatments(req.user.userId, [treatment]);
+    if (screening.blocking.length > 0) {
+      return rejectForMedicalReasons(res, screening.blocking);
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      user: req.user.userId,
+      treatment: treatmentId,
+      location,
+      date,
+      status: { $in: ['waiting', 'offered'] }
+    });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You are already on the waitlist for this treatment on this date',
+        data: { entry: existing }
+      });
+    }
+
+    const entry = await WaitlistEntry.create({
+      user: req.user.userId,
+      personalDetails,
+      treatment: treatmentId,
+      treatmentDetails: {
+        name: treatment.name,
+        category: treatment.category,
+        duration: treatment.duration,
+        durationDisplay: treatment.durationDisplay
+      },
+      location,
+      date,
+      windowStart,
+      windowEnd
+    });
+
+    const position = await WaitlistEntry.countDocuments({
+      location,
+      date,
+      status: 'waiting',
+      createdAt: { $lte: entry.createdAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'You have been added to the waitlist',
+      data: {
+        entry,
+        position,
+        medicalWarnings: screening.warnings.length > 0 ? screening.warnings : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get the current user's waitlist entries
+// @route   GET /api/waitlist/my-entries
+// @access  Private
+router.get('/my-entries', protect, async (req, res) => {
+  try {
+    const query = { user: req.user.userId };
+    if (req.query.status) query.status = req.query.status;
+
+    const entries = await WaitlistEntry.find(query)
+      .sort({ createdAt: -1 })
+      .populate('booking', 'bookingReference appointmentDate appointmentTime status');
+
+    res.json({
+      success: true,
+      message: 'Waitlist entries retrieved successfully',
+      data: { entries }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist entries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve waitlist entries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Expire unclaimed offers and roll them on (for cron jobs)
+// @route   POST /api/waitlist/process-offers
+// @access  Public (API key in production)
+router.post('/process-offers', async (req, res) => {
+  try {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey !== process.env.CRON_API_KEY && process.env.NODE_ENV === 'production') {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized'
+      });
+    }
+
+    const result = await expireLapsedOffers();
+
+    console.log(`Waitlist offer check: expired ${result.expiredCount} offers at ${new Date().toISOString()}`);
+
+    res.json({
+      success: true,
+      message: `Expired ${result.expiredCount} waitlist offers`,
+      expiredCount: result.expiredCount,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Process waitlist offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process waitlist offers',
+      error: error.message
+    });
+  }
+});
+
+// @desc    View an offer from a claim link
+// @route   GET /api/waitlist/offers/:token
+// @access  Private
+router.get('/offers/:token', protect, async (req, res) => {
+  try {
+    const entry = await loadOffer(req, res);
+    if (!entry) return;
+
+    res.json({
+      success: true,
+      message: 'Offer retrieved successfully',
+      data: {
+        entry,
+        canClaim: entry.hasOpenOffer()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Claim an offered slot, creating a confirmed booking
+// @route   POST /api/waitlist/offers/:token/claim
+// @access  Private
+router.post('/offers/:token/claim', protect, async (req, res) => {
+  try {
+    const entry = await loadOffer(req, res);
+    if (!entry) return;
+
+    if (!entry.hasOpenOffer()) {
+      // Roll a lapsed offer on straight away rather than waiting for the next sweep
+      if (entry.status === 'offered') {
+        await closeOffer(entry, 'expired');
+      }
+      return res.status(410).json({
+        success: false,
+        message: 'This offer has expired or is no longer available'
+      });
+    }
+
+    // The medical profile may have changed since the customer joined the waitlist.
+    // A ruled-out treatment gives the slot up so it moves to the next customer.
+    const treatment = await Treatment.findById(entry.treatment);
+    const screening = await screenTreatments(req.user.userId, treatment ? [treatment] : []);
+    if (screening.blocking.length > 0) {
+      await closeOffer(entry, 'declined');
+      return rejectForMedicalReasons(res, screening.blocking);
+    }
+
+    // Priced when claimed, not when the customer joined the waitlist
+    const pricing = treatment
+      ? quoteTreatment(treatment, { location: entry.location, isZenMember: req.userDoc.hasZenMembership })
+      : undefined;
+    const { slotCheck, booking } = await claimOffer(entry, { medicalFlags: screening.warnings, pricing });
+
+    if (!slotCheck.available) {
+      await closeOffer(entry, 'expired');
+      const alternatives = await findAlternativeSlots({
+        location: entry.location,
+        date: entry.date,
+        time: entry.offer.appointmentTime,
+        treatmentId: entry.treatment,
+        duration: entry.treatmentDetails.duration
+      });
+      return res.status(409).json({
+        success: false,
+        message: slotCheck.reason,
+        data: { alternatives }
+      });
+    }
+
+    if (!booking) {
+      return res.status(410).json({
+        success: false,
+        message: 'This offer has expired or is no longer available'
+      });
+    }
+
+    booking.$session(null);
+    await booking.populate('treatment', 'name category image duration durationDisplay');
+
+    // Send booking confirmation email (non-blocking if it fails)
+    try {
+      await sendBookingConfirmationEmail(booking.personalDetails.email, booking);
+      console.log(`Booking confirmation email sent to ${booking.personalDetails.email}: ${booking.bookingReference}`);
+    } catch (emailError) {
+      console.error('Failed to send booking confirmation email:', emailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Slot claimed and booking confirmed',
+      data: {
+        booking,
+        medicalWarnings: screening.warnings.length > 0 ? screening.warnings : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Claim waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Decline an offered slot so it moves to the next customer
+// @route   POST /api/waitlist/offers/:token/decline
+// @access  Private
+router.post('/offers/:token/decline', protect, async (req, res) => {
+  try {
+    const entry = await loadOffer(req, res);
+    if (!entry) return;
+
+    const declined = await closeOffer(entry, 'declined');
+    if (!declined) {
+      return res.status(410).json({
+        success: false,
+        message: 'This offer is no longer open'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Offer declined',
+      data: { entry: declined }
+    });
+
+  } catch (error) {
+    console.error('Decline waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline offer',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waitlist entry not found'
+      });
+    }
+
+    if (entry.status === 'offered') {
+      await closeOffer(entry, 'cancelled');
+    } else if (entry.status === 'waiting') {
+      entry.status = 'cancelled';
+      await entry.save();
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot leave a waitlist entry that is ${entry.status}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// ============= ADMIN ROUTES =============
+
+// @desc    Get waitlist entries (Admin only)
+// @route   GET /api/waitlist/admin/all
+// @access  Private/Admin
+router.get('/admin/all', adminPanelProtect, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const { status, location, date } = req.query;
+
+    let query = {};
+    if (status) query.status = status;
+    if (location) query.location = location;
+    if (date) query.date = date;
+
+    const entries = await WaitlistEntry.find(query)
+      .sort({ date: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('user', 'fullName email phoneNumber')
+      .populate('booking', 'bookingReference appointmentDate appointmentTime status');
+
+    const total = await WaitlistEntry.countDocuments(query);
+
+    res.json({
+      success: true,
+      message: 'Waitlist entries retrieved successfully',
+      data: {
+        entries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalEntries: total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve waitlist entries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
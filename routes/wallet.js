@@ -0,0 +1,76 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { getWalletSummary, getWalletStatement } = require('../utils/wallet');
+
+const router = express.Router();
+
+// @desc    Get the current user's wallet balance and the credit that is about to lapse
+// @route   GET /api/wallet
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const wallet = await getWalletSummary(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Wallet retrieved successfully',
+      data: { wallet }
+    });
+
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve wallet',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @desc    Get the current user's wallet statement for a period
+// @route   GET /api/wallet/statement
+// @access  Private
+router.get('/statement', protect, [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, page = 1, limit = 50 } = req.query;
+    const [wallet, statement] = await Promise.all([
+      getWalletSummary(req.user.userId),
+      getWalletStatement(req.user.userId, { from, to, page, limit })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Wallet statement retrieved successfully',
+      data: {
+        balance: wallet.balance,
+        held: wallet.held,
+        ...statement
+      }
+    });
+
+  } catch (error) {
+    console.error('Get wallet statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve wallet statement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
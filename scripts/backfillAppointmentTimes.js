@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Visit = require('../models/Visit');
+const Location = require('../models/Location');
+const { zonedTimeToUtc, toDateKey } = require('../utils/clinicTime');
+require('dotenv').config();
+
+// Script to store canonical UTC start and end times on bookings made before locations had time zones.
+// Older appointment dates were built in the server's own time zone, so set LEGACY_TIMEZONE to the
+// zone the API server ran in (defaults to this machine's). Safe to run more than once.
+
+const LEGACY_TIMEZONE = process.env.LEGACY_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const BATCH_SIZE = 500;
+
+async function backfillAppointmentTimes() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+    console.log(`Reading legacy appointment dates in ${LEGACY_TIMEZONE}`);
+
+    const timeZones = {};
+    for (const name of Location.LOCATION_NAMES) {
+      timeZones[name] = (await Location.getConfig(name)).timezone;
+    }
+
+    // Bookings: the calendar day the server saw plus the stored wall-clock time, read in the location's zone
+    const cursor = Booking.find({ startsAt: { $exists: false } })
+      .select('appointmentDate appointmentTime location treatmentDetails.duration visit')
+      .lean()
+      .cursor();
+
+    const visitStarts = {};
+    let operations = [];
+    let updated = 0;
+
+    for await (const booking of cursor) {
+      const timeZone = timeZones[booking.location];
+      const dateKey = toDateKey(booking.appointmentDate, LEGACY_TIMEZONE);
+      const startsAt = zonedTimeToUtc(dateKey, booking.appointmentTime, timeZone);
+      const duration = (booking.treatmentDetails && booking.treatmentDetails.duration) || 60;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: booking._id },
+          update: {
+            $set: {
+              timeZone,
+              startsAt,
+              endsAt: new Date(startsAt.getTime() + duration * 60 * 1000),
+              appointmentDate: startsAt
+            }
+          }
+        }
+      });
+
+      if (booking.visit) {
+        const visitId = booking.visit.toString();
+        if (!visitStarts[visitId] || startsAt < visitStarts[visitId]) {
+          visitStarts[visitId] = startsAt;
+        }
+      }
+
+      if (operations.length === BATCH_SIZE) {
+        updated += (await Booking.bulkWrite(operations)).modifiedCount;
+        operations = [];
+      }
+    }
+    if (operations.length > 0) {
+      updated += (await Booking.bulkWrite(operations)).modifiedCount;
+    }
+    console.log(`📊 Updated ${updated} bookings`);
+
+    // Visits start with their first treatment
+    const visitOperations = Object.entries(visitStarts).map(([visitId, startsAt]) => ({
+      updateOne: {
+        filter: { _id: visitId },
+        update: { $set: { appointmentDate: startsAt } }
+      }
+    }));
+    if (visitOperations.length > 0) {
+      const result = await Visit.bulkWrite(visitOperations);
+      console.log(`📊 Updated ${result.modifiedCount} visits`);
+    }
+
+    console.log(`✅ Appointment time backfill completed at ${new Date().toISOString()}`);
+
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error backfilling appointment times:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+backfillAppointmentTimes();
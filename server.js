@@ -15,6 +15,21 @@ const medicineRoutes = require('./routes/medicines');
 const medicineOrderRoutes = require('./routes/medicine-orders');
 const membershipRoutes = require('./routes/membership');
 const supportRoutes = require('./routes/support');
+const waitlistRoutes = require('./routes/waitlist');
+const packageRoutes = require('./routes/packages');
+const bookingSeriesRoutes = require('./routes/booking-series');
+const visitRoutes = require('./routes/visits');
+const noShowRoutes = require('./routes/no-shows');
+const calendarRoutes = require('./routes/calendar');
+const frontDeskRoutes = require('./routes/front-desk');
+const consentFormRoutes = require('./routes/consent-forms');
+const medicalRoutes = require('./routes/medical');
+const clinicalPhotoRoutes = require('./routes/clinical-photos');
+const invoiceRoutes = require('./routes/invoices');
+const paymentRoutes = require('./routes/payments');
+const refundRoutes = require('./routes/refunds');
+const walletRoutes = require('./routes/wallet');
+const { startReminderScheduler } = require('./utils/reminders');
 
 const app = express();
 
@@ -43,12 +58,21 @@ app.use(cors({
 app.use(morgan('combined'));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so payment webhook signatures can be checked against it
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection
 mongoose.connect(process.env.DB_URI)
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  startReminderScheduler();
+})
 .catch((err) => console.error('❌ MongoDB connection error:', err));
 
 // Routes
@@ -61,6 +85,20 @@ app.use('/api/medicines', medicineRoutes);
 app.use('/api/medicine-orders', medicineOrderRoutes);
 app.use('/api/membership', membershipRoutes);
 app.use('/api/support', supportRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/packages', packageRoutes);
+app.use('/api/booking-series', bookingSeriesRoutes);
+app.use('/api/visits', visitRoutes);
+app.use('/api/no-shows', noShowRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/front-desk', frontDeskRoutes);
+app.use('/api/consent-forms', consentFormRoutes);
+app.use('/api/medical', medicalRoutes);
+app.use('/api/clinical-photos', clinicalPhotoRoutes);
+app.use('/api/invoices', invoiceRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/wallet', walletRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
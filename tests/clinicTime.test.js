@@ -0,0 +1,62 @@
+const {
+  zonedTimeToUtc,
+  toDateKey,
+  toTimeString,
+  startOfDay,
+  endOfDay
+} = require('../utils/clinicTime');
+
+describe('server time zone', () => {
+  it('runs outside IST', () => {
+    expect(process.env.TZ).toBe('America/New_York');
+    // EST in January, 5 hours behind UTC
+    expect(new Date(2025, 0, 15).getTimezoneOffset()).toBe(300);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  it('reads the wall-clock time in the clinic time zone', () => {
+    expect(zonedTimeToUtc('2025-01-15', '10:30', 'Asia/Kolkata').toISOString()).toBe('2025-01-15T05:00:00.000Z');
+  });
+
+  it('handles times that fall on the previous UTC day', () => {
+    expect(zonedTimeToUtc('2025-01-15', '03:00', 'Asia/Kolkata').toISOString()).toBe('2025-01-14T21:30:00.000Z');
+  });
+
+  it('follows daylight saving in zones that have it', () => {
+    expect(zonedTimeToUtc('2025-01-15', '10:00', 'America/New_York').toISOString()).toBe('2025-01-15T15:00:00.000Z');
+    expect(zonedTimeToUtc('2025-07-15', '10:00', 'America/New_York').toISOString()).toBe('2025-07-15T14:00:00.000Z');
+  });
+
+  it('moves a time skipped by daylight saving to just after the gap', () => {
+    expect(zonedTimeToUtc('2025-03-09', '02:30', 'America/New_York').toISOString()).toBe('2025-03-09T07:30:00.000Z');
+  });
+});
+
+describe('toDateKey', () => {
+  it('gives the clinic calendar day, not the server one', () => {
+    // 20:00 on 14 January in New York is already 15 January in Hyderabad
+    const instant = new Date('2025-01-15T01:00:00.000Z');
+    expect(toDateKey(instant, 'Asia/Kolkata')).toBe('2025-01-15');
+    expect(toDateKey(instant, 'America/New_York')).toBe('2025-01-14');
+    expect(toTimeString(instant, 'Asia/Kolkata')).toBe('06:30');
+  });
+});
+
+describe('startOfDay and endOfDay', () => {
+  it('bound the clinic calendar day', () => {
+    expect(startOfDay('2025-01-15', 'Asia/Kolkata').toISOString()).toBe('2025-01-14T18:30:00.000Z');
+    expect(endOfDay('2025-01-15', 'Asia/Kolkata').toISOString()).toBe('2025-01-15T18:29:59.999Z');
+  });
+
+  it('read an instant on the clinic calendar day it falls on', () => {
+    const instant = new Date('2025-01-15T01:00:00.000Z');
+    expect(startOfDay(instant, 'Asia/Kolkata').toISOString()).toBe('2025-01-14T18:30:00.000Z');
+  });
+
+  it('cover a 23-hour day when the clocks go forward', () => {
+    const start = startOfDay('2025-03-09', 'America/New_York');
+    const end = endOfDay('2025-03-09', 'America/New_York');
+    expect(end.getTime() + 1 - start.getTime()).toBe(23 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,173 @@
+process.env.PAYMENT_PROVIDER = 'fake';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const MedicineOrder = require('../models/MedicineOrder');
+const Refund = require('../models/Refund');
+const { getProvider } = require('../utils/paymentProviders');
+const { handleWebhook } = require('../utils/payments');
+
+const fake = getProvider('fake');
+
+// Payments kept in memory in place of MongoDB, with just the queries the webhook handler makes
+let stored;
+
+const load = (id) => Payment.hydrate(JSON.parse(JSON.stringify(stored.get(String(id)))));
+
+const matches = (doc, filter) => Object.keys(filter).every(key => {
+  if (key === 'events.eventId') {
+    return !doc.events.some(event => event.eventId === filter[key].$ne);
+  }
+  if (key === '_id') {
+    return String(doc._id) === String(filter._id);
+  }
+  return doc[key] === filter[key];
+});
+
+const findStored = (filter) => [...stored.values()].find(doc => matches(doc, filter));
+
+beforeEach(() => {
+  stored = new Map();
+  jest.restoreAllMocks();
+
+  jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const doc = findStored(filter);
+    if (!doc) return null;
+    doc.events.push({ ...update.$push.events, receivedAt: new Date() });
+    return load(doc._id);
+  });
+  jest.spyOn(Payment, 'exists').mockImplementation(async (filter) => {
+    const { 'events.eventId': ignored, ...rest } = filter;
+    return findStored(rest) ? { _id: findStored(rest)._id } : null;
+  });
+  jest.spyOn(Payment, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = findStored(filter);
+    if (!doc) return { modifiedCount: 0 };
+    if (update.$pull) {
+      doc.events = doc.events.filter(event => event.eventId !== update.$pull.events.eventId);
+    } else {
+      Object.assign(doc, JSON.parse(JSON.stringify(update)));
+    }
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(Payment.prototype, 'save').mockImplementation(async function() {
+    stored.set(String(this._id), JSON.parse(JSON.stringify(this.toObject())));
+    return this;
+  });
+
+  jest.spyOn(MedicineOrder, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(MedicineOrder, 'recordRefund').mockResolvedValue(null);
+  jest.spyOn(Refund, 'settleProviderRefund').mockResolvedValue(null);
+});
+
+const addPayment = (fields = {}) => {
+  const payment = new Payment({
+    user: new mongoose.Types.ObjectId(),
+    purpose: 'medicine-order',
+    medicineOrder: new mongoose.Types.ObjectId(),
+    provider: 'fake',
+    providerIntentId: `fake_order_${new mongoose.Types.ObjectId()}`,
+    amount: 500,
+    ...fields
+  });
+  stored.set(String(payment._id), JSON.parse(JSON.stringify(payment.toObject())));
+  return payment;
+};
+
+const deliver = ({ rawBody, headers }) => handleWebhook(rawBody, headers, 'fake');
+
+const capturedEvent = (payment) => fake.buildWebhook({
+  event: 'payment.captured',
+  intentId: payment.providerIntentId,
+  paymentId: 'fake_pay_1',
+  amount: payment.amount,
+  method: 'upi'
+});
+
+describe('handleWebhook with the fake provider', () => {
+  it('rejects a webhook with a bad signature', async () => {
+    const payment = addPayment();
+    const { rawBody } = capturedEvent(payment);
+
+    await expect(deliver({ rawBody, headers: { 'x-fake-signature': 'forged' } })).resolves.toBe('invalid');
+    expect(load(payment._id).status).toBe('created');
+  });
+
+  it('applies a redelivered event once', async () => {
+    const payment = addPayment();
+    const webhook = capturedEvent(payment);
+
+    await expect(deliver(webhook)).resolves.toBe('processed');
+    await expect(deliver(webhook)).resolves.toBe('duplicate');
+    expect(MedicineOrder.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('captures and fulfils a payment', async () => {
+    const payment = addPayment();
+
+    await expect(deliver(capturedEvent(payment))).resolves.toBe('processed');
+
+    const saved = load(payment._id);
+    expect(saved.status).toBe('captured');
+    expect(saved.providerPaymentId).toBe('fake_pay_1');
+    expect(saved.fulfilledAt).toBeInstanceOf(Date);
+    expect(MedicineOrder.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: payment.medicineOrder },
+      expect.objectContaining({ 'paymentDetails.status': 'completed' }),
+      { new: true }
+    );
+  });
+
+  it('finishes a failed fulfilment when the provider retries', async () => {
+    const payment = addPayment();
+    const webhook = capturedEvent(payment);
+    MedicineOrder.findOneAndUpdate.mockRejectedValueOnce(new Error('database unavailable'));
+
+    await expect(deliver(webhook)).rejects.toThrow('database unavailable');
+    expect(load(payment._id).status).toBe('captured');
+    expect(load(payment._id).fulfilledAt).toBeUndefined();
+
+    await expect(deliver(webhook)).resolves.toBe('processed');
+    expect(MedicineOrder.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(load(payment._id).fulfilledAt).toBeInstanceOf(Date);
+  });
+
+  it('records a processed refund', async () => {
+    const payment = addPayment({
+      status: 'captured',
+      providerPaymentId: 'fake_pay_1',
+      fulfilledAt: new Date(),
+      refunds: [{ providerRefundId: 'fake_rfnd_1', amount: 200 }]
+    });
+
+    const webhook = fake.buildWebhook({ event: 'refund.processed', paymentId: 'fake_pay_1', refundId: 'fake_rfnd_1', amount: 200 });
+    await expect(deliver(webhook)).resolves.toBe('processed');
+
+    const saved = load(payment._id);
+    expect(saved.status).toBe('partially-refunded');
+    expect(saved.amountRefunded).toBe(200);
+    expect(saved.refunds[0].status).toBe('processed');
+    expect(MedicineOrder.recordRefund).toHaveBeenCalledWith(payment.medicineOrder, 200, expect.any(Date));
+    expect(Refund.settleProviderRefund).toHaveBeenCalledWith('fake_rfnd_1', 'completed');
+  });
+
+  it('records a failed refund without refunding the payment', async () => {
+    const payment = addPayment({
+      status: 'captured',
+      providerPaymentId: 'fake_pay_1',
+      fulfilledAt: new Date(),
+      refunds: [{ providerRefundId: 'fake_rfnd_1', amount: 200 }]
+    });
+
+    const webhook = fake.buildWebhook({ event: 'refund.failed', paymentId: 'fake_pay_1', refundId: 'fake_rfnd_1', amount: 200 });
+    await expect(deliver(webhook)).resolves.toBe('processed');
+
+    const saved = load(payment._id);
+    expect(saved.status).toBe('captured');
+    expect(saved.amountRefunded).toBe(0);
+    expect(saved.refunds[0].status).toBe('failed');
+    expect(MedicineOrder.recordRefund).not.toHaveBeenCalled();
+    expect(Refund.settleProviderRefund).toHaveBeenCalledWith('fake_rfnd_1', 'failed', expect.any(String));
+  });
+});
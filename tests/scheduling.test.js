@@ -0,0 +1,58 @@
+const Location = require('../models/Location');
+const { getDaySchedule, buildDaySlots, combineDateAndTime } = require('../utils/scheduling');
+
+const makeLocation = (fields = {}) => new Location({
+  name: 'Jubilee Hills',
+  timezone: 'Asia/Kolkata',
+  slotInterval: 60,
+  ...fields
+});
+
+// A time well before any slot in these tests, so none count as past
+const now = new Date('2025-01-01T00:00:00.000Z');
+
+describe('combineDateAndTime', () => {
+  it('combines a clinic date and time into the instant it happens', () => {
+    expect(combineDateAndTime('2025-01-15', '10:00', 'Asia/Kolkata').toISOString()).toBe('2025-01-15T04:30:00.000Z');
+  });
+});
+
+describe('buildDaySlots', () => {
+  it('gives slot start and end instants in the location time zone', () => {
+    const location = makeLocation();
+    const schedule = getDaySchedule(location, '2025-01-15');
+    const slots = buildDaySlots({ date: '2025-01-15', location: location.name, schedule, bookings: [], rooms: 1, duration: 45, now });
+
+    expect(slots[0].time).toBe('10:00');
+    expect(slots[0].startsAt.toISOString()).toBe('2025-01-15T04:30:00.000Z');
+    expect(slots[0].endsAt.toISOString()).toBe('2025-01-15T05:15:00.000Z');
+    expect(slots[slots.length - 1].time).toBe('19:00');
+    expect(slots[slots.length - 1].startsAt.toISOString()).toBe('2025-01-15T13:30:00.000Z');
+  });
+
+  it('uses the location time zone for locations outside IST', () => {
+    const location = makeLocation({ timezone: 'Europe/London' });
+    const schedule = getDaySchedule(location, '2025-07-15');
+    const slots = buildDaySlots({ date: '2025-07-15', location: location.name, schedule, bookings: [], rooms: 1, duration: 60, now });
+
+    // British Summer Time is an hour ahead of UTC
+    expect(slots[0].startsAt.toISOString()).toBe('2025-07-15T09:00:00.000Z');
+    expect(slots[0].endsAt.toISOString()).toBe('2025-07-15T10:00:00.000Z');
+  });
+
+  it('blocks slots that overlap a blackout stored as UTC instants', () => {
+    const location = makeLocation({
+      blackouts: [{
+        startsAt: new Date('2025-01-15T06:30:00.000Z'),
+        endsAt: new Date('2025-01-15T07:30:00.000Z'),
+        reason: 'Maintenance'
+      }]
+    });
+    const schedule = getDaySchedule(location, '2025-01-15');
+    const slots = buildDaySlots({ date: '2025-01-15', location: location.name, schedule, bookings: [], rooms: 1, duration: 60, now });
+
+    // 12:00 to 13:00 in Hyderabad
+    const blocked = slots.filter(slot => slot.isBlackedOut).map(slot => slot.time);
+    expect(blocked).toEqual(['12:00']);
+  });
+});
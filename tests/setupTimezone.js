@@ -0,0 +1,5 @@
+// Run the suite with the server in a time zone far from the clinics' (and with daylight
+// saving), so results that depend on the server's own TZ show up as failures
+module.exports = async () => {
+  process.env.TZ = 'America/New_York';
+};
@@ -0,0 +1,147 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Location = require('../models/Location');
+const clinicConfig = require('../config/clinic');
+const { DEFAULT_TIMEZONE, toDateKey, formatDisplayDate } = require('./clinicTime');
+const { signBookingToken } = require('./bookingToken');
+
+const BRAND_COLOR = '#156450';
+const MUTED_COLOR = '#666666';
+
+// Contact details for a location, falling back to the clinic-wide ones
+const getClinicInfo = async (locationName) => {
+  const location = await Location.getConfig(locationName);
+  const contact = location.contact || {};
+  const addressLines = location.getAddressLines();
+
+  return {
+    name: clinicConfig.name,
+    location: locationName,
+    address: addressLines.join(', '),
+    addressLines,
+    phone: contact.phone || clinicConfig.phone,
+    email: contact.email || clinicConfig.email,
+    website: clinicConfig.website,
+    mapUrl: contact.mapUrl || null
+  };
+};
+
+// Slip contents shared by the JSON and PDF responses
+const buildAppointmentSlip = async (booking) => {
+  const timeZone = booking.timeZone || DEFAULT_TIMEZONE;
+
+  return {
+    bookingReference: booking.bookingReference,
+    patientName: booking.personalDetails.fullName,
+    mobileNumber: booking.personalDetails.mobileNumber,
+    email: booking.personalDetails.email,
+    treatmentName: booking.treatmentDetails.name,
+    treatmentCategory: booking.treatmentDetails.category,
+    durationDisplay: booking.treatmentDetails.durationDisplay,
+    appointmentDate: toDateKey(booking.appointmentDate, timeZone),
+    appointmentDateDisplay: formatDisplayDate(booking.appointmentDate, timeZone),
+    appointmentTime: booking.appointmentTime,
+    timeZone,
+    location: booking.location,
+    status: booking.status,
+    bookedAt: booking.createdAt,
+    specialRequests: booking.specialRequests || 'None',
+    paymentMethod: booking.paymentMethod,
+    checkInToken: signBookingToken(booking),
+    clinicInfo: await getClinicInfo(booking.location)
+  };
+};
+
+const drawRow = (doc, label, value, y) => {
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(label, 50, y, { width: 130 });
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#222222').text(String(value || '-'), 180, y, { width: 200 });
+  return Math.max(doc.y, y + 14) + 8;
+};
+
+// Render the slip as an A4 PDF, resolving with the file contents
+const renderAppointmentSlipPdf = async (slip) => {
+  const qrImage = await QRCode.toBuffer(slip.checkInToken, {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 300,
+    color: { dark: '#000000', light: '#ffffff' }
+  });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Appointment Slip ${slip.bookingReference}`,
+        Author: slip.clinicInfo.name
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 100).fill(BRAND_COLOR);
+    doc.font('Helvetica-Bold').fontSize(26).fillColor('#ffffff').text(slip.clinicInfo.name, 50, 30);
+    doc.font('Helvetica').fontSize(11).fillColor('#e8f5f0').text('Your Beauty Transformation Journey', 50, 64);
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_COLOR).text('Appointment Slip', 50, 130);
+    doc.font('Helvetica').fontSize(11).fillColor(MUTED_COLOR).text(`Booking reference: ${slip.bookingReference}`, 50, 156);
+
+    // QR code for the front desk
+    doc.image(qrImage, 395, 125, { width: 150 });
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text('Show this code at the front desk', 395, 280, { width: 150, align: 'center' });
+
+    let y = 200;
+    y = drawRow(doc, 'Patient', slip.patientName, y);
+    y = drawRow(doc, 'Mobile', slip.mobileNumber, y);
+    y = drawRow(doc, 'Treatment', slip.treatmentName, y);
+    y = drawRow(doc, 'Category', slip.treatmentCategory, y);
+    if (slip.durationDisplay) y = drawRow(doc, 'Duration', slip.durationDisplay, y);
+    y = drawRow(doc, 'Date', slip.appointmentDateDisplay, y);
+    y = drawRow(doc, 'Time', slip.appointmentTime, y);
+    y = drawRow(doc, 'Location', slip.location, y);
+    y = drawRow(doc, 'Status', slip.status, y);
+    y = drawRow(doc, 'Special requests', slip.specialRequests, y);
+
+    // Clinic address and contact
+    y = Math.max(y, 310) + 20;
+    doc.moveTo(50, y).lineTo(doc.page.width - 50, y).strokeColor('#dddddd').stroke();
+    y += 15;
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOR).text(`${slip.clinicInfo.name}, ${slip.location}`, 50, y);
+    doc.font('Helvetica').fontSize(10).fillColor('#222222');
+    for (const line of slip.clinicInfo.addressLines) {
+      doc.text(line);
+    }
+    doc.moveDown(0.5);
+    doc.text(`Phone: ${slip.clinicInfo.phone}`);
+    doc.text(`Email: ${slip.clinicInfo.email}`);
+    doc.text(slip.clinicInfo.website);
+    if (slip.clinicInfo.mapUrl) {
+      doc.fillColor(BRAND_COLOR).text('Directions', { link: slip.clinicInfo.mapUrl, underline: true });
+    }
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+      .text('Please arrive 15 minutes before your appointment time and bring this slip or show it on your phone.');
+
+    doc.end();
+  });
+};
+
+// The client asked for a PDF with ?format=pdf or an Accept header preferring application/pdf
+const wantsPdf = (req) => {
+  if (req.query.format) {
+    return req.query.format === 'pdf';
+  }
+  return req.accepts(['application/json', 'application/pdf']) === 'application/pdf';
+};
+
+module.exports = {
+  getClinicInfo,
+  buildAppointmentSlip,
+  renderAppointmentSlipPdf,
+  wantsPdf
+};
@@ -0,0 +1,175 @@
+const BookingPolicy = require('../models/BookingPolicy');
+const PackagePurchase = require('../models/PackagePurchase');
+const User = require('../models/User');
+const { getAppointmentStart } = require('./clinicTime');
+const { refundCancelledBooking, describeRefund } = require('./refunds');
+
+// Zen members get the zen_member policy while their membership is active
+const getPlanType = async (userId) => {
+  const user = await User.findById(userId).select('planType hasZenMembership');
+  return user && user.hasActiveZenMembership() ? 'zen_member' : 'standard';
+};
+
+// Find the policy that governs a booking
+const resolvePolicy = async (booking) => {
+  const planType = await getPlanType(booking.user);
+  const category = booking.treatmentDetails ? booking.treatmentDetails.category : null;
+  return BookingPolicy.resolve({ category, planType });
+};
+
+const hoursUntil = (booking, now) => (getAppointmentStart(booking) - now) / (1000 * 60 * 60);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// The policy terms in plain words, returned with every cancel and reschedule
+const describePolicy = (policy) => {
+  const lateTerms = [];
+  if (policy.lateCancellationFee > 0) lateTerms.push(`a ₹${policy.lateCancellationFee} late cancellation fee`);
+  if (policy.forfeitCreditOnLateCancel) lateTerms.push('the prepaid package session being used up');
+
+  return {
+    name: policy.name,
+    category: policy.category,
+    planType: policy.planType,
+    cancelCutoffHours: policy.cancelCutoffHours,
+    rescheduleCutoffHours: policy.rescheduleCutoffHours,
+    maxReschedules: policy.maxReschedules,
+    lateCancellationFee: policy.lateCancellationFee,
+    forfeitCreditOnLateCancel: policy.forfeitCreditOnLateCancel,
+    summary: [
+      `Free cancellation up to ${plural(policy.cancelCutoffHours, 'hour')} before the appointment` +
+        (lateTerms.length > 0 ? `; later cancellations result in ${lateTerms.join(' and ')}.` : '.'),
+      policy.maxReschedules > 0
+        ? `Appointments can be rescheduled up to ${plural(policy.rescheduleCutoffHours, 'hour')} before, at most ${plural(policy.maxReschedules, 'time')}.`
+        : 'Appointments under this policy cannot be rescheduled.'
+    ].join(' ')
+  };
+};
+
+// Work out what cancelling a booking now would mean. Cancelling is always allowed;
+// inside the cutoff it is a late cancellation with the policy's fee and credit forfeiture.
+// An admin override ({ reason, by }) waives both.
+const evaluateCancellation = async (booking, { now = new Date(), override = null } = {}) => {
+  const policy = await resolvePolicy(booking);
+  const late = hoursUntil(booking, now) < policy.cancelCutoffHours;
+  const waived = Boolean(override);
+
+  const fee = late && !waived ? policy.lateCancellationFee : 0;
+  const forfeitCredit = late && !waived && policy.forfeitCreditOnLateCancel && Boolean(booking.packagePurchase);
+
+  let explanation;
+  if (!late) {
+    explanation = `Cancelling more than ${plural(policy.cancelCutoffHours, 'hour')} before the appointment is free of charge.`;
+  } else if (waived) {
+    explanation = `Late cancellation terms waived by the clinic: ${override.reason}`;
+  } else if (fee > 0 || forfeitCredit) {
+    const terms = [];
+    if (fee > 0) terms.push(`a ₹${fee} late cancellation fee applies`);
+    if (forfeitCredit) terms.push('the package session is used up');
+    explanation = `This is within ${plural(policy.cancelCutoffHours, 'hour')} of the appointment, so ${terms.join(' and ')}.`;
+  } else {
+    explanation = `This is within ${plural(policy.cancelCutoffHours, 'hour')} of the appointment; no late charges apply under this policy.`;
+  }
+
+  return {
+    allowed: true,
+    late,
+    fee,
+    forfeitCredit,
+    overridden: late && waived,
+    explanation,
+    policy: describePolicy(policy)
+  };
+};
+
+// Work out whether a booking may be rescheduled now. An admin override ({ reason, by })
+// sets aside both the cutoff and the reschedule limit.
+const evaluateReschedule = async (booking, { now = new Date(), override = null } = {}) => {
+  const policy = await resolvePolicy(booking);
+  const count = booking.rescheduleCount || 0;
+  const remaining = Math.max(policy.maxReschedules - count, 0);
+
+  let reason = null;
+  if (count >= policy.maxReschedules) {
+    reason = policy.maxReschedules === 0
+      ? 'Appointments under this policy cannot be rescheduled'
+      : `Appointment can only be rescheduled ${plural(policy.maxReschedules, 'time')}`;
+  } else if (hoursUntil(booking, now) < policy.rescheduleCutoffHours) {
+    reason = `Appointments can only be rescheduled up to ${plural(policy.rescheduleCutoffHours, 'hour')} before the appointment time`;
+  }
+
+  if (reason && override) {
+    return {
+      allowed: true,
+      overridden: true,
+      maxReschedules: null,
+      remainingReschedules: remaining,
+      explanation: `${reason}, but the clinic allowed this change: ${override.reason}`,
+      policy: describePolicy(policy)
+    };
+  }
+
+  return {
+    allowed: !reason,
+    overridden: false,
+    reason,
+    maxReschedules: policy.maxReschedules,
+    remainingReschedules: remaining,
+    explanation: reason || `You can reschedule this appointment ${plural(remaining, 'more time')}.`,
+    policy: describePolicy(policy)
+  };
+};
+
+// Keep an audit entry when an admin sets the policy aside
+const recordOverride = (booking, action, decision, override) => {
+  if (!decision.overridden) {
+    return;
+  }
+  booking.policyOverrides.push({
+    action,
+    reason: override.reason,
+    overriddenBy: override.by,
+    overriddenAt: new Date(),
+    policyName: decision.policy.name,
+    explanation: decision.explanation
+  });
+};
+
+// Cancel a booking under its policy: record the outcome on the booking, hand back a prepaid
+// session unless the policy forfeits it and open a refund for anything paid. Returns the
+// policy decision, with the refund when one was opened.
+const cancelBookingWithPolicy = async (booking, reason, { now = new Date(), override = null, actor } = {}) => {
+  const decision = await evaluateCancellation(booking, { now, override });
+
+  booking.cancellationPolicy = {
+    name: decision.policy.name,
+    late: decision.late,
+    fee: decision.fee,
+    feeStatus: decision.fee > 0 ? 'pending' : (decision.overridden ? 'waived' : 'none'),
+    creditForfeited: decision.forfeitCredit,
+    explanation: decision.explanation
+  };
+  recordOverride(booking, 'cancel', decision, override);
+  await booking.cancelBooking(reason, actor);
+
+  if (!decision.forfeitCredit) {
+    await PackagePurchase.reinstateSession(booking, 'Booking cancelled');
+  }
+
+  const refund = await refundCancelledBooking(booking, actor);
+  if (refund) {
+    decision.refund = describeRefund(refund);
+  }
+
+  return decision;
+};
+
+module.exports = {
+  getPlanType,
+  resolvePolicy,
+  describePolicy,
+  evaluateCancellation,
+  evaluateReschedule,
+  recordOverride,
+  cancelBookingWithPolicy
+};
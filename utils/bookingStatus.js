@@ -0,0 +1,35 @@
+const Booking = require('../models/Booking');
+
+// The person behind a request, as recorded in a booking's status history.
+// Admin panel requests carry the admin's email; app requests carry the signed-in account.
+const getStatusActor = (req) => {
+  if (req.admin) {
+    return { role: 'admin', email: req.admin.email };
+  }
+  if (req.userDoc) {
+    return {
+      role: req.userDoc.role === 'user' ? 'customer' : req.userDoc.role,
+      user: req.userDoc._id,
+      name: req.userDoc.fullName,
+      email: req.userDoc.email
+    };
+  }
+  return Booking.SYSTEM_ACTOR;
+};
+
+// Reply for a status change the transition table does not allow
+const rejectTransition = (res, booking, status) => {
+  return res.status(400).json({
+    success: false,
+    message: booking.getTransitionError(status),
+    data: {
+      status: booking.status,
+      allowedStatuses: Booking.STATUS_TRANSITIONS[booking.status] || []
+    }
+  });
+};
+
+module.exports = {
+  getStatusActor,
+  rejectTransition
+};
@@ -0,0 +1,37 @@
+const jwt = require('jsonwebtoken');
+
+// Signed token printed as a QR code on appointment slips. The front desk scans it to
+// find the booking; the signature stops anyone forging a slip for someone else's booking.
+const BOOKING_TOKEN_TYPE = 'booking-slip';
+// Tokens stay valid until this many days after the appointment
+const BOOKING_TOKEN_GRACE_DAYS = 2;
+
+const getSecret = () => process.env.BOOKING_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const signBookingToken = (booking) => {
+  const expiresAt = new Date(new Date(booking.appointmentDate).getTime() + BOOKING_TOKEN_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  return jwt.sign(
+    {
+      typ: BOOKING_TOKEN_TYPE,
+      ref: booking.bookingReference,
+      exp: Math.floor(expiresAt.getTime() / 1000)
+    },
+    getSecret(),
+    { subject: booking._id.toString() }
+  );
+};
+
+// Returns { bookingId, bookingReference } or throws if the token is invalid or expired
+const verifyBookingToken = (token) => {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.typ !== BOOKING_TOKEN_TYPE) {
+    throw new Error('Not a booking token');
+  }
+  return { bookingId: payload.sub, bookingReference: payload.ref };
+};
+
+module.exports = {
+  signBookingToken,
+  verifyBookingToken
+};
@@ -0,0 +1,156 @@
+const { DEFAULT_DURATION_MINUTES } = require('./scheduling');
+const { DEFAULT_TIMEZONE, getAppointmentStart, getAppointmentEnd } = require('./clinicTime');
+
+const PRODID = '-//Zennara//Appointments//EN';
+const UID_DOMAIN = 'zennara.in';
+// Subscription feeds cover appointments from this many days back to this many days ahead
+const FEED_PAST_DAYS = parseInt(process.env.CALENDAR_FEED_PAST_DAYS) || 30;
+const FEED_FUTURE_DAYS = parseInt(process.env.CALENDAR_FEED_FUTURE_DAYS) || 180;
+
+// Escape TEXT values (RFC 5545 3.3.11)
+const escapeText = (value) => {
+  return String(value == null ? '' : value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets (RFC 5545 3.1), without splitting a UTF-8 character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// "20240105T093000Z"
+const formatUtc = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+// Stable across reschedules so calendar apps move the event instead of adding another
+const bookingUid = (booking) => `booking-${booking._id}@${UID_DOMAIN}`;
+
+// Build the VEVENT lines for a booking.
+// audience 'customer' describes the appointment for the patient; 'staff' adds who is coming.
+const buildBookingEvent = (booking, { cancelled = false, audience = 'customer', now = new Date() } = {}) => {
+  const treatmentName = booking.treatmentDetails ? booking.treatmentDetails.name : 'Appointment';
+  const personal = booking.personalDetails || {};
+
+  const description = [
+    `Treatment: ${treatmentName}`,
+    `Booking reference: ${booking.bookingReference}`
+  ];
+  if (audience === 'staff') {
+    description.push(`Customer: ${personal.fullName || ''}`);
+    if (personal.mobileNumber) description.push(`Mobile: ${personal.mobileNumber}`);
+    if (booking.specialRequests) description.push(`Special requests: ${booking.specialRequests}`);
+  } else {
+    description.push('Please arrive 15 minutes early.');
+  }
+
+  // The sequence must rise with every change; a cancellation is one more change
+  const sequence = (booking.rescheduleCount || 0) + (cancelled ? 1 : 0);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${bookingUid(booking)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    // Stored UTC times, so calendar apps show them in whatever zone the reader is in
+    `DTSTART:${formatUtc(getAppointmentStart(booking))}`,
+    `DTEND:${formatUtc(getAppointmentEnd(booking, DEFAULT_DURATION_MINUTES))}`,
+    `SEQUENCE:${sequence}`,
+    `SUMMARY:${escapeText(audience === 'staff' ? `${treatmentName} - ${personal.fullName || ''}` : `${treatmentName} at Zennara`)}`,
+    `LOCATION:${escapeText(`Zennara Clinic, ${booking.location}`)}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`
+  ];
+
+  if (process.env.FROM_EMAIL) {
+    lines.push(`ORGANIZER;CN=Zennara:mailto:${process.env.FROM_EMAIL}`);
+  }
+  if (audience === 'customer' && personal.email) {
+    lines.push(`ATTENDEE;CN="${String(personal.fullName || personal.email).replace(/"/g, '')}";ROLE=REQ-PARTICIPANT:mailto:${personal.email}`);
+  }
+
+  // Remind the customer a day and an hour before, unless the event is cancelled
+  if (!cancelled && audience === 'customer') {
+    for (const trigger of ['-P1D', '-PT1H']) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(`${treatmentName} at Zennara`)}`,
+        `TRIGGER:${trigger}`,
+        'END:VALARM'
+      );
+    }
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Wrap events in a VCALENDAR. method is 'REQUEST' or 'CANCEL' for email invitations and
+// null for subscription feeds, which must not carry a METHOD.
+const buildCalendar = (events, { method = null, name = null } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN'
+  ];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`, `X-WR-TIMEZONE:${DEFAULT_TIMEZONE}`);
+  }
+
+  for (const event of events) {
+    lines.push(...event);
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Invitation for a new or moved booking
+const buildBookingInvite = (booking) => {
+  return buildCalendar([buildBookingEvent(booking)], { method: 'REQUEST' });
+};
+
+// Cancellation matching an earlier invitation
+const buildBookingCancellation = (booking) => {
+  return buildCalendar([buildBookingEvent(booking, { cancelled: true })], { method: 'CANCEL' });
+};
+
+// Subscription URL for a feed token. Calendar apps fetch it directly, so it points at the API.
+const buildFeedUrl = (token) => {
+  return `${process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`}/api/calendar/feeds/${token}.ics`;
+};
+
+module.exports = {
+  FEED_PAST_DAYS,
+  FEED_FUTURE_DAYS,
+  escapeText,
+  foldLine,
+  bookingUid,
+  buildBookingEvent,
+  buildCalendar,
+  buildBookingInvite,
+  buildBookingCancellation,
+  buildFeedUrl
+};
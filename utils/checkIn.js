@@ -0,0 +1,113 @@
+const Booking = require('../models/Booking');
+const { sendCheckoutOTPEmail } = require('./emailService');
+
+// Patients can check in from 15 minutes before to 1 hour after their start time
+const CHECK_IN_OPENS_MINUTES = 15;
+const CHECK_IN_CLOSES_MINUTES = 60;
+// Minimum time between check-in and self checkout
+const CHECKOUT_AFTER_MINUTES = 20;
+
+// Where now falls relative to the check-in window for an appointment starting at startsAt
+const getCheckInWindow = (appointmentStart, now = new Date()) => {
+  const startsAt = new Date(appointmentStart);
+  const opensAt = new Date(startsAt.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000);
+  const closesAt = new Date(startsAt.getTime() + CHECK_IN_CLOSES_MINUTES * 60 * 1000);
+
+  return {
+    startsAt,
+    opensAt,
+    closesAt,
+    isOpen: now >= opensAt && now <= closesAt,
+    minutesFromStart: Math.round((now - startsAt) / (60 * 1000))
+  };
+};
+
+const generateCheckoutOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
+
+// Details kept when the front desk checks a patient in.
+// deskUser is the signed-in receptionist; overrideReason explains a check-in outside the window.
+const buildFrontDeskRecord = ({ deskUser, method, window, overrideReason }) => ({
+  deskUser: deskUser._id,
+  deskUserName: deskUser.fullName,
+  deskUserEmail: deskUser.email,
+  method,
+  outsideWindow: !window.isOpen,
+  minutesFromStart: window.minutesFromStart,
+  overrideReason: window.isOpen ? undefined : overrideReason
+});
+
+const sendCheckoutOTP = async (email, otp, booking) => {
+  try {
+    await sendCheckoutOTPEmail(email, otp, booking);
+    console.log(`Check-out OTP sent to ${email} for ${booking.bookingReference}`);
+    return true;
+  } catch (emailError) {
+    // Continue with check-in even if email fails
+    console.error('Failed to send OTP email:', emailError);
+    return false;
+  }
+};
+
+// Reason kept in the status history for a check-in
+const describeCheckIn = (frontDesk) => {
+  if (!frontDesk) {
+    return 'Checked in';
+  }
+  return frontDesk.overrideReason
+    ? `Checked in at the front desk outside the check-in window: ${frontDesk.overrideReason}`
+    : 'Checked in at the front desk';
+};
+
+// Check a single booking in and mail the checkout OTP to the patient. Returns the OTP.
+// actor is who checked the patient in, for the status history.
+const checkInBooking = async (booking, { now = new Date(), frontDesk = null, actor } = {}) => {
+  const otp = generateCheckoutOTP();
+
+  booking.checkedIn = true;
+  booking.checkInTime = now;
+  booking.checkoutOTP = otp;
+  booking.setStatus('in-progress', { actor, reason: describeCheckIn(frontDesk) });
+  booking.checkOutEligibleTime = new Date(now.getTime() + CHECKOUT_AFTER_MINUTES * 60 * 1000);
+  booking.canCheckOut = false; // Will be enabled after 20 minutes
+  if (frontDesk) booking.frontDeskCheckIn = frontDesk;
+  await booking.save();
+
+  const otpSent = await sendCheckoutOTP(booking.personalDetails.email, otp, booking);
+  return { otp, otpSent };
+};
+
+// Check in every treatment of a visit at once and mail one checkout OTP. Returns the OTP.
+const checkInVisit = async (visit, { now = new Date(), frontDesk = null, actor } = {}) => {
+  const otp = generateCheckoutOTP();
+  const checkOutEligibleTime = new Date(now.getTime() + CHECKOUT_AFTER_MINUTES * 60 * 1000);
+
+  visit.checkedIn = true;
+  visit.checkInTime = now;
+  visit.checkoutOTP = otp;
+  visit.status = 'in-progress';
+  visit.checkOutEligibleTime = checkOutEligibleTime;
+  if (frontDesk) visit.frontDeskCheckIn = frontDesk;
+  await visit.save();
+
+  const set = { checkedIn: true, checkInTime: now, checkOutEligibleTime, canCheckOut: false };
+  if (frontDesk) set.frontDeskCheckIn = frontDesk;
+  await Booking.transitionMany({ visit: visit._id, status: { $in: ['confirmed', 'rescheduled'] } }, 'in-progress', {
+    actor,
+    reason: describeCheckIn(frontDesk),
+    set,
+    now
+  });
+
+  const firstBooking = await Booking.findOne({ visit: visit._id }).sort({ visitSequence: 1 });
+  const otpSent = await sendCheckoutOTP(visit.personalDetails.email, otp, firstBooking);
+  return { otp, otpSent };
+};
+
+module.exports = {
+  CHECK_IN_OPENS_MINUTES,
+  CHECK_IN_CLOSES_MINUTES,
+  getCheckInWindow,
+  buildFrontDeskRecord,
+  checkInBooking,
+  checkInVisit
+};
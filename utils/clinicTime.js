@@ -0,0 +1,159 @@
+// Clinic date and time handling. Appointment dates and times are wall-clock values in a
+// location's time zone; everything stored or compared is a UTC instant. Nothing here
+// depends on the server's own time zone (TZ), so results are the same wherever it runs.
+
+// Time zone for locations that have not set one
+const DEFAULT_TIMEZONE = process.env.CLINIC_TIMEZONE || 'Asia/Kolkata';
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+// Intl formatters are expensive to build, so keep one per time zone
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Check a name is an IANA time zone the runtime knows, e.g. "Asia/Kolkata"
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of an instant in a time zone (month is 1-12, weekday 0 = Sunday)
+const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Minutes a time zone is ahead of UTC at an instant
+const getOffsetMinutes = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000) / (60 * 1000));
+};
+
+// The instant a "YYYY-MM-DD" date and "HH:mm" time happen in a time zone.
+// A time skipped by a daylight saving change resolves to the instant just after the gap.
+const zonedTimeToUtc = (dateKey, time = '00:00', timeZone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  const firstGuess = wallClockAsUtc - getOffsetMinutes(wallClockAsUtc, timeZone) * 60 * 1000;
+  const offset = getOffsetMinutes(firstGuess, timeZone);
+  const candidate = wallClockAsUtc - offset * 60 * 1000;
+  return new Date(getOffsetMinutes(candidate, timeZone) === offset ? candidate : firstGuess);
+};
+
+// "YYYY-MM-DD" for the calendar day an instant falls on in a time zone
+const toDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+};
+
+// "HH:mm" wall-clock time of an instant in a time zone
+const toTimeString = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = getZonedParts(date, timeZone);
+  return `${pad(parts.hour)}:${pad(parts.minute)}`;
+};
+
+// Accept "YYYY-MM-DD", a full ISO string, or a Date (read in the time zone) and return a date key
+const normalizeDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  if (typeof date === 'string') {
+    const dateKey = date.split('T')[0];
+    return DATE_KEY_PATTERN.test(dateKey) ? dateKey : toDateKey(new Date(date), timeZone);
+  }
+  return toDateKey(date, timeZone);
+};
+
+// Calendar arithmetic on date keys; independent of any time zone
+const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const getWeekday = (dateKey) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// First and last instants of a calendar day in a time zone
+const startOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return zonedTimeToUtc(normalizeDateKey(date, timeZone), '00:00', timeZone);
+};
+
+const endOfDay = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const nextDay = addDays(normalizeDateKey(date, timeZone), 1);
+  return new Date(zonedTimeToUtc(nextDay, '00:00', timeZone).getTime() - 1);
+};
+
+// Dates for people to read, e.g. "Monday, 6 January 2025"
+const formatDisplayDate = (date, timeZone = DEFAULT_TIMEZONE, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) => {
+  return new Date(date).toLocaleDateString('en-IN', { ...options, timeZone });
+};
+
+// Canonical UTC start and end of a booking. Bookings saved before these were stored
+// fall back to the appointment date, which holds the same instant.
+const getAppointmentStart = (booking) => new Date(booking.startsAt || booking.appointmentDate);
+
+const getAppointmentEnd = (booking, defaultDuration = 60) => {
+  if (booking.endsAt) {
+    return new Date(booking.endsAt);
+  }
+  const duration = (booking.treatmentDetails && booking.treatmentDetails.duration) || defaultDuration;
+  return new Date(getAppointmentStart(booking).getTime() + duration * 60 * 1000);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  toDateKey,
+  toTimeString,
+  normalizeDateKey,
+  addDays,
+  getWeekday,
+  daysInMonth,
+  startOfDay,
+  endOfDay,
+  formatDisplayDate,
+  getAppointmentStart,
+  getAppointmentEnd
+};
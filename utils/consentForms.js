@@ -0,0 +1,193 @@
+const PDFDocument = require('pdfkit');
+const ConsentTemplate = require('../models/ConsentTemplate');
+const ConsentRecord = require('../models/ConsentRecord');
+const { DEFAULT_TIMEZONE, formatDisplayDate } = require('./clinicTime');
+const { getClinicInfo } = require('./appointmentSlip');
+
+const BRAND_COLOR = '#156450';
+const MUTED_COLOR = '#666666';
+
+// Forms can be signed while the appointment is still ahead, and must be before check-in
+const SIGNABLE_STATUSES = ['confirmed', 'rescheduled'];
+
+// Every form a booking's treatment needs, paired with its signed copy if there is one
+const getBookingForms = async (booking) => {
+  const templates = await ConsentTemplate.findForBooking(booking);
+  const records = await ConsentRecord.find({ booking: booking._id });
+
+  // Forms signed before a template was retired still belong to the booking
+  const forms = templates.map(template => ({
+    template,
+    record: records.find(record => record.template.toString() === template._id.toString()) || null
+  }));
+  records
+    .filter(record => !forms.some(form => form.record === record))
+    .forEach(record => forms.push({ template: null, record }));
+
+  return forms;
+};
+
+// Summary of a form for the app and the front desk
+const describeForm = ({ template, record }) => ({
+  templateId: template ? template._id : record.template,
+  title: record ? record.title : template.title,
+  kind: record ? record.kind : template.kind,
+  version: record ? record.templateVersion : template.version,
+  signed: Boolean(record),
+  signedAt: record ? record.signature.signedAt : null,
+  signedName: record ? record.signature.typedName : null,
+  recordId: record ? record._id : null
+});
+
+// Forms still to be signed across bookings that are about to be checked in
+const getOutstandingForms = async (bookings) => {
+  const outstanding = [];
+
+  for (const booking of bookings) {
+    if (!SIGNABLE_STATUSES.includes(booking.status)) continue;
+
+    const forms = await getBookingForms(booking);
+    forms
+      .filter(form => form.template && !form.record)
+      .forEach(({ template }) => outstanding.push({
+        bookingId: booking._id,
+        bookingReference: booking.bookingReference,
+        treatmentName: booking.treatmentDetails.name,
+        templateId: template._id,
+        title: template.title,
+        kind: template.kind
+      }));
+  }
+
+  return outstanding;
+};
+
+const describeOutstanding = (outstanding) => {
+  const titles = [...new Set(outstanding.map(form => form.title))];
+  return `Consent forms not signed yet: ${titles.join(', ')}`;
+};
+
+const isBlank = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+// Check the customer's answers against the template's questions.
+// Returns { responses } ready to store, or { error } for the first problem found.
+const buildResponses = (template, answers = {}) => {
+  const responses = [];
+
+  for (const question of template.questions) {
+    let answer = answers[question.key];
+
+    if (isBlank(answer)) {
+      if (question.required) {
+        return { error: `Please answer "${question.label}"` };
+      }
+      responses.push({ key: question.key, label: question.label, type: question.type, answer: null });
+      continue;
+    }
+
+    if (question.type === 'yes-no' && typeof answer !== 'boolean') {
+      return { error: `"${question.label}" must be answered yes or no` };
+    }
+    if (question.type === 'choice' && !question.options.includes(answer)) {
+      return { error: `"${question.label}" must be one of: ${question.options.join(', ')}` };
+    }
+    if (question.type === 'date' && (typeof answer !== 'string' || isNaN(new Date(answer).getTime()))) {
+      return { error: `"${question.label}" must be a valid date` };
+    }
+    if (question.type === 'text') {
+      if (typeof answer !== 'string' || answer.length > 2000) {
+        return { error: `"${question.label}" must be text of up to 2000 characters` };
+      }
+      answer = answer.trim();
+    }
+
+    responses.push({ key: question.key, label: question.label, type: question.type, answer });
+  }
+
+  return { responses };
+};
+
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+// The typed signature has to be the patient's name as booked
+const namesMatch = (typedName, fullName) => normalizeName(typedName) === normalizeName(fullName);
+
+const formatAnswer = (response) => {
+  if (response.answer === null || response.answer === undefined) return 'Not answered';
+  if (response.type === 'yes-no') return response.answer ? 'Yes' : 'No';
+  return String(response.answer);
+};
+
+// Render a signed form as an A4 PDF for printing, resolving with the file contents
+const renderConsentPdf = async (record, booking) => {
+  const timeZone = booking.timeZone || DEFAULT_TIMEZONE;
+  const clinicInfo = await getClinicInfo(booking.location);
+  const signature = record.signature;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `${record.title} - ${booking.bookingReference}`,
+        Author: clinicInfo.name
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header band with the clinic's details
+    doc.rect(0, 0, doc.page.width, 100).fill(BRAND_COLOR);
+    doc.font('Helvetica-Bold').fontSize(24).fillColor('#ffffff').text(clinicInfo.name, 50, 28);
+    doc.font('Helvetica').fontSize(9).fillColor('#e8f5f0')
+      .text(`${clinicInfo.address} | ${clinicInfo.phone} | ${clinicInfo.email}`, 50, 62, { width: doc.page.width - 100 });
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_COLOR).text(record.title, 50, 125, { width: doc.page.width - 100 });
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+      .text(`${record.kind === 'intake' ? 'Intake questionnaire' : 'Consent form'} - version ${record.templateVersion}`);
+    doc.moveDown(0.5);
+    doc.fillColor('#222222')
+      .text(`Patient: ${booking.personalDetails.fullName}`)
+      .text(`Appointment: ${booking.bookingReference} - ${booking.treatmentDetails.name}, ${formatDisplayDate(booking.appointmentDate, timeZone)} at ${booking.appointmentTime}`);
+    doc.moveDown();
+
+    if (record.body) {
+      doc.font('Helvetica').fontSize(10).fillColor('#222222').text(record.body, { width: doc.page.width - 100 });
+      doc.moveDown();
+    }
+
+    record.responses.forEach(response => {
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#222222').text(response.label, { width: doc.page.width - 100 });
+      doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(formatAnswer(response), { width: doc.page.width - 100 });
+      doc.moveDown(0.5);
+    });
+
+    // Signature block
+    doc.moveDown();
+    const y = doc.y;
+    doc.moveTo(50, y).lineTo(doc.page.width - 50, y).strokeColor('#dddddd').stroke();
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text('Signed electronically', 50, y + 12);
+    doc.font('Helvetica').fontSize(10).fillColor('#222222')
+      .text(`Name: ${signature.typedName}`)
+      .text(`Signed: ${formatDisplayDate(signature.signedAt, timeZone)} ${new Date(signature.signedAt).toISOString()}`);
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text(`IP address: ${signature.ipAddress || '-'}`)
+      .text(`Device: ${signature.device || signature.userAgent || '-'}`, { width: doc.page.width - 100 })
+      .text(`Record fingerprint: ${record.contentHash}`);
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  SIGNABLE_STATUSES,
+  getBookingForms,
+  describeForm,
+  getOutstandingForms,
+  describeOutstanding,
+  buildResponses,
+  namesMatch,
+  renderConsentPdf
+};
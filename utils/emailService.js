@@ -1,4 +1,6 @@
 const AWS = require('aws-sdk');
+const { buildBookingInvite, buildBookingCancellation } = require('./calendar');
+const { DEFAULT_TIMEZONE } = require('./clinicTime');
 
 // Configure AWS SES
 AWS.config.update({
@@ -9,6 +11,61 @@ AWS.config.update({
 
 const ses = new AWS.SES({ apiVersion: '2010-12-01' });
 
+// Encode a header value that may contain non-ASCII characters (RFC 2047)
+const encodeHeader = (value) => {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+};
+
+// Base64 body wrapped at 76 characters, as MIME requires
+const toBase64Lines = (content) => {
+  return Buffer.from(content).toString('base64').replace(/.{76}(?=.)/g, '$&\r\n');
+};
+
+// Send the same message as ses.sendEmail(params) with file attachments, through sendRawEmail.
+// Each attachment is { filename, contentType, content }.
+const sendEmailWithAttachments = (params, attachments) => {
+  const boundary = `zennara-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  const headers = [
+    `From: ${params.Source}`,
+    `To: ${params.Destination.ToAddresses.join(', ')}`,
+    `Subject: ${encodeHeader(params.Message.Subject.Data)}`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`
+  ];
+  if (params.ReplyToAddresses) {
+    headers.push(`Reply-To: ${params.ReplyToAddresses.join(', ')}`);
+  }
+
+  const parts = [[
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    toBase64Lines(params.Message.Body.Html.Data)
+  ].join('\r\n')];
+
+  for (const attachment of attachments) {
+    parts.push([
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType}; name="${attachment.filename}"`,
+      `Content-Disposition: attachment; filename="${attachment.filename}"`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      toBase64Lines(attachment.content)
+    ].join('\r\n'));
+  }
+
+  const rawMessage = `${headers.join('\r\n')}\r\n\r\n${parts.join('\r\n')}\r\n--${boundary}--\r\n`;
+  return ses.sendRawEmail({ RawMessage: { Data: rawMessage } }).promise();
+};
+
+// Calendar invitation attached to booking emails; method is 'REQUEST' or 'CANCEL'
+const calendarAttachment = (content, method) => ({
+  filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+  contentType: `text/calendar; charset=UTF-8; method=${method}`,
+  content
+});
+
 // Send OTP email using AWS SES
 const sendOTPEmail = async (email, otp, fullName) => {
   try {
@@ -210,7 +267,7 @@ const sendCheckoutOTPEmail = async (email, otp, booking) => {
           <div style="background: #f8fffe; border: 1px solid #156450; border-radius: 8px; padding: 20px; margin: 20px 0;">
             <h3 style="color: #156450; margin: 0 0 15px 0;">Appointment Details</h3>
             <p style="margin: 5px 0;"><strong>Treatment:</strong> ${booking.treatmentDetails.name}</p>
-            <p style="margin: 5px 0;"><strong>Date:</strong> ${new Date(booking.appointmentDate).toLocaleDateString()}</p>
+            <p style="margin: 5px 0;"><strong>Date:</strong> ${new Date(booking.appointmentDate).toLocaleDateString('en-US', { timeZone: booking.timeZone || DEFAULT_TIMEZONE })}</p>
             <p style="margin: 5px 0;"><strong>Time:</strong> ${booking.appointmentTime}</p>
             <p style="margin: 5px 0;"><strong>Location:</strong> ${booking.location}</p>
             <p style="margin: 5px 0;"><strong>Booking Reference:</strong> ${booking.bookingReference}</p>
@@ -320,7 +377,7 @@ const sendBookingConfirmationEmail = async (email, booking) => {
               </div>
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
                 <span style="font-weight: 600;">Date:</span>
-                <span>${new Date(booking.appointmentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</span>
+                <span>${new Date(booking.appointmentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: booking.timeZone || DEFAULT_TIMEZONE })}</span>
               </div>
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
                 <span style="font-weight: 600;">Time:</span>
@@ -389,7 +446,9 @@ const sendBookingConfirmationEmail = async (email, booking) => {
       ReplyToAddresses: [process.env.FROM_EMAIL]
     };
 
-    const result = await ses.sendEmail(params).promise();
+    const result = await sendEmailWithAttachments(params, [
+      calendarAttachment(buildBookingInvite(booking), 'REQUEST')
+    ]);
     console.log('Booking confirmation email sent successfully via AWS SES:', result.MessageId);
     return result;
 
@@ -399,6 +458,130 @@ const sendBookingConfirmationEmail = async (email, booking) => {
   }
 };
 
+// Send one confirmation email for a multi-treatment visit
+const sendVisitConfirmationEmail = async (email, visit) => {
+  try {
+    const itineraryRows = [...visit.items]
+      .sort((a, b) => a.sequence - b.sequence)
+      .map(item => `
+              <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="font-weight: 600;">${item.startTime} - ${item.endTime}</span>
+                <span>${item.treatmentName}</span>
+              </div>`)
+      .join('');
+
+    const htmlBody = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Visit Confirmed - Zennara</title>
+      </head>
+      <body style="font-family: 'Poppins', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #4ade80, #156450, #065f46); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <img src="https://res.cloudinary.com/dgcpuirdo/image/upload/v1747888804/zennara_logo_white_1_k3ohat.png" alt="Zennara Logo" style="height: 40px; margin-bottom: 10px;" />
+          <p style="color: white; margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">Your Beauty Transformation Journey</p>
+        </div>
+        
+        <div style="background: #ffffff; padding: 40px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <div style="background: #10B981; color: white; width: 60px; height: 60px; border-radius: 50%; display: inline-flex; align-items: center; justify-content: center; margin-bottom: 15px;">
+              <span style="font-size: 24px;">✓</span>
+            </div>
+            <h2 style="color: #156450; margin: 0;">Visit Confirmed!</h2>
+          </div>
+          
+          <p style="font-size: 16px; margin-bottom: 30px;">
+            Dear ${visit.personalDetails.fullName}, your visit with ${visit.items.length} treatments has been successfully booked.
+          </p>
+          
+          <div style="background: #f8fffe; border: 1px solid #156450; border-radius: 8px; padding: 25px; margin: 30px 0;">
+            <h3 style="color: #156450; margin: 0 0 20px 0; text-align: center;">Visit Details</h3>
+            <div style="display: grid; gap: 12px;">
+              <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="font-weight: 600;">Date:</span>
+                <span>${new Date(visit.appointmentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: DEFAULT_TIMEZONE })}</span>
+              </div>
+              <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="font-weight: 600;">Time:</span>
+                <span>${visit.startTime} - ${visit.endTime}</span>
+              </div>
+              <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="font-weight: 600;">Location:</span>
+                <span>${visit.location}</span>
+              </div>
+              <div style="display: flex; justify-content: space-between; padding: 8px 0;">
+                <span style="font-weight: 600;">Visit Reference:</span>
+                <span style="color: #156450; font-weight: bold;">${visit.visitReference}</span>
+              </div>
+            </div>
+          </div>
+
+          <div style="background: #f8fffe; border: 1px solid #156450; border-radius: 8px; padding: 25px; margin: 30px 0;">
+            <h3 style="color: #156450; margin: 0 0 20px 0; text-align: center;">Your Itinerary</h3>
+            <div style="display: grid; gap: 12px;">${itineraryRows}
+            </div>
+          </div>
+          
+          <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 20px; margin: 25px 0;">
+            <h4 style="color: #856404; margin: 0 0 15px 0;">Important Reminders:</h4>
+            <ul style="margin: 0; padding-left: 20px; color: #856404;">
+              <li style="margin-bottom: 8px;">Please arrive 15 minutes before your first treatment</li>
+              <li style="margin-bottom: 8px;">You only need to check in once for the whole visit</li>
+              <li style="margin-bottom: 8px;">Bring a valid ID for verification</li>
+              <li style="margin-bottom: 8px;">You can reschedule or cancel up to 2 hours before your visit</li>
+            </ul>
+          </div>
+          
+          <div style="text-align: center; margin-top: 30px;">
+            <p style="font-size: 16px; color: #156450; margin-bottom: 20px;">
+              We look forward to serving you at Zennara!
+            </p>
+          </div>
+        </div>
+        
+        <div style="background: #f8f9fa; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; border-top: 1px solid #e9ecef;">
+          <p style="margin: 0; font-size: 12px; color: #6c757d;">
+            Zennara Clinic | ${visit.location}<br>
+            Phone: +91-9999999999 | Email: info@zennara.com<br>
+            This is an automated message. Please do not reply to this email.
+          </p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const params = {
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Body: {
+          Html: {
+            Charset: 'UTF-8',
+            Data: htmlBody
+          }
+        },
+        Subject: {
+          Charset: 'UTF-8',
+          Data: `Visit Confirmed - ${visit.items.length} Treatments | Zennara`
+        }
+      },
+      Source: process.env.FROM_EMAIL,
+      ReplyToAddresses: [process.env.FROM_EMAIL]
+    };
+
+    const result = await ses.sendEmail(params).promise();
+    console.log('Visit confirmation email sent successfully via AWS SES:', result.MessageId);
+    return result;
+
+  } catch (error) {
+    console.error('AWS SES visit confirmation email sending error:', error);
+    throw new Error('Failed to send visit confirmation email via AWS SES');
+  }
+};
+
 // Send 12-hour reminder email
 const send12HourReminderEmail = async (email, booking) => {
   try {
@@ -419,7 +602,7 @@ const send12HourReminderEmail = async (email, booking) => {
       headerTitle = "Appointment in 2 Days!";
       sectionTitle = "Upcoming Appointment";
     } else {
-      timingMessage = `this is a friendly reminder about your appointment on ${appointmentDateTime.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}.`;
+      timingMessage = `this is a friendly reminder about your appointment on ${appointmentDateTime.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: booking.timeZone || DEFAULT_TIMEZONE })}.`;
       headerTitle = "Appointment Reminder!";
       sectionTitle = "Your Appointment";
     }
@@ -513,7 +696,7 @@ const send12HourReminderEmail = async (email, booking) => {
         },
         Subject: {
           Charset: 'UTF-8',
-          Data: `Reminder: Your appointment on ${appointmentDateTime.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} at ${booking.appointmentTime} | Zennara`
+          Data: `Reminder: Your appointment on ${appointmentDateTime.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: booking.timeZone || DEFAULT_TIMEZONE })} at ${booking.appointmentTime} | Zennara`
         }
       },
       Source: process.env.FROM_EMAIL,
@@ -677,7 +860,7 @@ const sendAppointmentCancelledEmail = async (email, booking) => {
               </div>
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #fecaca;">
                 <span style="font-weight: 600;">Date:</span>
-                <span>${new Date(booking.appointmentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</span>
+                <span>${new Date(booking.appointmentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: booking.timeZone || DEFAULT_TIMEZONE })}</span>
               </div>
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #fecaca;">
                 <span style="font-weight: 600;">Time:</span>
@@ -742,7 +925,9 @@ const sendAppointmentCancelledEmail = async (email, booking) => {
       ReplyToAddresses: [process.env.FROM_EMAIL]
     };
 
-    const result = await ses.sendEmail(params).promise();
+    const result = await sendEmailWithAttachments(params, [
+      calendarAttachment(buildBookingCancellation(booking), 'CANCEL')
+    ]);
     console.log('Appointment cancelled email sent successfully via AWS SES:', result.MessageId);
     return result;
 
@@ -786,7 +971,7 @@ const sendAppointmentRescheduledEmail = async (email, oldBooking, newBooking) =>
             <div style="background: #fef2f2; border: 1px solid #EF4444; border-radius: 8px; padding: 20px;">
               <h3 style="color: #DC2626; margin: 0 0 15px 0; text-align: center;">Previous</h3>
               <div style="font-size: 14px; color: #7f1d1d;">
-                <p style="margin: 5px 0;"><strong>Date:</strong> ${new Date(oldBooking.appointmentDate).toLocaleDateString()}</p>
+                <p style="margin: 5px 0;"><strong>Date:</strong> ${new Date(oldBooking.appointmentDate).toLocaleDateString('en-US', { timeZone: oldBooking.timeZone || DEFAULT_TIMEZONE })}</p>
                 <p style="margin: 5px 0;"><strong>Time:</strong> ${oldBooking.appointmentTime}</p>
               </div>
             </div>
@@ -795,7 +980,7 @@ const sendAppointmentRescheduledEmail = async (email, oldBooking, newBooking) =>
             <div style="background: #f0fdf4; border: 1px solid #22c55e; border-radius: 8px; padding: 20px;">
               <h3 style="color: #15803d; margin: 0 0 15px 0; text-align: center;">New</h3>
               <div style="font-size: 14px; color: #14532d;">
-                <p style="margin: 5px 0;"><strong>Date:</strong> ${new Date(newBooking.appointmentDate).toLocaleDateString()}</p>
+                <p style="margin: 5px 0;"><strong>Date:</strong> ${new Date(newBooking.appointmentDate).toLocaleDateString('en-US', { timeZone: newBooking.timeZone || DEFAULT_TIMEZONE })}</p>
                 <p style="margin: 5px 0;"><strong>Time:</strong> ${newBooking.appointmentTime}</p>
               </div>
             </div>
@@ -810,7 +995,7 @@ const sendAppointmentRescheduledEmail = async (email, oldBooking, newBooking) =>
               </div>
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
                 <span style="font-weight: 600;">New Date:</span>
-                <span style="color: #156450; font-weight: bold;">${new Date(newBooking.appointmentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' })}</span>
+                <span style="color: #156450; font-weight: bold;">${new Date(newBooking.appointmentDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: newBooking.timeZone || DEFAULT_TIMEZONE })}</span>
               </div>
               <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
                 <span style="font-weight: 600;">New Time:</span>
@@ -875,7 +1060,10 @@ const sendAppointmentRescheduledEmail = async (email, oldBooking, newBooking) =>
       ReplyToAddresses: [process.env.FROM_EMAIL]
     };
 
-    const result = await ses.sendEmail(params).promise();
+    // Same event UID with a higher sequence, so calendars move the existing entry
+    const result = await sendEmailWithAttachments(params, [
+      calendarAttachment(buildBookingInvite(newBooking), 'REQUEST')
+    ]);
     console.log('Appointment rescheduled email sent successfully via AWS SES:', result.MessageId);
     return result;
 
@@ -885,6 +1073,104 @@ const sendAppointmentRescheduledEmail = async (email, oldBooking, newBooking) =>
   }
 };
 
+// Send waitlist offer email with a time-limited claim link
+const sendWaitlistOfferEmail = async (email, entry, claimUrl) => {
+  try {
+    const expiresAt = new Date(entry.offer.expiresAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata' });
+    const htmlBody = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>A Slot Has Opened Up - Zennara</title>
+      </head>
+      <body style="font-family: 'Poppins', Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <div style="background: linear-gradient(135deg, #4ade80, #156450, #065f46); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+          <img src="https://res.cloudinary.com/dgcpuirdo/image/upload/v1747888804/zennara_logo_white_1_k3ohat.png" alt="Zennara Logo" style="height: 40px; margin-bottom: 10px;" />
+          <p style="color: white; margin: 5px 0 0 0; font-size: 14px; opacity: 0.9;">Your Beauty Transformation Journey</p>
+        </div>
+        
+        <div style="background: #ffffff; padding: 40px; border-radius: 0 0 10px 10px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+          <h2 style="color: #156450; margin: 0 0 20px 0; text-align: center;">Good news, a slot has opened up!</h2>
+          
+          <p style="font-size: 16px; margin-bottom: 30px;">
+            Dear ${entry.personalDetails.fullName}, a slot matching your waitlist request is now available and is being held for you.
+          </p>
+          
+          <div style="background: #f8fffe; border: 1px solid #156450; border-radius: 8px; padding: 25px; margin: 30px 0;">
+            <div style="display: grid; gap: 12px;">
+              <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="font-weight: 600;">Treatment:</span>
+                <span>${entry.treatmentDetails.name}</span>
+              </div>
+              <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="font-weight: 600;">Date:</span>
+                <span>${new Date(entry.date).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })}</span>
+              </div>
+              <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid #e5e7eb;">
+                <span style="font-weight: 600;">Time:</span>
+                <span>${entry.offer.appointmentTime}</span>
+              </div>
+              <div style="display: flex; justify-content: space-between; padding: 8px 0;">
+                <span style="font-weight: 600;">Location:</span>
+                <span>${entry.location}</span>
+              </div>
+            </div>
+          </div>
+          
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${claimUrl}" style="background: #156450; color: white; padding: 14px 32px; border-radius: 8px; text-decoration: none; font-weight: 600; display: inline-block;">Claim This Slot</a>
+          </div>
+          
+          <div style="background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 20px; margin: 25px 0;">
+            <p style="margin: 0; color: #856404;">
+              This offer is held for you until <strong>${expiresAt}</strong>. After that it will be offered to the next customer on the waitlist.
+            </p>
+          </div>
+        </div>
+        
+        <div style="background: #f8f9fa; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; border-top: 1px solid #e9ecef;">
+          <p style="margin: 0; font-size: 12px; color: #6c757d;">
+            Zennara Clinic | ${entry.location}<br>
+            Phone: +91-9999999999 | Email: info@zennara.com<br>
+            This is an automated message. Please do not reply to this email.
+          </p>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const params = {
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Body: {
+          Html: {
+            Charset: 'UTF-8',
+            Data: htmlBody
+          }
+        },
+        Subject: {
+          Charset: 'UTF-8',
+          Data: `A Slot Has Opened Up - ${entry.treatmentDetails.name} | Zennara`
+        }
+      },
+      Source: process.env.FROM_EMAIL,
+      ReplyToAddresses: [process.env.FROM_EMAIL]
+    };
+
+    const result = await ses.sendEmail(params).promise();
+    console.log('Waitlist offer email sent successfully via AWS SES:', result.MessageId);
+    return result;
+
+  } catch (error) {
+    console.error('AWS SES waitlist offer email sending error:', error);
+    throw new Error('Failed to send waitlist offer email via AWS SES');
+  }
+};
+
 // Send admin OTP email
 const sendAdminOTPEmail = async (email, otp) => {
   const params = {
@@ -965,9 +1251,11 @@ module.exports = {
   sendOTPEmail,
   sendCheckoutOTPEmail,
   sendBookingConfirmationEmail,
+  sendVisitConfirmationEmail,
   sendAppointmentCancelledEmail,
   sendAppointmentRescheduledEmail,
   sendAdminOTPEmail,
   send12HourReminderEmail,
-  send1HourReminderEmail
+  send1HourReminderEmail,
+  sendWaitlistOfferEmail
 };
@@ -0,0 +1,536 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const Location = require('../models/Location');
+const Treatment = require('../models/Treatment');
+const Medicine = require('../models/Medicine');
+const clinicConfig = require('../config/clinic');
+const { roundMoney } = require('./pricing');
+const { DEFAULT_TIMEZONE, toDateKey, formatDisplayDate } = require('./clinicTime');
+
+const BRAND_COLOR = '#156450';
+const MUTED_COLOR = '#666666';
+
+// Delivery of medicine orders is billed as a courier service
+const DELIVERY_SAC = '996812';
+const DELIVERY_GST_RATE = 18;
+// Used when a medicine has since been deleted
+const DEFAULT_MEDICINE_HSN = '3004';
+const DEFAULT_MEDICINE_GST_RATE = 12;
+
+const SYSTEM_ISSUER = { role: 'system', name: 'Automatic' };
+
+const sameState = (a, b) => !a || !b || a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Split the GST on a line into CGST and SGST within the state, or IGST across states
+const applyTax = (line, taxAmount, interState) => {
+  if (interState) {
+    line.igstRate = line.taxRate;
+    line.igstAmount = taxAmount;
+  } else {
+    line.cgstRate = line.taxRate / 2;
+    line.cgstAmount = roundMoney(taxAmount / 2);
+    line.sgstRate = line.taxRate / 2;
+    line.sgstAmount = roundMoney(taxAmount - line.cgstAmount);
+  }
+  line.totalAmount = roundMoney(line.taxableAmount + taxAmount);
+  return line;
+};
+
+// A line priced before GST, as treatments are
+const exclusiveLine = ({ description, hsnSac, quantity = 1, grossAmount, discount = 0, discountNote, taxRate }, interState) => {
+  const taxableAmount = roundMoney(grossAmount - discount);
+
+  return applyTax({
+    description,
+    hsnSac,
+    quantity,
+    unitPrice: roundMoney(grossAmount / quantity),
+    grossAmount,
+    discount,
+    discountNote,
+    taxableAmount,
+    taxRate
+  }, roundMoney(taxableAmount * taxRate / 100), interState);
+};
+
+// A line priced with GST included, as medicines are: the tax is worked back out of what was paid
+const inclusiveLine = ({ description, hsnSac, quantity = 1, grossAmount, discount = 0, discountNote, taxRate }, interState) => {
+  const divisor = 1 + taxRate / 100;
+  const paid = roundMoney(grossAmount - discount);
+  const taxableAmount = roundMoney(paid / divisor);
+  const grossBeforeTax = roundMoney(grossAmount / divisor);
+
+  return applyTax({
+    description,
+    hsnSac,
+    quantity,
+    unitPrice: roundMoney(grossBeforeTax / quantity),
+    grossAmount: grossBeforeTax,
+    discount: roundMoney(grossBeforeTax - taxableAmount),
+    discountNote,
+    taxableAmount,
+    taxRate
+  }, roundMoney(paid - taxableAmount), interState);
+};
+
+const sumLines = (lines) => {
+  const sum = (field) => roundMoney(lines.reduce((total, line) => total + (line[field] || 0), 0));
+  const totals = {
+    grossAmount: sum('grossAmount'),
+    discount: sum('discount'),
+    taxableAmount: sum('taxableAmount'),
+    cgstAmount: sum('cgstAmount'),
+    sgstAmount: sum('sgstAmount'),
+    igstAmount: sum('igstAmount'),
+    totalAmount: sum('totalAmount')
+  };
+  totals.taxAmount = roundMoney(totals.cgstAmount + totals.sgstAmount + totals.igstAmount);
+  return totals;
+};
+
+// Split an amount in proportion to weights, the last share taking the rounding difference
+const allocate = (amount, weights) => {
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  let remaining = amount;
+
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) {
+      return roundMoney(remaining);
+    }
+    const share = totalWeight > 0 ? roundMoney(amount * weight / totalWeight) : 0;
+    remaining -= share;
+    return share;
+  });
+};
+
+// The registered business details a location invoices under
+const getSeller = async (locationName) => {
+  const location = await Location.getConfig(locationName);
+  const contact = location.contact || {};
+
+  return {
+    seller: {
+      name: clinicConfig.name,
+      gstin: location.gstin || clinicConfig.gstin,
+      addressLines: location.getAddressLines(),
+      state: contact.state,
+      phone: contact.phone || clinicConfig.phone,
+      email: contact.email || clinicConfig.email
+    },
+    timeZone: location.timezone || DEFAULT_TIMEZONE
+  };
+};
+
+const toIssuer = (actor) => ({ role: actor.role, email: actor.email, name: actor.name });
+
+// Number and save a document in its series. The sequence is bumped in the same transaction as
+// the insert, so an insert that fails (e.g. the booking was invoiced concurrently) leaves no gap.
+// beforeInsert(session) runs first inside the transaction and can throw to abort it.
+const issueDocument = async (data, timeZone, beforeInsert) => {
+  const financialYear = Invoice.getFinancialYear(toDateKey(data.issuedAt, timeZone));
+  const series = Invoice.getSeriesKey(data.type, data.location, financialYear);
+
+  // Create the sequence outside the transaction; upserts racing inside one would fail on the unique index
+  try {
+    await InvoiceSequence.updateOne({ series }, { $setOnInsert: { series } }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return mongoose.connection.transaction(async (session) => {
+    if (beforeInsert) {
+      await beforeInsert(session);
+    }
+
+    const sequence = await InvoiceSequence.findOneAndUpdate(
+      { series },
+      { $inc: { lastNumber: 1 } },
+      { new: true, session }
+    );
+    const [invoice] = await Invoice.create([{
+      ...data,
+      financialYear,
+      sequenceNumber: sequence.lastNumber,
+      invoiceNumber: Invoice.formatNumber(data.type, data.location, financialYear, sequence.lastNumber)
+    }], { session });
+
+    return invoice;
+  });
+};
+
+// Save a source's invoice, handing back the one a concurrent request issued first
+const issueSourceInvoice = async (data, timeZone, existingFilter) => {
+  try {
+    return await issueDocument(data, timeZone);
+  } catch (error) {
+    if (error.code === 11000) {
+      const existing = await Invoice.findOne(existingFilter);
+      if (existing) return existing;
+    }
+    throw error;
+  }
+};
+
+// Issue the tax invoice for a completed booking, or return the one already issued.
+// Returns null when there is nothing to invoice: bookings made before treatments had
+// prices and prepaid package sessions, which were paid for with the package.
+const issueBookingInvoice = async (booking, actor = SYSTEM_ISSUER) => {
+  const existingFilter = { type: 'invoice', 'source.kind': 'booking', 'source.booking': booking._id };
+  const existing = await Invoice.findOne(existingFilter);
+  if (existing) return existing;
+
+  const pricing = booking.pricing;
+  if (booking.status !== 'completed' || !pricing || !pricing.totalAmount) {
+    return null;
+  }
+
+  const treatment = await Treatment.findById(booking.treatment).select('sacCode');
+  const { seller, timeZone } = await getSeller(booking.location);
+
+  // Treatments are supplied at the clinic, so they are always taxed within its state
+  const lines = [exclusiveLine({
+    description: booking.treatmentDetails.name,
+    hsnSac: treatment ? treatment.sacCode : Treatment.schema.path('sacCode').defaultValue,
+    grossAmount: pricing.listPrice,
+    discount: pricing.discountTotal,
+    discountNote: pricing.discounts.map(discount => discount.description).join(', ') || undefined,
+    taxRate: pricing.taxRate
+  }, false)];
+
+  return issueSourceInvoice({
+    type: 'invoice',
+    location: booking.location,
+    issuedAt: booking.checkOutTime || new Date(),
+    issuedBy: toIssuer(actor),
+    source: { kind: 'booking', booking: booking._id, reference: booking.bookingReference },
+    user: booking.user,
+    seller,
+    customer: {
+      name: booking.personalDetails.fullName,
+      mobileNumber: booking.personalDetails.mobileNumber,
+      email: booking.personalDetails.email,
+      state: seller.state
+    },
+    placeOfSupply: seller.state,
+    interState: false,
+    lines,
+    totals: sumLines(lines)
+  }, timeZone, existingFilter);
+};
+
+// Issue the tax invoice for a delivered medicine order, or return the one already issued.
+// Medicine prices include GST; the Zen discount is shared across the medicines by value.
+const issueOrderInvoice = async (order, actor = SYSTEM_ISSUER) => {
+  const existingFilter = { type: 'invoice', 'source.kind': 'medicine-order', 'source.medicineOrder': order._id };
+  const existing = await Invoice.findOne(existingFilter);
+  if (existing) return existing;
+
+  if (order.orderStatus !== 'delivered') {
+    return null;
+  }
+
+  const { seller, timeZone } = await getSeller(order.location);
+  const address = order.deliveryAddress || {};
+  const interState = !sameState(address.state, seller.state);
+  const summary = order.orderSummary;
+
+  const medicines = await Medicine.find({ _id: { $in: order.medicines.map(item => item.medicineId) } })
+    .select('hsnCode gstRate');
+  const medicinesById = new Map(medicines.map(medicine => [String(medicine._id), medicine]));
+  const discounts = allocate(summary.zenDiscount || 0, order.medicines.map(item => item.totalPrice || 0));
+
+  const lines = order.medicines.map((item, index) => {
+    const medicine = medicinesById.get(String(item.medicineId));
+    return inclusiveLine({
+      description: item.name,
+      hsnSac: medicine ? medicine.hsnCode : DEFAULT_MEDICINE_HSN,
+      quantity: item.quantity,
+      grossAmount: item.totalPrice || 0,
+      discount: discounts[index],
+      discountNote: discounts[index] > 0 ? 'Zen member discount' : undefined,
+      taxRate: medicine ? medicine.gstRate : DEFAULT_MEDICINE_GST_RATE
+    }, interState);
+  });
+  if (summary.deliveryCharges > 0) {
+    lines.push(inclusiveLine({
+      description: 'Delivery charges',
+      hsnSac: DELIVERY_SAC,
+      grossAmount: summary.deliveryCharges,
+      taxRate: DELIVERY_GST_RATE
+    }, interState));
+  }
+
+  return issueSourceInvoice({
+    type: 'invoice',
+    location: order.location,
+    issuedAt: (order.deliveryDetails && order.deliveryDetails.actualDeliveryDate) || new Date(),
+    issuedBy: toIssuer(actor),
+    source: { kind: 'medicine-order', medicineOrder: order._id, reference: order.orderNumber },
+    user: order.userId._id || order.userId,
+    seller,
+    customer: {
+      name: order.customerDetails.fullName,
+      mobileNumber: order.customerDetails.mobileNumber,
+      email: order.customerDetails.email,
+      address: [address.fullAddress, address.city, address.pincode].filter(Boolean).join(', '),
+      state: address.state || seller.state
+    },
+    placeOfSupply: address.state || seller.state,
+    interState,
+    lines,
+    totals: sumLines(lines)
+  }, timeZone, existingFilter);
+};
+
+// Raise a credit note against an invoice for a refund, for the whole remaining amount when
+// amount is omitted. The GST is reversed in proportion to each line of the invoice.
+const issueCreditNote = async (invoice, { amount, reason, actor = SYSTEM_ISSUER } = {}) => {
+  const creditable = invoice.getCreditableAmount();
+  const creditAmount = roundMoney(amount === undefined ? creditable : amount);
+  if (creditAmount <= 0 || creditAmount > creditable) {
+    throw new Error(`Credit amount must be more than ₹0 and at most ₹${creditable}`);
+  }
+
+  const { timeZone } = await getSeller(invoice.location);
+  const shares = allocate(creditAmount, invoice.lines.map(line => line.totalAmount));
+  const lines = invoice.lines
+    .map((line, index) => ({ line, share: shares[index] }))
+    .filter(({ share }) => share > 0)
+    .map(({ line, share }) => inclusiveLine({
+      description: line.description,
+      hsnSac: line.hsnSac,
+      quantity: share === line.totalAmount ? line.quantity : 1,
+      grossAmount: share,
+      taxRate: line.taxRate
+    }, invoice.interState));
+
+  return issueDocument({
+    type: 'credit-note',
+    location: invoice.location,
+    issuedAt: new Date(),
+    issuedBy: toIssuer(actor),
+    source: invoice.source,
+    user: invoice.user,
+    seller: invoice.seller,
+    customer: invoice.customer,
+    placeOfSupply: invoice.placeOfSupply,
+    interState: invoice.interState,
+    lines,
+    totals: sumLines(lines),
+    originalInvoice: invoice._id,
+    originalInvoiceNumber: invoice.invoiceNumber,
+    reason
+  }, timeZone, async (session) => {
+    // Guards against two refunds crediting more than the invoice between them
+    const result = await Invoice.updateOne(
+      {
+        _id: invoice._id,
+        $expr: { $lte: [{ $add: ['$creditedAmount', creditAmount] }, { $add: ['$totals.totalAmount', 0.001] }] }
+      },
+      { $inc: { creditedAmount: creditAmount } },
+      { session }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('The credit amount is more than what is left on the invoice');
+    }
+  });
+};
+
+// Invoice bookings that have just completed. Never throws: the bookings are already
+// completed, and any that fail can be invoiced later from the admin panel.
+const invoiceCompletedBookings = async (bookings, actor) => {
+  for (const booking of bookings) {
+    try {
+      await issueBookingInvoice(booking, actor);
+    } catch (error) {
+      console.error(`Failed to invoice booking ${booking.bookingReference}:`, error);
+    }
+  }
+};
+
+// Invoice a delivered order, or credit the invoice of a returned one. Never throws.
+const invoiceOrderStatusChange = async (order, actor) => {
+  try {
+    if (order.orderStatus === 'delivered') {
+      await issueOrderInvoice(order, actor);
+    } else if (order.orderStatus === 'returned') {
+      const invoice = await Invoice.findOne({ type: 'invoice', 'source.kind': 'medicine-order', 'source.medicineOrder': order._id });
+      if (invoice && invoice.getCreditableAmount() > 0) {
+        await issueCreditNote(invoice, { reason: 'Order returned', actor });
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to update invoice for order ${order.orderNumber}:`, error);
+  }
+};
+
+// Credit a refund against the invoice of the booking or order it was for, up to what is left
+// on the invoice. Never throws: the refund has already been paid.
+const creditRefund = async (source, amount, actor) => {
+  try {
+    const invoice = await Invoice.findOne(source.kind === 'booking'
+      ? { type: 'invoice', 'source.kind': 'booking', 'source.booking': source.booking }
+      : { type: 'invoice', 'source.kind': 'medicine-order', 'source.medicineOrder': source.medicineOrder });
+    const creditable = invoice ? invoice.getCreditableAmount() : 0;
+    if (creditable > 0) {
+      await issueCreditNote(invoice, { amount: Math.min(amount, creditable), reason: 'Refund', actor });
+    }
+  } catch (error) {
+    console.error(`Failed to credit refund on invoice for ${source.reference}:`, error);
+  }
+};
+
+const formatMoney = (amount) => (amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const drawLine = (doc, y) => {
+  doc.moveTo(40, y).lineTo(doc.page.width - 40, y).strokeColor('#dddddd').lineWidth(1).stroke();
+};
+
+// Column layout of the line items table
+const getColumns = (interState) => {
+  const taxColumns = interState
+    ? [{ key: 'igst', label: 'IGST', x: 365, width: 110 }]
+    : [{ key: 'cgst', label: 'CGST', x: 365, width: 55 }, { key: 'sgst', label: 'SGST', x: 420, width: 55 }];
+
+  return [
+    { key: 'index', label: '#', x: 40, width: 18 },
+    { key: 'description', label: 'Description', x: 58, width: 130 },
+    { key: 'hsnSac', label: 'HSN/SAC', x: 190, width: 50 },
+    { key: 'quantity', label: 'Qty', x: 240, width: 30, align: 'right' },
+    { key: 'discount', label: 'Discount', x: 272, width: 40, align: 'right' },
+    { key: 'taxableAmount', label: 'Taxable', x: 312, width: 50, align: 'right' },
+    ...taxColumns.map(column => ({ ...column, align: 'right' })),
+    { key: 'totalAmount', label: 'Total', x: 478, width: 77, align: 'right' }
+  ];
+};
+
+const getCellText = (line, key, index) => {
+  switch (key) {
+    case 'index': return String(index + 1);
+    case 'description': return line.discountNote ? `${line.description}\n${line.discountNote}` : line.description;
+    case 'hsnSac': return line.hsnSac || '-';
+    case 'quantity': return String(line.quantity);
+    case 'cgst': return `${formatMoney(line.cgstAmount)}\n@${line.cgstRate}%`;
+    case 'sgst': return `${formatMoney(line.sgstAmount)}\n@${line.sgstRate}%`;
+    case 'igst': return `${formatMoney(line.igstAmount)}\n@${line.igstRate}%`;
+    default: return formatMoney(line[key]);
+  }
+};
+
+// Render an invoice or credit note as an A4 PDF, resolving with the file contents
+const renderInvoicePdf = async (invoice) => {
+  // Dates print as the issuing location's calendar day
+  const { timeZone } = await getSeller(invoice.location);
+  const isCreditNote = invoice.type === 'credit-note';
+  const title = isCreditNote ? 'Credit Note' : 'Tax Invoice';
+  const seller = invoice.seller || {};
+  const customer = invoice.customer || {};
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 40,
+      info: {
+        Title: `${title} ${invoice.invoiceNumber}`,
+        Author: seller.name
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header band with the seller's registered details
+    doc.rect(0, 0, doc.page.width, 100).fill(BRAND_COLOR);
+    doc.font('Helvetica-Bold').fontSize(22).fillColor('#ffffff').text(seller.name, 40, 24);
+    doc.font('Helvetica').fontSize(9).fillColor('#e8f5f0')
+      .text(`${(seller.addressLines || []).join(', ')} | ${seller.phone} | ${seller.email}`, 40, 56, { width: doc.page.width - 80 })
+      .text(`GSTIN: ${seller.gstin || 'Not registered'}`, 40, 72);
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_COLOR).text(title, 40, 120);
+    doc.font('Helvetica').fontSize(10).fillColor('#222222')
+      .text(`No. ${invoice.invoiceNumber}`, 40, 145)
+      .text(`Date: ${formatDisplayDate(invoice.issuedAt, timeZone, { year: 'numeric', month: 'short', day: 'numeric' })}`, 40, 159)
+      .text(`Place of supply: ${invoice.placeOfSupply || '-'}`, 40, 173);
+    if (isCreditNote) {
+      doc.text(`Against invoice: ${invoice.originalInvoiceNumber}`, 40, 187);
+    }
+
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(MUTED_COLOR).text('Billed to', 320, 120, { width: 235, align: 'right' });
+    doc.font('Helvetica').fontSize(10).fillColor('#222222')
+      .text(customer.name || '-', 320, 135, { width: 235, align: 'right' });
+    [customer.mobileNumber, customer.email, customer.address].filter(Boolean).forEach(detail => {
+      doc.text(detail, { width: 235, align: 'right' });
+    });
+    doc.fillColor(MUTED_COLOR).text(`${invoice.source.kind === 'booking' ? 'Appointment' : 'Order'}: ${invoice.source.reference}`, { width: 235, align: 'right' });
+
+    // Line items
+    const columns = getColumns(invoice.interState);
+    let y = Math.max(doc.y, 200) + 15;
+    doc.rect(40, y - 4, doc.page.width - 80, 20).fill('#f0f7f4');
+    doc.font('Helvetica-Bold').fontSize(8).fillColor(BRAND_COLOR);
+    columns.forEach(column => doc.text(column.label, column.x, y + 2, { width: column.width, align: column.align || 'left' }));
+    y += 22;
+
+    doc.font('Helvetica').fontSize(8).fillColor('#222222');
+    invoice.lines.forEach((line, index) => {
+      let rowBottom = y;
+      columns.forEach(column => {
+        doc.text(getCellText(line, column.key, index), column.x, y, { width: column.width, align: column.align || 'left' });
+        rowBottom = Math.max(rowBottom, doc.y);
+      });
+      y = rowBottom + 6;
+      drawLine(doc, y - 3);
+    });
+
+    // Totals
+    const totals = invoice.totals || {};
+    const totalRows = [
+      ['Gross amount', totals.grossAmount],
+      ['Discount', totals.discount],
+      ['Taxable value', totals.taxableAmount],
+      ...(invoice.interState
+        ? [['IGST', totals.igstAmount]]
+        : [['CGST', totals.cgstAmount], ['SGST', totals.sgstAmount]])
+    ];
+    y += 8;
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR);
+    totalRows.forEach(([label, amount]) => {
+      doc.text(label, 320, y, { width: 130 });
+      doc.fillColor('#222222').text(`Rs. ${formatMoney(amount)}`, 450, y, { width: 105, align: 'right' });
+      doc.fillColor(MUTED_COLOR);
+      y += 16;
+    });
+    drawLine(doc, y);
+    y += 8;
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOR)
+      .text(isCreditNote ? 'Total credited' : 'Total', 320, y, { width: 130 })
+      .text(`Rs. ${formatMoney(totals.totalAmount)}`, 450, y, { width: 105, align: 'right' });
+
+    if (isCreditNote && invoice.reason) {
+      doc.font('Helvetica').fontSize(10).fillColor('#222222').text(`Reason: ${invoice.reason}`, 40, y + 30, { width: doc.page.width - 80 });
+    }
+
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text('This is a computer-generated document and does not need a signature.', 40, doc.page.height - 70, {
+        width: doc.page.width - 80,
+        align: 'center'
+      });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  issueBookingInvoice,
+  issueOrderInvoice,
+  issueCreditNote,
+  invoiceCompletedBookings,
+  invoiceOrderStatusChange,
+  creditRefund,
+  renderInvoicePdf
+};
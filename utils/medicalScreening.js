@@ -0,0 +1,195 @@
+const MedicalProfile = require('../models/MedicalProfile');
+const User = require('../models/User');
+
+const FACTOR_LABELS = {
+  allergy: 'an allergy to',
+  medication: 'the medication',
+  'skin-condition': 'the skin condition',
+  'medical-condition': 'the condition'
+};
+
+// Terms shorter than this are too vague to match on
+const MIN_TERM_LENGTH = 3;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// A profile entry matches a term when either contains the other, e.g. "Isotretinoin 20mg" and "isotretinoin"
+const termsMatch = (value, term) => {
+  const a = normalize(value);
+  const b = normalize(term);
+  if (a.length < MIN_TERM_LENGTH || b.length < MIN_TERM_LENGTH) return false;
+  return a.includes(b) || b.includes(a);
+};
+
+// The profile entries a contraindication factor is compared against
+const getProfileValues = (profile, factor) => {
+  switch (factor) {
+    case 'allergy':
+      return profile.allergies.map(allergy => allergy.substance);
+    case 'medication':
+      return profile.medications.map(medication => medication.name);
+    case 'skin-condition':
+      return profile.skinConditions;
+    case 'medical-condition':
+      return profile.medicalConditions;
+    default:
+      return [];
+  }
+};
+
+const getAge = (dateOfBirth, now) => {
+  const birth = new Date(dateOfBirth);
+  let age = now.getUTCFullYear() - birth.getUTCFullYear();
+  const hadBirthday = now.getUTCMonth() > birth.getUTCMonth() ||
+    (now.getUTCMonth() === birth.getUTCMonth() && now.getUTCDate() >= birth.getUTCDate());
+  return hadBirthday ? age : age - 1;
+};
+
+// Flags for one treatment against the patient's profile, from the treatment's contraindication rules
+const screenTreatment = (treatment, profile) => {
+  const rules = treatment.contraindications || [];
+  if (rules.length === 0) {
+    return [];
+  }
+
+  // Nothing to check against, so a clinician should ask before the treatment
+  if (!profile) {
+    return [{
+      factor: 'no-profile',
+      severity: 'warning',
+      item: treatment.name,
+      message: `${treatment.name} has contraindications and the medical profile has not been filled in`
+    }];
+  }
+
+  const flags = [];
+  for (const rule of rules) {
+    if (rule.factor === 'pregnancy') {
+      if (profile.isPregnancyRisk()) {
+        flags.push({
+          factor: 'pregnancy',
+          severity: rule.severity,
+          item: treatment.name,
+          matched: profile.pregnancyStatus,
+          message: rule.message || `${treatment.name} is not recommended while ${profile.pregnancyStatus}`
+        });
+      }
+      continue;
+    }
+
+    const matched = getProfileValues(profile, rule.factor).find(value => termsMatch(value, rule.term));
+    if (matched) {
+      flags.push({
+        factor: rule.factor,
+        severity: rule.severity,
+        item: treatment.name,
+        matched,
+        message: rule.message || `${treatment.name} is not recommended with ${FACTOR_LABELS[rule.factor]} ${matched}`
+      });
+    }
+  }
+  return flags;
+};
+
+// Flags for one medicine: allergies to the medicine or its ingredients and the age limits block the
+// order; conditions, medications or pregnancy mentioned in its contraindications are warnings
+const screenMedicine = (medicine, profile, patient, now = new Date()) => {
+  const flags = [];
+
+  if (patient && patient.dateOfBirth && medicine.ageRestriction) {
+    const age = getAge(patient.dateOfBirth, now);
+    const { minAge = 0, maxAge = 120 } = medicine.ageRestriction;
+    if (age < minAge || age > maxAge) {
+      flags.push({
+        factor: 'age',
+        severity: 'block',
+        item: medicine.name,
+        matched: String(age),
+        message: `${medicine.name} is only for ages ${minAge} to ${maxAge}`
+      });
+    }
+  }
+
+  if (!profile) {
+    return flags;
+  }
+
+  const ingredients = [medicine.name, ...(medicine.activeIngredients || []).map(ingredient => ingredient.name)];
+  for (const allergy of profile.allergies) {
+    const ingredient = ingredients.find(name => termsMatch(name, allergy.substance));
+    if (ingredient) {
+      flags.push({
+        factor: 'allergy',
+        severity: 'block',
+        item: medicine.name,
+        matched: allergy.substance,
+        message: `${medicine.name} contains ${ingredient}, which is listed as an allergy`
+      });
+    }
+  }
+
+  const contraindications = normalize(medicine.contraindications);
+  if (!contraindications) {
+    return flags;
+  }
+
+  if (profile.isPregnancyRisk() && /pregnan|breastfeed|lactat|nursing/.test(contraindications)) {
+    flags.push({
+      factor: 'pregnancy',
+      severity: 'warning',
+      item: medicine.name,
+      matched: profile.pregnancyStatus,
+      message: `${medicine.name} may not be suitable while ${profile.pregnancyStatus}`
+    });
+  }
+
+  ['medication', 'skin-condition', 'medical-condition'].forEach(factor => {
+    getProfileValues(profile, factor)
+      .filter(value => normalize(value).length >= MIN_TERM_LENGTH && contraindications.includes(normalize(value)))
+      .forEach(value => flags.push({
+        factor,
+        severity: 'warning',
+        item: medicine.name,
+        matched: value,
+        message: `${medicine.name} lists ${value} as a contraindication`
+      }));
+  });
+
+  return flags;
+};
+
+const summarizeFlags = (flags) => ({
+  flags,
+  blocking: flags.filter(flag => flag.severity === 'block'),
+  warnings: flags.filter(flag => flag.severity === 'warning')
+});
+
+// Check the treatments a customer is booking against their medical profile
+const screenTreatments = async (userId, treatments) => {
+  const profile = await MedicalProfile.findOne({ user: userId });
+  return summarizeFlags(treatments.flatMap(treatment => screenTreatment(treatment, profile)));
+};
+
+// Check the medicines a customer is ordering against their medical profile and age
+const screenMedicines = async (userId, medicines, now = new Date()) => {
+  const profile = await MedicalProfile.findOne({ user: userId });
+  const patient = await User.findById(userId).select('dateOfBirth');
+  return summarizeFlags(medicines.flatMap(medicine => screenMedicine(medicine, profile, patient, now)));
+};
+
+// Reply for a booking or order the profile rules out
+const rejectForMedicalReasons = (res, blocking, what = 'booking') => {
+  return res.status(400).json({
+    success: false,
+    message: `This ${what} cannot go ahead because of your medical profile: ${blocking.map(flag => flag.message).join('; ')}. Please contact the clinic if you have questions.`,
+    data: { medicalFlags: blocking }
+  });
+};
+
+module.exports = {
+  screenTreatment,
+  screenMedicine,
+  screenTreatments,
+  screenMedicines,
+  rejectForMedicalReasons
+};
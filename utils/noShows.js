@@ -0,0 +1,101 @@
+const Booking = require('../models/Booking');
+const NoShowStrike = require('../models/NoShowStrike');
+const { offerCancelledBooking } = require('./waitlist');
+
+// Strikes a customer can collect before bookings need a deposit or admin approval
+const NO_SHOW_STRIKE_LIMIT = parseInt(process.env.NO_SHOW_STRIKE_LIMIT) || 3;
+// Strikes older than this stop counting
+const NO_SHOW_STRIKE_WINDOW_DAYS = parseInt(process.env.NO_SHOW_STRIKE_WINDOW_DAYS) || 365;
+// 'deposit' or 'approval'
+const NO_SHOW_CONSEQUENCE = process.env.NO_SHOW_CONSEQUENCE === 'approval' ? 'approval' : 'deposit';
+const NO_SHOW_DEPOSIT_AMOUNT = parseInt(process.env.NO_SHOW_DEPOSIT_AMOUNT) || 500;
+// Minutes after the start time before an appointment counts as missed
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 60;
+// How far back the sweep looks for missed appointments
+const NO_SHOW_SWEEP_DAYS = parseInt(process.env.NO_SHOW_SWEEP_DAYS) || 7;
+
+// Record a strike for each no-show booking. Safe to repeat: there is one strike per booking.
+const recordStrikes = async (bookings, markedBy = 'system') => {
+  if (bookings.length === 0) {
+    return 0;
+  }
+
+  try {
+    const inserted = await NoShowStrike.insertMany(bookings.map(booking => ({
+      user: booking.user,
+      booking: booking._id,
+      bookingReference: booking.bookingReference,
+      treatmentName: booking.treatmentDetails ? booking.treatmentDetails.name : undefined,
+      location: booking.location,
+      appointmentDate: booking.appointmentDate,
+      appointmentTime: booking.appointmentTime,
+      markedAt: booking.noShowMarkedAt || new Date(),
+      markedBy
+    })), { ordered: false });
+    return inserted.length;
+  } catch (error) {
+    // Duplicate strikes for bookings already recorded are expected; anything else is not
+    if (error.code === 11000 || (error.writeErrors && error.writeErrors.every(e => e.code === 11000))) {
+      return error.insertedDocs ? error.insertedDocs.length : 0;
+    }
+    throw error;
+  }
+};
+
+// Mark missed appointments as no-shows in bulk, add strikes and offer the time to the waitlist
+const sweepNoShows = async (now = new Date()) => {
+  const result = await Booking.markNoShowAppointments({
+    now,
+    graceMinutes: NO_SHOW_GRACE_MINUTES,
+    lookbackDays: NO_SHOW_SWEEP_DAYS
+  });
+
+  const strikeCount = await recordStrikes(result.bookings);
+  for (const booking of result.bookings) {
+    await offerCancelledBooking(booking);
+  }
+
+  return { modifiedCount: result.modifiedCount, strikeCount, bookings: result.bookings };
+};
+
+// Mark a single booking as a no-show by hand (admin status change or bulk action)
+const markBookingNoShow = async (booking, markedBy, actor) => {
+  await booking.markAsNoShow(actor);
+  await recordStrikes([booking], markedBy);
+  await offerCancelledBooking(booking);
+  return booking;
+};
+
+// What a customer's no-show record means for new bookings
+const getBookingRestriction = async (userId, now = new Date()) => {
+  const strikes = await NoShowStrike.countActive(userId, NO_SHOW_STRIKE_WINDOW_DAYS, now);
+  const restricted = strikes >= NO_SHOW_STRIKE_LIMIT;
+
+  let explanation = null;
+  if (restricted) {
+    explanation = NO_SHOW_CONSEQUENCE === 'deposit'
+      ? `You have missed ${strikes} appointments in the last ${NO_SHOW_STRIKE_WINDOW_DAYS} days, so new bookings need a ₹${NO_SHOW_DEPOSIT_AMOUNT} deposit. The deposit is kept if you miss the appointment.`
+      : `You have missed ${strikes} appointments in the last ${NO_SHOW_STRIKE_WINDOW_DAYS} days, so new bookings need to be approved by the clinic.`;
+  }
+
+  return {
+    strikes,
+    limit: NO_SHOW_STRIKE_LIMIT,
+    windowDays: NO_SHOW_STRIKE_WINDOW_DAYS,
+    restricted,
+    consequence: restricted ? NO_SHOW_CONSEQUENCE : null,
+    depositAmount: restricted && NO_SHOW_CONSEQUENCE === 'deposit' ? NO_SHOW_DEPOSIT_AMOUNT : 0,
+    explanation
+  };
+};
+
+module.exports = {
+  NO_SHOW_STRIKE_LIMIT,
+  NO_SHOW_STRIKE_WINDOW_DAYS,
+  NO_SHOW_CONSEQUENCE,
+  NO_SHOW_DEPOSIT_AMOUNT,
+  recordStrikes,
+  sweepNoShows,
+  markBookingNoShow,
+  getBookingRestriction
+};
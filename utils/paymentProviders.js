@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+
+// Payment gateway adapters. Each one takes amounts in rupees and offers the same operations:
+//   createIntent({ amount, currency, receipt, notes }) -> { intentId, checkout }
+//   capture({ paymentId, amount, currency })            -> { status }
+//   refund({ paymentId, amount, notes })                 -> { refundId, status }
+//   verifyWebhook(rawBody, headers)                      -> true when the signature is valid
+//   parseWebhook(body, headers)                          -> { eventId, type, intentId, paymentId, refundId, amount, method, failureReason }
+// Webhook types are payment.authorized, payment.captured, payment.failed, refund.processed and refund.failed.
+
+const RAZORPAY_API = 'https://api.razorpay.com/v1';
+
+const toPaise = (amount) => Math.round(amount * 100);
+const toRupees = (paise) => paise / 100;
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+// Compare an HMAC-SHA256 signature of the raw body in constant time
+const signatureMatches = (rawBody, secret, signature) => {
+  if (!rawBody || !secret || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(sign(rawBody, secret));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const razorpayRequest = async (path, body) => {
+  const credentials = Buffer.from(`${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`).toString('base64');
+  const response = await fetch(`${RAZORPAY_API}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Basic ${credentials}`
+    },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const description = data.error && data.error.description;
+    throw new Error(`Razorpay ${path} failed: ${description || response.status}`);
+  }
+  return data;
+};
+
+// Razorpay: an order is the intent, the app pays it with Razorpay Checkout, and payments
+// are captured once authorized. Amounts on the wire are in paise.
+const razorpay = {
+  name: 'razorpay',
+
+  createIntent: async ({ amount, currency, receipt, notes }) => {
+    const order = await razorpayRequest('/orders', { amount: toPaise(amount), currency, receipt, notes });
+    return {
+      intentId: order.id,
+      // What the app passes to Razorpay Checkout
+      checkout: {
+        provider: 'razorpay',
+        keyId: process.env.RAZORPAY_KEY_ID,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency
+      }
+    };
+  },
+
+  capture: async ({ paymentId, amount, currency }) => {
+    const payment = await razorpayRequest(`/payments/${paymentId}/capture`, { amount: toPaise(amount), currency });
+    return { status: payment.status };
+  },
+
+  refund: async ({ paymentId, amount, notes }) => {
+    const refund = await razorpayRequest(`/payments/${paymentId}/refund`, { amount: toPaise(amount), notes });
+    return { refundId: refund.id, status: refund.status };
+  },
+
+  verifyWebhook: (rawBody, headers) => {
+    return signatureMatches(rawBody, process.env.RAZORPAY_WEBHOOK_SECRET, headers['x-razorpay-signature']);
+  },
+
+  parseWebhook: (body, headers) => {
+    const payload = body.payload || {};
+    const payment = payload.payment ? payload.payment.entity : null;
+    const refund = payload.refund ? payload.refund.entity : null;
+    const entity = refund || payment || {};
+
+    return {
+      eventId: headers['x-razorpay-event-id'] || `${body.event}:${entity.id}`,
+      type: body.event,
+      intentId: payment ? payment.order_id : undefined,
+      paymentId: refund ? refund.payment_id : entity.id,
+      refundId: refund ? refund.id : undefined,
+      amount: toRupees(entity.amount || 0),
+      method: payment ? payment.method : undefined,
+      failureReason: payment ? payment.error_description : undefined
+    };
+  }
+};
+
+// There is no default: a known secret would let anyone sign webhooks
+const getFakeSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET must be set to use the fake payment provider');
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+// Stands in for a real gateway in development and tests. Nothing is charged: intents are made
+// up locally and webhooks come from buildWebhook, signed the same way Razorpay signs them.
+const fake = {
+  name: 'fake',
+
+  createIntent: async ({ amount, currency }) => {
+    const intentId = `fake_order_${randomId()}`;
+    return {
+      intentId,
+      checkout: {
+        provider: 'fake',
+        orderId: intentId,
+        amount: toPaise(amount),
+        currency
+      }
+    };
+  },
+
+  capture: async () => ({ status: 'captured' }),
+
+  refund: async () => ({ refundId: `fake_rfnd_${randomId()}`, status: 'pending' }),
+
+  verifyWebhook: (rawBody, headers) => signatureMatches(rawBody, getFakeSecret(), headers['x-fake-signature']),
+
+  parseWebhook: (body) => ({
+    eventId: body.id,
+    type: body.event,
+    intentId: body.intentId,
+    paymentId: body.paymentId,
+    refundId: body.refundId,
+    amount: body.amount,
+    method: body.method,
+    failureReason: body.failureReason
+  }),
+
+  // A signed webhook as the fake gateway would send it, e.g. { event: 'payment.captured', intentId, paymentId, amount }
+  buildWebhook: (event) => {
+    const body = JSON.stringify({ id: `fake_evt_${randomId()}`, ...event });
+    return {
+      rawBody: Buffer.from(body),
+      headers: { 'x-fake-signature': sign(body, getFakeSecret()) }
+    };
+  }
+};
+
+const providers = { razorpay, fake };
+
+// PAYMENT_PROVIDER picks the adapter. The fake one is only used when asked for by name,
+// never as a fallback for a missing Razorpay configuration.
+const getProviderName = () => process.env.PAYMENT_PROVIDER || 'razorpay';
+
+const getProvider = (name = getProviderName()) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment provider cannot be used in production');
+  }
+  return provider;
+};
+
+module.exports = {
+  getProvider,
+  getProviderName
+};
@@ -0,0 +1,327 @@
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const MedicineOrder = require('../models/MedicineOrder');
+const ZenMembership = require('../models/ZenMembership');
+const User = require('../models/User');
+const Treatment = require('../models/Treatment');
+const PackagePurchase = require('../models/PackagePurchase');
+const Refund = require('../models/Refund');
+const { roundMoney } = require('./pricing');
+const { creditRefund } = require('./invoicing');
+const { getProvider, getProviderName } = require('./paymentProviders');
+const { captureHold } = require('./wallet');
+
+// Medicine order payment methods collected online through the gateway
+const ONLINE_PAYMENT_METHODS = ['upi', 'card'];
+
+const SETTLED_STATUSES = ['captured', 'partially-refunded', 'refunded'];
+
+// Gateway methods recorded on package purchases
+const PACKAGE_PAYMENT_METHODS = ['card', 'upi', 'netbanking'];
+
+// Start a payment: create the provider's intent and the record its webhooks will update
+const createPayment = async ({ user, purpose, amount, receipt, booking, medicineOrder, treatmentPackage }) => {
+  const provider = getProvider();
+  const { intentId, checkout } = await provider.createIntent({
+    amount,
+    currency: 'INR',
+    receipt,
+    notes: { purpose, user: String(user) }
+  });
+
+  return Payment.create({
+    user,
+    purpose,
+    booking,
+    medicineOrder,
+    treatmentPackage,
+    provider: provider.name,
+    providerIntentId: intentId,
+    checkout,
+    amount
+  });
+};
+
+// A payment that can still be paid for this purpose, so retrying checkout does not open a second one
+const findOpenPayment = (filter) => {
+  return Payment.findOne({ ...filter, status: { $in: ['created', 'failed'] } }).sort({ createdAt: -1 });
+};
+
+// What the app sees of a payment; the checkout details only while it can still be paid
+const describePayment = (payment) => ({
+  _id: payment._id,
+  purpose: payment.purpose,
+  status: payment.status,
+  amount: payment.amount,
+  currency: payment.currency,
+  amountRefunded: payment.amountRefunded,
+  capturedAt: payment.capturedAt,
+  failureReason: payment.failureReason,
+  checkout: ['created', 'failed'].includes(payment.status) ? payment.checkout : undefined
+});
+
+// Complete what a captured payment was for. Deposits are attached when the customer books with them.
+// Safe to run again after a failure part way through: what was already granted is not granted twice.
+const fulfilPayment = async (payment) => {
+  if (payment.purpose === 'membership') {
+    if (!payment.membership) {
+      const membership = await ZenMembership.grantLifetime(payment.user, {
+        amount: payment.amount,
+        transactionId: payment.providerPaymentId,
+        paymentMethod: payment.method
+      });
+      await Payment.updateOne({ _id: payment._id }, { membership: membership._id });
+    }
+    const user = await User.findById(payment.user);
+    if (user) {
+      await user.upgradeToZenMembership(payment.providerPaymentId);
+    }
+  } else if (payment.purpose === 'package' && !payment.packagePurchase) {
+    // The package is granted as sold even if it has been taken off sale since
+    const treatment = await Treatment.findById(payment.treatmentPackage.treatment);
+    const treatmentPackage = treatment && treatment.packages.id(payment.treatmentPackage.packageId);
+    if (!treatmentPackage) {
+      // Nothing can be granted, so the money goes back
+      console.error(`Package for payment ${payment._id} no longer exists; refunding it`);
+      if (!payment.refunds.some(refund => refund.status !== 'failed')) {
+        await requestRefund(payment, { reason: 'The package bought is no longer available' });
+      }
+      return;
+    }
+    const purchase = await PackagePurchase.grant({
+      user: payment.user,
+      treatment,
+      treatmentPackage,
+      price: payment.amount,
+      paymentMethod: PACKAGE_PAYMENT_METHODS.includes(payment.method) ? payment.method : undefined,
+      transactionId: payment.providerPaymentId,
+      payment: payment._id
+    });
+    await Payment.updateOne({ _id: payment._id }, { packagePurchase: purchase._id });
+  } else if (payment.purpose === 'medicine-order') {
+    const order = await MedicineOrder.findOneAndUpdate({ _id: payment.medicineOrder }, {
+      'paymentDetails.status': 'completed',
+      'paymentDetails.transactionId': payment.providerPaymentId,
+      'paymentDetails.paidAt': payment.capturedAt
+    }, { new: true });
+
+    // The wallet part of the order was held until the rest was paid
+    if (order && order.paymentDetails.walletStatus === 'held') {
+      const debit = await captureHold(order.userId, order.paymentDetails.walletEntry, {
+        source: 'medicine-order',
+        medicineOrder: order._id,
+        description: `Order ${order.orderNumber}`
+      });
+      if (debit) {
+        await MedicineOrder.updateOne(
+          { _id: order._id, 'paymentDetails.walletStatus': 'held' },
+          { 'paymentDetails.walletStatus': 'debited' }
+        );
+      }
+    }
+  }
+};
+
+const markPaymentFailed = async (payment) => {
+  if (payment.purpose === 'medicine-order') {
+    await MedicineOrder.updateOne(
+      { _id: payment.medicineOrder, 'paymentDetails.status': 'pending' },
+      { 'paymentDetails.status': 'failed' }
+    );
+  }
+};
+
+// Reflect a processed refund on what was paid for
+const applyRefund = async (payment, refund) => {
+  const fullyRefunded = payment.status === 'refunded';
+
+  if (payment.purpose === 'booking-deposit' && payment.booking && fullyRefunded) {
+    await Booking.updateOne({ _id: payment.booking, 'deposit.payment': payment._id }, { 'deposit.status': 'refunded' });
+  } else if (payment.purpose === 'medicine-order') {
+    await MedicineOrder.recordRefund(payment.medicineOrder, refund.amount, refund.processedAt);
+  } else if (payment.purpose === 'membership' && fullyRefunded) {
+    await ZenMembership.updateOne({ userId: payment.user }, { isActive: false, status: 'cancelled' });
+    await User.findByIdAndUpdate(payment.user, {
+      hasZenMembership: false,
+      planType: 'standard'
+    });
+  }
+};
+
+const applyRefundEvent = async (payment, event) => {
+  // Match the refund we asked for; one started from the provider's dashboard is recorded as it is
+  let refund = payment.refunds.find(item => item.providerRefundId === event.refundId) ||
+    payment.refunds.find(item => !item.providerRefundId && item.status === 'pending' && item.amount === event.amount);
+  if (!refund) {
+    payment.refunds.push({ providerRefundId: event.refundId, amount: event.amount, reason: 'Refunded at the payment provider' });
+    refund = payment.refunds[payment.refunds.length - 1];
+  }
+  if (refund.status !== 'pending') {
+    return;
+  }
+
+  refund.providerRefundId = event.refundId;
+  if (event.type === 'refund.failed') {
+    refund.status = 'failed';
+    await payment.save();
+    await Refund.settleProviderRefund(event.refundId, 'failed', 'The payment provider could not process the refund');
+    return;
+  }
+
+  refund.status = 'processed';
+  refund.processedAt = new Date();
+  payment.amountRefunded = roundMoney(payment.amountRefunded + refund.amount);
+  payment.status = payment.amountRefunded >= payment.amount ? 'refunded' : 'partially-refunded';
+  await payment.save();
+  await applyRefund(payment, refund);
+
+  // Close the refund the clinic approved, if this was one
+  const settled = await Refund.settleProviderRefund(event.refundId, 'completed');
+  if (settled) {
+    await creditRefund(settled.source, settled.amount);
+  }
+};
+
+const applyEvent = async (payment, event, provider) => {
+  switch (event.type) {
+    case 'payment.authorized':
+      if (SETTLED_STATUSES.includes(payment.status)) return;
+      payment.status = 'authorized';
+      payment.providerPaymentId = event.paymentId;
+      payment.method = event.method;
+      await payment.save();
+      // Capture straight away; the payment.captured webhook that follows completes the purchase
+      await provider.capture({ paymentId: event.paymentId, amount: payment.amount, currency: payment.currency });
+      return;
+
+    case 'payment.captured':
+      if (payment.fulfilledAt) return;
+      // A retry after a failed fulfilment finds the payment already captured
+      if (!SETTLED_STATUSES.includes(payment.status)) {
+        payment.status = 'captured';
+        payment.providerPaymentId = event.paymentId;
+        payment.method = event.method || payment.method;
+        payment.capturedAt = new Date();
+        payment.failureReason = undefined;
+        await payment.save();
+      }
+      await fulfilPayment(payment);
+      payment.fulfilledAt = new Date();
+      await Payment.updateOne({ _id: payment._id }, { fulfilledAt: payment.fulfilledAt });
+      return;
+
+    case 'payment.failed':
+      // A later attempt against the same intent can still succeed
+      if (SETTLED_STATUSES.includes(payment.status)) return;
+      payment.status = 'failed';
+      payment.providerPaymentId = event.paymentId;
+      payment.failureReason = event.failureReason;
+      await payment.save();
+      await markPaymentFailed(payment);
+      return;
+
+    case 'refund.processed':
+    case 'refund.failed':
+      await applyRefundEvent(payment, event);
+      return;
+
+    default:
+      return;
+  }
+};
+
+// Verify and apply a webhook from a provider. Returns 'invalid' when the signature does not
+// match, 'ignored' for payments that did not start here, 'duplicate' for a redelivered event,
+// otherwise 'processed'. Throws when applying fails, so the provider delivers it again.
+const handleWebhook = async (rawBody, headers, providerName = getProviderName()) => {
+  const provider = getProvider(providerName);
+  if (!provider.verifyWebhook(rawBody, headers)) {
+    return 'invalid';
+  }
+
+  const event = provider.parseWebhook(JSON.parse(rawBody.toString('utf8')), headers);
+  const filter = event.type && event.type.startsWith('refund.')
+    ? { provider: provider.name, providerPaymentId: event.paymentId }
+    : { provider: provider.name, providerIntentId: event.intentId };
+
+  // Claim the event before applying it so concurrent deliveries are applied once
+  const payment = await Payment.findOneAndUpdate(
+    { ...filter, 'events.eventId': { $ne: event.eventId } },
+    { $push: { events: { eventId: event.eventId, type: event.type } } },
+    { new: true }
+  );
+  if (!payment) {
+    return (await Payment.exists(filter)) ? 'duplicate' : 'ignored';
+  }
+
+  try {
+    await applyEvent(payment, event, provider);
+  } catch (error) {
+    // Give the event back so the provider's retry is applied
+    await Payment.updateOne({ _id: payment._id }, { $pull: { events: { eventId: event.eventId } } });
+    throw error;
+  }
+  return 'processed';
+};
+
+// Ask the provider to refund some or all of a captured payment; all that is left when amount is
+// omitted. The refund is recorded as pending and only counts once its webhook arrives.
+const requestRefund = async (payment, { amount, reason } = {}) => {
+  const refundAmount = roundMoney(amount === undefined ? payment.getRefundableAmount() : amount);
+  if (refundAmount <= 0 || refundAmount > payment.getRefundableAmount()) {
+    throw new Error(`Refund must be more than ₹0 and at most ₹${payment.getRefundableAmount()}`);
+  }
+
+  // Reserve the amount first so two refunds cannot both take it
+  const requested = {
+    $sum: {
+      $map: {
+        input: { $filter: { input: '$refunds', cond: { $ne: ['$$this.status', 'failed'] } } },
+        in: '$$this.amount'
+      }
+    }
+  };
+  const updated = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: { $in: ['captured', 'partially-refunded'] },
+      $expr: { $lte: [{ $add: [requested, refundAmount] }, { $add: ['$amount', 0.001] }] }
+    },
+    { $push: { refunds: { amount: refundAmount, reason } } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new Error('The refund is more than what is left on the payment');
+  }
+  const refund = updated.refunds[updated.refunds.length - 1];
+
+  try {
+    const result = await getProvider(payment.provider).refund({
+      paymentId: payment.providerPaymentId,
+      amount: refundAmount,
+      notes: { reason }
+    });
+    refund.providerRefundId = result.refundId;
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds._id': refund._id },
+      { $set: { 'refunds.$.providerRefundId': result.refundId } }
+    );
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: payment._id, 'refunds._id': refund._id },
+      { $set: { 'refunds.$.status': 'failed' } }
+    );
+    throw error;
+  }
+
+  return { payment: updated, refund };
+};
+
+module.exports = {
+  ONLINE_PAYMENT_METHODS,
+  createPayment,
+  findOpenPayment,
+  describePayment,
+  handleWebhook,
+  requestRefund
+};
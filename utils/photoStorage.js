@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { cloudinary, uploadPrivateImage, deleteImage } = require('../config/cloudinary');
+
+// Clinical photos are stored privately, either in Cloudinary as authenticated assets or on this
+// server's disk. PHOTO_STORAGE picks the driver; without it Cloudinary is used when configured.
+const getDriver = () => {
+  if (process.env.PHOTO_STORAGE) {
+    return process.env.PHOTO_STORAGE;
+  }
+  return process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local';
+};
+
+const getLocalDir = () => process.env.PHOTO_STORAGE_DIR || path.join(__dirname, '..', 'uploads', 'clinical-photos');
+
+const CLOUDINARY_FOLDER = 'zennara/clinical-photos';
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+const MAX_PHOTOS_PER_UPLOAD = 10;
+// How long a signed Cloudinary link to a photo stays valid
+const SIGNED_URL_SECONDS = 5 * 60;
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic'
+};
+
+// Photos are kept in memory until the driver has stored them, never in a public folder
+const clinicalPhotoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_PHOTO_BYTES,
+    files: MAX_PHOTOS_PER_UPLOAD
+  },
+  fileFilter: (req, file, cb) => {
+    if (EXTENSIONS[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG, WebP or HEIC photos are allowed'), false);
+    }
+  }
+});
+
+// Store one uploaded file for a patient. Returns the storage details kept on the photo record.
+const storePhoto = async (file, patientId) => {
+  const name = `${patientId}_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  const driver = getDriver();
+
+  if (driver === 'cloudinary') {
+    const result = await uploadPrivateImage(file.buffer, {
+      folder: CLOUDINARY_FOLDER,
+      public_id: name
+    });
+    return {
+      driver,
+      key: result.public_id,
+      format: result.format,
+      mimetype: file.mimetype,
+      bytes: result.bytes,
+      width: result.width,
+      height: result.height
+    };
+  }
+
+  if (driver !== 'local') {
+    throw new Error(`Unknown photo storage driver: ${driver}`);
+  }
+
+  const format = EXTENSIONS[file.mimetype];
+  const key = path.join(String(patientId), `${name}.${format}`);
+  const filePath = path.join(getLocalDir(), key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, file.buffer, { mode: 0o600 });
+
+  return {
+    driver,
+    key,
+    format,
+    mimetype: file.mimetype,
+    bytes: file.size
+  };
+};
+
+// Where to fetch a stored photo from: a short-lived signed URL for Cloudinary, a file path for local storage
+const locatePhoto = (storage) => {
+  if (storage.driver === 'cloudinary') {
+    return {
+      url: cloudinary.utils.private_download_url(storage.key, storage.format, {
+        type: 'authenticated',
+        expires_at: Math.floor(Date.now() / 1000) + SIGNED_URL_SECONDS
+      })
+    };
+  }
+  return { filePath: path.join(getLocalDir(), storage.key) };
+};
+
+const removePhoto = async (storage) => {
+  if (storage.driver === 'cloudinary') {
+    await deleteImage(storage.key, { type: 'authenticated' });
+    return;
+  }
+  await fs.promises.rm(path.join(getLocalDir(), storage.key), { force: true });
+};
+
+module.exports = {
+  MAX_PHOTOS_PER_UPLOAD,
+  clinicalPhotoUpload,
+  storePhoto,
+  locatePhoto,
+  removePhoto
+};
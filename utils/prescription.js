@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Medicine = require('../models/Medicine');
+const { DEFAULT_TIMEZONE, toDateKey, formatDisplayDate } = require('./clinicTime');
+const { getClinicInfo } = require('./appointmentSlip');
+
+const BRAND_COLOR = '#156450';
+const MUTED_COLOR = '#666666';
+
+// Prescriptions are signed with an HMAC over what the clinician wrote, so a printed or
+// forwarded copy can be checked against the clinic's record. Any later edit re-signs it.
+const getSecret = () => process.env.PRESCRIPTION_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// Prescription number: RX + YYYYMMDD + random 4 digits
+const generatePrescriptionNumber = (timeZone = DEFAULT_TIMEZONE) => {
+  const dateStr = toDateKey(new Date(), timeZone).replace(/-/g, '');
+  const randomNum = Math.floor(1000 + Math.random() * 9000);
+  return `RX${dateStr}${randomNum}`;
+};
+
+const idOf = (value) => (value ? String(value._id || value) : '');
+
+// The signed fields, in a fixed order
+const getSignedContent = (booking) => {
+  const prescription = booking.prescription;
+  const prescriber = prescription.prescribedBy || {};
+
+  return JSON.stringify([
+    prescription.prescriptionNumber,
+    prescription.revision,
+    idOf(booking._id),
+    booking.personalDetails.fullName,
+    new Date(prescription.revisedAt || prescription.issuedAt).toISOString(),
+    prescriber.name || '',
+    prescriber.registrationNumber || '',
+    prescription.diagnosis || '',
+    prescription.notes || '',
+    prescription.medications.map(item => [
+      idOf(item.medicine),
+      item.name,
+      item.dosage || '',
+      item.frequency || '',
+      item.duration || '',
+      item.quantity || 1,
+      item.instructions || ''
+    ])
+  ]);
+};
+
+const signPrescription = (booking) => {
+  return crypto.createHmac('sha256', getSecret()).update(getSignedContent(booking)).digest('hex');
+};
+
+// Whether signature matches the prescription as it is stored now
+const verifyPrescriptionSignature = (booking, signature) => {
+  if (!booking.prescription || !booking.prescription.signature || typeof signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signPrescription(booking), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// Only prescriptions written through the clinician endpoints are signed
+const isSignedPrescription = (booking) => Boolean(booking.prescription && booking.prescription.signature);
+
+const buildVerifyUrl = (booking) => {
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  const { prescriptionNumber, signature } = booking.prescription;
+  return `${baseUrl}/api/bookings/prescriptions/${prescriptionNumber}/verify?signature=${signature}`;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Link each prescribed medication to the catalogue: by medicineId when given, otherwise by an
+// exact (case-insensitive) name match. Returns { medications } or { error } for an unknown medicineId.
+const linkMedications = async (items) => {
+  const medications = [];
+
+  for (const item of items) {
+    let medicine = null;
+    if (item.medicineId) {
+      medicine = await Medicine.findById(item.medicineId);
+      if (!medicine) {
+        return { error: `Medicine with ID ${item.medicineId} not found` };
+      }
+    } else if (item.name) {
+      medicine = await Medicine.findOne({ name: new RegExp(`^${escapeRegExp(item.name.trim())}$`, 'i'), isActive: true });
+    }
+
+    medications.push({
+      medicine: medicine ? medicine._id : undefined,
+      name: medicine ? medicine.name : item.name.trim(),
+      dosage: item.dosage || (medicine ? medicine.dosage : undefined),
+      frequency: item.frequency,
+      duration: item.duration,
+      quantity: item.quantity || 1,
+      instructions: item.instructions
+    });
+  }
+
+  return { medications };
+};
+
+// Medicine order lines for the catalogue items on a prescription, priced for the customer's plan.
+// Medications the shop cannot supply are listed separately with the reason.
+const buildOrderDraft = async (booking, hasZenMembership = false) => {
+  const medicines = [];
+  const notOrderable = [];
+
+  for (const item of booking.prescription.medications) {
+    if (!item.medicine) {
+      notOrderable.push({ name: item.name, reason: 'Not available in the Zennara store' });
+      continue;
+    }
+
+    const medicine = await Medicine.findById(item.medicine);
+    const quantity = item.quantity || 1;
+    if (!medicine || !medicine.isAvailable(quantity)) {
+      notOrderable.push({ name: item.name, reason: 'Out of stock' });
+      continue;
+    }
+
+    const price = hasZenMembership ? medicine.zenPrice : medicine.discountedPrice;
+    medicines.push({
+      medicineId: medicine._id,
+      name: medicine.name,
+      image: medicine.image,
+      dosage: item.dosage,
+      quantity,
+      price,
+      totalPrice: price * quantity,
+      prescriptionRequired: medicine.prescriptionRequired
+    });
+  }
+
+  return {
+    medicines,
+    notOrderable,
+    subtotal: medicines.reduce((sum, item) => sum + item.totalPrice, 0)
+  };
+};
+
+const drawLine = (doc, y) => {
+  doc.moveTo(50, y).lineTo(doc.page.width - 50, y).strokeColor('#dddddd').stroke();
+};
+
+// Render a signed prescription as an A4 PDF, resolving with the file contents
+const renderPrescriptionPdf = async (booking) => {
+  const prescription = booking.prescription;
+  const prescriber = prescription.prescribedBy || {};
+  const timeZone = booking.timeZone || DEFAULT_TIMEZONE;
+  const clinicInfo = await getClinicInfo(booking.location);
+  const qrImage = await QRCode.toBuffer(buildVerifyUrl(booking), {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 240
+  });
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Prescription ${prescription.prescriptionNumber}`,
+        Author: prescriber.name || clinicInfo.name
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header band with the clinic's details
+    doc.rect(0, 0, doc.page.width, 100).fill(BRAND_COLOR);
+    doc.font('Helvetica-Bold').fontSize(24).fillColor('#ffffff').text(clinicInfo.name, 50, 28);
+    doc.font('Helvetica').fontSize(9).fillColor('#e8f5f0')
+      .text(`${clinicInfo.address} | ${clinicInfo.phone} | ${clinicInfo.email}`, 50, 62, { width: doc.page.width - 100 });
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND_COLOR).text('Prescription', 50, 125);
+    doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR)
+      .text(`No. ${prescription.prescriptionNumber}${prescription.revision > 1 ? ` (revision ${prescription.revision})` : ''}`, 50, 150)
+      .text(`Date: ${formatDisplayDate(prescription.revisedAt || prescription.issuedAt, timeZone)}`, 50, 164);
+
+    doc.font('Helvetica').fontSize(10).fillColor('#222222')
+      .text(`Patient: ${booking.personalDetails.fullName}`, 320, 150, { width: 225, align: 'right' })
+      .text(`Appointment: ${booking.bookingReference}`, 320, 164, { width: 225, align: 'right' })
+      .text(`Treatment: ${booking.treatmentDetails.name}`, 320, 178, { width: 225, align: 'right' });
+
+    let y = 205;
+    drawLine(doc, y);
+    y += 12;
+
+    if (prescription.diagnosis) {
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text('Diagnosis', 50, y);
+      doc.font('Helvetica').fontSize(10).fillColor('#222222').text(prescription.diagnosis, 50, doc.y + 4, { width: doc.page.width - 100 });
+      y = doc.y + 12;
+    }
+
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(BRAND_COLOR).text('Rx', 50, y);
+    y = doc.y + 6;
+
+    prescription.medications.forEach((item, index) => {
+      doc.font('Helvetica-Bold').fontSize(11).fillColor('#222222')
+        .text(`${index + 1}. ${item.name}${item.dosage ? ` - ${item.dosage}` : ''}`, 60, y, { width: doc.page.width - 120 });
+      const details = [item.frequency, item.duration, `Qty ${item.quantity || 1}`].filter(Boolean).join(' | ');
+      doc.font('Helvetica').fontSize(10).fillColor(MUTED_COLOR).text(details, 75, doc.y + 2);
+      if (item.instructions) {
+        doc.text(item.instructions, 75, doc.y + 2, { width: doc.page.width - 135 });
+      }
+      y = doc.y + 10;
+    });
+
+    if (prescription.notes) {
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(BRAND_COLOR).text('Advice', 50, y);
+      doc.font('Helvetica').fontSize(10).fillColor('#222222').text(prescription.notes, 50, doc.y + 4, { width: doc.page.width - 100 });
+      y = doc.y + 12;
+    }
+
+    // Signature block and verification code
+    y = Math.max(y + 10, 560);
+    drawLine(doc, y);
+    y += 15;
+    doc.image(qrImage, 50, y, { width: 100 });
+    doc.font('Helvetica').fontSize(8).fillColor(MUTED_COLOR)
+      .text('Scan to verify this prescription', 50, y + 104, { width: 100, align: 'center' });
+
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#222222').text(prescriber.name || '', 300, y, { width: 245, align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR);
+    if (prescriber.designation) doc.text(prescriber.designation, { width: 245, align: 'right' });
+    if (prescriber.registrationNumber) doc.text(`Reg. No. ${prescriber.registrationNumber}`, { width: 245, align: 'right' });
+    doc.moveDown(0.5)
+      .text('Digitally signed', { width: 245, align: 'right' })
+      .text(`Signature: ${prescription.signature.slice(0, 16).toUpperCase()}`, { width: 245, align: 'right' });
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  generatePrescriptionNumber,
+  signPrescription,
+  verifyPrescriptionSignature,
+  isSignedPrescription,
+  linkMedications,
+  buildOrderDraft,
+  renderPrescriptionPdf
+};
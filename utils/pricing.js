@@ -0,0 +1,86 @@
+// Treatment prices and the pricing snapshot kept on each booking.
+// Prices are in rupees before GST; totals are rounded to the paisa.
+
+// Discount for Zen members on treatments that have no explicit member price
+const ZEN_TREATMENT_DISCOUNT_PERCENT = parseFloat(process.env.ZEN_TREATMENT_DISCOUNT_PERCENT) || 20;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Price a treatment at a location for a customer. The result is stored on the booking as it is,
+// so later price changes never alter what the customer was quoted.
+const quoteTreatment = (treatment, { location, isZenMember = false }) => {
+  const { price, zenPrice } = treatment.getLocationPrices(location);
+  const listPrice = roundMoney(price || 0);
+  const taxRate = treatment.taxRate === undefined ? 18 : treatment.taxRate;
+
+  const discounts = [];
+  if (isZenMember) {
+    const memberPrice = zenPrice !== undefined && zenPrice !== null
+      ? zenPrice
+      : listPrice * (1 - ZEN_TREATMENT_DISCOUNT_PERCENT / 100);
+    const saving = roundMoney(listPrice - memberPrice);
+    if (saving > 0) {
+      discounts.push({ type: 'zen_member', description: 'Zen member price', amount: saving });
+    }
+  }
+
+  return buildSnapshot({ listPrice, discounts, taxRate });
+};
+
+// The same quote when a prepaid package session covers the treatment: nothing more to pay
+const coverWithPackage = (quote) => {
+  return buildSnapshot({
+    listPrice: quote.listPrice,
+    discounts: [{ type: 'package', description: 'Prepaid package session', amount: quote.listPrice }],
+    taxRate: quote.taxRate
+  });
+};
+
+const buildSnapshot = ({ listPrice, discounts, taxRate }) => {
+  const discountTotal = roundMoney(Math.min(listPrice, discounts.reduce((sum, discount) => sum + discount.amount, 0)));
+  const taxableAmount = roundMoney(listPrice - discountTotal);
+  const taxAmount = roundMoney(taxableAmount * taxRate / 100);
+
+  return {
+    currency: 'INR',
+    listPrice,
+    discounts,
+    discountTotal,
+    taxableAmount,
+    taxRate,
+    taxAmount,
+    totalAmount: roundMoney(taxableAmount + taxAmount),
+    pricedAt: new Date()
+  };
+};
+
+// What the booking screens show before the customer confirms
+const describePrices = (treatment, location) => {
+  const standard = quoteTreatment(treatment, { location, isZenMember: false });
+  const member = quoteTreatment(treatment, { location, isZenMember: true });
+
+  return {
+    location: location || null,
+    currency: 'INR',
+    taxRate: standard.taxRate,
+    standard: {
+      price: standard.taxableAmount,
+      taxAmount: standard.taxAmount,
+      totalAmount: standard.totalAmount
+    },
+    zenMember: {
+      price: member.taxableAmount,
+      taxAmount: member.taxAmount,
+      totalAmount: member.totalAmount,
+      saving: member.discountTotal
+    }
+  };
+};
+
+module.exports = {
+  ZEN_TREATMENT_DISCOUNT_PERCENT,
+  roundMoney,
+  quoteTreatment,
+  coverWithPackage,
+  describePrices
+};
@@ -0,0 +1,479 @@
+const Refund = require('../models/Refund');
+const Payment = require('../models/Payment');
+const Booking = require('../models/Booking');
+const MedicineOrder = require('../models/MedicineOrder');
+const { roundMoney } = require('./pricing');
+const { requestRefund } = require('./payments');
+const { creditRefund } = require('./invoicing');
+const { creditWallet, releaseHold } = require('./wallet');
+
+// Returned medicines are refunded within this many days of delivery, less the delivery charge
+const ORDER_RETURN_WINDOW_DAYS = parseInt(process.env.ORDER_RETURN_WINDOW_DAYS) || 7;
+// Refunds the policy allows up to this amount are paid without waiting for an admin; 0 queues every refund
+const REFUND_AUTO_APPROVE_LIMIT = parseFloat(process.env.REFUND_AUTO_APPROVE_LIMIT) || 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refunds that are paid or on their way, which count against what is left to refund
+const COMMITTED_STATUSES = ['pending-approval', 'processing', 'completed'];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const bookingSource = (booking) => ({
+  kind: 'booking',
+  booking: booking._id,
+  reference: booking.bookingReference
+});
+
+const orderSource = (order) => ({
+  kind: 'medicine-order',
+  medicineOrder: order._id,
+  reference: order.orderNumber
+});
+
+const sumRefunds = async (filter) => {
+  const refunds = await Refund.find(filter).select('amount');
+  return roundMoney(refunds.reduce((total, refund) => total + refund.amount, 0));
+};
+
+// What was paid from the wallet when booking or ordering
+const getBookingWalletAmount = (booking) => (booking.walletPayment && booking.walletPayment.amount) || 0;
+
+const getOrderWalletAmount = (order) => {
+  return order.paymentDetails.walletStatus === 'debited' ? order.paymentDetails.walletAmount || 0 : 0;
+};
+
+// What a customer has paid towards a booking: a deposit taken before the visit, and the
+// treatment price once it has been settled (package sessions were paid for with the package),
+// or the part of it paid from the wallet until then
+const getBookingPaidAmount = (booking) => {
+  let paid = 0;
+  if (booking.deposit && ['paid', 'refunded'].includes(booking.deposit.status)) {
+    paid += booking.deposit.amount || 0;
+  }
+  if (['paid', 'refunded'].includes(booking.paymentStatus) && booking.paymentMethod !== 'package' && booking.pricing) {
+    paid += booking.pricing.totalAmount || 0;
+  } else {
+    paid += getBookingWalletAmount(booking);
+  }
+  return roundMoney(paid);
+};
+
+const getOrderPaidAmount = (order) => {
+  return ['completed', 'refunded'].includes(order.paymentDetails.status)
+    ? order.orderSummary.totalAmount
+    : getOrderWalletAmount(order);
+};
+
+// A late cancellation fee the clinic keeps out of what was paid
+const getRetainedFee = (booking) => {
+  const cancellation = booking.status === 'cancelled' ? booking.cancellationPolicy : null;
+  return cancellation && ['pending', 'paid'].includes(cancellation.feeStatus) ? cancellation.fee || 0 : 0;
+};
+
+// Work out what the customer can get back for a booking: everything paid, less a late
+// cancellation fee, less what has already been refunded or is waiting to be
+const evaluateBookingRefund = async (booking) => {
+  const paidAmount = getBookingPaidAmount(booking);
+  const retainedFee = Math.min(getRetainedFee(booking), paidAmount);
+  const alreadyRefunded = await sumRefunds({ 'source.booking': booking._id, status: { $in: COMMITTED_STATUSES } });
+
+  let explanation;
+  if (booking.status !== 'cancelled') {
+    explanation = 'The booking was not cancelled; any refund is at the clinic\'s discretion, up to what was paid.';
+  } else if (retainedFee > 0) {
+    explanation = `Cancelled late, so the ₹${retainedFee} late cancellation fee is kept from the ₹${paidAmount} paid.`;
+  } else {
+    explanation = `Cancelled without charge, so the ₹${paidAmount} paid is refunded in full.`;
+  }
+
+  return {
+    paidAmount,
+    retainedFee,
+    alreadyRefunded,
+    eligibleAmount: roundMoney(Math.max(paidAmount - retainedFee - alreadyRefunded, 0)),
+    // Ceiling an admin can go to when setting the policy aside
+    refundableAmount: roundMoney(Math.max(paidAmount - alreadyRefunded, 0)),
+    policy: {
+      name: booking.cancellationPolicy ? booking.cancellationPolicy.name : undefined,
+      explanation
+    }
+  };
+};
+
+// Work out what the customer can get back for a medicine order: all of it when cancelled, and
+// all but the delivery charge when returned within the return window
+const evaluateOrderRefund = async (order, { now = new Date() } = {}) => {
+  const paidAmount = getOrderPaidAmount(order);
+  const alreadyRefunded = await sumRefunds({ 'source.medicineOrder': order._id, status: { $in: COMMITTED_STATUSES } });
+
+  let allowed = paidAmount;
+  let policy;
+  if (order.orderStatus === 'cancelled') {
+    policy = { name: 'Order cancellation', explanation: 'Cancelled orders are refunded in full.' };
+  } else if (order.orderStatus === 'returned') {
+    const deliveredAt = order.deliveryDetails && order.deliveryDetails.actualDeliveryDate;
+    const returned = order.statusHistory.filter(entry => entry.status === 'returned').pop();
+    const returnedAt = returned ? returned.timestamp : now;
+    // An order that was never delivered has nothing to return
+    const withinWindow = Boolean(deliveredAt) && returnedAt - deliveredAt <= ORDER_RETURN_WINDOW_DAYS * DAY_MS;
+    const deliveryCharges = order.orderSummary.deliveryCharges || 0;
+
+    allowed = withinWindow ? Math.max(paidAmount - deliveryCharges, 0) : 0;
+    policy = {
+      name: 'Medicine returns',
+      explanation: withinWindow
+        ? `Returned within ${ORDER_RETURN_WINDOW_DAYS} days of delivery, so everything${deliveryCharges > 0 ? ` but the ₹${deliveryCharges} delivery charge` : ''} is refunded.`
+        : deliveredAt
+          ? `Returned more than ${ORDER_RETURN_WINDOW_DAYS} days after delivery, so no refund is due under the return policy.`
+          : 'The order was never recorded as delivered, so no refund is due under the return policy.'
+    };
+  } else {
+    policy = { name: undefined, explanation: 'The order was not cancelled or returned; any refund is at the clinic\'s discretion, up to what was paid.' };
+  }
+
+  return {
+    paidAmount,
+    retainedFee: 0,
+    alreadyRefunded,
+    eligibleAmount: roundMoney(Math.max(allowed - alreadyRefunded, 0)),
+    refundableAmount: roundMoney(Math.max(paidAmount - alreadyRefunded, 0)),
+    policy
+  };
+};
+
+// Reflect a refund paid outside the gateway on the booking or order it was for. Gateway refunds
+// are reflected when the provider's webhook arrives, and wallet credits when they are made.
+const applyRefundToSource = async (refund) => {
+  if (refund.source.kind === 'medicine-order') {
+    const amount = roundMoney(refund.amount - (refund.walletAmount || 0));
+    if (amount > 0) {
+      await MedicineOrder.recordRefund(refund.source.medicineOrder, amount, refund.completedAt);
+    }
+    return;
+  }
+
+  const booking = await Booking.findById(refund.source.booking);
+  if (!booking) {
+    return;
+  }
+  const refunded = await sumRefunds({ 'source.booking': booking._id, status: 'completed' });
+  if (refunded < getBookingPaidAmount(booking) - getRetainedFee(booking) - 0.001) {
+    return;
+  }
+
+  const update = {};
+  if (booking.deposit && booking.deposit.status === 'paid') update['deposit.status'] = 'refunded';
+  if (booking.paymentStatus === 'paid') {
+    update.paymentStatus = 'refunded';
+    update.paymentUpdatedAt = new Date();
+  }
+  if (Object.keys(update).length > 0) {
+    await Booking.updateOne({ _id: booking._id }, update);
+  }
+};
+
+// Record a processing refund as paid and reflect it on what it was for. Returns null when
+// the refund was not processing, e.g. when it was completed by a concurrent request.
+const completeRefund = async (refund, { actor = Refund.SYSTEM_ACTOR, note, payoutReference } = {}) => {
+  const now = new Date();
+  const update = {
+    status: 'completed',
+    completedAt: now,
+    channel: refund.channel,
+    $push: { history: { status: 'completed', actor, note, timestamp: now } }
+  };
+  if (payoutReference) update.payoutReference = payoutReference;
+
+  const completed = await Refund.findOneAndUpdate({ _id: refund._id, status: 'processing' }, update, { new: true });
+  if (!completed) {
+    return null;
+  }
+
+  if (completed.channel !== 'gateway') {
+    await applyRefundToSource(completed);
+  }
+  await creditRefund(completed.source, completed.amount, actor);
+  return completed;
+};
+
+// The gateway payment that collected the money, when it still holds enough to cover the refund
+const findRefundablePayment = async (refund, amount) => {
+  const filter = refund.source.kind === 'booking'
+    ? { purpose: 'booking-deposit', booking: refund.source.booking }
+    : { purpose: 'medicine-order', medicineOrder: refund.source.medicineOrder };
+  const payments = await Payment.find({ ...filter, status: { $in: ['captured', 'partially-refunded'] } });
+  return payments.find(payment => payment.getRefundableAmount() >= amount) || null;
+};
+
+// What was paid from the wallet for a refund's booking or order and has not gone back to it yet
+const getWalletShare = async (refund) => {
+  let paid = 0;
+  if (refund.source.kind === 'booking') {
+    const booking = await Booking.findById(refund.source.booking).select('walletPayment');
+    paid = booking ? getBookingWalletAmount(booking) : 0;
+  } else {
+    const order = await MedicineOrder.findById(refund.source.medicineOrder).select('paymentDetails');
+    paid = order ? getOrderWalletAmount(order) : 0;
+  }
+  if (paid <= 0) {
+    return 0;
+  }
+
+  const sourceFilter = refund.source.kind === 'booking'
+    ? { 'source.booking': refund.source.booking }
+    : { 'source.medicineOrder': refund.source.medicineOrder };
+  const others = await Refund.find({ ...sourceFilter, _id: { $ne: refund._id }, walletAmount: { $gt: 0 } }).select('walletAmount');
+  const returned = others.reduce((total, other) => total + other.walletAmount, 0);
+  return roundMoney(Math.max(paid - returned, 0));
+};
+
+// Credit part of a refund to the customer's wallet. Credit already given on an earlier attempt
+// counts towards it, so a retried refund is never credited twice.
+const creditRefundToWallet = async (refund, walletAmount) => {
+  const amount = roundMoney(walletAmount - (refund.walletAmount || 0));
+  if (amount <= 0) {
+    return;
+  }
+
+  const entry = await creditWallet(refund.user, amount, {
+    source: 'refund',
+    refund: refund._id,
+    booking: refund.source.booking,
+    medicineOrder: refund.source.medicineOrder,
+    description: `Refund for ${refund.source.reference}`
+  });
+  refund.walletAmount = roundMoney((refund.walletAmount || 0) + amount);
+  refund.walletEntry = entry._id;
+  await refund.save();
+
+  if (refund.source.kind === 'medicine-order') {
+    await MedicineOrder.recordRefund(refund.source.medicineOrder, amount);
+  }
+};
+
+// Send an approved refund on its way. A refund to the wallet is credited at once. A refund to
+// the original method returns whatever was paid from the wallet to the wallet, and the rest
+// through the gateway payment that collected it; when the customer paid at the clinic or on
+// delivery the rest waits for staff to pay it out.
+const payRefund = async (refund) => {
+  const walletAmount = refund.destination === 'wallet'
+    ? refund.amount
+    : Math.max(refund.walletAmount || 0, Math.min(refund.amount, await getWalletShare(refund)));
+  await creditRefundToWallet(refund, walletAmount);
+
+  const remaining = roundMoney(refund.amount - (refund.walletAmount || 0));
+  if (remaining <= 0) {
+    refund.channel = 'wallet';
+    return (await completeRefund(refund, { note: `₹${refund.amount} added to the wallet` })) || refund;
+  }
+
+  const payment = await findRefundablePayment(refund, remaining);
+  if (!payment) {
+    refund.channel = 'manual';
+    await refund.save();
+    return refund;
+  }
+
+  refund.channel = 'gateway';
+  refund.payment = payment._id;
+  try {
+    const { refund: providerRefund } = await requestRefund(payment, {
+      amount: remaining,
+      reason: refund.reason || `Refund for ${refund.source.reference}`
+    });
+    refund.providerRefundId = providerRefund.providerRefundId;
+    await refund.save();
+  } catch (error) {
+    console.error(`Gateway refund failed for ${refund.source.reference}:`, error);
+    refund.failureReason = error.message;
+    refund.setStatus('failed', { note: 'The payment provider did not accept the refund' });
+    await refund.save();
+    return refund;
+  }
+
+  // The provider may have reported the outcome before the refund was saved
+  const latest = await Payment.findById(payment._id);
+  const entry = latest && latest.refunds.find(item => item.providerRefundId === refund.providerRefundId);
+  if (entry && entry.status !== 'pending') {
+    const settled = await Refund.settleProviderRefund(
+      refund.providerRefundId,
+      entry.status === 'processed' ? 'completed' : 'failed',
+      entry.status === 'processed' ? undefined : 'The payment provider could not process the refund'
+    );
+    if (settled && settled.status === 'completed') {
+      await creditRefund(settled.source, settled.amount);
+    }
+    return settled || refund;
+  }
+  return refund;
+};
+
+// Approve a refund waiting in the queue (or retry a failed one) and pay it. The amount and
+// destination can be changed on approval. Returns null when the refund was no longer waiting.
+const approveRefund = async (refund, { actor = Refund.SYSTEM_ACTOR, amount = refund.amount, destination = refund.destination, note } = {}) => {
+  const now = new Date();
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: ['pending-approval', 'failed'] } },
+    {
+      status: 'processing',
+      amount: roundMoney(amount),
+      destination,
+      reviewedBy: actor,
+      reviewedAt: now,
+      reviewNote: note,
+      $unset: { failureReason: 1 },
+      $push: { history: { status: 'processing', actor, note: note || 'Approved', timestamp: now } }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+  return payRefund(claimed);
+};
+
+// Turn down a refund waiting in the queue. Returns null when it was no longer waiting.
+const rejectRefund = (refund, { actor, note }) => {
+  const now = new Date();
+  return Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: ['pending-approval', 'failed'] } },
+    {
+      status: 'rejected',
+      reviewedBy: actor,
+      reviewedAt: now,
+      reviewNote: note,
+      $push: { history: { status: 'rejected', actor, note, timestamp: now } }
+    },
+    { new: true }
+  );
+};
+
+// Open a refund and put it in the approval queue. Refunds the policy allows within the
+// automatic approval limit are paid straight away.
+const openRefund = async ({ source, user, trigger, evaluation, amount = evaluation.eligibleAmount, destination, reason, actor = Refund.SYSTEM_ACTOR, dedupeKey }) => {
+  const refund = new Refund({
+    user: idOf(user),
+    source,
+    trigger,
+    dedupeKey,
+    paidAmount: evaluation.paidAmount,
+    eligibleAmount: evaluation.eligibleAmount,
+    amount: roundMoney(amount),
+    policy: evaluation.policy,
+    reason,
+    destination,
+    requestedBy: actor
+  });
+  refund.setStatus('pending-approval', { actor, note: reason });
+  await refund.save();
+
+  if (trigger !== 'manual' && refund.amount <= evaluation.eligibleAmount && refund.amount <= REFUND_AUTO_APPROVE_LIMIT) {
+    return (await approveRefund(refund, { note: 'Approved automatically under the refund limit' })) || refund;
+  }
+  return refund;
+};
+
+// Open a refund for a cancelled booking the customer paid towards, keeping any late
+// cancellation fee. Never throws: the booking is already cancelled, and staff can open
+// the refund from the admin panel.
+const refundCancelledBooking = async (booking, actor) => {
+  try {
+    const evaluation = await evaluateBookingRefund(booking);
+
+    // The fee is taken out of what was paid
+    if (evaluation.retainedFee > 0 && booking.cancellationPolicy.feeStatus === 'pending') {
+      await Booking.updateOne({ _id: booking._id }, { 'cancellationPolicy.feeStatus': 'paid' });
+      booking.cancellationPolicy.feeStatus = 'paid';
+    }
+
+    if (evaluation.eligibleAmount <= 0) {
+      return null;
+    }
+    return await openRefund({
+      source: bookingSource(booking),
+      user: booking.user,
+      trigger: 'booking-cancelled',
+      evaluation,
+      reason: booking.cancellationReason,
+      actor,
+      dedupeKey: `booking-cancelled:${booking._id}`
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error(`Failed to open refund for booking ${booking.bookingReference}:`, error);
+    }
+    return null;
+  }
+};
+
+// Open a refund when a paid medicine order is cancelled or returned, and give back wallet money
+// still held for its payment. Never throws.
+const refundOrderStatusChange = async (order, actor) => {
+  const trigger = { cancelled: 'order-cancelled', returned: 'order-returned' }[order.orderStatus];
+  if (!trigger) {
+    return null;
+  }
+
+  try {
+    if (order.paymentDetails.walletStatus === 'held') {
+      const release = await releaseHold(order.userId, order.paymentDetails.walletEntry, {
+        source: 'medicine-order',
+        medicineOrder: order._id,
+        description: `Order ${order.orderNumber} ${order.orderStatus}`
+      });
+      if (release) {
+        await MedicineOrder.updateOne(
+          { _id: order._id, 'paymentDetails.walletStatus': 'held' },
+          { 'paymentDetails.walletStatus': 'released' }
+        );
+        order.paymentDetails.walletStatus = 'released';
+      }
+    }
+
+    const evaluation = await evaluateOrderRefund(order);
+    if (evaluation.eligibleAmount <= 0) {
+      return null;
+    }
+    const latest = order.statusHistory[order.statusHistory.length - 1];
+    return await openRefund({
+      source: orderSource(order),
+      user: order.userId,
+      trigger,
+      evaluation,
+      reason: latest ? latest.note : undefined,
+      actor,
+      dedupeKey: `${trigger}:${order._id}`
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error(`Failed to open refund for order ${order.orderNumber}:`, error);
+    }
+    return null;
+  }
+};
+
+// What a customer sees of a refund opened for them
+const describeRefund = (refund) => ({
+  _id: refund._id,
+  amount: refund.amount,
+  destination: refund.destination,
+  status: refund.status,
+  explanation: refund.policy ? refund.policy.explanation : undefined
+});
+
+module.exports = {
+  ORDER_RETURN_WINDOW_DAYS,
+  REFUND_AUTO_APPROVE_LIMIT,
+  bookingSource,
+  orderSource,
+  evaluateBookingRefund,
+  evaluateOrderRefund,
+  openRefund,
+  approveRefund,
+  rejectRefund,
+  completeRefund,
+  refundCancelledBooking,
+  refundOrderStatusChange,
+  describeRefund
+};
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const { send12HourReminderEmail, send1HourReminderEmail } = require('./emailService');
+const { getAppointmentStart } = require('./clinicTime');
+
+// Hours before an appointment at which reminders go out, largest first, e.g. "24,12,1"
+const REMINDER_OFFSETS_HOURS = (process.env.REMINDER_OFFSETS_HOURS || '24,12,1')
+  .split(',')
+  .map(hours => parseFloat(hours))
+  .filter(hours => hours > 0)
+  .sort((a, b) => b - a);
+
+// How often the scheduler looks for due reminders
+const REMINDER_CHECK_MINUTES = parseInt(process.env.REMINDER_CHECK_MINUTES) || 5;
+
+// Only upcoming appointments get reminders; cancelled, completed and no-show bookings never do
+const REMINDABLE_STATUSES = ['confirmed', 'rescheduled'];
+
+const reminderKey = (hours) => `${hours}h`;
+
+// The reminder due now: the smallest configured offset the appointment is already inside.
+// A booking made 5 hours ahead gets the 12h reminder straight away and never a late 24h one.
+const getDueReminder = (booking, now = new Date()) => {
+  const hoursUntil = (getAppointmentStart(booking) - now) / (1000 * 60 * 60);
+  if (hoursUntil <= 0) {
+    return null;
+  }
+
+  const due = REMINDER_OFFSETS_HOURS.filter(hours => hoursUntil <= hours);
+  return due.length > 0 ? due[due.length - 1] : null;
+};
+
+// Whether a reminder has gone out for the booking's current appointment time
+const hasSentReminder = (booking, hours) => {
+  const appointmentTime = new Date(booking.appointmentDate).getTime();
+  return (booking.remindersSent || []).some(sent => {
+    return sent.reminder === reminderKey(hours) &&
+      sent.appointmentDate && sent.appointmentDate.getTime() === appointmentTime &&
+      sent.status !== 'failed';
+  });
+};
+
+// Send one configured reminder for a booking, exactly once per appointment time.
+// The reminder is recorded in remindersSent before the email goes out, so two servers
+// (or a manual send racing the scheduler) cannot both send it. A failed send is marked
+// failed and may be retried while the reminder is still due.
+const sendBookingReminder = async (booking, hours) => {
+  const key = reminderKey(hours);
+  const entryId = new mongoose.Types.ObjectId();
+
+  const claimed = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      appointmentDate: booking.appointmentDate,
+      status: { $in: REMINDABLE_STATUSES },
+      remindersSent: {
+        $not: {
+          $elemMatch: { reminder: key, appointmentDate: booking.appointmentDate, status: { $ne: 'failed' } }
+        }
+      }
+    },
+    {
+      $push: {
+        remindersSent: {
+          _id: entryId,
+          type: 'email',
+          reminder: key,
+          appointmentDate: booking.appointmentDate,
+          sentAt: new Date(),
+          status: 'sent'
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return { sent: false, reminder: key };
+  }
+
+  try {
+    if (hours > 1) {
+      await send12HourReminderEmail(claimed.personalDetails.email, claimed);
+    } else {
+      await send1HourReminderEmail(claimed.personalDetails.email, claimed);
+    }
+  } catch (error) {
+    await Booking.updateOne(
+      { _id: booking._id, 'remindersSent._id': entryId },
+      { $set: { 'remindersSent.$.status': 'failed' } }
+    );
+    throw error;
+  }
+
+  console.log(`${key} reminder sent to ${claimed.personalDetails.email} for booking ${claimed.bookingReference}`);
+  return { sent: true, reminder: key, booking: claimed };
+};
+
+// Send every reminder that is due now and has not gone out yet
+const sendDueReminders = async (now = new Date()) => {
+  if (REMINDER_OFFSETS_HOURS.length === 0) {
+    return { sentCount: 0, failedCount: 0 };
+  }
+
+  const horizon = new Date(now.getTime() + REMINDER_OFFSETS_HOURS[0] * 60 * 60 * 1000);
+
+  // A multi-treatment visit is reminded once, from its first treatment
+  const bookings = await Booking.find({
+    status: { $in: REMINDABLE_STATUSES },
+    appointmentDate: { $gt: now, $lte: horizon },
+    visitSequence: { $in: [null, 1] }
+  }).select('appointmentDate remindersSent');
+
+  let sentCount = 0;
+  let failedCount = 0;
+
+  for (const booking of bookings) {
+    const hours = getDueReminder(booking, now);
+    if (!hours || hasSentReminder(booking, hours)) {
+      continue;
+    }
+
+    try {
+      const result = await sendBookingReminder(booking, hours);
+      if (result.sent) {
+        sentCount++;
+      }
+    } catch (error) {
+      failedCount++;
+      console.error(`Failed to send reminder for booking ${booking._id}:`, error);
+    }
+  }
+
+  return { sentCount, failedCount };
+};
+
+// Check for due reminders every few minutes for as long as the server runs.
+// Set REMINDER_SCHEDULER_ENABLED=false to turn it off (e.g. on secondary instances).
+const startReminderScheduler = () => {
+  if (process.env.REMINDER_SCHEDULER_ENABLED === 'false') {
+    console.log('⏰ Reminder scheduler disabled');
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    // Skip a tick if the previous run is still sending
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const result = await sendDueReminders();
+      if (result.sentCount > 0 || result.failedCount > 0) {
+        console.log(`Reminder run: sent ${result.sentCount}, failed ${result.failedCount} at ${new Date().toISOString()}`);
+      }
+    } catch (error) {
+      console.error('Reminder scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, REMINDER_CHECK_MINUTES * 60 * 1000);
+  timer.unref();
+  tick();
+
+  console.log(`⏰ Reminder scheduler running every ${REMINDER_CHECK_MINUTES} minutes (${REMINDER_OFFSETS_HOURS.map(reminderKey).join(', ')})`);
+  return timer;
+};
+
+module.exports = {
+  REMINDER_OFFSETS_HOURS,
+  REMINDER_CHECK_MINUTES,
+  getDueReminder,
+  hasSentReminder,
+  sendBookingReminder,
+  sendDueReminders,
+  startReminderScheduler
+};
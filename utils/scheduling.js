@@ -0,0 +1,512 @@
+const Booking = require('../models/Booking');
+const Location = require('../models/Location');
+const SlotHold = require('../models/SlotHold');
+const Staff = require('../models/Staff');
+const Treatment = require('../models/Treatment');
+const {
+  DEFAULT_TIMEZONE,
+  zonedTimeToUtc,
+  toDateKey,
+  normalizeDateKey,
+  addDays,
+  getWeekday,
+  daysInMonth,
+  startOfDay,
+  endOfDay
+} = require('./clinicTime');
+
+// Bookings in these statuses occupy a treatment room
+const ACTIVE_BOOKING_STATUSES = ['confirmed', 'in-progress', 'rescheduled'];
+
+// Used when a booking has no treatment duration recorded
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Convert "HH:mm" to minutes since midnight
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Convert minutes since midnight to "HH:mm"
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+// Parse a "YYYY-MM-DD" (or ISO) string, or a Date, into the start of that clinic calendar day
+const parseDate = (date, timeZone = DEFAULT_TIMEZONE) => {
+  // Unparseable input gives an Invalid Date for callers to check, as new Date() would
+  if (isNaN(new Date(date).getTime())) {
+    return new Date(NaN);
+  }
+  return startOfDay(date, timeZone);
+};
+
+// Format the clinic calendar day of a Date as "YYYY-MM-DD"
+const formatDateKey = (date, timeZone = DEFAULT_TIMEZONE) => {
+  return toDateKey(date, timeZone);
+};
+
+// Combine a calendar date and an "HH:mm" clinic time into the UTC instant it happens
+const combineDateAndTime = (date, time, timeZone = DEFAULT_TIMEZONE) => {
+  return zonedTimeToUtc(normalizeDateKey(date, timeZone), time, timeZone);
+};
+
+// Resolve opening hours, breaks, holidays and blackouts for a location on a calendar date
+const getDaySchedule = (locationConfig, date) => {
+  const timeZone = locationConfig.timezone;
+  const dateKey = normalizeDateKey(date, timeZone);
+  const day = startOfDay(dateKey, timeZone);
+  const dayEnd = endOfDay(dateKey, timeZone);
+
+  const holiday = locationConfig.getHoliday(dateKey);
+  const hours = locationConfig.getHoursFor(getWeekday(dateKey));
+
+  let closedReason = null;
+  if (!locationConfig.isActive) {
+    closedReason = 'This location is not taking appointments';
+  } else if (holiday) {
+    closedReason = `Closed for ${holiday.name}`;
+  } else if (!hours || !hours.isOpen || !hours.openTime || !hours.closeTime) {
+    closedReason = 'Closed on this day';
+  }
+
+  return {
+    date: dateKey,
+    timeZone,
+    isOpen: !closedReason,
+    closedReason,
+    openTime: hours ? hours.openTime : null,
+    closeTime: hours ? hours.closeTime : null,
+    slotInterval: locationConfig.slotInterval,
+    breaks: hours ? hours.breaks.map(b => ({ startTime: b.startTime, endTime: b.endTime, label: b.label })) : [],
+    blackouts: locationConfig.getBlackoutsBetween(day, dayEnd).map(b => ({ startsAt: b.startsAt, endsAt: b.endsAt, reason: b.reason }))
+  };
+};
+
+// Generate the bookable start times for a day schedule
+const generateTimeSlots = (schedule) => {
+  const slots = [];
+  if (!schedule.isOpen) {
+    return slots;
+  }
+  for (let minutes = timeToMinutes(schedule.openTime); minutes < timeToMinutes(schedule.closeTime); minutes += schedule.slotInterval) {
+    slots.push(minutesToTime(minutes));
+  }
+  return slots;
+};
+
+// Turn bookings into [start, end) intervals in minutes since midnight
+const toIntervals = (bookings) => {
+  return bookings.map(booking => {
+    const start = timeToMinutes(booking.appointmentTime);
+    const duration = (booking.treatmentDetails && booking.treatmentDetails.duration) || DEFAULT_DURATION_MINUTES;
+    return {
+      start,
+      end: start + duration,
+      staffId: booking.assignedStaff ? booking.assignedStaff.toString() : null
+    };
+  });
+};
+
+// Check whether a practitioner can take an appointment between start and end minutes
+const isStaffFree = (member, { date, location, start, end, intervals, timeZone = DEFAULT_TIMEZONE }) => {
+  if (member.isOnLeave(date, timeZone)) {
+    return false;
+  }
+
+  const onShift = member.getShiftsFor(date, location, timeZone).some(shift => {
+    return timeToMinutes(shift.startTime) <= start && timeToMinutes(shift.endTime) >= end;
+  });
+  if (!onShift) {
+    return false;
+  }
+
+  const memberId = member._id.toString();
+  return !intervals.some(interval => {
+    return interval.staffId === memberId && interval.start < end && interval.end > start;
+  });
+};
+
+// Highest number of intervals running at the same time within [start, end)
+const peakOccupancy = (intervals, start, end) => {
+  const checkpoints = [start];
+  intervals.forEach(interval => {
+    if (interval.start > start && interval.start < end) {
+      checkpoints.push(interval.start);
+    }
+  });
+
+  return checkpoints.reduce((peak, point) => {
+    const running = intervals.filter(interval => interval.start <= point && interval.end > point).length;
+    return Math.max(peak, running);
+  }, 0);
+};
+
+// Work out slot availability for one day from bookings that are already loaded.
+// When staff is null the location is not rostered and only room capacity applies.
+const buildDaySlots = ({ date, location, schedule, bookings, rooms, duration, staff = null, now = new Date() }) => {
+  const timeZone = schedule.timeZone;
+  const intervals = toIntervals(bookings);
+  const closingMinutes = schedule.isOpen ? timeToMinutes(schedule.closeTime) : 0;
+
+  return generateTimeSlots(schedule).map(time => {
+    const start = timeToMinutes(time);
+    const end = start + duration;
+    const occupied = peakOccupancy(intervals, start, end);
+    const slotStart = combineDateAndTime(date, time, timeZone);
+    const slotEnd = new Date(slotStart.getTime() + duration * 60 * 1000);
+
+    const isBooked = occupied >= rooms;
+    const isPastTime = slotStart <= now;
+    const exceedsClosingTime = end > closingMinutes;
+    const overlapsBreak = schedule.breaks.some(b => start < timeToMinutes(b.endTime) && end > timeToMinutes(b.startTime));
+    const isBlackedOut = schedule.blackouts.some(b => slotStart < b.endsAt && slotEnd > b.startsAt);
+
+    const availableStaff = staff
+      ? staff.filter(member => isStaffFree(member, { date, location, start, end, intervals, timeZone })).map(member => member._id.toString())
+      : null;
+    const noStaffAvailable = staff ? availableStaff.length === 0 : false;
+
+    return {
+      time,
+      endTime: minutesToTime(end),
+      startsAt: slotStart,
+      endsAt: slotEnd,
+      isAvailable: !isBooked && !isPastTime && !exceedsClosingTime && !overlapsBreak && !isBlackedOut && !noStaffAvailable,
+      isBooked,
+      isPastTime,
+      exceedsClosingTime,
+      overlapsBreak,
+      isBlackedOut,
+      noStaffAvailable,
+      remainingRooms: Math.max(0, rooms - occupied),
+      availableStaff
+    };
+  });
+};
+
+// Load the practitioners who can perform a treatment at a location.
+// Returns null when the location has no staff roster, so room capacity alone applies.
+const findEligibleStaff = async ({ location, treatmentId, staffId }) => {
+  if (!staffId) {
+    const rosterSize = await Staff.countDocuments({ locations: location, isActive: true });
+    if (rosterSize === 0) {
+      return null;
+    }
+  }
+
+  const query = { locations: location, isActive: true };
+  if (treatmentId) {
+    query.treatments = treatmentId;
+  }
+  if (staffId) {
+    query._id = staffId;
+  }
+
+  return Staff.find(query).select('fullName designation profilePhoto shifts leave treatments');
+};
+
+// Pick a practitioner for a slot: the requested one if free, otherwise the least busy free one
+const pickStaffForSlot = ({ slot, bookings, staffId }) => {
+  if (!slot.availableStaff) {
+    return null;
+  }
+  if (staffId) {
+    return slot.availableStaff.includes(staffId.toString()) ? staffId.toString() : null;
+  }
+
+  const load = (memberId) => bookings.filter(booking => {
+    return booking.assignedStaff && booking.assignedStaff.toString() === memberId;
+  }).length;
+
+  return [...slot.availableStaff].sort((a, b) => load(a) - load(b))[0] || null;
+};
+
+// Resolve the duration to schedule for, from a treatment ID or explicit minutes
+const resolveDuration = async ({ treatmentId, duration }) => {
+  if (duration) {
+    return duration;
+  }
+  if (treatmentId) {
+    const treatment = await Treatment.findById(treatmentId).select('duration');
+    if (treatment && treatment.duration) {
+      return treatment.duration;
+    }
+  }
+  return DEFAULT_DURATION_MINUTES;
+};
+
+// Load the bookings that occupy rooms at a location between two dates
+const findActiveBookings = ({ location, startDate, endDate, excludeBookingId, session = null }) => {
+  const query = {
+    location,
+    appointmentDate: { $gte: startDate, $lte: endDate },
+    status: { $in: ACTIVE_BOOKING_STATUSES }
+  };
+
+  // A visit being rescheduled excludes all of its own bookings
+  if (Array.isArray(excludeBookingId)) {
+    query._id = { $nin: excludeBookingId };
+  } else if (excludeBookingId) {
+    query._id = { $ne: excludeBookingId };
+  }
+
+  return Booking.find(query)
+    .select('appointmentDate appointmentTime treatmentDetails.duration assignedStaff')
+    .session(session);
+};
+
+// Load unexpired slot holds at a location between two dates, shaped like bookings
+const findActiveHolds = async ({ location, startDate, endDate, excludeHoldId, now = new Date(), session = null }) => {
+  const query = {
+    location,
+    appointmentDate: { $gte: startDate, $lte: endDate },
+    expiresAt: { $gt: now }
+  };
+
+  if (excludeHoldId) {
+    query._id = { $ne: excludeHoldId };
+  }
+
+  const holds = await SlotHold.find(query)
+    .select('appointmentDate appointmentTime duration assignedStaff')
+    .session(session);
+
+  return holds.map(hold => ({
+    _id: hold._id,
+    appointmentDate: hold.appointmentDate,
+    appointmentTime: hold.appointmentTime,
+    treatmentDetails: { duration: hold.duration },
+    assignedStaff: hold.assignedStaff,
+    isHold: true
+  }));
+};
+
+// Load everything that occupies rooms: confirmed bookings plus slots held at checkout
+const findOccupancy = async ({ location, startDate, endDate, excludeBookingId, excludeHoldId, now, session }) => {
+  const [bookings, holds] = await Promise.all([
+    findActiveBookings({ location, startDate, endDate, excludeBookingId, session }),
+    findActiveHolds({ location, startDate, endDate, excludeHoldId, now, session })
+  ]);
+  return [...bookings, ...holds];
+};
+
+// Get slot availability for a location on a given day
+const getDayAvailability = async ({ location, date, treatmentId, duration, staffId, excludeBookingId, excludeHoldId, now = new Date(), session = null }) => {
+  const [locationConfig, slotDuration, staff] = await Promise.all([
+    Location.getConfig(location),
+    resolveDuration({ treatmentId, duration }),
+    findEligibleStaff({ location, treatmentId, staffId })
+  ]);
+
+  const day = parseDate(date, locationConfig.timezone);
+  const dayEnd = endOfDay(day, locationConfig.timezone);
+
+  const bookings = await findOccupancy({ location, startDate: day, endDate: dayEnd, excludeBookingId, excludeHoldId, now, session });
+  const schedule = getDaySchedule(locationConfig, day);
+
+  const slots = buildDaySlots({
+    date: day,
+    location,
+    schedule,
+    bookings,
+    rooms: locationConfig.treatmentRooms,
+    duration: slotDuration,
+    staff,
+    now
+  });
+
+  return {
+    date: formatDateKey(day, locationConfig.timezone),
+    location,
+    timeZone: locationConfig.timezone,
+    duration: slotDuration,
+    treatmentRooms: locationConfig.treatmentRooms,
+    schedule,
+    bookedTimes: bookings.filter(booking => !booking.isHold).map(booking => booking.appointmentTime),
+    staffOptions: staff
+      ? staff.map(member => ({ _id: member._id, fullName: member.fullName, designation: member.designation, profilePhoto: member.profilePhoto }))
+      : [],
+    bookings,
+    slots
+  };
+};
+
+// Get per-day availability summaries for a calendar month
+const getMonthAvailability = async ({ location, year, month, treatmentId, duration, staffId, now = new Date() }) => {
+  const [locationConfig, slotDuration, staff] = await Promise.all([
+    Location.getConfig(location),
+    resolveDuration({ treatmentId, duration }),
+    findEligibleStaff({ location, treatmentId, staffId })
+  ]);
+
+  const timeZone = locationConfig.timezone;
+  const firstDayKey = `${year}-${month.toString().padStart(2, '0')}-01`;
+  const totalDays = daysInMonth(year, month);
+  const monthStart = startOfDay(firstDayKey, timeZone);
+  const monthEnd = endOfDay(addDays(firstDayKey, totalDays - 1), timeZone);
+  const today = parseDate(now, timeZone);
+
+  const monthBookings = await findOccupancy({ location, startDate: monthStart, endDate: monthEnd, now });
+  const days = {};
+
+  for (let day = 1; day <= totalDays; day++) {
+    const dateKey = addDays(firstDayKey, day - 1);
+    const currentDate = startOfDay(dateKey, timeZone);
+    const schedule = getDaySchedule(locationConfig, dateKey);
+    const totalSlots = generateTimeSlots(schedule).length;
+
+    if (currentDate < today) {
+      days[dateKey] = {
+        isPast: true,
+        isAvailable: false,
+        availableSlots: 0,
+        totalSlots,
+        fullyBooked: false
+      };
+      continue;
+    }
+
+    if (!schedule.isOpen) {
+      days[dateKey] = {
+        isPast: false,
+        isClosed: true,
+        closedReason: schedule.closedReason,
+        isAvailable: false,
+        availableSlots: 0,
+        totalSlots,
+        fullyBooked: false
+      };
+      continue;
+    }
+
+    const dayBookings = monthBookings.filter(booking => formatDateKey(booking.appointmentDate, timeZone) === dateKey);
+    const slots = buildDaySlots({
+      date: currentDate,
+      location,
+      schedule,
+      bookings: dayBookings,
+      rooms: locationConfig.treatmentRooms,
+      duration: slotDuration,
+      staff,
+      now
+    });
+
+    const availableSlots = slots.filter(slot => slot.isAvailable).length;
+    const fullyBooked = availableSlots === 0 && slots.some(slot => slot.isBooked || slot.noStaffAvailable);
+
+    days[dateKey] = {
+      isPast: false,
+      isClosed: false,
+      isAvailable: availableSlots > 0,
+      availableSlots,
+      totalSlots,
+      fullyBooked,
+      bookedSlots: slots.filter(slot => slot.isBooked).length
+    };
+  }
+
+  return {
+    duration: slotDuration,
+    treatmentRooms: locationConfig.treatmentRooms,
+    totalDays,
+    days
+  };
+};
+
+// Check whether a specific start time can be booked.
+// When the location is rostered, also picks the practitioner to assign.
+const checkSlotAvailability = async ({ location, date, time, treatmentId, duration, staffId, excludeBookingId, excludeHoldId, now = new Date(), session = null }) => {
+  const availability = await getDayAvailability({ location, date, treatmentId, duration, staffId, excludeBookingId, excludeHoldId, now, session });
+  const slot = availability.slots.find(s => s.time === time);
+
+  if (!availability.schedule.isOpen) {
+    return { available: false, reason: availability.schedule.closedReason };
+  }
+  if (!slot) {
+    return { available: false, reason: 'Please select a valid appointment time slot' };
+  }
+  if (slot.isPastTime) {
+    return { available: false, reason: 'Appointment date and time must be in the future', slot };
+  }
+  if (slot.exceedsClosingTime) {
+    return { available: false, reason: 'This treatment would run past clinic closing time', slot };
+  }
+  if (slot.overlapsBreak) {
+    return { available: false, reason: 'This treatment would overlap a scheduled clinic break', slot };
+  }
+  if (slot.isBlackedOut) {
+    return { available: false, reason: 'The clinic is unavailable at the selected time', slot };
+  }
+  if (slot.isBooked) {
+    return { available: false, reason: 'The selected time slot is fully booked', slot };
+  }
+  if (slot.noStaffAvailable) {
+    return {
+      available: false,
+      reason: staffId
+        ? 'The selected practitioner is not available at this time'
+        : 'No practitioner is available at this time',
+      slot
+    };
+  }
+
+  const assignedStaff = pickStaffForSlot({ slot, bookings: availability.bookings, staffId });
+
+  return { available: true, slot, assignedStaff };
+};
+
+// Suggest bookable slots near a requested time: the same day first (closest times),
+// then the earliest slots on the following days
+const findAlternativeSlots = async ({ location, date, time, treatmentId, duration, staffId, excludeBookingId, excludeHoldId, limit = 5, searchDays = 7, now = new Date() }) => {
+  const requestedMinutes = timeToMinutes(time);
+  const alternatives = [];
+  const locationConfig = await Location.getConfig(location);
+  const startKey = normalizeDateKey(date, locationConfig.timezone);
+
+  for (let offset = 0; offset < searchDays && alternatives.length < limit; offset++) {
+    const day = addDays(startKey, offset);
+
+    const availability = await getDayAvailability({ location, date: day, treatmentId, duration, staffId, excludeBookingId, excludeHoldId, now });
+    let openSlots = availability.slots.filter(slot => slot.isAvailable && !(offset === 0 && slot.time === time));
+
+    if (offset === 0) {
+      openSlots = openSlots.sort((a, b) => {
+        return Math.abs(timeToMinutes(a.time) - requestedMinutes) - Math.abs(timeToMinutes(b.time) - requestedMinutes);
+      });
+    }
+
+    openSlots.slice(0, limit - alternatives.length).forEach(slot => {
+      alternatives.push({
+        date: availability.date,
+        time: slot.time,
+        endTime: slot.endTime,
+        remainingRooms: slot.remainingRooms
+      });
+    });
+  }
+
+  return alternatives;
+};
+
+module.exports = {
+  ACTIVE_BOOKING_STATUSES,
+  DEFAULT_DURATION_MINUTES,
+  timeToMinutes,
+  minutesToTime,
+  parseDate,
+  formatDateKey,
+  combineDateAndTime,
+  getDaySchedule,
+  generateTimeSlots,
+  peakOccupancy,
+  buildDaySlots,
+  findEligibleStaff,
+  isStaffFree,
+  getDayAvailability,
+  getMonthAvailability,
+  checkSlotAvailability,
+  findAlternativeSlots
+};
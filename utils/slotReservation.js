@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const SlotHold = require('../models/SlotHold');
+const SlotLock = require('../models/SlotLock');
+const Location = require('../models/Location');
+const {
+  timeToMinutes,
+  parseDate,
+  formatDateKey,
+  getDaySchedule,
+  generateTimeSlots,
+  checkSlotAvailability
+} = require('./scheduling');
+
+// How long a held slot stays reserved while the customer completes checkout
+const SLOT_HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES) || 10;
+
+// Run fn(session) inside a transaction that owns the lock for a location and day.
+// Concurrent callers for the same day conflict on the lock and are retried by the driver,
+// so whatever fn reads with the session already includes the other caller's commit.
+const withSlotLock = async (location, date, fn) => {
+  // The lock is per calendar day at the location, so the date is read in its time zone
+  const { timezone } = await Location.getConfig(location);
+  const lockKey = { location, date: formatDateKey(parseDate(date, timezone), timezone) };
+
+  // Create the lock outside the transaction; upserts racing inside one would fail on the unique index
+  try {
+    await SlotLock.updateOne(lockKey, { $setOnInsert: lockKey }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return mongoose.connection.transaction(async (session) => {
+    await SlotLock.updateOne(lockKey, { $inc: { version: 1 } }, { session });
+    return fn(session);
+  });
+};
+
+// Check a slot and apply a booking change atomically.
+// apply(session, slotCheck) only runs while the slot is still free; the result is
+// { slotCheck, result } so callers can answer with a conflict when slotCheck.available is false.
+const reserveSlot = (criteria, apply) => {
+  return withSlotLock(criteria.location, criteria.date, async (session) => {
+    const slotCheck = await checkSlotAvailability({ ...criteria, session });
+    if (!slotCheck.available) {
+      return { slotCheck, result: null };
+    }
+
+    const result = await apply(session, slotCheck);
+    return { slotCheck, result };
+  });
+};
+
+// Check back-to-back slots for several treatments on one day and apply a visit change atomically.
+// The first item starts at time; each later item starts at the first slot on or after the previous one ends.
+// Returns { slotChecks, failure, result }; apply(session, slotChecks) only runs when every slot is free,
+// otherwise failure is { index, time, reason } for the first treatment that does not fit.
+const reserveVisitSlots = ({ location, date, time, items, excludeBookingId }, apply) => {
+  return withSlotLock(location, date, async (session) => {
+    const schedule = getDaySchedule(await Location.getConfig(location), date);
+    const slotTimes = generateTimeSlots(schedule);
+    const slotChecks = [];
+
+    let startTime = time;
+    for (let index = 0; index < items.length; index++) {
+      const item = items[index];
+      if (!startTime) {
+        return {
+          slotChecks,
+          failure: { index, time: null, reason: 'This visit would run past clinic closing time' },
+          result: null
+        };
+      }
+
+      const slotCheck = await checkSlotAvailability({
+        location,
+        date,
+        time: startTime,
+        treatmentId: item.treatmentId,
+        duration: item.duration,
+        staffId: item.staffId,
+        excludeBookingId,
+        session
+      });
+      if (!slotCheck.available) {
+        return {
+          slotChecks,
+          failure: { index, time: startTime, reason: slotCheck.reason },
+          result: null
+        };
+      }
+
+      slotChecks.push({ ...slotCheck, time: startTime });
+      const endMinutes = timeToMinutes(startTime) + item.duration;
+      startTime = slotTimes.find(slotTime => timeToMinutes(slotTime) >= endMinutes);
+    }
+
+    const result = await apply(session, slotChecks);
+    return { slotChecks, failure: null, result };
+  });
+};
+
+// Hold a slot for a user. Any earlier hold the user has for the same checkout (or waitlist offer) is released.
+const holdSlot = async ({ userId, bookingId = null, waitlistEntryId = null, treatmentId, location, date, time, duration, staffId, holdMinutes = SLOT_HOLD_MINUTES }) => {
+  const previousFilter = { user: userId, booking: bookingId, waitlistEntry: waitlistEntryId };
+  const previousHold = await SlotHold.findOne(previousFilter).select('_id');
+
+  return reserveSlot({
+    location,
+    date,
+    time,
+    treatmentId,
+    duration,
+    staffId,
+    excludeBookingId: bookingId,
+    excludeHoldId: previousHold ? previousHold._id : undefined
+  }, async (session, slotCheck) => {
+    await SlotHold.deleteMany(previousFilter, { session });
+
+    const [hold] = await SlotHold.create([{
+      user: userId,
+      booking: bookingId,
+      waitlistEntry: waitlistEntryId,
+      treatment: treatmentId,
+      location,
+      appointmentDate: slotCheck.slot.startsAt,
+      appointmentTime: time,
+      duration,
+      assignedStaff: slotCheck.assignedStaff,
+      staffRequested: Boolean(staffId),
+      expiresAt: new Date(Date.now() + holdMinutes * 60 * 1000)
+    }], { session });
+
+    return hold;
+  });
+};
+
+// Find a user's unexpired hold, optionally for a booking being rescheduled
+const findUserHold = (holdId, userId, bookingId = null) => {
+  return SlotHold.findOne({
+    _id: holdId,
+    user: userId,
+    booking: bookingId,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Check that a hold covers the appointment being confirmed, comparing days in the location's time zone
+const holdMatches = (hold, { location, date, time, treatmentId, timeZone }) => {
+  return hold.location === location &&
+    hold.appointmentTime === time &&
+    formatDateKey(hold.appointmentDate, timeZone) === formatDateKey(parseDate(date, timeZone), timeZone) &&
+    hold.treatment.toString() === treatmentId.toString();
+};
+
+module.exports = {
+  SLOT_HOLD_MINUTES,
+  withSlotLock,
+  reserveSlot,
+  reserveVisitSlots,
+  holdSlot,
+  findUserHold,
+  holdMatches
+};
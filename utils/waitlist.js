@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const SlotHold = require('../models/SlotHold');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const {
+  DEFAULT_DURATION_MINUTES,
+  timeToMinutes,
+  minutesToTime,
+  parseDate,
+  formatDateKey,
+  getDayAvailability
+} = require('./scheduling');
+const { holdSlot, reserveSlot } = require('./slotReservation');
+const { sendWaitlistOfferEmail } = require('./emailService');
+
+// How long a waitlisted customer has to claim an offered slot
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 30;
+
+// Link sent to the customer; the app calls the claim endpoint with the token
+const buildClaimUrl = (token) => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:5173'}/waitlist/claim/${token}`;
+};
+
+// Offer start times between freedFrom and freedUntil ("HH:mm") to the longest-waiting customer
+// whose window and treatment fit. The slot is held for them until the offer expires.
+// Returns the offered entry, or null when nobody on the waitlist can take it.
+const offerFreedSlot = async ({ location, date, freedFrom, freedUntil, now = new Date() }) => {
+  const dateKey = formatDateKey(parseDate(date));
+
+  // "HH:mm" strings compare correctly as text
+  const entries = await WaitlistEntry.find({
+    location,
+    date: dateKey,
+    status: 'waiting',
+    windowStart: { $lt: freedUntil },
+    windowEnd: { $gt: freedFrom }
+  }).sort({ createdAt: 1 });
+
+  for (const entry of entries) {
+    const duration = entry.treatmentDetails.duration || DEFAULT_DURATION_MINUTES;
+    const availability = await getDayAvailability({ location, date: dateKey, treatmentId: entry.treatment, duration, now });
+    const slot = availability.slots.find(s => {
+      return s.isAvailable &&
+        s.time >= freedFrom && s.time < freedUntil &&
+        s.time >= entry.windowStart && s.time < entry.windowEnd;
+    });
+    if (!slot) {
+      continue;
+    }
+
+    const { slotCheck, result: hold } = await holdSlot({
+      userId: entry.user,
+      waitlistEntryId: entry._id,
+      treatmentId: entry.treatment,
+      location,
+      date: dateKey,
+      time: slot.time,
+      duration,
+      holdMinutes: WAITLIST_OFFER_MINUTES
+    });
+    if (!slotCheck.available) {
+      continue;
+    }
+
+    // Another release may have offered this customer a slot in the meantime
+    const offered = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offer: {
+          token: crypto.randomBytes(24).toString('hex'),
+          appointmentTime: slot.time,
+          freedFrom,
+          freedUntil,
+          hold: hold._id,
+          offeredAt: new Date(),
+          expiresAt: hold.expiresAt
+        }
+      },
+      { new: true }
+    );
+    if (!offered) {
+      await SlotHold.deleteOne({ _id: hold._id });
+      continue;
+    }
+
+    try {
+      await sendWaitlistOfferEmail(offered.personalDetails.email, offered, buildClaimUrl(offered.offer.token));
+      console.log(`Waitlist offer sent to ${offered.personalDetails.email} for ${dateKey} ${slot.time}`);
+    } catch (emailError) {
+      console.error('Failed to send waitlist offer email:', emailError);
+    }
+
+    return offered;
+  }
+
+  return null;
+};
+
+// Offer the time freed by a cancelled or no-show booking to the waitlist.
+// Never throws: the booking change has already been made.
+const offerCancelledBooking = async (booking) => {
+  try {
+    const start = timeToMinutes(booking.appointmentTime);
+    const duration = (booking.treatmentDetails && booking.treatmentDetails.duration) || DEFAULT_DURATION_MINUTES;
+
+    return await offerFreedSlot({
+      location: booking.location,
+      date: booking.appointmentDate,
+      freedFrom: booking.appointmentTime,
+      freedUntil: minutesToTime(Math.min(start + duration, 24 * 60 - 1))
+    });
+  } catch (error) {
+    console.error('Failed to offer freed slot to waitlist:', error);
+    return null;
+  }
+};
+
+// Close an open offer (expired, declined or cancelled), release its hold and
+// roll the slot on to the next customer
+const closeOffer = async (entry, status) => {
+  const closed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    { status, 'offer.respondedAt': new Date() },
+    { new: true }
+  );
+  if (!closed) {
+    return null;
+  }
+
+  await SlotHold.deleteOne({ _id: closed.offer.hold });
+
+  await offerFreedSlot({
+    location: closed.location,
+    date: closed.date,
+    freedFrom: closed.offer.freedFrom,
+    freedUntil: closed.offer.freedUntil
+  });
+
+  return closed;
+};
+
+// Expire offers that were not claimed in time and roll each slot on
+const expireLapsedOffers = async (now = new Date()) => {
+  const lapsed = await WaitlistEntry.find({
+    status: 'offered',
+    'offer.expiresAt': { $lte: now }
+  }).sort({ 'offer.expiresAt': 1 });
+
+  let expiredCount = 0;
+  for (const entry of lapsed) {
+    try {
+      if (await closeOffer(entry, 'expired')) {
+        expiredCount++;
+      }
+    } catch (error) {
+      console.error(`Failed to expire waitlist offer ${entry._id}:`, error);
+    }
+  }
+
+  return { expiredCount };
+};
+
+// Turn an open offer into a confirmed booking, keeping any medical screening warnings and the price quote on it.
+// Returns { slotCheck, booking }; booking is null when the offer was closed concurrently.
+const claimOffer = async (entry, { medicalFlags = [], pricing } = {}) => {
+  const duration = entry.treatmentDetails.duration || DEFAULT_DURATION_MINUTES;
+
+  const { slotCheck, result: booking } = await reserveSlot({
+    location: entry.location,
+    date: entry.date,
+    time: entry.offer.appointmentTime,
+    treatmentId: entry.treatment,
+    duration,
+    excludeHoldId: entry.offer.hold
+  }, async (session, slotCheck) => {
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { status: 'booked', 'offer.respondedAt': new Date() },
+      { new: true, session }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    const newBooking = new Booking({
+      user: entry.user,
+      personalDetails: entry.personalDetails,
+      treatment: entry.treatment,
+      treatmentDetails: entry.treatmentDetails,
+      location: entry.location,
+      appointmentDate: slotCheck.slot.startsAt,
+      appointmentTime: entry.offer.appointmentTime,
+      status: 'confirmed',
+      paymentMethod: 'cash',
+      assignedStaff: slotCheck.assignedStaff,
+      medicalFlags,
+      pricing,
+      bookingReference: Booking.generateReference()
+    });
+    await newBooking.save({ session });
+
+    await WaitlistEntry.updateOne({ _id: entry._id }, { booking: newBooking._id }, { session });
+    await SlotHold.deleteOne({ _id: entry.offer.hold }, { session });
+
+    return newBooking;
+  });
+
+  return { slotCheck, booking };
+};
+
+module.exports = {
+  WAITLIST_OFFER_MINUTES,
+  offerFreedSlot,
+  offerCancelledBooking,
+  closeOffer,
+  expireLapsedOffers,
+  claimOffer
+};
@@ -0,0 +1,287 @@
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const WalletEntry = require('../models/WalletEntry');
+const { roundMoney } = require('./pricing');
+
+// Promotional top-ups lapse after this many days unless given their own expiry
+const WALLET_PROMOTION_EXPIRY_DAYS = parseInt(process.env.WALLET_PROMOTION_EXPIRY_DAYS) || 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SYSTEM_ACTOR = WalletEntry.SYSTEM_ACTOR;
+
+// Open the user's wallet if they do not have one yet. Transactions cannot see a wallet created
+// after they started, so callers running wallet changes in their own transaction call this first.
+const ensureWallet = async (userId) => {
+  try {
+    await Wallet.updateOne({ user: userId }, { $setOnInsert: { user: userId } }, { upsert: true });
+  } catch (error) {
+    // A concurrent request opened it first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+const getPromotionExpiry = (now = new Date()) => new Date(now.getTime() + WALLET_PROMOTION_EXPIRY_DAYS * DAY_MS);
+
+// Soonest-expiring credit first; credit that never expires last
+const byExpiry = (a, b) => {
+  const expiry = (lot) => (lot.expiresAt ? new Date(lot.expiresAt).getTime() : Infinity);
+  return expiry(a) - expiry(b);
+};
+
+const toLot = (lot) => ({ entry: lot.entry, amount: lot.amount, expiresAt: lot.expiresAt, source: lot.source });
+
+// The ledger entry for a change just applied to the wallet
+const makeEntry = (wallet, type, amount, { source, description, expiresAt, booking, medicineOrder, refund, supportRequest, relatedEntry, actor = SYSTEM_ACTOR, reason }) => {
+  return new WalletEntry({
+    user: wallet.user,
+    type,
+    amount,
+    balanceAfter: wallet.balance,
+    heldAfter: wallet.held,
+    source,
+    description,
+    expiresAt,
+    booking,
+    medicineOrder,
+    refund,
+    supportRequest,
+    relatedEntry,
+    createdBy: actor,
+    reason
+  });
+};
+
+// Lapse credit past its expiry, with an expiry entry for each credit
+const expireLots = (wallet, now, entries) => {
+  const due = wallet.lots.filter(lot => lot.expiresAt && lot.expiresAt <= now);
+  if (due.length === 0) {
+    return;
+  }
+
+  wallet.lots = wallet.lots.filter(lot => !(lot.expiresAt && lot.expiresAt <= now)).map(toLot);
+  for (const lot of due) {
+    wallet.balance = roundMoney(wallet.balance - lot.amount);
+    entries.push(makeEntry(wallet, 'expiry', lot.amount, {
+      source: lot.source,
+      description: 'Credit expired unspent',
+      relatedEntry: lot.entry
+    }));
+  }
+};
+
+// Take an amount out of the balance, soonest-expiring credit first. Returns what came from each credit.
+const takeFromLots = (wallet, amount) => {
+  const lots = wallet.lots.map(toLot).sort(byExpiry);
+  const allocations = [];
+  let left = amount;
+
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = roundMoney(Math.min(lot.amount, left));
+    allocations.push({ ...lot, amount: take });
+    lot.amount = roundMoney(lot.amount - take);
+    left = roundMoney(left - take);
+  }
+
+  wallet.lots = lots.filter(lot => lot.amount > 0);
+  wallet.balance = roundMoney(wallet.balance - amount);
+  return allocations;
+};
+
+// Change a wallet and append the ledger entries that explain it, in one transaction or in the
+// caller's when options.session is given. Lapsed credit is expired first. change(wallet, entries)
+// pushes its entries and returns the result; null means the change could not be made.
+const withWallet = async (userId, session, change) => {
+  if (!session) {
+    await ensureWallet(userId);
+  }
+
+  const run = async (transactionSession) => {
+    const wallet = await Wallet.findOne({ user: userId }).session(transactionSession);
+    if (!wallet) {
+      return null;
+    }
+
+    const entries = [];
+    expireLots(wallet, new Date(), entries);
+    const result = await change(wallet, entries);
+
+    if (entries.length > 0) {
+      await wallet.save({ session: transactionSession });
+      await WalletEntry.insertMany(entries, { session: transactionSession });
+    }
+    return result;
+  };
+
+  return session ? run(session) : mongoose.connection.transaction(run);
+};
+
+// Add credit to a user's wallet; with expiresAt it lapses if not spent by then
+const creditWallet = (userId, amount, options = {}) => {
+  return withWallet(userId, options.session, (wallet, entries) => {
+    wallet.balance = roundMoney(wallet.balance + amount);
+    const entry = makeEntry(wallet, 'credit', amount, options);
+    wallet.lots.push({ entry: entry._id, amount, expiresAt: options.expiresAt, source: options.source });
+    entries.push(entry);
+    return entry;
+  });
+};
+
+// Spend from a user's wallet. Returns the debit entry, or null when the balance is too low.
+const debitWallet = (userId, amount, options = {}) => {
+  return withWallet(userId, options.session, (wallet, entries) => {
+    if (wallet.balance < amount - 0.001) {
+      return null;
+    }
+    takeFromLots(wallet, amount);
+    const entry = makeEntry(wallet, 'debit', amount, options);
+    entries.push(entry);
+    return entry;
+  });
+};
+
+// Set money aside for a payment still in progress. Returns the hold entry, or null when the
+// balance is too low.
+const holdWallet = (userId, amount, options = {}) => {
+  return withWallet(userId, options.session, (wallet, entries) => {
+    if (wallet.balance < amount - 0.001) {
+      return null;
+    }
+    const allocations = takeFromLots(wallet, amount);
+    wallet.held = roundMoney(wallet.held + amount);
+    const entry = makeEntry(wallet, 'hold', amount, options);
+    wallet.holds.push({ entry: entry._id, amount, allocations });
+    entries.push(entry);
+    return entry;
+  });
+};
+
+const takeHold = (wallet, holdEntryId) => {
+  const hold = wallet.holds.find(item => item.entry.equals(holdEntryId));
+  if (!hold) {
+    return null;
+  }
+  wallet.holds = wallet.holds.filter(item => !item.entry.equals(holdEntryId));
+  wallet.held = roundMoney(wallet.held - hold.amount);
+  return hold;
+};
+
+// Spend a hold once its payment has gone through. Returns the debit entry, or null when the
+// hold is no longer open.
+const captureHold = (userId, holdEntryId, options = {}) => {
+  return withWallet(userId, options.session, (wallet, entries) => {
+    const hold = takeHold(wallet, holdEntryId);
+    if (!hold) {
+      return null;
+    }
+    const entry = makeEntry(wallet, 'debit', hold.amount, { ...options, relatedEntry: holdEntryId });
+    entries.push(entry);
+    return entry;
+  });
+};
+
+// Give a hold back to the balance, to the credit it came from. Returns the release entry, or
+// null when the hold is no longer open.
+const releaseHold = (userId, holdEntryId, options = {}) => {
+  return withWallet(userId, options.session, (wallet, entries) => {
+    const hold = takeHold(wallet, holdEntryId);
+    if (!hold) {
+      return null;
+    }
+
+    const lots = wallet.lots.map(toLot);
+    for (const allocation of hold.allocations) {
+      const lot = lots.find(item => item.entry && item.entry.equals(allocation.entry));
+      if (lot) {
+        lot.amount = roundMoney(lot.amount + allocation.amount);
+      } else {
+        lots.push(toLot(allocation));
+      }
+    }
+    wallet.lots = lots;
+    wallet.balance = roundMoney(wallet.balance + hold.amount);
+
+    const entry = makeEntry(wallet, 'release', hold.amount, { ...options, relatedEntry: holdEntryId });
+    entries.push(entry);
+    // Credit that lapsed while it was held expires now
+    expireLots(wallet, new Date(), entries);
+    return entry;
+  });
+};
+
+// A user's balances and the credit that will lapse, soonest first. Lapsed credit is expired on the way.
+const getWalletSummary = async (userId) => {
+  const wallet = await withWallet(userId, null, (current) => current);
+  return {
+    balance: wallet.balance,
+    held: wallet.held,
+    expiring: wallet.lots
+      .filter(lot => lot.expiresAt)
+      .sort(byExpiry)
+      .map(lot => ({ amount: lot.amount, expiresAt: lot.expiresAt, source: lot.source }))
+  };
+};
+
+// A user's ledger for a period, newest first, with the balance before it and totals by entry type
+const getWalletStatement = async (userId, { from, to, page = 1, limit = 50 } = {}) => {
+  const filter = { user: new mongoose.Types.ObjectId(String(userId)) };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [entries, totalCount, totals, previous] = await Promise.all([
+    WalletEntry.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(parseInt(limit)),
+    WalletEntry.countDocuments(filter),
+    WalletEntry.aggregate([
+      { $match: filter },
+      { $group: { _id: '$type', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]),
+    from
+      ? WalletEntry.findOne({ user: filter.user, createdAt: { $lt: new Date(from) } }).sort({ createdAt: -1, _id: -1 })
+      : null
+  ]);
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  return {
+    openingBalance: previous ? previous.balanceAfter : 0,
+    openingHeld: previous ? previous.heldAfter : 0,
+    entries,
+    totals,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      totalCount,
+      hasNextPage: parseInt(page) < totalPages,
+      hasPrevPage: parseInt(page) > 1
+    }
+  };
+};
+
+// Lapse expired credit across all wallets. Returns how many wallets had credit expire.
+const expireWalletCredits = async (now = new Date()) => {
+  const wallets = await Wallet.find({ 'lots.expiresAt': { $lte: now } }).select('user');
+  for (const wallet of wallets) {
+    await withWallet(wallet.user, null, () => null);
+  }
+  return { wallets: wallets.length };
+};
+
+module.exports = {
+  WALLET_PROMOTION_EXPIRY_DAYS,
+  ensureWallet,
+  getPromotionExpiry,
+  creditWallet,
+  debitWallet,
+  holdWallet,
+  captureHold,
+  releaseHold,
+  getWalletSummary,
+  getWalletStatement,
+  expireWalletCredits
+};